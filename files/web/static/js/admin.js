@@ -1162,3 +1162,133 @@ function handleMailEls (selector) {
 handleMailEls(document.body);
 
 // END Added for CR
+
+// Renders the Markdown subset allowed in cirkulero contributions as HTML, see parseMarkdown in src/util.js
+function renderMarkdown (str) {
+	var escape = function (text) {
+		return text.replace(/[&<>"']/g, function (c) {
+			return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+		});
+	};
+	var isWordChar = function (char) {
+		return !!char && /[\w\u00c0-\uffff]/.test(char);
+	};
+	var isSafeURL = function (url) {
+		return /^(https?:\/\/|mailto:)\S+$/i.test(url);
+	};
+
+	var parse = function (str, style) {
+		var segments = [];
+		var text = '';
+		var withStyle = function (changes) {
+			return $.extend({}, style, changes);
+		};
+		var flush = function () {
+			if (!text) { return; }
+			segments.push(withStyle({ text: text }));
+			text = '';
+		};
+
+		var i = 0;
+		while (i < str.length) {
+			var char = str[i];
+			var rest = str.slice(i);
+			var match;
+
+			// Escaped characters
+			if (char === '\\' && str[i + 1] && '\\`*_[]()'.indexOf(str[i + 1]) > -1) {
+				text += str[i + 1];
+				i += 2;
+				continue;
+			}
+
+			// Inline code
+			if (char === '`') {
+				var codeEnd = str.indexOf('`', i + 1);
+				if (codeEnd > i + 1) {
+					flush();
+					segments.push(withStyle({ text: str.slice(i + 1, codeEnd), code: true }));
+					i = codeEnd + 1;
+					continue;
+				}
+			}
+
+			// Links
+			if (char === '[' && !style.href && (match = /^\[([^\]]+)\]\(([^)\s]+)\)/.exec(rest))) {
+				flush();
+				segments = segments.concat(parse(match[1], withStyle({ href: isSafeURL(match[2]) ? match[2] : null })));
+				i += match[0].length;
+				continue;
+			}
+			if (char === 'h' && !style.href && !isWordChar(str[i - 1]) &&
+				(match = /^https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]'"*_]/.exec(rest))) {
+				flush();
+				segments.push(withStyle({ text: match[0], href: match[0] }));
+				i += match[0].length;
+				continue;
+			}
+
+			// Bold and italics
+			if (char === '*' || char === '_') {
+				var delimiter = str[i + 1] === char ? char + char : char;
+				var start = i + delimiter.length;
+				var key = delimiter.length === 2 ? 'bold' : 'italic';
+				// Underscores within words, e.g. in snake_case, aren't delimiters
+				var mayOpen = str[start] && !/\s/.test(str[start]) && (char === '*' || !isWordChar(str[i - 1]));
+
+				var end = -1;
+				if (mayOpen && !style[key]) {
+					for (var n = start + 1; n < str.length; n++) {
+						if (str.substr(n, delimiter.length) !== delimiter) { continue; }
+						if (/\s/.test(str[n - 1])) { continue; }
+						var after = str[n + delimiter.length];
+						if (delimiter.length === 1 && (after === char || str[n - 1] === char)) { continue; }
+						if (char === '_' && isWordChar(after)) { continue; }
+						end = n;
+						break;
+					}
+				}
+
+				if (end > -1) {
+					flush();
+					var changes = {};
+					changes[key] = true;
+					segments = segments.concat(parse(str.slice(start, end), withStyle(changes)));
+					i = end + delimiter.length;
+					continue;
+				}
+
+				text += delimiter;
+				i += delimiter.length;
+				continue;
+			}
+
+			text += char;
+			i++;
+		}
+		flush();
+
+		return segments;
+	};
+
+	var segments = parse(str, { bold: false, italic: false, code: false, href: null });
+	var html = '';
+	var href = null;
+	for (var i in segments) {
+		var segment = segments[i];
+		if (segment.href !== href) {
+			if (href) { html += '</a>'; }
+			href = segment.href;
+			if (href) { html += '<a href="' + escape(href) + '" target="_blank" rel="noopener noreferrer">'; }
+		}
+
+		var segmentHTML = escape(segment.text);
+		if (segment.code) { segmentHTML = '<code>' + segmentHTML + '</code>'; }
+		if (segment.italic) { segmentHTML = '<em>' + segmentHTML + '</em>'; }
+		if (segment.bold) { segmentHTML = '<strong>' + segmentHTML + '</strong>'; }
+		html += segmentHTML;
+	}
+	if (href) { html += '</a>'; }
+
+	return html;
+}
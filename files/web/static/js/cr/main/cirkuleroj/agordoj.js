@@ -39,6 +39,10 @@ $(function () {
 	var publishEmailEl = $('#manage-cirkuleroj-form-publish_email');
 	publishEmailEl.val(pageData.publishEmail);
 
+	// Publish attachments
+	$('#manage-cirkuleroj-form-publish_include_html').prop('checked', pageData.publishIncludeHTML);
+	$('#manage-cirkuleroj-form-publish_include_pdf').prop('checked', pageData.publishIncludePDF);
+
 	var groupFields = [ 'contribute', 'appear', 'statistics' ];
 	// Obtain existing groups
 	performAPIRequest('post', '/api/cirkuleroj/get_groups')
@@ -94,7 +98,9 @@ $(function () {
 			performAPIRequest('post', '/api/cirkuleroj/update_groups', groupData),	
 			performAPIRequest('post', '/api/cirkuleroj/set_publish_message', {
 				message: $('#manage-cirkuleroj-form-publish_message').val(),
-				email:   $('#manage-cirkuleroj-form-publish_email')  .val()
+				email:   $('#manage-cirkuleroj-form-publish_email')  .val(),
+				include_html: $('#manage-cirkuleroj-form-publish_include_html').is(':checked'),
+				include_pdf:  $('#manage-cirkuleroj-form-publish_include_pdf') .is(':checked')
 			})
 		]).then(function (res) {
 			button.removeAttr('disabled');
@@ -107,6 +113,144 @@ $(function () {
 		});
 	});
 
+	// SCHEDULE
+	var scheduleForm = $('#schedule-form');
+	var loadSchedule = function () {
+		return performAPIRequest('post', '/api/cirkuleroj/get_schedule')
+			.then(function (res) {
+				if (!res.success) { return; }
+
+				var upcomingEl = $('#schedule-upcoming').empty();
+				for (var i in res.upcoming) {
+					(function (cirkulero) {
+						var row = $('<tr></tr>');
+						row.append($('<td></td>').text(cirkulero.id || '–'));
+						row.append($('<td></td>').text(cirkulero.name));
+						row.append($('<td></td>').text(moment.unix(cirkulero.create_time).utc().format('LL')));
+						row.append($('<td></td>').text(moment.unix(cirkulero.deadline).utc().format('LLL [UTC]')));
+
+						var button = $('<button type="button" class="btn btn-default btn-xs waves-effect"></button>');
+						button.text(cirkulero.skipped ? 'Malpreterlasi' : 'Preterlasi');
+						button.click(function () {
+							button.attr('disabled', true);
+							performAPIRequest('post', '/api/cirkuleroj/skip_scheduled', {
+								month: cirkulero.month,
+								skip: !cirkulero.skipped
+							})
+								.then(function (res) {
+									if (!res.success) { return; }
+									loadSchedule();
+								});
+						});
+						row.append($('<td></td>').append(button));
+
+						if (cirkulero.skipped) { row.addClass('text-muted'); }
+						upcomingEl.append(row);
+					})(res.upcoming[i]);
+				}
+
+				return res.schedule;
+			});
+	};
+	loadSchedule().then(function (schedule) {
+		if (!schedule) { return; }
+
+		$('#schedule-form-enabled').prop('checked', schedule.enabled);
+		$('#schedule-form-create_day').val(schedule.create_day);
+		$('#schedule-form-deadline_day').val(schedule.deadline_day);
+		$('#schedule-form-deadline_time').val(schedule.deadline_time);
+		$('#schedule-form-name').val(schedule.name);
+		scheduleForm.find('input').trigger('focus').trigger('blur'); // Update the labels
+	});
+
+	scheduleForm.submit(function (e) {
+		e.preventDefault();
+
+		var button = $('#schedule-form-button');
+		button.attr('disabled', true);
+		performAPIRequest('post', '/api/cirkuleroj/set_schedule', {
+			enabled: $('#schedule-form-enabled').prop('checked'),
+			create_day: parseInt($('#schedule-form-create_day').val(), 10),
+			deadline_day: parseInt($('#schedule-form-deadline_day').val(), 10),
+			deadline_time: $('#schedule-form-deadline_time').val(),
+			name: $('#schedule-form-name').val()
+		}).then(function (res) {
+			button.removeAttr('disabled');
+			if (!res.success) { return; }
+			loadSchedule();
+			var confirmation = $('#schedule-form-button-confirmation');
+			confirmation.show();
+			window.setTimeout(function () {
+				confirmation.fadeOut();
+			}, 400);
+		});
+	});
+
+	// IMPORT
+	var importForm = $('#import-form');
+	var importDryRun = false;
+	importForm.find('button').click(function () {
+		importDryRun = $(this).data('dry-run');
+	});
+	importForm.submit(function (e) {
+		e.preventDefault();
+
+		var buttons = importForm.find('button');
+		buttons.attr('disabled', true);
+		performAPIRequest({
+			method: 'post',
+			url: '/api/cirkuleroj/import',
+			data: {
+				dry_run: importDryRun
+			},
+			files: {
+				file: $('#import-form-file')[0].files[0]
+			},
+			handleErrors: false
+		}).then(function (res) {
+			buttons.removeAttr('disabled');
+
+			var results = $('#import-results');
+			var tbody = results.find('tbody').empty();
+			for (var i in res.cirkuleroj) {
+				var result = res.cirkuleroj[i];
+				var info = $('<td></td>');
+				if (result.error) {
+					info.append($('<b class="col-red"></b>').text('Eraro: ' + result.error));
+				} else {
+					info.append($('<div></div>').text((importDryRun ? 'Importeblas' : 'Importita') + ' kun ' + result.users + ' kontribuoj de uzantoj kaj ' + result.external.length + ' de aliaj kontribuintoj.'));
+					if (result.external.length) {
+						info.append($('<div></div>').text('Aliaj kontribuintoj: ' + result.external.join(', ')));
+					}
+					for (var n in result.warnings) {
+						info.append($('<div class="col-orange"></div>').text(result.warnings[n]));
+					}
+				}
+
+				var row = $('<tr></tr>');
+				row.append($('<td></td>').text(result.id));
+				row.append($('<td></td>').text(result.name));
+				row.append(info);
+				tbody.append(row);
+			}
+			results.show();
+
+			if (!importDryRun) { importForm[0].reset(); }
+		}).catch(function (err) {
+			buttons.removeAttr('disabled');
+			if (err.error === 'INVALID_FILE') {
+				swal({
+					title: 'Nevalida dosiero',
+					text: 'Ne eblis importi la dosieron: ' + err.info[0],
+					icon: 'error',
+					button: 'Bone'
+				});
+			} else {
+				showError(err);
+			}
+		});
+	});
+
 	// REMINDER SETTINGS
 	// Existing reminder
 	var handleReminderCommon = function (options) {
@@ -78,11 +78,14 @@ $(function () {
 
 				var contributors = [];
 				var nonContributors = [];
+				var excused = [];
 
 				for (var n in contribs) {
 					var contrib = contribs[n];
 					if (contrib.contrib) {
 						contributors.push(contrib);
+					} else if (contrib.excused) {
+						excused.push(contrib);
 					} else {
 						nonContributors.push(contrib);
 					}
@@ -115,12 +118,17 @@ $(function () {
 							var spanText = '';
 							if (contrib.user.long_name) {
 								if (!contrib.user.enabled) {
-									spanText = contrib.user.long_name + ' (' + contrib.user.email + ')';
+									spanText = contrib.user.long_name;
+									// Imported contributors without an account have no email address
+									if (contrib.user.email) { spanText += ' (' + contrib.user.email + ')'; }
 								}
 								spanText += ' – ' + contrib.user.role;
 							} else {
 								spanText = contrib.user.email + ' – ' + contrib.user.role;
 							}
+							if (contrib.excused && contrib.excused.reason) {
+								spanText += ' (' + contrib.excused.reason + ')';
+							}
 							span.textContent = spanText;
 						}
 					} else {
@@ -143,20 +151,28 @@ $(function () {
 					titleText: 'Ne kontribuis'
 				});
 
+				insertContributorGroup({
+					titleEl: template.find('.cirkulero-contrib-overview-excused-title'),
+					listEl: template.find('.cirkulero-contrib-overview-excused'),
+					contribs: excused,
+					titleText: 'Senkulpigitaj'
+				});
+
 				// Chart
 				var chartEl = template.find('.cirkulero-contrib-overview-chart');
 				var chart = new Chart(chartEl[0].getContext('2d'), {
 					type: 'pie',
 					data: {
 						datasets: [{
-							data: [ contributors.length, nonContributors.length ],
+							data: [ contributors.length, nonContributors.length, excused.length ],
 							backgroundColor: [
-								'#4CAF50', '#F44336'
+								'#4CAF50', '#F44336', '#9E9E9E'
 							]
 						}],
 						labels: [
 							'Kontribuintoj',
-							'Nekontribuintoj'
+							'Nekontribuintoj',
+							'Senkulpigitaj'
 						]
 					},
 					options: {
@@ -182,8 +198,174 @@ $(function () {
 					var faro = faresList[n];
 					var li = document.createElement('li');
 					faresListEl.append(li);
-					li.textContent = faro;
+					li.innerHTML = renderMarkdown(faro);
+				}
+			};
+
+			var handleSections = function (template, contrib) {
+				var sectionsEl = template.find('.cirkulero-contrib-sections');
+				for (var n in contrib.contrib.sections) {
+					var section = contrib.contrib.sections[n];
+					var sectionEl = cloneTemplate('#template-cirkulero-contrib-section');
+					sectionEl.children('b').text(section.name + ':');
+					var listEl = sectionEl.children('ul');
+					for (var x in section.items) {
+						var li = document.createElement('li');
+						listEl.append(li);
+						li.innerHTML = renderMarkdown(section.items[x]);
+					}
+					sectionsEl.append(sectionEl);
+				}
+			};
+
+			var setComment = function (template, comment) {
+				var commentEl = template.find('.cirkulero-contrib-comment');
+				commentEl.children('p').html(renderMarkdown(comment || ''));
+				commentEl.toggle(!!comment);
+			};
+
+			// COMMENTS
+			var discussionEls = {};
+
+			var loadComments = function () {
+				return performAPIRequest('post', '/api/cirkuleroj/get_comments', { cirkulero_id: pageData.cirkulero.id })
+					.then(function (res) {
+						if (!res.success) { return; }
+						renderComments(res.comments);
+					});
+			};
+
+			var renderComments = function (comments) {
+				for (var key in discussionEls) {
+					discussionEls[key].children('.cirkulero-comments').empty();
 				}
+
+				var commentEls = {};
+				var insertComment = function (comment) {
+					var discussionEl = discussionEls[comment.user_id + '-' + comment.group_id];
+					if (!discussionEl) { return; }
+
+					var el = cloneTemplate('#template-cirkulero-comment');
+					el[0].id = 'komento-' + comment.id;
+					commentEls[comment.id] = el;
+
+					if (comment.text === null) {
+						el.find('.cirkulero-comment-author').parent().remove();
+						el.find('.cirkulero-comment-text').remove();
+						el.find('.cirkulero-comment-actions').remove();
+					} else {
+						el.find('.cirkulero-comment-author').text(comment.author.long_name || 'Forigita uzanto');
+						el.find('.cirkulero-comment-time').text(moment.unix(comment.time).format('LLL'));
+						el.find('.cirkulero-comment-text').html(renderMarkdown(comment.text));
+						el.find('.cirkulero-comment-deleted').remove();
+
+						el.find('.cirkulero-comment-reply').click(function () {
+							showCommentModal(comment.user_id, comment.group_id, comment.id);
+						});
+
+						var deleteButton = el.find('.cirkulero-comment-delete');
+						if (comment.author.id === pageData.userId || pageData.mayModerateComments) {
+							deleteButton.click(function () {
+								deleteComment(comment.id);
+							});
+						} else {
+							deleteButton.remove();
+						}
+					}
+
+					var parentEl = comment.parent_id === null ? discussionEl : commentEls[comment.parent_id];
+					parentEl.children('.cirkulero-comments').append(el);
+				};
+
+				// Comments are ordered from oldest to newest, so parents always come before their replies
+				for (var i in comments) {
+					insertComment(comments[i]);
+				}
+
+				for (var key in discussionEls) {
+					var discussionEl = discussionEls[key];
+					discussionEl.children('.cirkulero-comments-empty').toggle(!discussionEl.children('.cirkulero-comments').children().length);
+				}
+			};
+
+			var showCommentModal = function (userId, groupId, parentId) {
+				var modalTemplate = cloneTemplate('#template-comment-modal');
+
+				var form = modalTemplate.find('form');
+				var input = modalTemplate.find('textarea');
+				input.on('input', function () {
+					var valid = form[0].checkValidity();
+					$('.swal-button--confirm').attr('disabled', !valid);
+				});
+
+				form.submit(function (e) {
+					e.preventDefault();
+					$('.swal-button--confirm').click();
+				});
+
+				window.setTimeout(function () {
+					$.AdminBSB.input.activate(form);
+					autosize(input);
+					$('.swal-button--confirm').attr('disabled', true);
+				}, 0);
+
+				swal({
+					title: parentId === null ? 'Komenti kontribuon' : 'Respondi al komento',
+					content: modalTemplate[0],
+					buttons: [
+						'Nuligi',
+						{
+							text: parentId === null ? 'Komenti' : 'Respondi',
+							closeModal: false
+						}
+					]
+				}).then(function (isConfirm) {
+					if (!isConfirm) { return; }
+
+					var apiData = {
+						cirkulero_id: pageData.cirkulero.id,
+						user_id: userId,
+						group_id: groupId,
+						parent_id: parentId,
+						text: input.val()
+					};
+
+					performAPIRequest('post', '/api/cirkuleroj/comment', apiData)
+						.then(function (res) {
+							swal.stopLoading();
+							if (!res.success) { return; }
+							swal.close();
+
+							loadComments().then(function () {
+								var commentEl = $('#komento-' + res.id);
+								if (commentEl.length) { commentEl[0].scrollIntoView(); }
+							});
+						});
+				});
+			};
+
+			var deleteComment = function (commentId) {
+				swal({
+					title: 'Forigi komenton',
+					text: 'Ĉu vi certas, ke vi volas forigi tiun ĉi komenton? Respondoj al ĝi restos videblaj.',
+					buttons: [
+						'Nuligi',
+						{
+							text: 'Forigi',
+							closeModal: false
+						}
+					]
+				}).then(function (isConfirm) {
+					if (!isConfirm) { return; }
+
+					performAPIRequest('post', '/api/cirkuleroj/delete_comment', { comment_id: commentId })
+						.then(function (res) {
+							swal.stopLoading();
+							if (!res.success) { return; }
+							swal.close();
+							loadComments();
+						});
+				});
 			};
 
 			var appearGroups = cirkuleroInfo.groups.appear;
@@ -236,16 +418,44 @@ $(function () {
 					var title = getContribTitle(contrib);
 					template.find('.cirkulero-contrib-title').text(title);
 
+					var enteredByEl = template.find('.cirkulero-contrib-entered_by');
+					if (contrib.contrib.entered_by) {
+						enteredByEl.text('Tiun ĉi kontribuon enigis ' + (contrib.contrib.entered_by.long_name || 'forigita uzanto') + ' nome de la kontribuanto.');
+					} else {
+						enteredByEl.remove();
+					}
+
 					handleFaro(template, contrib, 'faris');
 					handleFaro(template, contrib, 'faras');
 					handleFaro(template, contrib, 'faros');
+					handleSections(template, contrib);
 
-					var commentEl = template.find('.cirkulero-contrib-comment textarea');
-					commentEl.val(contrib.contrib.comment || '');
+					setComment(template, contrib.contrib.comment);
 
 					var userRoleCommentEl = template.find('.cirkulero-contrib-user_role_comment textarea');
 					userRoleCommentEl.val(contrib.contrib.role_comment || '');
 
+					var historyEl = template.find('.cirkulero-contrib-history');
+					if (contrib.contrib.history) {
+						historyEl.children('a').attr('href', '/cirkuleroj/' + pageData.cirkulero.id + '/historio/' + contrib.user.id + '/' + contrib.user.group_id);
+					} else {
+						historyEl.remove();
+					}
+
+					// Comments can't be left on contributions by imported contributors without an account
+					var discussionEl = template.find('.cirkulero-contrib-discussion');
+					if (pageData.editor || !pageData.comments || contrib.user.id === null) {
+						discussionEl.remove();
+					} else {
+						discussionEls[contrib.user.id + '-' + contrib.user.group_id] = discussionEl;
+						discussionEl.find('.cirkulero-comment-button').click(function () {
+							var panel = $(this).parents('.panel');
+							var userId  = parseInt(panel[0].dataset.userId,  10);
+							var groupId = parseInt(panel[0].dataset.groupId, 10);
+							showCommentModal(userId, groupId, null);
+						});
+					}
+
 					// Editing
 					var editButton = template.find('.cirkulero-contrib-edit-button');
 					if (!pageData.editor) {
@@ -264,19 +474,7 @@ $(function () {
 							var template = cloneTemplate('#template-edit-contrib-modal');
 							template.find('.data-name').text(contrib.user.long_name);
 
-							var faroj = [ 'faris', 'faras', 'faros' ];
-							for (var n in faroj) {
-								var faroName = faroj[n];
-								var faroList = contrib.contrib[faroName];
-								var el = template.find('.edit-contrib-modal-' + faroName);
-
-								if (!faroList.length) {
-									el.remove();
-									continue;
-								}
-
-								var ul = el.children('ul');
-
+							var insertEditableFaroj = function (ul, faroList) {
 								for (var x in faroList) {
 									var faro = faroList[x];
 
@@ -290,6 +488,29 @@ $(function () {
 										}
 									});
 								}
+							};
+
+							var faroj = [ 'faris', 'faras', 'faros' ];
+							for (var n in faroj) {
+								var faroName = faroj[n];
+								var faroList = contrib.contrib[faroName];
+								var el = template.find('.edit-contrib-modal-' + faroName);
+
+								if (!faroList.length) {
+									el.remove();
+									continue;
+								}
+
+								insertEditableFaroj(el.children('ul'), faroList);
+							}
+
+							var sectionsEl = template.find('.edit-contrib-modal-sections');
+							for (var n in contrib.contrib.sections) {
+								var section = contrib.contrib.sections[n];
+								var sectionEl = cloneTemplate('#template-edit-contrib-modal-section');
+								sectionEl.children('b').text(section.name + ':');
+								insertEditableFaroj(sectionEl.children('ul'), section.items);
+								sectionsEl.append(sectionEl);
 							}
 
 							template.find('.cirkulero-contrib-comment textarea').val(contrib.contrib.comment);
@@ -318,16 +539,25 @@ $(function () {
 									var faroName = faroj[n];
 									var contribList = panel.find('.cirkulero-contrib-' + faroName + '>ul').children();
 									template.find('.edit-contrib-modal-' + faroName + '>ul>li').each(function (n) {
-										contribList.eq(n).text(this.textContent);
+										contribList.eq(n).html(renderMarkdown(this.textContent));
 										contrib.contrib[faroName][n] = this.textContent;
 									});
 								}
 
+								var panelSections = panel.find('.cirkulero-contrib-section');
+								template.find('.edit-contrib-modal-section').each(function (n) {
+									var section = contrib.contrib.sections[n];
+									var contribList = panelSections.eq(n).children('ul').children();
+									$(this).find('ul>li').each(function (x) {
+										contribList.eq(x).html(renderMarkdown(this.textContent));
+										section.items[x] = this.textContent;
+									});
+								});
+
 								var comment = template.find('.cirkulero-contrib-comment textarea').val().trim();
 								if (!comment || comment.length < 1) { comment = null; }
 								contrib.contrib.comment = comment;
-								var commentElPanel = panel.find('.cirkulero-contrib-comment textarea')
-								commentElPanel.val(comment);
+								setComment(panel, comment);
 
 								var roleComment = template.find('.cirkulero-contrib-user_role_comment input').val().trim();
 								if (!roleComment || roleComment.length < 1) { roleComment = null;}
@@ -337,14 +567,10 @@ $(function () {
 								roleCommentPanel.val(roleComment);
 
 								window.setTimeout(function () {
-									autosize.update(commentElPanel);
 									autosize.update(roleCommentPanel);
 									// Necessary to update the label
-									commentElPanel.removeAttr('disabled');
 									roleCommentPanel.removeAttr('disabled');
-									commentElPanel.trigger('focus').trigger('blur');
 									roleCommentPanel.trigger('focus').trigger('blur');
-									commentElPanel.attr('disabled', true);
 									roleCommentPanel.attr('disabled', true);
 								}, 0);
 							});
@@ -424,12 +650,20 @@ $(function () {
 						for (var i in cirkuleroInfo.contributions) {
 							var contrib = cirkuleroInfo.contributions[i];
 							if (!contrib.edited) { continue; }
+
+							var sections = {};
+							for (var n in contrib.contrib.sections) {
+								var section = contrib.contrib.sections[n];
+								sections[section.id] = section.items;
+							}
+
 							contribs.push({
 								user_id: contrib.user.id,
 								group_id: contrib.user.group_id,
 								faris: contrib.contrib.faris,
 								faras: contrib.contrib.faras,
 								faros: contrib.contrib.faros,
+								sections: sections,
 								comment: contrib.contrib.comment,
 								user_role_comment: contrib.contrib.role_comment
 							});
@@ -439,7 +673,8 @@ $(function () {
 							cirkulero_id: pageData.cirkulero.id,
 							publish_message: publishMessage,
 							publish_email: publishEmail,
-							contribs: contribs
+							contribs: contribs,
+							notify_contributors: $('#cirkulero-notify-contributors').prop('checked')
 						};
 						var button = $('#cirkulero-publish-button').attr('disabled', true);
 
@@ -471,9 +706,15 @@ $(function () {
 				autosize($('body').find('.autosize'));
 
 				if (!pageData.editor) {
-					window.setTimeout(function () {
-						$('.panel-collapse').collapse();
-					}, 0);
+					var commentsLoaded = pageData.comments ? loadComments() : Promise.resolve();
+					commentsLoaded.then(function () {
+						window.setTimeout(function () {
+							// Keep the contribution of a linked comment, e.g. from a notification email, expanded
+							var linkedComment = /^#komento-\d+$/.test(window.location.hash) ? $(window.location.hash) : $();
+							$('.panel-collapse').not(linkedComment.parents('.panel-collapse')).collapse();
+							if (linkedComment.length) { linkedComment[0].scrollIntoView(); }
+						}, 0);
+					});
 				}
 			});
 		});
@@ -0,0 +1,168 @@
+$(function () {
+	var escapeHTML = function (str) {
+		return $('<div>').text(str).html();
+	};
+
+	var sections = [
+		{ key: 'user_role_comment', name: 'Komento pri rolo' },
+		{ key: 'faris', name: 'Faris' },
+		{ key: 'faras', name: 'Faras' },
+		{ key: 'faros', name: 'Faros' },
+		{ key: 'comment', name: 'Komentoj' }
+	];
+
+	// The other sections of the cirkulero are inserted before the comments
+	var otherSections = [];
+	var otherSectionKeys = {};
+	for (var i in pageData.versions) {
+		var version = pageData.versions[i];
+		for (var n in version.sections) {
+			var section = version.sections[n];
+			var key = 'section-' + section.id;
+			version[key] = section.items;
+			if (!(key in otherSectionKeys)) {
+				otherSectionKeys[key] = true;
+				otherSections.push({ key: key, name: section.name });
+			}
+		}
+	}
+	sections.splice.apply(sections, [ sections.length - 1, 0 ].concat(otherSections));
+
+	// Compares two arrays using their longest common subsequence
+	// Returns a list of operations { type: 'equal'|'removed'|'added', value }
+	var diffArrays = function (a, b) {
+		var lengths = [];
+		for (var i = a.length; i >= 0; i--) {
+			lengths[i] = [];
+			for (var j = b.length; j >= 0; j--) {
+				if (i === a.length || j === b.length) {
+					lengths[i][j] = 0;
+				} else if (a[i] === b[j]) {
+					lengths[i][j] = lengths[i + 1][j + 1] + 1;
+				} else {
+					lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+				}
+			}
+		}
+
+		var ops = [];
+		var i = 0;
+		var j = 0;
+		while (i < a.length || j < b.length) {
+			if (i < a.length && j < b.length && a[i] === b[j]) {
+				ops.push({ type: 'equal', value: a[i] });
+				i++;
+				j++;
+			} else if (j === b.length || (i < a.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+				ops.push({ type: 'removed', value: a[i] });
+				i++;
+			} else {
+				ops.push({ type: 'added', value: b[j] });
+				j++;
+			}
+		}
+		return ops;
+	};
+
+	// Highlights the changed words between two lines
+	var diffWords = function (a, b) {
+		var ops = diffArrays(a.split(/(\s+)/), b.split(/(\s+)/));
+		var html = { left: '', right: '' };
+		for (var i in ops) {
+			var op = ops[i];
+			var escaped = escapeHTML(op.value);
+			if (op.type !== 'added') {
+				html.left += op.type === 'removed' ? '<del>' + escaped + '</del>' : escaped;
+			}
+			if (op.type !== 'removed') {
+				html.right += op.type === 'added' ? '<ins>' + escaped + '</ins>' : escaped;
+			}
+		}
+		return html;
+	};
+
+	var getLines = function (version, key) {
+		var value = version[key];
+		if (value === null || value === undefined) { return []; }
+		if (typeof value === 'string') { return value.split('\n'); }
+		return value;
+	};
+
+	var insertRow = function (tbody, left, right, leftClass, rightClass) {
+		var row = $('<tr></tr>');
+		$('<td></td>').addClass(leftClass || '').html(left).appendTo(row);
+		$('<td></td>').addClass(rightClass || '').html(right).appendTo(row);
+		tbody.append(row);
+	};
+
+	var oldSelect = $('#historio-old');
+	var newSelect = $('#historio-new');
+	var tbody = $('#historio-diff');
+
+	var showDiff = function () {
+		var oldVersion = pageData.versions[oldSelect.val()];
+		var newVersion = pageData.versions[newSelect.val()];
+		tbody.empty();
+
+		for (var i in sections) {
+			var section = sections[i];
+			var oldLines = getLines(oldVersion, section.key);
+			var newLines = getLines(newVersion, section.key);
+			if (!oldLines.length && !newLines.length) { continue; }
+
+			tbody.append($('<tr></tr>').append($('<th colspan="2"></th>').text(section.name)));
+
+			var ops = diffArrays(oldLines, newLines);
+			var removed = [];
+			var added = [];
+			// Pairs up consecutive removed and added lines as modified lines
+			var flush = function () {
+				for (var n = 0; n < Math.max(removed.length, added.length); n++) {
+					if (n < removed.length && n < added.length) {
+						var html = diffWords(removed[n], added[n]);
+						insertRow(tbody, html.left, html.right, 'removed', 'added');
+					} else if (n < removed.length) {
+						insertRow(tbody, escapeHTML(removed[n]), '', 'removed');
+					} else {
+						insertRow(tbody, '', escapeHTML(added[n]), null, 'added');
+					}
+				}
+				removed = [];
+				added = [];
+			};
+
+			for (var n in ops) {
+				var op = ops[n];
+				if (op.type === 'removed') {
+					if (added.length) { flush(); }
+					removed.push(op.value);
+				} else if (op.type === 'added') {
+					added.push(op.value);
+				} else {
+					flush();
+					insertRow(tbody, escapeHTML(op.value), escapeHTML(op.value));
+				}
+			}
+			flush();
+		}
+	};
+
+	for (var i in pageData.versions) {
+		var version = pageData.versions[i];
+		var text;
+		if (version.modified_by) {
+			text = 'Redakto de ' + (version.modified_by.long_name || 'forigita uzanto') + ', ' + moment.unix(version.time).format('LLL');
+		} else {
+			text = 'Originala kontribuo';
+		}
+
+		oldSelect.append($('<option></option>').val(i).text(text));
+		newSelect.append($('<option></option>').val(i).text(text));
+	}
+	oldSelect.val(0);
+	newSelect.val(pageData.versions.length - 1);
+
+	oldSelect.on('change', showDiff);
+	newSelect.on('change', showDiff);
+	showDiff();
+});
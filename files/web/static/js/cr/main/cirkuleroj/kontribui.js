@@ -27,20 +27,27 @@ $(function () {
 		var template = cloneTemplate('#template-cirk-faro');
 		$.AdminBSB.input.activate(template);
 		var input = template.find('input');
+		// Other sections have their own limits
+		var maxLength = parent.data('maxLength');
+		if (maxLength) { input.attr('maxlength', maxLength); }
+		input.on('input', function () {
+			handleChange(template.parents('form[data-saved]'));
+		});
 		input.on('keydown', function (e) {
-			template.parents('form[data-saved]')[0].dataset.saved = false;
-			checkUnsavedChanges();
-
 			if (e.which === 13) { // Newline
-				insertCirkFaro(parent, $(this)).focus();
 				e.preventDefault(); // No submission
+				var maxItems = parent.data('maxItems');
+				if (maxItems && parent.children().length >= maxItems) { return; }
+				insertCirkFaro(parent, $(this)).focus();
 
 			} else if (e.which === 8) { // Backspace
 				if (parent.children().length === 1) { return; } // Don't remove the last input
 				if (input.val().length === 0) {
 					var focusEl = template.prev();
 					if (!focusEl.length) { focusEl = template.next(); }
+					var form = template.parents('form[data-saved]');
 					template.remove();
+					handleChange(form);
 					e.preventDefault(); // To prevent deleting in the next field
 					focusEl.find('input').focus();
 				}
@@ -56,6 +63,138 @@ $(function () {
 		return input;
 	};
 
+	// Other sections
+	var getRoleSections = function (groupId) {
+		for (var i in pageData.creditRoles) {
+			var role = pageData.creditRoles[i];
+			if (role.id === groupId) { return role.sections; }
+		}
+		return [];
+	};
+
+	// Replaces the other sections of a contribution form with those of a role
+	var renderSections = function (form, groupId, values) {
+		var sectionsEl = form.find('.contrib-sections');
+		sectionsEl.empty();
+
+		var sections = getRoleSections(groupId);
+		for (var i in sections) {
+			var section = sections[i];
+			var template = cloneTemplate('#template-contrib-section');
+
+			var limits = [];
+			if (section.min_items) { limits.push('almenaŭ ' + section.min_items); }
+			if (section.max_items !== null) { limits.push('maksimume ' + section.max_items); }
+			var name = section.name;
+			if (limits.length) { name += ' (' + limits.join(', ') + ' punktoj)'; }
+			template.find('.contrib-section-name').text(name);
+
+			var helpEl = template.find('.contrib-section-help');
+			if (section.help) {
+				helpEl.text(section.help);
+			} else {
+				helpEl.remove();
+			}
+
+			var ul = template.find('ul');
+			ul[0].dataset.sectionId = section.id;
+			ul.data('maxLength', section.max_length);
+			ul.data('maxItems', section.max_items);
+			sectionsEl.append(template);
+
+			var items = values[section.id] || [];
+			for (var n in items) {
+				insertCirkFaro(ul).val(items[n]);
+			}
+			if (items.length === 0) { insertCirkFaro(ul); }
+		}
+	};
+
+	// Obtains the API parameters from a contribution form
+	var readContribution = function (form) {
+		var readFaroj = function (el) {
+			var faroj = [];
+			el.children().each(function () {
+				var value = $(this).find('input').val();
+				if (value) { faroj.push(value); }
+			});
+			return faroj;
+		};
+
+		var sections = {};
+		form.find('[data-section-id]').each(function () {
+			sections[this.dataset.sectionId] = readFaroj($(this));
+		});
+
+		var apiData = {
+			cirkulero_id: pageData.cirkulero.id,
+			group_id: parseInt(form[0].dataset.id || rolePicker.val(), 10),
+			faris: readFaroj(form.find('[name=faris]')),
+			faras: readFaroj(form.find('[name=faras]')),
+			faros: readFaroj(form.find('[name=faros]')),
+			sections: sections
+		};
+
+		// Contributing on behalf of someone else, see /cirkuleroj/:id/anstataui
+		if (pageData.contributor) { apiData.user_id = pageData.contributor.id; }
+
+		var userRoleComment = form.find('[name=user_role_comment]').val();
+		if (userRoleComment) { apiData.user_role_comment = userRoleComment; }
+
+		var comment = form.find('[name=comment]').val();
+		if (comment) { apiData.comment = comment; }
+
+		return apiData;
+	};
+
+	// Drafts
+	var setDraftStatus = function (form, text) {
+		form.find('.contrib-draft-status').text(text);
+	};
+
+	var saveDraft = function (form) {
+		var changes = form.data('changes');
+		var request = performAPIRequest('post', '/api/cirkuleroj/save_draft', readContribution(form), false)
+			.then(function (res) {
+				setDraftStatus(form, 'Malneto aŭtomate konservita je ' + moment.unix(res.time).format('LT') + '. Ĝi ne estas kalkulata kiel kontribuo ĝis vi sendos ĝin.');
+				// Only mark the form as saved if nothing has changed since the draft was sent
+				if (form.data('changes') === changes) {
+					form[0].dataset.saved = true;
+					checkUnsavedChanges();
+				}
+			})
+			.catch(function (err) {
+				if (err.error === 'INVALID_CIRKULERO') {
+					setDraftStatus(form, 'Ne eblis konservi malneton, ĉar ĜenSek jam fermis la eblon kontribui al la cirkulero.');
+				} else {
+					setDraftStatus(form, 'Ne eblis aŭtomate konservi malneton.');
+				}
+			});
+		form.data('draftRequest', request);
+		return request;
+	};
+
+	var handleChange = function (form) {
+		form[0].dataset.saved = false;
+		form.data('changes', (form.data('changes') || 0) + 1);
+		checkUnsavedChanges();
+
+		// Tie new contributions to the chosen role as soon as they're edited so the draft ends up in the right place
+		if (form.hasClass('contrib-new')) {
+			form.removeClass('contrib-new');
+			form[0].dataset.id = rolePicker.val();
+			insertNewContribution();
+		}
+
+		// Drafts are private to the contributor, so they aren't saved when contributing on behalf of someone else
+		if (pageData.contributor) { return; }
+
+		clearTimeout(form.data('draftTimeout'));
+		form.data('draftTimeout', setTimeout(function () {
+			saveDraft(form);
+		}, 2000));
+	};
+
 	// Form submission
 	var handleSubmit = function (e) {
 		e.preventDefault();
@@ -64,9 +203,14 @@ $(function () {
 
 		var button = self.find('button[type=submit]');
 
+		var confirmText = 'Ĉu vi certas, ke vi pretas sendi vian cirkulerkontribuon?\nVi povas ĉiam reveni por redakti vian kontribuon ĝis la limdato.';
+		if (pageData.contributor) {
+			confirmText = 'Ĉu vi certas, ke vi pretas sendi la cirkulerkontribuon nome de ' + pageData.contributor.name + '?\nEventuala jam sendita kontribuo en la sama rolo estos anstataŭigita.';
+		}
+
 		swal({
 			title: 'Kontribuo al cirkulero',
-			text: 'Ĉu vi certas, ke vi pretas sendi vian cirkulerkontribuon?\nVi povas ĉiam reveni por redakti vian kontribuon ĝis la limdato.',
+			text: confirmText,
 			buttons: [
 				'Nuligi',
 				{
@@ -79,53 +223,36 @@ $(function () {
 
 			button.attr('disabled', true);
 
-			var faris = [];
-			self.find('[name=faris]').children().each(function () {
-				var value = $(this).find('input').val();
-				if (value) { faris.push(value); }
-			});
-
-			var faras = [];
-			self.find('[name=faras]').children().each(function () {
-				var value = $(this).find('input').val();
-				if (value) { faras.push(value); }
-			});
-
-			var faros = [];
-			self.find('[name=faros]').children().each(function () {
-				var value = $(this).find('input').val();
-				if (value) { faros.push(value); }
-			});
-
-
-			var apiData = {
-				cirkulero_id: pageData.cirkulero.id,
-				group_id: parseInt(rolePicker.val(), 10),
-				faris: faris,
-				faras: faras,
-				faros: faros
-			};
-
-			var userRoleComment = self.find('[name=user_role_comment]').val();
-			if (userRoleComment) { apiData.user_role_comment = userRoleComment; }
+			var apiData = readContribution(self);
+			var changes = self.data('changes');
 
-			var comment = self.find('[name=comment]').val();
-			if (comment) { apiData.comment = comment; }
-
-			performAPIRequest('post', '/api/cirkuleroj/contribute', apiData, false)
+			// Submitting removes the draft, so make sure no pending draft is saved afterwards
+			clearTimeout(self.data('draftTimeout'));
+			Promise.resolve(self.data('draftRequest'))
+				.then(function () {
+					return performAPIRequest('post', '/api/cirkuleroj/contribute', apiData, false);
+				})
 				.then(function (res) {
 					if (self.hasClass('contrib-new')) {
 						self.removeClass('contrib-new');
 						self[0].dataset.id = apiData.group_id;
+						insertNewContribution();
+					}
+					if (self.data('changes') === changes) {
 						self[0].dataset.saved = true;
 						checkUnsavedChanges();
-						insertNewContribution();
+					}
+					setDraftStatus(self, '');
+
+					var successText = 'Via kontribuo al cirkulero n-ro ' + pageData.cirkulero.id + ' estis sukcese sendita.\nVi povas sendi pliajn kontribuojn se vi havas plurajn rolojn.';
+					if (pageData.contributor) {
+						successText = 'La kontribuo de ' + pageData.contributor.name + ' al cirkulero n-ro ' + pageData.cirkulero.id + ' estis sukcese sendita.';
 					}
 
 					swal({
 						icon: 'success',
 						title: 'Sendis kontribuon',
-						text: 'Via kontribuo al cirkulero n-ro ' + pageData.cirkulero.id + ' estis sukcese sendita.\nVi povas sendi pliajn kontribuojn se vi havas plurajn rolojn.'
+						text: successText
 					});
 				})
 				.catch(function (err) {
@@ -136,6 +263,13 @@ $(function () {
 							icon: 'warning',
 							button: 'Bone'
 						});
+					} else if (err.error === 'INVALID_ARGUMENT' && err.info[0] === 'sections') {
+						swal({
+							title: 'Mankas punktoj',
+							text: 'Bonvolu plenigi ĉiujn sekciojn laŭ la indikita nombro da punktoj.',
+							icon: 'warning',
+							button: 'Bone'
+						});
 					} else {
 						showError(err);
 					}
@@ -157,13 +291,12 @@ $(function () {
 		}
 		checkUnsavedChanges();
 		template.find('[name=user_role_comment],[name=comment]').on('input', function () {
-			template[0].dataset.saved = false;
-			checkUnsavedChanges();
+			handleChange(template);
 		});
 		template.submit(handleSubmit);
 		template.hide();
 
-	cirkuleroDiv.append(template);
+		cirkuleroDiv.append(template);
 		return template;
 	};
 	insertNewContribution();
@@ -179,11 +312,8 @@ $(function () {
 		rolePicker.append(option);
 	}
 
-	for (var i in pageData.contributions) {
-		var contrib = pageData.contributions[i];
-		// Insert contribution role templates
-		var template = insertNewContribution(true);
-		template[0].dataset.id = contrib.group_id;
+	// Fills a contribution form with the values of a contribution or draft
+	var fillContribution = function (template, contrib) {
 		template.find('[name=user_role_comment]').val(contrib.user_role_comment);
 		template.find('[name=comment]').val(contrib.comment);
 
@@ -210,6 +340,32 @@ $(function () {
 			el.val(faro);
 		}
 		if (contrib.faros.length === 0) { insertCirkFaro(faros); }
+
+		renderSections(template, contrib.group_id, contrib.sections);
+	};
+
+	// Drafts are always newer than the submitted contribution as submitting removes the draft
+	var drafts = {};
+	for (var i in pageData.drafts) {
+		drafts[pageData.drafts[i].group_id] = pageData.drafts[i];
+	}
+
+	for (var i in pageData.contributions) {
+		var contrib = pageData.contributions[i];
+		if (contrib.group_id in drafts) { continue; }
+
+		// Insert contribution role templates
+		var template = insertNewContribution(true);
+		template[0].dataset.id = contrib.group_id;
+		fillContribution(template, contrib);
+	}
+
+	for (var groupId in drafts) {
+		var draft = drafts[groupId];
+		var template = insertNewContribution(true);
+		template[0].dataset.id = draft.group_id;
+		fillContribution(template, draft);
+		setDraftStatus(template, 'Vi havas nesenditan malneton de ' + moment.unix(draft.time).format('LLL') + '. Ĝi ne estas kalkulata kiel kontribuo ĝis vi sendos ĝin.');
 	}
 
 	// Switch active contribution role
@@ -220,6 +376,8 @@ $(function () {
 		var el = cirkuleroDiv.children('[data-id=' + this.value + ']');
 		if (!el[0]) {
 			el = cirkuleroDiv.children('.contrib-new');
+			// The form for new contributions isn't tied to a role until it's edited
+			renderSections(el, parseInt(this.value, 10), {});
 		}
 		el.show();
 	};
@@ -0,0 +1,79 @@
+$(function () {
+	$('#deadline').text(moment.unix(pageData.cirkulero.deadline).format('LLL [UTC]'));
+
+	var declinedInput = $('#optout-form-declined');
+	var reasonInput = $('#optout-form-reason');
+	var snoozeInput = $('#optout-form-snooze');
+	var snoozeUntilInput = $('#optout-form-snooze_until');
+
+	autosize(reasonInput);
+
+	var defaultSnooze = moment().add(1, 'week');
+	defaultSnooze.second(0);
+	defaultSnooze.minute(0);
+	snoozeUntilInput.datetimepicker({
+		locale: 'eo',
+		minDate: moment(),
+		defaultDate: pageData.optOut.snooze_until ? moment.unix(pageData.optOut.snooze_until) : defaultSnooze
+	});
+
+	var updateVisibility = function () {
+		$('#optout-form-reason-group').toggle(declinedInput.prop('checked'));
+		// Snoozing makes no sense when not contributing at all
+		snoozeInput.parents('.form-group').toggle(!declinedInput.prop('checked'));
+		$('#optout-form-snooze_until-group').toggle(!declinedInput.prop('checked') && snoozeInput.prop('checked'));
+	};
+	declinedInput.on('change', updateVisibility);
+	snoozeInput.on('change', updateVisibility);
+
+	declinedInput.prop('checked', pageData.optOut.declined);
+	reasonInput.val(pageData.optOut.reason || '');
+	snoozeInput.prop('checked', !!pageData.optOut.snooze_until && pageData.optOut.snooze_until > moment().unix());
+	updateVisibility();
+	$('#optout-form').find('input,textarea').blur(); // Activate the floating labels
+	autosize.update(reasonInput);
+
+	$('#optout-form').on('submit', function (e) {
+		e.preventDefault();
+
+		var declined = declinedInput.prop('checked');
+		var apiData = {
+			cirkulero_id: pageData.cirkulero.id,
+			declined: declined,
+			reason: declined ? reasonInput.val() || null : null,
+			snooze_until: null
+		};
+		if (!declined && snoozeInput.prop('checked')) {
+			apiData.snooze_until = snoozeUntilInput.data('DateTimePicker').date().unix();
+		}
+		if (pageData.signature) {
+			apiData.user_id = pageData.user_id;
+			apiData.signature = pageData.signature;
+		}
+
+		var button = $('#optout-form-button');
+		button.attr('disabled', true);
+
+		performAPIRequest('post', '/api/cirkuleroj/opt_out', apiData)
+			.then(function (res) {
+				button.removeAttr('disabled');
+				if (!res.success) { return; }
+
+				var text;
+				if (apiData.declined) {
+					text = 'Vi ne plu ricevos memorigojn pri tiu ĉi cirkulero. Se vi tamen volas kontribui, vi ankoraŭ povas fari tion.';
+				} else if (apiData.snooze_until) {
+					text = 'Vi ne ricevos memorigojn pri tiu ĉi cirkulero ĝis ' + moment.unix(apiData.snooze_until).format('LLL') + '.';
+				} else {
+					text = 'Vi denove ricevos memorigojn pri tiu ĉi cirkulero.';
+				}
+
+				swal({
+					title: 'Konservita',
+					text: text,
+					icon: 'success',
+					button: 'Bone'
+				});
+			});
+	});
+});
@@ -0,0 +1,76 @@
+$(function () {
+	var contribsEl = $('#role-contribs');
+
+	performAPIRequest('post', '/api/cirkuleroj/get_group_contributions', { group_id: pageData.group.id })
+		.then(function (res) {
+			if (!res.success) { return; }
+
+			$('#loader').hide();
+
+			if (!res.contributions.length) {
+				contribsEl.text('Neniu kontribuo al publikigita cirkulero estis kreditita al ' + pageData.group.name + '.');
+				return;
+			}
+
+			var lastCirkulero = null;
+			for (var i in res.contributions) {
+				var contrib = res.contributions[i];
+
+				if (contrib.cirkulero_id !== lastCirkulero) {
+					var cirkuleroTemplate = cloneTemplate('#template-role-cirkulero');
+					cirkuleroTemplate.find('.role-cirkulero-link')
+						.attr('href', '/cirkuleroj/' + contrib.cirkulero_id)
+						.text('Cirkulero n-ro ' + contrib.cirkulero_id + ' de ' + contrib.cirkulero_name);
+					contribsEl.append(cirkuleroTemplate.children());
+					lastCirkulero = contrib.cirkulero_id;
+				}
+
+				var template = cloneTemplate('#template-role-contrib');
+
+				var titleEl = template.find('.role-contrib-title');
+				var name = contrib.user.long_name || contrib.user.email;
+				if (contrib.user.long_name && contrib.user.enabled) {
+					$('<a target="_blank"></a>')
+						.attr('href', '/aktivuloj/' + contrib.user.email)
+						.text(name)
+						.appendTo(titleEl);
+				} else {
+					titleEl.text(name);
+				}
+				titleEl.append(document.createTextNode(' – ' + contrib.role));
+
+				if (contrib.user_role_comment) {
+					template.find('.role-contrib-user_role_comment').text(contrib.user_role_comment);
+				} else {
+					template.find('.role-contrib-user_role_comment').remove();
+				}
+
+				var fares = [ 'faris', 'faras', 'faros' ];
+				for (var n in fares) {
+					var listEl = template.find('.role-contrib-' + fares[n] + ' ul');
+					var list = contrib[fares[n]].length ? contrib[fares[n]] : [ '-' ];
+					for (var x in list) {
+						$('<li></li>').html(renderMarkdown(list[x])).appendTo(listEl);
+					}
+				}
+
+				for (var n in contrib.sections) {
+					var section = contrib.sections[n];
+					var sectionEl = cloneTemplate('#template-role-contrib-section');
+					sectionEl.children('b').text(section.name + ':');
+					for (var x in section.items) {
+						$('<li></li>').html(renderMarkdown(section.items[x])).appendTo(sectionEl.children('ul'));
+					}
+					template.find('.role-contrib-sections').append(sectionEl);
+				}
+
+				if (contrib.comment) {
+					template.find('.role-contrib-comment p:last-child').html(renderMarkdown(contrib.comment));
+				} else {
+					template.find('.role-contrib-comment').remove();
+				}
+
+				contribsEl.append(template.children());
+			}
+		});
+});
@@ -0,0 +1,116 @@
+$(function () {
+	var list = $('#sections-list');
+
+	var updateEmpty = function () {
+		$('#sections-empty').toggle(!list.children().length);
+	};
+
+	var insertSection = function (section) {
+		var template = cloneTemplate('#template-section');
+		template.data('id', section ? section.id : null);
+
+		var groupSelect = template.find('.section-group');
+		for (var i in pageData.groups) {
+			var group = pageData.groups[i];
+			var option = document.createElement('option');
+			option.textContent = group.name;
+			option.value = group.id;
+			groupSelect.append(option);
+		}
+
+		if (section) {
+			template.find('.section-name').val(section.name);
+			template.find('.section-help').val(section.help || '');
+			groupSelect.val(section.group_id === null ? '' : section.group_id);
+			template.find('.section-min_items').val(section.min_items);
+			template.find('.section-max_items').val(section.max_items === null ? '' : section.max_items);
+			template.find('.section-max_length').val(section.max_length);
+		}
+
+		template.find('.section-up').click(function () {
+			template.insertBefore(template.prev());
+		});
+		template.find('.section-down').click(function () {
+			template.insertAfter(template.next());
+		});
+		template.find('.section-remove').click(function () {
+			template.remove();
+			updateEmpty();
+		});
+
+		list.append(template);
+		groupSelect.selectpicker();
+		autosize(template.find('.section-help'));
+		$.AdminBSB.input.activate(template);
+		updateEmpty();
+		return template;
+	};
+
+	var renderSections = function (sections) {
+		list.empty();
+		for (var i in sections) {
+			insertSection(sections[i]);
+		}
+		updateEmpty();
+	};
+	renderSections(pageData.sections);
+
+	$('#sections-add').click(function () {
+		insertSection(null).find('.section-name').focus();
+	});
+
+	$('#sections-form').submit(function (e) {
+		e.preventDefault();
+
+		var sections = [];
+		list.children().each(function () {
+			var el = $(this);
+			var group = el.find('.section-group').val();
+			var maxItems = el.find('.section-max_items').val();
+			sections.push({
+				id: el.data('id'),
+				name: el.find('.section-name').val(),
+				help: el.find('.section-help').val() || null,
+				group_id: group ? parseInt(group, 10) : null,
+				min_items: parseInt(el.find('.section-min_items').val(), 10),
+				max_items: maxItems ? parseInt(maxItems, 10) : null,
+				max_length: parseInt(el.find('.section-max_length').val(), 10)
+			});
+		});
+
+		var apiData = {
+			cirkulero_id: pageData.cirkulero ? pageData.cirkulero.id : null,
+			sections: sections
+		};
+
+		var button = $('#sections-form-button');
+		button.attr('disabled', true);
+
+		performAPIRequest('post', '/api/cirkuleroj/set_sections', apiData, false)
+			.then(function (res) {
+				renderSections(res.sections);
+
+				swal({
+					title: 'Konservita',
+					text: 'La sekcioj estis sukcese konservitaj.',
+					icon: 'success',
+					button: 'Bone'
+				});
+			})
+			.catch(function (err) {
+				if (err.error === 'INVALID_SECTION') {
+					swal({
+						title: 'Nevalida sekcio',
+						text: 'Bonvolu kontroli la nomon kaj la limojn de la ' + (parseInt(err.info[0], 10) + 1) + '-a sekcio. La maksimuma nombro da punktoj ne povas esti malpli ol la minimuma.',
+						icon: 'error',
+						button: 'Bone'
+					});
+				} else {
+					showError(err);
+				}
+			})
+			.finally(function () {
+				button.removeAttr('disabled');
+			});
+	});
+});
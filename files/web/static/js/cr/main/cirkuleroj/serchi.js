@@ -0,0 +1,93 @@
+$(function () {
+	var pageSize = 25;
+	var resultsEl = $('#search-results');
+	var totalEl = $('#search-total');
+	var moreButton = $('#search-more');
+
+	var currentQuery = null;
+	var offset = 0;
+
+	var showResults = function (results) {
+		for (var i in results) {
+			var result = results[i];
+			var template = cloneTemplate('#template-search-result');
+
+			template.find('.search-result-cirkulero')
+				.attr('href', '/cirkuleroj/' + result.cirkulero_id)
+				.text('Cirkulero n-ro ' + result.cirkulero_id + ' de ' + result.cirkulero_name);
+			if (result.published) {
+				template.find('.search-result-unpublished').remove();
+			}
+
+			var userEl = template.find('.search-result-user');
+			var name = result.user.long_name || result.user.email;
+			if (result.user.long_name && result.user.enabled) {
+				$('<a target="_blank"></a>')
+					.attr('href', '/aktivuloj/' + result.user.email)
+					.text(name)
+					.appendTo(userEl);
+			} else {
+				userEl.text(name);
+			}
+			if (result.user.role) {
+				userEl.append(document.createTextNode(' – ' + result.user.role));
+			}
+
+			// The snippet has been escaped by the server
+			template.find('.search-result-snippet').html(result.snippet);
+
+			resultsEl.append(template.children());
+		}
+	};
+
+	var performSearch = function () {
+		moreButton.attr('disabled', true);
+
+		performAPIRequest('post', '/api/cirkuleroj/search', {
+			query: currentQuery,
+			limit: pageSize,
+			offset: offset
+		})
+			.then(function (res) {
+				if (!res.success) { return; }
+
+				if (res.total === 0) {
+					totalEl.text('Neniu kontribuo trovita.');
+				} else if (res.total === 1) {
+					totalEl.text('Trovis 1 kontribuon.');
+				} else {
+					totalEl.text('Trovis ' + res.total + ' kontribuojn.');
+				}
+				totalEl.show();
+
+				showResults(res.results);
+				offset += pageSize;
+				moreButton.toggle(offset < res.total);
+			})
+			.finally(function () {
+				moreButton.removeAttr('disabled');
+			});
+	};
+
+	$('#search-form').submit(function (e) {
+		e.preventDefault();
+
+		var query = $('#search-form-query').val().trim();
+		if (!query) { return; }
+
+		currentQuery = query;
+		offset = 0;
+		resultsEl.empty();
+		totalEl.hide();
+		moreButton.hide();
+		history.replaceState(null, '', '/cirkuleroj/serchi?q=' + encodeURIComponent(query));
+
+		performSearch();
+	});
+
+	moreButton.click(performSearch);
+
+	if (pageData.query) {
+		$('#search-form').submit();
+	}
+});
@@ -0,0 +1,152 @@
+$(function () {
+	// Potential contributions of users that declined to contribute don't count against the participation
+	var getRate = function (stats) {
+		var expected = stats.allowed - stats.excused;
+		if (!expected) { return null; }
+		return stats.contributions / expected;
+	};
+
+	var formatRate = function (stats) {
+		var rate = getRate(stats);
+		if (rate === null) { return '–'; }
+		return Math.round(rate * 100) + ' %';
+	};
+
+	var insertRow = function (tbody, cells) {
+		var row = $('<tr></tr>');
+		for (var i in cells) {
+			var cell = $('<td></td>');
+			if (cells[i] instanceof $) {
+				cell.append(cells[i]);
+			} else {
+				cell.text(cells[i]);
+			}
+			row.append(cell);
+		}
+		tbody.append(row);
+	};
+
+	var getUserName = function (userStats) {
+		return userStats.user.long_name || userStats.user.email;
+	};
+
+	var getCirkuleroLink = function (id) {
+		return $('<a></a>')
+			.attr('href', '/cirkuleroj/' + id)
+			.text('N-ro ' + id);
+	};
+
+	var chart = null;
+	var yearSelect = $('#statistics-year');
+
+	var loadStatistics = function () {
+		var apiData = {};
+		var year = yearSelect.val();
+		if (year) {
+			apiData.from = moment.utc({ year: parseInt(year, 10) }).unix();
+			apiData.to = moment.utc({ year: parseInt(year, 10) }).endOf('year').unix();
+		}
+
+		$('#loader').show();
+		$('#statistics').hide();
+
+		return performAPIRequest('post', '/api/cirkuleroj/get_statistics', apiData)
+			.then(function (res) {
+				if (!res.success) { return; }
+
+				$('#loader').hide();
+				$('#statistics').show();
+
+				// Per month
+				if (chart) { chart.destroy(); }
+				chart = new Chart($('#statistics-chart')[0].getContext('2d'), {
+					type: 'line',
+					data: {
+						labels: res.cirkuleroj.map(function (cirkulero) {
+							return cirkulero.id + ': ' + cirkulero.name;
+						}),
+						datasets: [{
+							label: 'Partoprenado (%)',
+							data: res.cirkuleroj.map(function (cirkulero) {
+								return Math.round((getRate(cirkulero) || 0) * 100);
+							}),
+							borderColor: '#4CAF50',
+							backgroundColor: 'rgba(76, 175, 80, 0.2)'
+						}]
+					},
+					options: {
+						scales: {
+							yAxes: [{
+								ticks: { min: 0, max: 100 }
+							}]
+						}
+					}
+				});
+
+				// Per group
+				var groupsEl = $('#statistics-groups').empty();
+				for (var i in res.groups) {
+					var group = res.groups[i];
+					insertRow(groupsEl, [
+						group.name,
+						group.contributions,
+						group.allowed,
+						group.excused,
+						formatRate(group)
+					]);
+				}
+
+				// Streaks
+				var streaksEl = $('#statistics-streaks').empty();
+				for (var i in res.streaks) {
+					var userStats = res.streaks[i];
+					var length = userStats.longest_streak.length.toString();
+					if (userStats.current_streak === userStats.longest_streak.length) {
+						length += ' (daŭras)';
+					}
+					insertRow(streaksEl, [
+						getUserName(userStats),
+						length,
+						getCirkuleroLink(userStats.longest_streak.from),
+						getCirkuleroLink(userStats.longest_streak.to)
+					]);
+				}
+
+				// Per user, those participating the least first
+				var usersEl = $('#statistics-users').empty();
+				var users = res.users.slice().sort(function (a, b) {
+					return (getRate(a) === null ? 1 : getRate(a)) - (getRate(b) === null ? 1 : getRate(b)) ||
+						getUserName(a).localeCompare(getUserName(b));
+				});
+				for (var i in users) {
+					var userStats = users[i];
+					insertRow(usersEl, [
+						getUserName(userStats),
+						userStats.contributions,
+						userStats.allowed,
+						userStats.excused,
+						formatRate(userStats),
+						userStats.current_streak
+					]);
+				}
+
+				return res;
+			});
+	};
+
+	loadStatistics().then(function (res) {
+		if (!res) { return; }
+
+		// Offer all years with published cirkuleroj
+		var years = [];
+		for (var i in res.cirkuleroj) {
+			var year = moment.unix(res.cirkuleroj[i].deadline).utc().year();
+			if (years.indexOf(year) === -1) { years.push(year); }
+		}
+		years.reverse();
+		for (var i in years) {
+			yearSelect.append($('<option></option>').val(years[i]).text(years[i]));
+		}
+		yearSelect.on('change', loadStatistics);
+	});
+});
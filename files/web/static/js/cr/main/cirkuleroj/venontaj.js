@@ -79,7 +79,7 @@ $(function () {
 		el: '#cirkuleroj-table',
 		method: 'post'	,
 		url: '/api/cirkuleroj/list',
-		select: [ 'id', 'name', 'deadline', 'open', 'reminders', 'note' ],
+		select: [ 'id', 'name', 'deadline', 'open', 'reminders', 'drafts', 'note' ],
 		defaultOrder: [ 0, 'asc' ],
 		options: {
 			searching: false
@@ -130,6 +130,20 @@ $(function () {
 						window.location.href = '/cirkuleroj/' + rowData.id + '/pretigi';
 					});
 
+					template.find('.cirkulero-modal-sections').click(function () {
+						window.location.href = '/cirkuleroj/' + rowData.id + '/sekcioj';
+					});
+
+					// Contributions can only be entered on behalf of others while the cirkulero is open
+					var substituteBtn = template.find('.cirkulero-modal-substitute');
+					if (rowData.open) {
+						substituteBtn.click(function () {
+							window.location.href = '/cirkuleroj/' + rowData.id + '/anstataui';
+						});
+					} else {
+						substituteBtn.attr('disabled', true);
+					}
+
 					var toggleOpenBtn = template.find('.cirkulero-modal-toggle-open');
 					if (rowData.open) {
 						toggleOpenBtn.children('i').text('lock');
@@ -484,6 +498,8 @@ $(function () {
 					});
 
 					// Statistics
+					template.find('.cirkulero-modal-drafts').text(rowData.drafts);
+
 					var createStatsHandler = function (group) {
 						var contribs = [];
 						for (var n in res.contributions) {
@@ -513,6 +529,7 @@ $(function () {
 						var totalUsers = contribs.length;
 						var contributors = [];
 						var nonContributors = [];
+						var excused = [];
 
 						for (var i in contribs) {
 							var contrib = contribs[i];
@@ -522,6 +539,11 @@ $(function () {
 							}
 							if (contrib.contrib) {
 								contributors.push(name);
+							} else if (contrib.excused) {
+								if (contrib.excused.reason) {
+									name += ' (' + contrib.excused.reason + ')';
+								}
+								excused.push(name);
 							} else {
 								nonContributors.push(name);
 							}
@@ -560,6 +582,13 @@ $(function () {
 							}
 							noContribEl.appendChild(noContribPreText);
 							noContribEl.appendChild(noContribText);
+
+							if (excused.length) {
+								var excusedEl = document.createElement('p');
+								div.appendChild(excusedEl);
+								excusedEl.appendChild(document.createTextNode('Senkulpigitaj: '));
+								excusedEl.appendChild(document.createTextNode(excused.join(', ')));
+							}
 						} else {
 							var el = document.createElement('i');
 							div.appendChild(el);
@@ -0,0 +1,242 @@
+$(function () {
+	var escapeHTML = function (str) {
+		return $('<div>').text(str).html();
+	};
+
+	// Fills a decision form template with the available votes and optionally the values of a decision
+	var setUpDecisionForm = function (decision) {
+		var fields = cloneTemplate('#template-decision-form');
+
+		var voteInput = fields.find('.decision-form-vote_id');
+		for (var i in pageData.votes) {
+			var vote = pageData.votes[i];
+			var option = $('<option></option>');
+			option.val(vote.id);
+			option.text(vote.name);
+			voteInput.append(option);
+		}
+
+		var dateInput = fields.find('.decision-form-date');
+		dateInput.datetimepicker({
+			locale: 'eo',
+			format: 'LL',
+			defaultDate: decision ? moment.unix(decision.date) : moment().startOf('day')
+		});
+
+		if (decision) {
+			fields.find('.decision-form-number').val(decision.number);
+			fields.find('.decision-form-title').val(decision.title);
+			fields.find('.decision-form-body').val(decision.body);
+			fields.find('.decision-form-text').val(decision.text);
+			voteInput.val(decision.vote_id === null ? '' : decision.vote_id);
+		}
+
+		var autosizeEl = fields.find('.autosize');
+		autosize(autosizeEl);
+		window.setTimeout(function () {
+			autosize.update(autosizeEl);
+		}, 0); // Run when the thread is idle
+
+		return fields;
+	};
+
+	// Obtains the API parameters from a decision form
+	var readDecisionForm = function (fields) {
+		var voteId = fields.find('.decision-form-vote_id').val();
+		return {
+			number: fields.find('.decision-form-number').val(),
+			title: fields.find('.decision-form-title').val(),
+			body: fields.find('.decision-form-body').val(),
+			date: fields.find('.decision-form-date').data('DateTimePicker').date().startOf('day').unix(),
+			text: fields.find('.decision-form-text').val(),
+			vote_id: voteId ? parseInt(voteId, 10) : null
+		};
+	};
+
+	// Handles the errors that may occur when creating or updating a decision
+	var handleDecisionError = function (err) {
+		if (err.error === 'NUMBER_TAKEN') {
+			swal({
+				title: 'Decido kun tiu numero jam ekzistas',
+				icon: 'error',
+				button: 'Bone'
+			});
+		} else {
+			showError(err);
+		}
+	};
+
+	// DECISIONS
+	var tableData = setUpDataTable({
+		el: '#decisions-table',
+		method: 'post',
+		url: '/api/decidoj/list',
+		select: [ 'id', 'number', 'date', 'body', 'title', 'text', 'vote_id' ],
+		defaultOrder: [ 2, 'desc' ],
+		dataFormatter: function (val, col) {
+			if (col.name === 'date') {
+				return moment.unix(val).format('LL');
+			} else if (col.name === 'text') {
+				if (val.length > 200) {
+					val = val.substring(0, 200) + '…';
+				}
+				return escapeHTML(val).replace(/\n/g, '<br>');
+			} else if (col.name === 'vote_id') {
+				if (val === null) { return ''; }
+				return '<a href="/vochdonado/' + val + '">#' + val + '</a>';
+			}
+
+			return escapeHTML(val);
+		}
+	});
+	var table = tableData.table;
+	$('#decisions-table-reload').click(function () {
+		table.draw();
+	});
+	table.on('draw', function () {
+		// Apply click listeners to all rows
+		var rows = table.rows().nodes().to$();
+		rows.addClass('clickable');
+		rows.on('click', function (e) { // The listener is automatically removed upon the next draw
+			if ($(e.target).is('a')) { return; }
+
+			var row = table.row(this);
+			var rowData = tableData.getRowData(row, 'id');
+
+			var template = cloneTemplate('#template-decision-modal');
+			template.find('.decision-modal-body').text(rowData.body);
+			template.find('.decision-modal-date').text(moment.unix(rowData.date).format('LL'));
+			template.find('.decision-modal-text').text(rowData.text);
+			if (rowData.vote_id === null) {
+				template.find('.decision-modal-vote').remove();
+			} else {
+				template.find('.decision-modal-vote-link').attr('href', '/vochdonado/' + rowData.vote_id);
+			}
+
+			if (!pageData.mayManage) {
+				template.find('.decision-modal-manage').remove();
+			} else {
+				template.find('.decision-modal-edit').click(function () {
+					var fields = setUpDecisionForm(rowData);
+					var form = $('<form class="align-left" autocomplete="off"></form>').append(fields);
+					form.on('input change', function () {
+						$('.swal-button--confirm').attr('disabled', !form[0].checkValidity());
+					});
+					form.submit(function (e) {
+						e.preventDefault();
+						$('.swal-button--confirm').click();
+					});
+
+					swal({
+						title: 'Redakto de decido ' + rowData.number,
+						content: form[0],
+						buttons: [
+							'Nuligi',
+							{
+								text: 'Konservi',
+								closeModal: false
+							}
+						]
+					}).then(function (isConfirm) {
+						if (!isConfirm) { return; }
+
+						var apiData = readDecisionForm(fields);
+						apiData.decision_id = rowData.id;
+
+						performAPIRequest('post', '/api/decidoj/update', apiData, false)
+							.then(function (res) {
+								table.draw();
+								swal.close();
+							})
+							.catch(handleDecisionError)
+							.finally(function () {
+								swal.stopLoading();
+							});
+					});
+					$.AdminBSB.input.activate(form);
+				});
+
+				template.find('.decision-modal-delete').click(function () {
+					swal({
+						title: 'Forigo de decido',
+						text: 'Ĉu vi certas, ke vi volas forigi la decidon ' + rowData.number + ' el la registro?',
+						buttons: [
+							'Nuligi',
+							{
+								text: 'Forigi',
+								closeModal: false
+							}
+						]
+					}).then(function (e) {
+						if (!e) { return; }
+
+						performAPIRequest('post', '/api/decidoj/delete', { decision_id: rowData.id })
+							.then(function (res) {
+								table.draw();
+								swal.stopLoading();
+
+								if (res.success) {
+									swal.close();
+								}
+							});
+					});
+				});
+			}
+
+			swal({
+				title: rowData.number + ': ' + rowData.title,
+				content: template[0],
+				buttons: 'Fermi'
+			});
+		});
+	});
+
+	// CREATE DECISION
+	if (pageData.mayManage) {
+		var createForm = $('#create-decision-form');
+		var createFields = setUpDecisionForm();
+		createForm.find('.create-decision-form-fields').append(createFields);
+		$.AdminBSB.input.activate(createForm);
+
+		createForm.submit(function (e) {
+			e.preventDefault();
+
+			var apiData = readDecisionForm(createFields);
+			var submitButton = $('#create-decision-form-button');
+
+			swal({
+				title: 'Registro de decido',
+				text: 'Ĉu vi certas, ke vi volas registri la decidon ' + apiData.number + '?',
+				buttons: [
+					'Nuligi',
+					{
+						text: 'Registri',
+						closeModal: false
+					}
+				]
+			}).then(function (modalE) {
+				if (!modalE) { return; }
+
+				submitButton.attr('disabled', true);
+
+				performAPIRequest('post', '/api/decidoj/create', apiData, false)
+					.then(function (res) {
+						swal.stopLoading();
+						swal.close();
+						table.draw();
+
+						// Clean up the form
+						createForm[0].reset();
+						createFields.find('.decision-form-date').data('DateTimePicker').date(moment().startOf('day'));
+						// Reactive the inputs
+						createForm.find('input,textarea').blur();
+					})
+					.catch(handleDecisionError)
+					.finally(function () {
+						swal.stopLoading();
+						submitButton.removeAttr('disabled');
+					});
+			});
+		});
+	}
+});
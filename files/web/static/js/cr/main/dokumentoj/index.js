@@ -0,0 +1,352 @@
+$(function () {
+	var escapeHTML = function (str) {
+		return $('<div>').text(str).html();
+	};
+
+	var formatSize = function (bytes) {
+		if (bytes < 1024) { return bytes + ' B'; }
+		if (bytes < 1024 * 1024) { return (bytes / 1024).toFixed(1) + ' KB'; }
+		return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+	};
+
+	// Fills a document form template with the available groups and optionally the values of a document
+	var setUpDocumentForm = function (doc) {
+		var fields = cloneTemplate('#template-document-form');
+
+		var dateInput = fields.find('.document-form-date');
+		dateInput.datetimepicker({
+			locale: 'eo',
+			format: 'LL',
+			defaultDate: doc ? moment.unix(doc.date) : moment().startOf('day')
+		});
+
+		var groupsSearch = new Bloodhound({
+			local: pageData.groups,
+			identify: function (obj) { return obj.id; },
+			datumTokenizer: Bloodhound.tokenizers.obj.whitespace('name'),
+			queryTokenizer: Bloodhound.tokenizers.whitespace
+		});
+		var groupsInput = fields.find('.document-form-groups');
+		groupsInput.tagsinput({
+			itemValue: 'id',
+			itemText: 'name',
+			typeaheadjs: {
+				name: 'groups',
+				displayKey: 'name',
+				source: groupsSearch.ttAdapter()
+			}
+		});
+		// Disable submitting by pressing enter in tags input field
+		groupsInput.parent().find('.tt-input').keypress(function (e) {
+			if (e.which == 13) {
+				e.preventDefault();
+			}
+		});
+
+		var visibilityInput = fields.find('.document-form-visibility');
+		visibilityInput.on('change', function () {
+			fields.find('.document-form-groups-group').toggle(visibilityInput.val() === 'groups');
+		});
+
+		if (doc) {
+			fields.find('.document-form-title').val(doc.title);
+			fields.find('.document-form-category').val(doc.category);
+			fields.find('.document-form-path').val(doc.path);
+			visibilityInput.val(doc.visibility);
+			visibilityInput.trigger('change');
+			for (var i in doc.groups) {
+				var group = pageData.groups.find(function (group) { return group.id === doc.groups[i]; });
+				if (group) { groupsInput.tagsinput('add', group); }
+			}
+		}
+
+		return fields;
+	};
+
+	// Obtains the API parameters from a document form
+	var readDocumentForm = function (fields) {
+		var apiData = {
+			title: fields.find('.document-form-title').val(),
+			category: fields.find('.document-form-category').val(),
+			date: fields.find('.document-form-date').data('DateTimePicker').date().startOf('day').unix(),
+			path: fields.find('.document-form-path').val(),
+			visibility: fields.find('.document-form-visibility').val()
+		};
+
+		if (apiData.visibility === 'groups') {
+			apiData.groups = [];
+			var items = fields.find('.document-form-groups').tagsinput('items');
+			for (var i in items) {
+				apiData.groups.push(items[i].id);
+			}
+		}
+
+		return apiData;
+	};
+
+	// Handles the errors that may occur when creating or updating a document
+	var handleDocumentError = function (err) {
+		if (err.error === 'PATH_TAKEN') {
+			swal({
+				title: 'Dokumento kun tiu ligilo jam ekzistas',
+				icon: 'error',
+				button: 'Bone'
+			});
+		} else {
+			showError(err);
+		}
+	};
+
+	// Checks that at least one group has been chosen if the document is limited to groups
+	var checkDocumentGroups = function (apiData) {
+		if (apiData.visibility === 'groups' && apiData.groups.length === 0) {
+			swal({
+				title: 'Neniu grupo elektita',
+				icon: 'error',
+				button: 'Bone'
+			});
+			return false;
+		}
+		return true;
+	};
+
+	// DOCUMENTS
+	var tableData = setUpDataTable({
+		el: '#documents-table',
+		method: 'post',
+		url: '/api/dokumentoj/list',
+		select: [ 'id', 'title', 'category', 'date', 'path', 'visibility', 'groups' ],
+		defaultOrder: [ 3, 'desc' ],
+		dataFormatter: function (val, col) {
+			if (col.name === 'date') {
+				return moment.unix(val).format('LL');
+			} else if (col.name === 'path') {
+				var url = '/d/' + val;
+				return '<a href="' + escapeHTML(url) + '" target="_blank">' + escapeHTML(url) + '</a>';
+			}
+
+			return escapeHTML(val);
+		}
+	});
+	var table = tableData.table;
+	$('#documents-table-reload').click(function () {
+		table.draw();
+	});
+	table.on('draw', function () {
+		// Apply click listeners to all rows
+		var rows = table.rows().nodes().to$();
+		rows.addClass('clickable');
+		rows.on('click', function (e) { // The listener is automatically removed upon the next draw
+			if ($(e.target).is('a')) { return; }
+
+			var row = table.row(this);
+			var rowData = tableData.getRowData(row, 'id');
+
+			var template = cloneTemplate('#template-document-modal');
+			template.find('.document-modal-category').text(rowData.category);
+			template.find('.document-modal-date').text(moment.unix(rowData.date).format('LL'));
+			template.find('.document-modal-link')
+				.attr('href', '/d/' + rowData.path)
+				.text('/d/' + rowData.path);
+
+			var versionsEl = template.find('.document-modal-versions');
+			var loadVersions = function () {
+				performAPIRequest('post', '/api/dokumentoj/get_versions', { document_id: rowData.id })
+					.then(function (res) {
+						if (!res.success) { return; }
+
+						versionsEl.empty();
+						for (var i in res.versions) {
+							var version = res.versions[i];
+							var item = cloneTemplate('#template-document-version').children();
+							item.find('.document-version-link')
+								.attr('href', version.url)
+								.text(version.file_name);
+							var info = moment.unix(version.time).format('LLL') + ', ' + formatSize(version.size);
+							if (version.uploaded_by) { info += ', ' + version.uploaded_by; }
+							item.find('.document-version-info').text(' (' + info + ')');
+							item.find('.document-version-comment').text(version.comment || '');
+							versionsEl.append(item);
+						}
+					});
+			};
+			loadVersions();
+
+			if (!pageData.mayManage) {
+				template.find('.document-modal-upload-form').remove();
+				template.find('.document-modal-manage').remove();
+			} else {
+				var uploadForm = template.find('.document-modal-upload-form');
+				uploadForm.submit(function (e) {
+					e.preventDefault();
+
+					var uploadButton = uploadForm.find('.document-modal-upload-button');
+					uploadButton.attr('disabled', true);
+
+					performAPIRequest({
+						method: 'post',
+						url: '/api/dokumentoj/upload_version',
+						data: {
+							document_id: rowData.id,
+							comment: uploadForm.find('.document-modal-upload-comment').val() || null
+						},
+						files: {
+							file: uploadForm.find('.document-modal-upload-file')[0].files[0]
+						}
+					})
+						.then(function (res) {
+							if (!res.success) { return; }
+							uploadForm[0].reset();
+							loadVersions();
+						})
+						.finally(function () {
+							uploadButton.removeAttr('disabled');
+						});
+				});
+
+				template.find('.document-modal-edit').click(function () {
+					var fields = setUpDocumentForm(rowData);
+					var form = $('<form class="align-left" autocomplete="off"></form>').append(fields);
+					form.on('input change', function () {
+						$('.swal-button--confirm').attr('disabled', !form[0].checkValidity());
+					});
+					form.submit(function (e) {
+						e.preventDefault();
+						$('.swal-button--confirm').click();
+					});
+
+					swal({
+						title: 'Redakto de dokumento',
+						content: form[0],
+						buttons: [
+							'Nuligi',
+							{
+								text: 'Konservi',
+								closeModal: false
+							}
+						]
+					}).then(function (isConfirm) {
+						if (!isConfirm) { return; }
+
+						var apiData = readDocumentForm(fields);
+						if (!checkDocumentGroups(apiData)) { return; }
+						apiData.document_id = rowData.id;
+
+						performAPIRequest('post', '/api/dokumentoj/update', apiData, false)
+							.then(function (res) {
+								table.draw();
+								swal.close();
+							})
+							.catch(handleDocumentError)
+							.finally(function () {
+								swal.stopLoading();
+							});
+					});
+					$.AdminBSB.input.activate(form);
+				});
+
+				template.find('.document-modal-delete').click(function () {
+					swal({
+						title: 'Forigo de dokumento',
+						text: 'Ĉu vi certas, ke vi volas forigi la dokumenton “' + rowData.title + '” kune kun ĉiuj ĝiaj versioj?',
+						buttons: [
+							'Nuligi',
+							{
+								text: 'Forigi',
+								closeModal: false
+							}
+						]
+					}).then(function (e) {
+						if (!e) { return; }
+
+						performAPIRequest('post', '/api/dokumentoj/delete', { document_id: rowData.id })
+							.then(function (res) {
+								table.draw();
+								swal.stopLoading();
+
+								if (res.success) {
+									swal.close();
+								}
+							});
+					});
+				});
+			}
+
+			swal({
+				title: rowData.title,
+				content: template[0],
+				buttons: 'Fermi'
+			});
+		});
+	});
+
+	// CREATE DOCUMENT
+	if (pageData.mayManage) {
+		var createForm = $('#create-document-form');
+		var createFields = setUpDocumentForm();
+		createForm.find('.create-document-form-fields').append(createFields);
+		$.AdminBSB.input.activate(createForm);
+
+		// Suggest a path based on the name of the chosen file
+		var fileInput = $('#create-document-form-file');
+		fileInput.on('change', function () {
+			var pathInput = createFields.find('.document-form-path');
+			if (pathInput.val() || !this.files[0]) { return; }
+			var name = this.files[0].name.toLowerCase().replace(/[^a-z0-9_.\-]+/g, '-');
+			pathInput.val(name).trigger('change').focus();
+		});
+
+		createForm.submit(function (e) {
+			e.preventDefault();
+
+			var apiData = readDocumentForm(createFields);
+			if (!checkDocumentGroups(apiData)) { return; }
+
+			var submitButton = $('#create-document-form-button');
+
+			swal({
+				title: 'Alŝuto de dokumento',
+				text: 'Ĉu vi certas, ke vi volas alŝuti la dokumenton “' + apiData.title + '” al /d/' + apiData.path + '?',
+				buttons: [
+					'Nuligi',
+					{
+						text: 'Alŝuti',
+						closeModal: false
+					}
+				]
+			}).then(function (modalE) {
+				if (!modalE) { return; }
+
+				submitButton.attr('disabled', true);
+
+				performAPIRequest({
+					method: 'post',
+					url: '/api/dokumentoj/create',
+					data: apiData,
+					files: {
+						file: fileInput[0].files[0]
+					},
+					handleErrors: false
+				})
+					.then(function (res) {
+						swal.stopLoading();
+						swal.close();
+						table.draw();
+
+						// Clean up the form
+						createForm[0].reset();
+						createFields.find('.document-form-groups').tagsinput('removeAll');
+						createFields.find('.document-form-visibility').trigger('change');
+						createFields.find('.document-form-date').data('DateTimePicker').date(moment().startOf('day'));
+						// Reactive the inputs
+						createForm.find('input').blur();
+					})
+					.catch(handleDocumentError)
+					.finally(function () {
+						swal.stopLoading();
+						submitButton.removeAttr('disabled');
+					});
+			});
+		});
+	}
+});
@@ -0,0 +1,262 @@
+$(function () {
+	var voteTypeNames = {
+		jns: 'Jes/Ne/Sindetenas',
+		rp: 'Paroranga Sistemo',
+		utv: 'Unuopa Transdonebla Voĉo'
+	};
+	var electionTypes = [ 'rp', 'utv' ];
+
+	// CREATE VOTE
+	var groupsSearch = new Bloodhound({
+		local: pageData.groups,
+		identify: function (obj) { return obj.id; },
+		datumTokenizer: Bloodhound.tokenizers.obj.whitespace('name'),
+		queryTokenizer: Bloodhound.tokenizers.whitespace
+	});
+
+	var groupsInput = $('#create-vote-form-groups');
+	groupsInput.tagsinput({
+		itemValue: 'id',
+		itemText: 'name',
+		typeaheadjs: {
+			name: 'groups',
+			displayKey: 'name',
+			source: groupsSearch.ttAdapter()
+		}
+	});
+	// Disable submitting by pressing enter in tags input field
+	var ttInput = groupsInput.parent().find('.tt-input');
+	ttInput.keypress(function (e) {
+		if (e.which == 13) {
+			e.preventDefault();
+		}
+	});
+
+	var defaultTimeOpen = moment().startOf('hour').add(1, 'hour');
+	var defaultTimeClose = defaultTimeOpen.clone().add(1, 'week');
+	$('#create-vote-form-time_open').datetimepicker({
+		locale: 'eo',
+		defaultDate: defaultTimeOpen
+	});
+	$('#create-vote-form-time_close').datetimepicker({
+		locale: 'eo',
+		minDate: moment(),
+		defaultDate: defaultTimeClose
+	});
+	autosize($('#create-vote-form-description'));
+	autosize($('#create-vote-form-candidates'));
+
+	var typeInput = $('#create-vote-form-type');
+	typeInput.on('change', function () {
+		var isElection = electionTypes.indexOf(typeInput.val()) > -1;
+		$('.create-vote-form-candidates-group').toggle(isElection);
+		$('#create-vote-form-candidates').attr('required', isElection);
+		$('.create-vote-form-majority-group').toggle(!isElection);
+		var isUTV = typeInput.val() === 'utv';
+		$('.create-vote-form-seats-group').toggle(isUTV);
+		$('#create-vote-form-seats').attr('required', isUTV);
+	});
+
+	$('#create-vote-form').submit(function (e) {
+		e.preventDefault();
+
+		var groups = [];
+		var items = groupsInput.tagsinput('items');
+		for (var i in items) {
+			groups.push(items[i].id);
+		}
+
+		var apiData = {
+			name: $('#create-vote-form-name').val(),
+			description: $('#create-vote-form-description').val() || null,
+			type: $('#create-vote-form-type').val(),
+			secret: $('#create-vote-form-secret').prop('checked'),
+			quorum: $('#create-vote-form-quorum').val() || null,
+			groups: groups,
+			time_open: $('#create-vote-form-time_open').data("DateTimePicker").date().unix(),
+			time_close: $('#create-vote-form-time_close').data("DateTimePicker").date().unix()
+		};
+
+		if (apiData.type === 'jns') {
+			apiData.majority = $('#create-vote-form-majority').val() || null;
+		}
+		if (electionTypes.indexOf(apiData.type) > -1) {
+			apiData.candidates = $('#create-vote-form-candidates').val().split('\n')
+				.map(function (cand) { return cand.trim(); })
+				.filter(function (cand) { return cand.length > 0; });
+		}
+		if (apiData.type === 'utv') {
+			apiData.seats = parseInt($('#create-vote-form-seats').val(), 10);
+		}
+
+		if (groups.length === 0) {
+			swal({
+				title: 'Neniu voĉdonrajta grupo elektita',
+				icon: 'error',
+				button: 'Bone'
+			});
+			return;
+		}
+
+		if (apiData.time_close <= apiData.time_open) {
+			swal({
+				title: 'La fermiĝo devas okazi post la malfermiĝo',
+				icon: 'error',
+				button: 'Bone'
+			});
+			return;
+		}
+
+		var submitButton = $('#create-vote-form-button');
+
+		swal({
+			title: 'Ĉu vi certas, ke vi volas krei novan voĉdonon?',
+			text: 'La voĉdonrajtantoj estos fiksitaj je la malfermiĝo de la voĉdono.',
+			buttons: [
+				'Nuligi',
+				{
+					text: 'Krei',
+					closeModal: false
+				}
+			]
+		}).then(function (modalE) {
+			if (!modalE) { return; }
+
+			submitButton.attr('disabled', true);
+
+			performAPIRequest('post', '/api/vochdonado/create', apiData)
+				.then(function (res) {
+					swal.stopLoading();
+					swal.close();
+					table.draw();
+
+					// Clean up the form
+					var form = $('#create-vote-form');
+					form[0].reset();
+					groupsInput.tagsinput('removeAll');
+					typeInput.trigger('change');
+					$('#create-vote-form-time_open').data("DateTimePicker").date(defaultTimeOpen);
+					$('#create-vote-form-time_close').data("DateTimePicker").date(defaultTimeClose);
+					// Reactive the inputs
+					form.find('input,textarea').blur();
+				})
+				.finally(function () {
+					submitButton.removeAttr('disabled');
+				});
+		});
+	});
+
+	// REMINDERS
+	var remindersEl = $('#reminders');
+	var insertReminder = function (reminder) {
+		var item = cloneTemplate('#template-reminder').children();
+		item.find('.reminder-text').text(moment.duration(reminder.delta_time, 'seconds').humanize() + ' antaŭ la fermiĝo');
+		item.find('.reminder-delete').click(function () {
+			performAPIRequest('post', '/api/vochdonado/delete_reminder', { id: reminder.id })
+				.then(function (res) {
+					if (!res.success) { return; }
+					item.remove();
+				});
+		});
+		remindersEl.append(item);
+	};
+
+	performAPIRequest('post', '/api/vochdonado/get_reminders')
+		.then(function (res) {
+			if (!res.success) { return; }
+			for (var i in res.reminders) {
+				insertReminder(res.reminders[i]);
+			}
+		});
+
+	$('#insert-reminder-form').submit(function (e) {
+		e.preventDefault();
+
+		var button = $('#insert-reminder-form-button');
+		button.attr('disabled', true);
+
+		var apiData = {
+			delta_time: parseInt($('#insert-reminder-form-hours').val(), 10) * 3600
+		};
+		performAPIRequest('post', '/api/vochdonado/insert_reminder', apiData)
+			.then(function (res) {
+				if (!res.success) { return; }
+				insertReminder({ id: res.id, delta_time: apiData.delta_time });
+				$('#insert-reminder-form')[0].reset();
+			})
+			.finally(function () {
+				button.removeAttr('disabled');
+			});
+	});
+
+	// EXISTING VOTES
+	var tableData = setUpDataTable({
+		el: '#votes-table',
+		method: 'post',
+		url: '/api/vochdonado/list',
+		select: [ 'id', 'name', 'type', 'secret', 'time_open', 'time_close', 'closed' ],
+		defaultOrder: [ 5, 'desc' ],
+		dataFormatter: function (val, col) {
+			if (col.name === 'time_open' || col.name === 'time_close') {
+				val = moment.unix(val).format('LLL');
+			} else if (col.name === 'type') {
+				val = voteTypeNames[val];
+			} else if (col.name === 'secret' || col.name === 'closed') {
+				val = val ? 'Jes' : 'Ne';
+			}
+
+			return val;
+		}
+	});
+	var table = tableData.table;
+	$('#votes-table-reload').click(function () {
+		table.draw();
+	});
+	table.on('draw', function () {
+		// Apply click listeners to all rows
+		var rows = table.rows().nodes().to$();
+		rows.addClass('clickable');
+		rows.on('click', function () { // The listener is automatically removed upon the next draw
+			var row = table.row(this);
+			var rowData = tableData.getRowData(row, 'id');
+
+			var template = cloneTemplate('#template-vote-modal');
+
+			template.find('.vote-modal-view').click(function () {
+				window.location.href = '/vochdonado/' + rowData.id;
+			});
+
+			template.find('.vote-modal-delete').click(function () {
+				swal({
+					title: 'Forigo de voĉdono',
+					text: 'Ĉu vi certas, ke vi volas forigi la voĉdonon “' + rowData.name + '” kune kun ĉiuj ĝiaj voĉoj?',
+					buttons: [
+						'Nuligi',
+						{
+							text: 'Forigi',
+							closeModal: false
+						}
+					]
+				}).then(function (e) {
+					if (!e) { return; }
+
+					performAPIRequest('post', '/api/vochdonado/delete', { vote_id: rowData.id })
+						.then(function (res) {
+							table.draw();
+							swal.stopLoading();
+
+							if (res.success) {
+								swal.close();
+							}
+						});
+				});
+			});
+
+			swal({
+				title: rowData.name,
+				content: template[0],
+				buttons: 'Fermi'
+			});
+		});
+	});
+});
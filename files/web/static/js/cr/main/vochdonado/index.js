@@ -0,0 +1,47 @@
+$(function () {
+	if (!pageData.votes) { return; }
+
+	var votesList = $('#votes-list');
+	var tbody = votesList.find('tbody');
+
+	if (pageData.votes.length === 0) {
+		votesList.hide();
+		$('#votes-none').show();
+		return;
+	}
+
+	var now = moment().unix();
+
+	for (var i in pageData.votes) {
+		var vote = pageData.votes[i];
+
+		var tr = $('<tr></tr>');
+		tbody.append(tr);
+
+		var tdName = $('<td></td>');
+		tr.append(tdName);
+		var link = $('<a></a>');
+		link.attr('href', '/vochdonado/' + vote.id);
+		link.text(vote.name);
+		tdName.append(link);
+
+		var tdClose = $('<td></td>');
+		tr.append(tdClose);
+		tdClose.text(moment.unix(vote.timeClose).format('LLL'));
+
+		var state;
+		if (vote.closed) {
+			state = 'Fermita';
+		} else if (vote.timeOpen > now) {
+			state = 'Malfermiĝos ' + moment.unix(vote.timeOpen).fromNow();
+		} else if (vote.hasVoted) {
+			state = 'Vi voĉdonis';
+		} else {
+			state = 'Vi ankoraŭ ne voĉdonis';
+			tr.addClass('font-bold');
+		}
+		var tdState = $('<td></td>');
+		tr.append(tdState);
+		tdState.text(state);
+	}
+});
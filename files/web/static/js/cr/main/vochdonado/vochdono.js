@@ -0,0 +1,432 @@
+$(function () {
+	var vote = pageData.vote;
+	var isElection = vote.type === 'rp' || vote.type === 'utv';
+
+	$('#vote-description').text(vote.description || '');
+	$('#vote-time-open').text(moment.unix(vote.timeOpen).format('LLL'));
+	$('#vote-time-close').text(moment.unix(vote.timeClose).format('LLL'));
+
+	// BALLOT
+	if (pageData.mayVote) {
+		$('.vote-form-' + vote.type).show();
+
+		if (isElection) {
+			$('.vote-form-ranked').show();
+			$('.vote-form-ranked .data-seats').text(vote.seats);
+
+			var candidatesEl = $('.vote-form-ranked-candidates tbody');
+			for (var i in vote.candidates) {
+				var tr = $('<tr></tr>');
+				candidatesEl.append(tr);
+				var tdName = $('<td></td>');
+				tdName.text(vote.candidates[i]);
+				tr.append(tdName);
+				var input = $('<input type="number" min="1" class="form-control vote-form-ranked-rank">');
+				input.attr('max', vote.candidates.length);
+				input.data('candidate', vote.candidates[i]);
+				var tdRank = $('<td></td>');
+				tdRank.append(input);
+				tr.append(tdRank);
+			}
+		}
+
+		if (pageData.ownBallot !== null) {
+			$('#vote-own-ballot').show();
+			if (vote.type === 'jns') {
+				$('#vote-form-jns-' + pageData.ownBallot).prop('checked', true);
+			} else if (isElection) {
+				$('.vote-form-ranked-rank').each(function () {
+					var input = $(this);
+					for (var i = 0; i < pageData.ownBallot.length; i++) {
+						if (pageData.ownBallot[i].indexOf(input.data('candidate')) > -1) {
+							input.val(i + 1);
+						}
+					}
+				});
+			}
+		}
+
+		$('#vote-form').submit(function (e) {
+			e.preventDefault();
+
+			var ballot = null;
+			var ballotText = '';
+			if (vote.type === 'jns') {
+				ballot = $('#vote-form input[name=ballot]:checked').val();
+				ballotText = pageData.jnsValues[ballot];
+			} else if (isElection) {
+				var ranks = {};
+				$('.vote-form-ranked-rank').each(function () {
+					var input = $(this);
+					var rank = parseInt(input.val(), 10);
+					if (!rank) { return; }
+					if (!(rank in ranks)) { ranks[rank] = []; }
+					ranks[rank].push(input.data('candidate'));
+				});
+				ballot = Object.keys(ranks)
+					.sort(function (a, b) { return a - b; })
+					.map(function (rank) { return ranks[rank]; });
+
+				if (vote.type === 'utv') {
+					var hasTies = ballot.some(function (rank) { return rank.length > 1; });
+					if (hasTies) {
+						swal({
+							title: 'Ĉiu rango povas esti donita al nur unu kandidato',
+							icon: 'error',
+							button: 'Bone'
+						});
+						return;
+					}
+				}
+
+				ballotText = ballot.length ? stringifyRankedBallot(ballot) : 'blanke';
+			}
+
+			swal({
+				title: 'Konfirmo de voĉo',
+				text: 'Ĉu vi certas, ke vi volas voĉdoni “' + ballotText + '”?' +
+					(vote.secret ? ' Vi ne povos ŝanĝi vian voĉon poste.' : ''),
+				buttons: [
+					'Nuligi',
+					{
+						text: 'Voĉdoni',
+						closeModal: false
+					}
+				]
+			}).then(function (modalE) {
+				if (!modalE) { return; }
+
+				var button = $('#vote-form-button');
+				button.attr('disabled', true);
+
+				performAPIRequest('post', '/api/vochdonado/vote', { vote_id: vote.id, ballot: ballot }, false)
+					.then(function (res) {
+						if (vote.secret) {
+							swal({
+								title: 'Via voĉo estis registrita',
+								text: 'Via kvitanco estas ' + res.receipt + '. Konservu ĝin por povi kontroli, ke via voĉo estis kalkulita. Ĝi ne estos montrita denove.',
+								icon: 'success',
+								button: 'Bone'
+							});
+							$('#vote-form').replaceWith('<p><i>Vi jam voĉdonis.</i></p>');
+						} else {
+							swal({
+								title: 'Via voĉo estis registrita',
+								icon: 'success',
+								button: 'Bone'
+							});
+							$('#vote-own-ballot').show();
+						}
+					})
+					.catch(function (err) {
+						if (err.error === 'ALREADY_VOTED') {
+							swal({
+								title: 'Vi jam voĉdonis',
+								icon: 'error',
+								button: 'Bone'
+							});
+						} else if (err.error === 'VOTE_NOT_OPEN') {
+							swal({
+								title: 'La voĉdono ne plu estas malfermita',
+								icon: 'error',
+								button: 'Bone'
+							});
+						} else {
+							showError(err);
+						}
+					})
+					.finally(function () {
+						button.removeAttr('disabled');
+					});
+			});
+		});
+	}
+
+	// RECEIPT
+	$('#receipt-form').submit(function (e) {
+		e.preventDefault();
+
+		var button = $('#receipt-form-button');
+		button.attr('disabled', true);
+
+		var apiData = {
+			vote_id: vote.id,
+			receipt: $('#receipt-form-receipt').val()
+		};
+		performAPIRequest('post', '/api/vochdonado/verify_receipt', apiData, false)
+			.then(function (res) {
+				var ballotText;
+				if (vote.type === 'jns') {
+					ballotText = pageData.jnsValues[res.ballot];
+				} else {
+					ballotText = res.ballot.length ? stringifyRankedBallot(res.ballot) : 'blanka voĉo';
+				}
+				swal({
+					title: 'La voĉo estis kalkulita',
+					text: 'La voĉo kun tiu ĉi kvitanco estas: ' + ballotText,
+					icon: 'success',
+					button: 'Bone'
+				});
+			})
+			.catch(function (err) {
+				if (err.error === 'RECEIPT_NOT_FOUND') {
+					swal({
+						title: 'Neniu voĉo kun tiu ĉi kvitanco troviĝis',
+						icon: 'error',
+						button: 'Bone'
+					});
+				} else {
+					showError(err);
+				}
+			})
+			.finally(function () {
+				button.removeAttr('disabled');
+			});
+	});
+
+	// RESULTS
+	if (!vote.closed) { return; }
+
+	var resultsEl = $('#vote-results');
+
+	var loadResults = function () {
+		performAPIRequest('post', '/api/vochdonado/get_results', { vote_id: vote.id })
+			.then(function (res) {
+				if (!res.success) { return; }
+
+				resultsEl.find('.data-ballots').text(res.ballots);
+				resultsEl.find('.data-voters').text(res.voters);
+
+				if (res.quorum) {
+					var quorumEl = resultsEl.find('.vote-results-quorum');
+					quorumEl.show();
+					if (res.quorum.met) {
+						quorumEl.text('La kvorumo de ' + res.quorum.fraction + ' (' + res.quorum.required + ' voĉoj) estis atingita.');
+						quorumEl.addClass('col-green');
+					} else {
+						quorumEl.text('La kvorumo de ' + res.quorum.fraction + ' (' + res.quorum.required + ' voĉoj) ne estis atingita. La voĉdono ne estas valida.');
+						quorumEl.addClass('col-red');
+					}
+				}
+
+				if (vote.type === 'jns') {
+					showResultsJNS(res.result);
+				} else if (isElection) {
+					showResultsElection(res.result);
+					if (vote.type === 'rp') {
+						showResultsRP(res.result);
+					} else {
+						showResultsUTV(res.result);
+					}
+				}
+
+				$('#loader').hide();
+				resultsEl.show();
+			});
+	};
+
+	var showResultsJNS = function (result) {
+		var jnsEl = resultsEl.find('.vote-results-jns');
+		jnsEl.show();
+
+		var counts = result.counts;
+		for (var value in counts) {
+			jnsEl.find('.data-count-' + value).text(counts[value]);
+		}
+
+		var majorityEl = jnsEl.find('.vote-results-jns-majority');
+		var majorityText = result.majority.fraction ? 'La necesa plimulto de ' + result.majority.fraction : 'La simpla plimulto';
+		majorityEl.text(majorityText + (result.majority.met ? ' estis atingita.' : ' ne estis atingita.'));
+
+		var outcome = jnsEl.find('.vote-results-jns-outcome');
+		if (result.accepted) {
+			outcome.text('La propono estas akceptita.');
+			outcome.addClass('col-green');
+		} else {
+			outcome.text('La propono estas malakceptita.');
+			outcome.addClass('col-red');
+		}
+
+		var chartEl = jnsEl.find('.vote-results-jns-chart');
+		new Chart(chartEl[0].getContext('2d'), {
+			type: 'pie',
+			data: {
+				datasets: [{
+					data: [ counts.j, counts.n, counts.s ],
+					backgroundColor: [
+						'#4CAF50', '#F44336', '#9E9E9E'
+					]
+				}],
+				labels: [
+					pageData.jnsValues.j,
+					pageData.jnsValues.n,
+					pageData.jnsValues.s
+				]
+			},
+			options: {
+				responsive: false,
+				rotation: .5 * Math.PI
+			}
+		});
+	};
+
+	var showResultsElection = function (result) {
+		var electionEl = resultsEl.find('.vote-results-election');
+		electionEl.show();
+
+		electionEl.find('.data-blank-ballots').text(result.blankBallots);
+
+		var outcome = electionEl.find('.vote-results-election-outcome');
+		var tieBreakerEl = electionEl.find('.vote-results-tie-breaker');
+		if (result.status === 'OK') {
+			if (vote.type === 'rp') {
+				outcome.text('Venkis: ' + result.winner);
+			} else {
+				outcome.text('Elektiĝis: ' + result.elected.join(', '));
+			}
+			tieBreakerEl.hide();
+		} else {
+			outcome.text('La rezulto ankoraŭ ne estas konata.');
+			tieBreakerEl.show();
+			if (pageData.mayManage) {
+				tieBreakerEl.find('form').show();
+			}
+		}
+	};
+
+	var showResultsRP = function (result) {
+		var rpEl = resultsEl.find('.vote-results-rp');
+		rpEl.show();
+
+		// Pairs
+		var pairsEl = rpEl.find('.vote-results-rp-pairs tbody');
+		pairsEl.empty();
+		for (var i in result.pairs) {
+			var pair = result.pairs[i];
+			var tr = $('<tr></tr>');
+			pairsEl.append(tr);
+			var cols = [
+				pair.winner,
+				pair.loser,
+				pair.wins,
+				pair.losses,
+				pair.diff + (pair.tieBroken ? ' (egaligita)' : ''),
+				pair.locked ? 'Jes' : 'Ne'
+			];
+			for (var n in cols) {
+				var td = $('<td></td>');
+				td.text(cols[n]);
+				tr.append(td);
+			}
+			if (!pair.locked) {
+				tr.addClass('col-grey');
+			}
+		}
+
+		// Matrix
+		var matrixEl = rpEl.find('.vote-results-rp-matrix');
+		var headEl = matrixEl.find('thead tr');
+		var bodyEl = matrixEl.find('tbody');
+		headEl.children().not(':first').remove();
+		bodyEl.empty();
+		for (var i in vote.candidates) {
+			var th = $('<th></th>');
+			th.text(vote.candidates[i]);
+			headEl.append(th);
+		}
+		for (var i in vote.candidates) {
+			var a = vote.candidates[i];
+			var tr = $('<tr></tr>');
+			bodyEl.append(tr);
+			var th = $('<th></th>');
+			th.text(a);
+			tr.append(th);
+			for (var n in vote.candidates) {
+				var b = vote.candidates[n];
+				var td = $('<td></td>');
+				if (a !== b) {
+					td.text(result.matrix[a][b]);
+					if (result.matrix[a][b] > result.matrix[b][a]) {
+						td.addClass('font-bold');
+					}
+				}
+				tr.append(td);
+			}
+		}
+	};
+
+	var showResultsUTV = function (result) {
+		var utvEl = resultsEl.find('.vote-results-utv');
+		utvEl.show();
+
+		utvEl.find('.data-quota').text(result.quota);
+
+		var roundsEl = utvEl.find('.vote-results-utv-rounds');
+		var headEl = roundsEl.find('thead tr');
+		var bodyEl = roundsEl.find('tbody');
+		headEl.children().not(':first').remove();
+		bodyEl.empty();
+		var cols = vote.candidates.concat([ 'Elĉerpitaj', 'Elektiĝis', 'Eliminiĝis' ]);
+		for (var i in cols) {
+			var th = $('<th></th>');
+			th.text(cols[i]);
+			headEl.append(th);
+		}
+		for (var i in result.rounds) {
+			var round = result.rounds[i];
+			var tr = $('<tr></tr>');
+			bodyEl.append(tr);
+			var th = $('<th></th>');
+			th.text(parseInt(i, 10) + 1);
+			tr.append(th);
+			for (var n in vote.candidates) {
+				var cand = vote.candidates[n];
+				var td = $('<td></td>');
+				if (cand in round.votes) {
+					td.text(formatVotes(round.votes[cand]));
+					if (round.elected.indexOf(cand) > -1) {
+						td.addClass('font-bold col-green');
+					} else if (round.excluded === cand) {
+						td.addClass('col-red');
+					}
+				}
+				tr.append(td);
+			}
+			var tdExhausted = $('<td></td>');
+			tdExhausted.text(formatVotes(round.exhausted));
+			tr.append(tdExhausted);
+			var tdElected = $('<td></td>');
+			tdElected.text(round.elected.join(', '));
+			tr.append(tdElected);
+			var tdExcluded = $('<td></td>');
+			tdExcluded.text((round.excluded || '') + (round.tieBroken ? ' (egaligita)' : ''));
+			tr.append(tdExcluded);
+		}
+	};
+
+	if (pageData.mayManage && isElection) {
+		$('.vote-results-tie-breaker-form').submit(function (e) {
+			e.preventDefault();
+
+			var tieBreaker = $('.vote-results-tie-breaker-input').val().split('>').map(function (cand) {
+				return cand.trim();
+			});
+
+			performAPIRequest('post', '/api/vochdonado/set_tie_breaker', { vote_id: vote.id, tie_breaker: tieBreaker })
+				.then(function (res) {
+					if (!res.success) { return; }
+					loadResults();
+				});
+		});
+	}
+
+	loadResults();
+});
+
+function formatVotes (votes) {
+	return Math.round(votes * 1000) / 1000;
+}
+
+function stringifyRankedBallot (ballot) {
+	return ballot.map(function (rank) { return rank.join('='); }).join(' > ');
+}
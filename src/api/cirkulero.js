@@ -1,9 +1,14 @@
+import { promisify } from 'util';
+import crypto from 'pn/crypto';
 import moment from 'moment-timezone';
 import url from 'url';
+import _csvStringify from 'csv-stringify';
+const csvStringify = promisify(_csvStringify);
 
 import Group from './group';
+import User from './user';
 import * as CRMail from '../mail';
-import { promiseAllObject, escapeHTML } from '../util';
+import { promiseAllObject, escapeHTML, removeUnsafeChars, removeUnsafeCharsOneLine, sanitizeMarkdown } from '../util';
 
 /**
  * Returns all groups a user belongs to that relate to cirkuleroj
@@ -70,6 +75,73 @@ export async function mayUserContributeToCirkuleroj (user) {
 	return cirkuleroGroups.contribute.length > 0;
 }
 
+/**
+ * Returns whether the user may submit contributions to cirkuleroj on behalf of other allowed contributors, e.g. to enter
+ * a report received by phone. Besides those managing cirkuleroj this applies to deputies with `cirkuleroj.substitute`
+ * @param  {User} user
+ * @return {boolean}
+ */
+export async function mayUserSubstituteContributors (user) {
+	return await user.hasPermission('cirkuleroj.manage') || await user.hasPermission('cirkuleroj.substitute');
+}
+
+/**
+ * Obtains the roles, contributions and drafts of a contributor needed to fill in the contribution form of a cirkulero
+ * @param  {number} cirkuleroId
+ * @param  {User}   user
+ * @return {Object}
+ *   creditRoles   (Object[]) The roles the user may contribute as:
+ *     id       (number)   The id of the group
+ *     name     (string)   The user's name in the group
+ *     sections (Object[]) The cirkulero's other sections that apply to the role, see getGroupSections
+ *   contributions (Object[]) The user's submitted contributions:
+ *     group_id          (number)
+ *     user_role_comment (string|null)
+ *     faris             (string[])
+ *     faras             (string[])
+ *     faros             (string[])
+ *     sections          (Object)      A map of `{ section id: string[] }`
+ *     comment           (string|null)
+ *   drafts        (Object[]) The user's drafts that haven't been submitted yet, like the contributions with the
+ *                            additional key `time`
+ */
+export async function getContributionFormData (cirkuleroId, user) {
+	const parseRow = row => {
+		return {
+			group_id: row.group_id,
+			user_role_comment: row.user_role_comment,
+			faris: JSON.parse(row.faris),
+			faras: JSON.parse(row.faras),
+			faros: JSON.parse(row.faros),
+			sections: JSON.parse(row.sections),
+			comment: row.comment
+		};
+	};
+
+	let stmt = CR.db.cirkuleroj.prepare('select group_id, user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ?');
+	const contributions = stmt.all(cirkuleroId, user.id).map(parseRow);
+
+	stmt = CR.db.cirkuleroj.prepare('select group_id, user_role_comment, faris, faras, faros, sections, comment, time from cirkuleroj_contributions_drafts where cirkulero_id = ? and user_id = ?');
+	const drafts = stmt.all(cirkuleroId, user.id).map(row => {
+		return Object.assign(parseRow(row), { time: row.time });
+	});
+
+	const creditRolesRaw = await getUserCirkuleroContributionGroups(user);
+	const creditRoles = await Promise.all(creditRolesRaw.map(async x => {
+		return {
+			name: x.user.name,
+			id: x.group.id,
+			sections: await getGroupSections(cirkuleroId, x.group.id)
+		};
+	}));
+
+	return {
+		creditRoles: creditRoles,
+		contributions: contributions,
+		drafts: drafts
+	};
+}
+
 /**
  * Obtains all the groups related to cirkuleroj
  * @param  {boolean} [withChildren] Whether to include the groups' children
@@ -118,13 +190,1161 @@ export async function getAllowedContributors () {
  * @return {Object[]}
  */
 export function getAllContributions (id) {
-	const stmt = CR.db.cirkuleroj.prepare('select user_id, group_id, user_role_comment, faris, faras, faros, comment, modified_by_admin from cirkuleroj_contributions where cirkulero_id = ?');
+	const stmt = CR.db.cirkuleroj.prepare('select user_id, group_id, user_role_comment, faris, faras, faros, sections, comment, modified_by_admin, entered_by from cirkuleroj_contributions where cirkulero_id = ?');
 	const rows = stmt.all(id);
 	return rows;
 }
 
 /**
- * Gets all the user's who haven't contributed to a cirkulero
+ * Gets all potential contributions to a cirkulero, i.e. the actual contributions along with an empty entry for each
+ * allowed contributor that didn't contribute
+ * @param  {number}  id        The id of the cirkulero
+ * @param  {boolean} published Whether the cirkulero has been published. If so, the allowed contributors at the time of
+ *                             publication are used, otherwise the current ones
+ * @return {Object[]} The contributions in the order in which they came, followed by those of contributors without an
+ *                    account (see api/cirkulero_import). See routers/api/cirkuleroj#get_contributions
+ */
+export async function getPotentialContributions (id, published) {
+	const contribsRaw = getAllContributions(id);
+	const sections = getSections(id);
+	const excusedUsers = getExcusedUsers(id);
+	const contribsRes = [];
+	const contributorList = {};
+
+	let allowedContributors = null;
+	if (published) {
+		const stmt = CR.db.cirkuleroj.prepare('select allowed_contributors from cirkuleroj_published where cirkulero_id = ?');
+		allowedContributors = stmt.get(id).allowed_contributors;
+	}
+
+	for (let contrib of contribsRaw) {
+		const user = User.getUserById(contrib.user_id);
+
+		if (!user) { continue; }
+
+		if (!contributorList[contrib.group_id]) { contributorList[contrib.group_id] = []; }
+		contributorList[contrib.group_id].push(contrib.user_id);
+
+		// Published contributions may be by users that have since left the group
+		let userRole;
+		if (published) {
+			userRole = await getPublishedRoleName(user, contrib.group_id, allowedContributors);
+		} else {
+			const userGroups = await user.getGroups();
+			userRole = userGroups.get(contrib.group_id).user.name;
+		}
+
+		let enteredBy = null;
+		if (contrib.entered_by !== null) {
+			const substitute = User.getUserById(contrib.entered_by);
+			enteredBy = {
+				id: contrib.entered_by,
+				long_name: substitute ? substitute.getLongName() : null
+			};
+		}
+
+		contribsRes.push({
+			user: {
+				id: contrib.user_id,
+				enabled: user.enabled,
+				email: user.email,
+				group_id: contrib.group_id,
+				role: userRole,
+				long_name: user.getLongName() || null,
+				full_name_latin_sort: user.getNameDetails().fullNameLatinSort || null
+			},
+			contrib: {
+				role_comment: contrib.user_role_comment,
+				faris: JSON.parse(contrib.faris),
+				faras: JSON.parse(contrib.faras),
+				faros: JSON.parse(contrib.faros),
+				sections: getContributionSections(sections, contrib.sections),
+				comment: contrib.comment,
+				modified_by_admin: !!contrib.modified_by_admin,
+				entered_by: enteredBy
+			},
+			excused: null
+		});
+	}
+
+	// Find and add all non contribs
+	if (published) {
+		const nonContributors = [];
+		for (let userInfo of JSON.parse(allowedContributors)) {
+			for (let groupInfo of userInfo.groups) {
+				if (contributorList[groupInfo.id] && contributorList[groupInfo.id].indexOf(userInfo.user) > -1) {
+					continue; // The user contributed and shouldn't be included as a non-contributor
+				}
+				const user = User.getUserById(userInfo.user);
+				if (!user) { continue; }
+				nonContributors.push({
+					user: user,
+					group: groupInfo.id,
+					groupName: groupInfo.name
+				});
+			}
+		}
+
+		for (let entry of nonContributors) {
+			contribsRes.push({
+				user: {
+					id: entry.user.id,
+					enabled: entry.user.enabled,
+					email: entry.user.email,
+					group_id: entry.group,
+					role: entry.groupName,
+					long_name: entry.user.getLongName() || null,
+					full_name_latin_sort: entry.user.getNameDetails().fullNameLatinSort || null
+				},
+				contrib: null,
+				excused: excusedUsers.has(entry.user.id) ? { reason: excusedUsers.get(entry.user.id) } : null
+			});
+		}
+	} else {
+		const users = await getAllowedContributors();
+		const promises = users.map(async user => {
+			const groups = await getUserCirkuleroContributionGroups(user);
+
+			for (let group of groups) {
+				if (contributorList[group.group.id] && contributorList[group.group.id].indexOf(user.id) > -1) {
+					continue; // The user contributed and shouldn't be included as a non-contributor
+				}
+
+				contribsRes.push({
+					user: {
+						id: user.id,
+						enabled: user.enabled,
+						email: user.email,
+						group_id: group.group.id,
+						role: group.user.name,
+						long_name: user.getLongName() || null,
+						full_name_latin_sort: user.getNameDetails().fullNameLatinSort || null
+					},
+					contrib: null,
+					excused: excusedUsers.has(user.id) ? { reason: excusedUsers.get(user.id) } : null
+				});
+			}
+		});
+		await Promise.all(promises);
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('select name, role, user_role_comment, faris, faras, faros, comment from cirkuleroj_contributions_external where cirkulero_id = ? order by id');
+	for (let contrib of stmt.all(id)) {
+		contribsRes.push({
+			user: {
+				id: null,
+				enabled: false,
+				email: null,
+				group_id: null,
+				role: contrib.role,
+				long_name: contrib.name,
+				full_name_latin_sort: contrib.name
+			},
+			contrib: {
+				role_comment: contrib.user_role_comment,
+				faris: JSON.parse(contrib.faris),
+				faras: JSON.parse(contrib.faras),
+				faros: JSON.parse(contrib.faros),
+				sections: [],
+				comment: contrib.comment,
+				modified_by_admin: false,
+				entered_by: null
+			},
+			excused: null
+		});
+	}
+
+	return contribsRes;
+}
+
+/**
+ * Obtains the groups related to a cirkulero as they were at the time of its publication
+ * @param  {number} id The id of the cirkulero
+ * @return {Object|null} A map of `{ purpose string: groups Object[] (id number, name string, children number[]) }` or
+ *                       null if the cirkulero hasn't been published
+ */
+export async function getPublishedGroups (id) {
+	const stmt = CR.db.cirkuleroj.prepare('select groups_contribute, groups_appear, groups_statistics from cirkuleroj_published where cirkulero_id = ?');
+	const row = stmt.get(id);
+	if (!row) { return null; }
+
+	const rawGroups = {
+		contribute: row.groups_contribute.split(',').map(x => parseInt(x, 10)),
+		appear: row.groups_appear.split(',').map(x => parseInt(x, 10)),
+		statistics: row.groups_statistics.split(',').map(x => parseInt(x, 10))
+	};
+
+	const groups = {};
+	for (let purpose in rawGroups) {
+		groups[purpose] = await Promise.all(rawGroups[purpose].map(async id => {
+			const group = await Group.getGroupById(id);
+			return {
+				id: id,
+				name: group.nameBase,
+				children: (await group.getAllChildGroups()).map(x => x.id)
+			};
+		}));
+	}
+
+	return groups;
+}
+
+/**
+ * Compiles a published cirkulero into the structure shown on its page, for use in server side renders such as the PDF
+ * and the announcement email
+ * @param  {number} id The id of the cirkulero
+ * @return {Object|null} Null if the cirkulero doesn't exist or hasn't been published, otherwise:
+ *   cirkulero       (Object)   The cirkulero row (id, name, deadline, note)
+ *   contribsTotal   (number)   The amount of contributions
+ *   contribsAllowed (number)   The amount of potential contributions
+ *   statistics      (Object[]) Per statistics group:
+ *     name             (string)
+ *     total            (number)   The amount of potential contributions in the group
+ *     contributors     (string[]) The titles of the contributors
+ *     nonContributors  (string[]) The titles of the non-contributors that haven't been excused
+ *     excused          (string[]) The titles of the non-contributors that declined to contribute
+ *   groups          (Object[]) The contributions per appear group:
+ *     name     (string)
+ *     contribs (Object[])
+ *       title             (string)
+ *       modified_by_admin (boolean)
+ *       entered_by        (Object|null) See routers/api/cirkuleroj#get_contributions
+ *       role_comment      (string|null)
+ *       faris             (string[])
+ *       faras             (string[])
+ *       faros             (string[])
+ *       sections          (Object[])    See getContributionSections
+ *       comment           (string|null)
+ */
+export async function getCompiledCirkulero (id) {
+	const stmt = CR.db.cirkuleroj.prepare('select id, name, deadline, note from cirkuleroj where id = ? and published = 1');
+	const cirkulero = stmt.get(id);
+	if (!cirkulero) { return null; }
+
+	const contribs = await getPotentialContributions(id, true);
+	const groups = await getPublishedGroups(id);
+	const actualContribs = contribs.filter(contrib => contrib.contrib !== null);
+
+	return {
+		cirkulero: cirkulero,
+		contribsTotal: actualContribs.length,
+		contribsAllowed: contribs.length,
+		statistics: groupPotentialContributions(contribs, groups.statistics).map(group => {
+			return {
+				name: group.name,
+				total: group.contribs.length,
+				contributors: group.contribs.filter(contrib => contrib.contrib !== null).map(getContribTitle),
+				nonContributors: group.contribs.filter(contrib => contrib.contrib === null && !contrib.excused).map(getContribTitle),
+				excused: group.contribs.filter(contrib => contrib.excused).map(getContribTitle)
+			};
+		}),
+		groups: groupPotentialContributions(actualContribs, groups.appear).map(group => {
+			return {
+				name: group.name,
+				contribs: group.contribs.map(contrib => {
+					return Object.assign({ title: getContribTitle(contrib) }, contrib.contrib);
+				})
+			};
+		})
+	};
+}
+
+/**
+ * Returns the title of a potential contribution as shown on the cirkulero page
+ * @param  {Object} contrib An entry from getPotentialContributions
+ * @return {string}
+ */
+function getContribTitle (contrib) {
+	return (contrib.user.long_name || contrib.user.email) + ' – ' + contrib.user.role;
+}
+
+/**
+ * Aggregates the participation in published cirkuleroj
+ * @param  {Object} [options]
+ * @param  {number} [options.from] The unix time of the earliest deadline of the cirkuleroj to include
+ * @param  {number} [options.to]   The unix time of the latest deadline of the cirkuleroj to include
+ * @return {Object}
+ *   cirkuleroj (Object[]) Per cirkulero from oldest to newest:
+ *     id            (number)
+ *     name          (string)
+ *     deadline      (number)
+ *     allowed       (number) The amount of potential contributions
+ *     contributions (number) The amount of contributions
+ *     excused       (number) The amount of potential contributions of users that declined to contribute
+ *   groups     (Object[]) Per statistics group as configured at the time of each cirkulero's publication:
+ *     id            (number|null) The id of the group or null for the remainder group ‘Aliaj’
+ *     name          (string)
+ *     allowed       (number)      The amount of potential contributions in all cirkuleroj
+ *     contributions (number)      The amount of contributions in all cirkuleroj
+ *     excused       (number)      The amount of excused potential contributions in all cirkuleroj
+ *     cirkuleroj    (Object[])    Per cirkulero the group appeared in: `{ id, allowed, contributions, excused }`
+ *   users      (Object[]) Per user that was allowed to contribute to at least one of the cirkuleroj:
+ *     user           (Object)
+ *       id        (number)
+ *       email     (string)
+ *       long_name (string|null)
+ *     allowed        (number) The amount of cirkuleroj the user was allowed to contribute to
+ *     contributions  (number) The amount of cirkuleroj the user contributed to in at least one role
+ *     excused        (number) The amount of cirkuleroj the user declined to contribute to without contributing
+ *     longest_streak (Object|null) The longest sequence of cirkuleroj the user was allowed to contribute to without
+ *                                  contributing, null if the user contributed to all of them. Cirkuleroj the user was
+ *                                  excused from neither break nor extend a streak
+ *       length (number)
+ *       from   (number) The id of the first cirkulero of the streak
+ *       to     (number) The id of the last cirkulero of the streak
+ *     current_streak (number) The amount of the most recent cirkuleroj the user didn't contribute to
+ */
+export async function getContributionStatistics ({ from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+	const stmt = CR.db.cirkuleroj.prepare('select id, name, deadline from cirkuleroj where published = 1 and deadline between ? and ? order by deadline, id');
+	const rows = stmt.all(from, to);
+
+	const cirkuleroj = [];
+	const groups = new Map();
+	const users = new Map();
+
+	for (let row of rows) {
+		const contribs = await getPotentialContributions(row.id, true);
+		const publishedGroups = await getPublishedGroups(row.id);
+
+		cirkuleroj.push({
+			id: row.id,
+			name: row.name,
+			deadline: row.deadline,
+			allowed: contribs.length,
+			contributions: contribs.filter(contrib => contrib.contrib !== null).length,
+			excused: contribs.filter(contrib => contrib.excused).length
+		});
+
+		for (let group of groupPotentialContributions(contribs, publishedGroups.statistics)) {
+			if (!groups.has(group.id)) {
+				groups.set(group.id, {
+					id: group.id,
+					name: group.name,
+					allowed: 0,
+					contributions: 0,
+					excused: 0,
+					cirkuleroj: []
+				});
+			}
+			const groupStats = groups.get(group.id);
+			const contributions = group.contribs.filter(contrib => contrib.contrib !== null).length;
+			const excused = group.contribs.filter(contrib => contrib.excused).length;
+			groupStats.name = group.name; // The newest name is preferred
+			groupStats.allowed += group.contribs.length;
+			groupStats.contributions += contributions;
+			groupStats.excused += excused;
+			groupStats.cirkuleroj.push({
+				id: row.id,
+				allowed: group.contribs.length,
+				contributions: contributions,
+				excused: excused
+			});
+		}
+
+		// A user counts as having contributed if they contributed in at least one of their roles
+		const contributed = new Map();
+		const excused = new Set();
+		for (let contrib of contribs) {
+			if (contrib.user.id === null) { continue; } // Contributors without an account
+			contributed.set(contrib.user.id, contributed.get(contrib.user.id) || contrib.contrib !== null);
+			if (contrib.excused) { excused.add(contrib.user.id); }
+
+			if (!users.has(contrib.user.id)) {
+				users.set(contrib.user.id, {
+					user: {
+						id: contrib.user.id,
+						email: contrib.user.email,
+						long_name: contrib.user.long_name
+					},
+					allowed: 0,
+					contributions: 0,
+					excused: 0,
+					longest_streak: null,
+					current_streak: 0,
+					streakStart: null
+				});
+			}
+		}
+
+		for (let [ userId, didContribute ] of contributed) {
+			const userStats = users.get(userId);
+			userStats.allowed++;
+			if (didContribute) {
+				userStats.contributions++;
+				userStats.current_streak = 0;
+				continue;
+			}
+			if (excused.has(userId)) {
+				userStats.excused++;
+				continue;
+			}
+
+			if (!userStats.current_streak) { userStats.streakStart = row.id; }
+			userStats.current_streak++;
+			if (!userStats.longest_streak || userStats.current_streak > userStats.longest_streak.length) {
+				userStats.longest_streak = {
+					length: userStats.current_streak,
+					from: userStats.streakStart,
+					to: row.id
+				};
+			}
+		}
+	}
+
+	return {
+		cirkuleroj: cirkuleroj,
+		groups: [...groups.values()],
+		users: [...users.values()].map(userStats => {
+			delete userStats.streakStart;
+			return userStats;
+		})
+	};
+}
+
+/**
+ * Splits potential contributions by group the same way as the cirkulero page. Each contribution ends up in the first
+ * group matching its role or in the remainder group ‘Aliaj’
+ * @param  {Object[]} contribs Entries from getPotentialContributions
+ * @param  {Object[]} groups   Groups as obtained from getPublishedGroups
+ * @return {Object[]} An array of `{ id number|null, name string, contribs Object[] }` without empty groups. The id of the
+ *                    remainder group is null
+ */
+function groupPotentialContributions (contribs, groups) {
+	const remaining = contribs.slice();
+	const res = [];
+	for (let group of groups.concat([ null ])) {
+		const groupContribs = remaining.filter(contrib => {
+			return !group ||
+				group.id === contrib.user.group_id ||
+				group.children.indexOf(contrib.user.group_id) > -1;
+		});
+		if (!groupContribs.length) { continue; }
+		for (let contrib of groupContribs) {
+			remaining.splice(remaining.indexOf(contrib), 1);
+		}
+		res.push({
+			id: group ? group.id : null,
+			name: group ? group.name : 'Aliaj',
+			contribs: groupContribs
+		});
+	}
+	return res;
+}
+
+/**
+ * Obtains all of a user's contributions to published cirkuleroj grouped by the role they contributed as
+ * @param  {User} user
+ * @return {Object[]} The roles in the order of the user's first contribution as them:
+ *   group_id      (number)
+ *   name          (string)   The name of the role at the time of the user's latest contribution as it
+ *   contributions (Object[]) From oldest to newest:
+ *     cirkulero_id      (number)
+ *     cirkulero_name    (string)
+ *     deadline          (number)
+ *     user_role_comment (string|null)
+ *     faris             (string[])
+ *     faras             (string[])
+ *     faros             (string[])
+ *     sections          (Object[])    See getContributionSections
+ *     comment           (string|null)
+ */
+export async function getUserPublishedContributions (user) {
+	const stmt = CR.db.cirkuleroj.prepare('select cc.cirkulero_id, cc.group_id, cc.user_role_comment, cc.faris, cc.faras, cc.faros, cc.sections, cc.comment, c.name, c.deadline, cp.allowed_contributors from cirkuleroj_contributions cc inner join cirkuleroj c on c.id = cc.cirkulero_id left join cirkuleroj_published cp on cp.cirkulero_id = cc.cirkulero_id where cc.user_id = ? and c.published = 1 order by c.deadline, c.id');
+	const rows = stmt.all(user.id);
+
+	const roles = new Map();
+	const sections = new Map();
+	for (let row of rows) {
+		if (!sections.has(row.cirkulero_id)) { sections.set(row.cirkulero_id, getSections(row.cirkulero_id)); }
+		const name = await getPublishedRoleName(user, row.group_id, row.allowed_contributors);
+
+		if (!roles.has(row.group_id)) {
+			roles.set(row.group_id, {
+				group_id: row.group_id,
+				contributions: []
+			});
+		}
+		const role = roles.get(row.group_id);
+		role.name = name;
+		role.contributions.push({
+			cirkulero_id: row.cirkulero_id,
+			cirkulero_name: row.name,
+			deadline: row.deadline,
+			user_role_comment: row.user_role_comment,
+			faris: JSON.parse(row.faris),
+			faras: JSON.parse(row.faras),
+			faros: JSON.parse(row.faros),
+			sections: getContributionSections(sections.get(row.cirkulero_id), row.sections),
+			comment: row.comment
+		});
+	}
+
+	return [...roles.values()];
+}
+
+/**
+ * Obtains all contributions to published cirkuleroj credited to a group or any of its child groups, whoever the
+ * contributor was
+ * @param  {Group} group
+ * @return {Object[]} The contributions from oldest to newest:
+ *   cirkulero_id      (number)
+ *   cirkulero_name    (string)
+ *   deadline          (number)
+ *   user
+ *     id        (number)
+ *     enabled   (boolean)
+ *     email     (string)
+ *     long_name (string|null)
+ *   group_id          (number)
+ *   role              (string)      The name of the role at the time of publication
+ *   user_role_comment (string|null)
+ *   faris             (string[])
+ *   faras             (string[])
+ *   faros             (string[])
+ *   sections          (Object[])    See getContributionSections
+ *   comment           (string|null)
+ */
+export async function getGroupPublishedContributions (group) {
+	const groupIds = [ group.id ].concat((await group.getAllChildGroups()).map(x => x.id));
+
+	const params = '?,'.repeat(groupIds.length).slice(0, -1);
+	const stmt = CR.db.cirkuleroj.prepare(`select cc.cirkulero_id, cc.user_id, cc.group_id, cc.user_role_comment, cc.faris, cc.faras, cc.faros, cc.sections, cc.comment, c.name, c.deadline, cp.allowed_contributors from cirkuleroj_contributions cc inner join cirkuleroj c on c.id = cc.cirkulero_id left join cirkuleroj_published cp on cp.cirkulero_id = cc.cirkulero_id where cc.group_id in (${params}) and c.published = 1 order by c.deadline, c.id`);
+	const rows = stmt.all(...groupIds);
+
+	const contribs = [];
+	const sections = new Map();
+	for (let row of rows) {
+		const user = User.getUserById(row.user_id);
+		if (!user) { continue; }
+		if (!sections.has(row.cirkulero_id)) { sections.set(row.cirkulero_id, getSections(row.cirkulero_id)); }
+
+		contribs.push({
+			cirkulero_id: row.cirkulero_id,
+			cirkulero_name: row.name,
+			deadline: row.deadline,
+			user: {
+				id: user.id,
+				enabled: user.enabled,
+				email: user.email,
+				long_name: user.getLongName() || null
+			},
+			group_id: row.group_id,
+			role: await getPublishedRoleName(user, row.group_id, row.allowed_contributors),
+			user_role_comment: row.user_role_comment,
+			faris: JSON.parse(row.faris),
+			faras: JSON.parse(row.faras),
+			faros: JSON.parse(row.faros),
+			sections: getContributionSections(sections.get(row.cirkulero_id), row.sections),
+			comment: row.comment
+		});
+	}
+
+	return contribs;
+}
+
+/**
+ * Exports the contributions credited to a group as Markdown
+ * @param  {string}   groupName
+ * @param  {Object[]} contribs  The output of getGroupPublishedContributions
+ * @return {string}
+ */
+export function groupContributionsToMarkdown (groupName, contribs) {
+	let md = `# Kontribuoj al cirkuleroj de ${groupName}\n`;
+
+	let lastCirkulero = null;
+	for (let contrib of contribs) {
+		if (contrib.cirkulero_id !== lastCirkulero) {
+			md += `\n## Cirkulero n-ro ${contrib.cirkulero_id} de ${contrib.cirkulero_name}\n`;
+			lastCirkulero = contrib.cirkulero_id;
+		}
+
+		md += `\n### ${contrib.user.long_name || contrib.user.email} – ${contrib.role}\n`;
+		if (contrib.user_role_comment) {
+			md += `\n_${contrib.user_role_comment}_\n`;
+		}
+
+		for (let [ title, key ] of [ [ 'Faris', 'faris' ], [ 'Faras', 'faras' ], [ 'Faros', 'faros' ] ]) {
+			md += `\n**${title}:**\n\n`;
+			const fares = contrib[key].length ? contrib[key] : [ '-' ];
+			md += fares.map(faro => `- ${faro}\n`).join('');
+		}
+
+		for (let section of contrib.sections) {
+			md += `\n**${section.name}:**\n\n`;
+			md += section.items.map(item => `- ${item}\n`).join('');
+		}
+
+		if (contrib.comment) {
+			md += `\n**Komentoj:**\n\n${contrib.comment}\n`;
+		}
+	}
+
+	return md;
+}
+
+/**
+ * Exports the contributions credited to a group as CSV
+ * @param  {Object[]} contribs The output of getGroupPublishedContributions
+ * @return {string}
+ */
+export async function groupContributionsToCSV (contribs) {
+	const rows = [[
+		'cirkulero',
+		'monato',
+		'limdato',
+		'kontribuinto',
+		'rolo',
+		'komento pri rolo',
+		'faris',
+		'faras',
+		'faros',
+		'komentoj',
+		'aliaj sekcioj'
+	]];
+
+	for (let contrib of contribs) {
+		rows.push([
+			contrib.cirkulero_id,
+			contrib.cirkulero_name,
+			moment.unix(contrib.deadline).format('YYYY-MM-DD'),
+			contrib.user.long_name || contrib.user.email,
+			contrib.role,
+			contrib.user_role_comment || '',
+			contrib.faris.join('\n'),
+			contrib.faras.join('\n'),
+			contrib.faros.join('\n'),
+			contrib.comment || '',
+			contrib.sections.map(section => `${section.name}:\n${section.items.join('\n')}`).join('\n\n')
+		]);
+	}
+
+	return csvStringify(rows);
+}
+
+/**
+ * Determines the name of the role a user contributed to a published cirkulero as. The name at the time of publication
+ * is preferred, falling back to the user's current name in the group or the base name of the group
+ * @param  {User}        user
+ * @param  {number}      groupId
+ * @param  {string|null} allowedContributors The raw `allowed_contributors` column of `cirkuleroj_published`
+ * @return {string}
+ */
+export async function getPublishedRoleName (user, groupId, allowedContributors) {
+	if (allowedContributors) {
+		const userInfo = JSON.parse(allowedContributors).find(x => x.user === user.id);
+		const groupInfo = userInfo ? userInfo.groups.find(x => x.id === groupId) : null;
+		if (groupInfo) { return groupInfo.name; }
+	}
+
+	const userGroups = await user.getGroups();
+	if (userGroups.has(groupId)) {
+		return userGroups.get(groupId).user.name;
+	}
+
+	const group = await Group.getGroupById(groupId);
+	return group ? group.nameBase : '';
+}
+
+/**
+ * Obtains the sections of a cirkulero that contributors fill in besides the classic faris, faras and faros, such as
+ * ‘Financoj’ for the treasurer
+ * @param  {number|null} cirkuleroId The id of the cirkulero or null for the default sections copied to new cirkuleroj
+ * @return {Object[]} The sections in order:
+ *   id         (number)
+ *   name       (string)
+ *   help       (string|null) An explanation shown to contributors
+ *   group_id   (number|null) The group to whose contributions, including those on behalf of its child groups, the
+ *                            section is limited or null if it applies to all contributions
+ *   min_items  (number)      The minimum amount of points required to submit a contribution
+ *   max_items  (number|null) The maximum amount of points or null if unlimited
+ *   max_length (number)      The maximum length of each point in chars
+ */
+export function getSections (cirkuleroId) {
+	const stmt = CR.db.cirkuleroj.prepare('select id, name, help, group_id, min_items, max_items, max_length from cirkuleroj_sections where cirkulero_id is ? order by position');
+	return stmt.all(cirkuleroId);
+}
+
+/**
+ * Obtains the sections of a cirkulero that apply to contributions on behalf of a group
+ * @param  {number} cirkuleroId
+ * @param  {number} groupId
+ * @return {Object[]} See getSections
+ */
+export async function getGroupSections (cirkuleroId, groupId) {
+	const sections = [];
+	for (let section of getSections(cirkuleroId)) {
+		if (section.group_id !== null && section.group_id !== groupId) {
+			const group = await Group.getGroupById(section.group_id);
+			if (!group) { continue; }
+			const children = await group.getAllChildGroups();
+			if (!children.some(x => x.id === groupId)) { continue; }
+		}
+		sections.push(section);
+	}
+	return sections;
+}
+
+/**
+ * Replaces the sections of a cirkulero. Points contributed to sections that are kept remain, those contributed to
+ * removed sections are no longer shown
+ * @param {number|null} cirkuleroId See getSections
+ * @param {Object[]}    sections    In order, with the properties of getSections. Existing sections are identified by
+ *                                  their id, new ones have the id null
+ */
+export function setSections (cirkuleroId, sections) {
+	const existing = getSections(cirkuleroId).map(x => x.id);
+	const kept = sections.map(x => x.id).filter(id => id !== null);
+
+	const insertStmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_sections (cirkulero_id, position, name, help, group_id, min_items, max_items, max_length) values (@cirkulero_id, @position, @name, @help, @group_id, @min_items, @max_items, @max_length)');
+	const updateStmt = CR.db.cirkuleroj.prepare('update cirkuleroj_sections set position = @position, name = @name, help = @help, group_id = @group_id, min_items = @min_items, max_items = @max_items, max_length = @max_length where id = @id');
+	const deleteStmt = CR.db.cirkuleroj.prepare('delete from cirkuleroj_sections where id = ?');
+
+	CR.db.cirkuleroj.transaction(() => {
+		for (let id of existing) {
+			if (kept.indexOf(id) === -1) { deleteStmt.run(id); }
+		}
+
+		sections.forEach((section, i) => {
+			const row = {
+				id: section.id,
+				cirkulero_id: cirkuleroId,
+				position: i,
+				name: section.name,
+				help: section.help,
+				group_id: section.group_id,
+				min_items: section.min_items,
+				max_items: section.max_items,
+				max_length: section.max_length
+			};
+			if (existing.indexOf(section.id) > -1) {
+				updateStmt.run(row);
+			} else {
+				insertStmt.run(row);
+			}
+		});
+	})();
+}
+
+/**
+ * Validates and sanitizes the points contributed to the sections of a cirkulero
+ * @param  {Object[]} sections The sections that apply to the contribution, see getGroupSections
+ * @param  {*}        values   The points as provided by the user, a map of `{ section id: string[] }`
+ * @param  {boolean}  complete Whether the contribution is being submitted, in which case the minimum amount of points
+ *                             of each section is required
+ * @return {Object|null} The sanitized map without empty sections or null if the values are invalid
+ */
+export function sanitizeSectionValues (sections, values, complete) {
+	if (typeof values !== 'object' || values === null || values instanceof Array) { return null; }
+
+	const res = {};
+	for (let id in values) {
+		const section = sections.find(x => x.id.toString() === id);
+		if (!section || !(values[id] instanceof Array)) { return null; }
+
+		const items = [];
+		for (let item of values[id]) {
+			if (typeof item !== 'string' || item.length > section.max_length) { return null; }
+			item = sanitizeMarkdown(removeUnsafeCharsOneLine(item));
+			if (item.length) { items.push(item); }
+		}
+		if (section.max_items !== null && items.length > section.max_items) { return null; }
+		if (items.length) { res[section.id] = items; }
+	}
+
+	if (complete) {
+		for (let section of sections) {
+			const amount = res[section.id] ? res[section.id].length : 0;
+			if (amount < section.min_items) { return null; }
+		}
+	}
+
+	return res;
+}
+
+/**
+ * Pairs the points of a contribution with the names of the sections they were contributed to
+ * @param  {Object[]} sections The sections of the cirkulero, see getSections
+ * @param  {string}   raw      The `sections` column of the contribution
+ * @return {Object[]} For each section with points, in order: `{ id number, name string, items string[] }`
+ */
+export function getContributionSections (sections, raw) {
+	const values = JSON.parse(raw);
+	return sections
+		.filter(section => section.id in values)
+		.map(section => {
+			return {
+				id: section.id,
+				name: section.name,
+				items: values[section.id]
+			};
+		});
+}
+
+/**
+ * Validates and sanitizes a contribution to a cirkulero or a draft of one as provided by the user through the API, see
+ * /cirkuleroj/contribute for the fields and their limits
+ * @param  {Object}  data             The request body
+ * @param  {User}    contributor      The user contributing
+ * @param  {boolean} requireMinimums  Whether the minimum amount of points of each section is required, see
+ *                                    sanitizeSectionValues
+ * @return {Object}
+ *   error        (Array|null)  The arguments for res#sendAPIError if the contribution is invalid, in which case the other
+ *                              fields are empty
+ *   contribution (Object|null) The sanitized fields `cirkulero_id`, `group_id`, `user_role_comment`, `faris`, `faras`,
+ *                              `faros`, `sections` and `comment`, see submitContribution
+ */
+export async function validateContribution (data, contributor, requireMinimums) {
+	const invalid = argument => {
+		return { error: [ 'INVALID_ARGUMENT', [argument] ], contribution: null };
+	};
+
+	for (let field of [ 'cirkulero_id', 'group_id' ]) {
+		if (!Number.isSafeInteger(data[field])) { return invalid(field); }
+	}
+
+	let userRoleComment = null;
+	if ('user_role_comment' in data) {
+		if (typeof data.user_role_comment !== 'string') { return invalid('user_role_comment'); }
+		userRoleComment = removeUnsafeCharsOneLine(data.user_role_comment);
+		if (userRoleComment.length > 1000) { return invalid('user_role_comment'); }
+		if (userRoleComment.length === 0) { userRoleComment = null; }
+	}
+
+	const faroj = {};
+	for (let key of [ 'faris', 'faras', 'faros' ]) {
+		if (!(data[key] instanceof Array)) { return invalid(key); }
+		faroj[key] = [];
+		for (let faro of data[key]) {
+			if (typeof faro !== 'string' || faro.length > 2000) { return invalid(key); }
+			faroj[key].push(sanitizeMarkdown(removeUnsafeCharsOneLine(faro)));
+		}
+	}
+
+	let comment = null;
+	if ('comment' in data) {
+		if (typeof data.comment !== 'string') { return invalid('comment'); }
+		comment = sanitizeMarkdown(removeUnsafeChars(data.comment));
+		if (comment.length > 1000) { return invalid('comment'); }
+		if (comment.length === 0) { comment = null; }
+	}
+
+	// Ensure that the cirkulero exists
+	const stmt = CR.db.cirkuleroj.prepare('select open from cirkuleroj where id = ?');
+	const row = stmt.get(data.cirkulero_id);
+	if (!row || !row.open) {
+		return { error: [ 'INVALID_CIRKULERO' ], contribution: null };
+	}
+
+	// Ensure that the group exists and that the contributor is in it
+	const groups = await getUserCirkuleroContributionGroups(contributor);
+	if (!groups.some(x => x.group.id === data.group_id)) { return invalid('group_id'); }
+
+	// Ensure that the points of the other sections are within their limits
+	const groupSections = await getGroupSections(data.cirkulero_id, data.group_id);
+	const sections = sanitizeSectionValues(groupSections, 'sections' in data ? data.sections : {}, requireMinimums);
+	if (!sections) { return invalid('sections'); }
+
+	return {
+		error: null,
+		contribution: {
+			cirkulero_id: data.cirkulero_id,
+			group_id: data.group_id,
+			user_role_comment: userRoleComment,
+			faris: faroj.faris,
+			faras: faroj.faras,
+			faros: faroj.faros,
+			sections: sections,
+			comment: comment
+		}
+	};
+}
+
+/**
+ * Inserts a new contribution or replaces an existing, keeping the search index up to date and removing any draft of it
+ * @param {Object}      contrib
+ * @param {number}      contrib.cirkulero_id
+ * @param {number}      contrib.user_id
+ * @param {number}      contrib.group_id
+ * @param {string|null} contrib.user_role_comment
+ * @param {string[]}    contrib.faris
+ * @param {string[]}    contrib.faras
+ * @param {string[]}    contrib.faros
+ * @param {Object}      contrib.sections The points contributed to the cirkulero's other sections, see
+ *                                       sanitizeSectionValues
+ * @param {string|null} contrib.comment
+ * @param {number|null} [contrib.entered_by] The id of the user that submitted the contribution on behalf of the
+ *                                           contributor, see mayUserSubstituteContributors
+ */
+export function submitContribution (contrib) {
+	let stmt = CR.db.cirkuleroj.prepare('insert or replace into cirkuleroj_contributions (cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment, entered_by) values (@cirkulero_id, @user_id, @group_id, @user_role_comment, @faris, @faras, @faros, @sections, @comment, @entered_by)');
+	stmt.run({
+		cirkulero_id: contrib.cirkulero_id,
+		user_id: contrib.user_id,
+		group_id: contrib.group_id,
+		user_role_comment: contrib.user_role_comment,
+		faris: JSON.stringify(contrib.faris),
+		faras: JSON.stringify(contrib.faras),
+		faros: JSON.stringify(contrib.faros),
+		sections: JSON.stringify(contrib.sections),
+		comment: contrib.comment,
+		entered_by: contrib.entered_by || null
+	});
+	updateContributionSearchIndex(contrib.cirkulero_id, contrib.user_id, contrib.group_id);
+
+	// The contribution has been submitted, so the draft is no longer needed
+	stmt = CR.db.cirkuleroj.prepare('delete from cirkuleroj_contributions_drafts where cirkulero_id = ? and user_id = ? and group_id = ?');
+	stmt.run(contrib.cirkulero_id, contrib.user_id, contrib.group_id);
+}
+
+/**
+ * Replaces the contents of an existing contribution with a revision by an admin. The previous contents are kept in the
+ * contribution's history, see getContributionHistory
+ * @param  {Object}      contrib See submitContribution
+ * @param  {User}        admin   The user that made the revision
+ * @return {boolean} Whether the contribution existed and its contents were changed
+ */
+export function reviseContribution (contrib, admin) {
+	let stmt = CR.db.cirkuleroj.prepare('select user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ? and group_id = ?');
+	const current = stmt.get(contrib.cirkulero_id, contrib.user_id, contrib.group_id);
+	if (!current) { return false; }
+
+	const row = {
+		cirkulero_id: contrib.cirkulero_id,
+		user_id: contrib.user_id,
+		group_id: contrib.group_id,
+		user_role_comment: contrib.user_role_comment,
+		faris: JSON.stringify(contrib.faris),
+		faras: JSON.stringify(contrib.faras),
+		faros: JSON.stringify(contrib.faros),
+		sections: JSON.stringify(contrib.sections),
+		comment: contrib.comment
+	};
+	const keys = [ 'user_role_comment', 'faris', 'faras', 'faros', 'sections', 'comment' ];
+	if (keys.every(key => current[key] === row[key])) { return false; }
+
+	const insertHistoryStmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_contributions_history (cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment, time, modified_by) values (@cirkulero_id, @user_id, @group_id, @user_role_comment, @faris, @faras, @faros, @sections, @comment, @time, @modified_by)');
+
+	CR.db.cirkuleroj.transaction(() => {
+		// The first revision also stores the contribution as originally submitted. Its time is unknown
+		stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_contributions_history where cirkulero_id = ? and user_id = ? and group_id = ?');
+		if (!stmt.get(contrib.cirkulero_id, contrib.user_id, contrib.group_id)) {
+			insertHistoryStmt.run(Object.assign({}, row, current, { time: null, modified_by: null }));
+		}
+
+		insertHistoryStmt.run(Object.assign({}, row, { time: moment().unix(), modified_by: admin.id }));
+
+		stmt = CR.db.cirkuleroj.prepare('update cirkuleroj_contributions set modified_by_admin = 1, faris = @faris, faras = @faras, faros = @faros, sections = @sections, comment = @comment, user_role_comment = @user_role_comment where cirkulero_id = @cirkulero_id and user_id = @user_id and group_id = @group_id');
+		stmt.run(row);
+	})();
+	updateContributionSearchIndex(contrib.cirkulero_id, contrib.user_id, contrib.group_id);
+
+	return true;
+}
+
+/**
+ * Obtains all versions of a contribution that was revised by an admin, see reviseContribution
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @param  {number} groupId
+ * @return {Object[]} The versions from oldest to newest, starting with the contribution as originally submitted. Empty if
+ *                    the contribution has never been revised
+ *   id                (number)
+ *   time              (number|null) The time of the version or null if unknown
+ *   modified_by       (Object|null) The admin that made the revision or null for the original contribution
+ *     id        (number)
+ *     long_name (string|null) The admin's long name or null if the admin has been deleted
+ *   user_role_comment (string|null)
+ *   faris             (string[])
+ *   faras             (string[])
+ *   faros             (string[])
+ *   sections          (Object[])    See getContributionSections
+ *   comment           (string|null)
+ */
+export function getContributionHistory (cirkuleroId, userId, groupId) {
+	const sections = getSections(cirkuleroId);
+	const stmt = CR.db.cirkuleroj.prepare('select id, time, modified_by, user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions_history where cirkulero_id = ? and user_id = ? and group_id = ? order by id');
+	return stmt.all(cirkuleroId, userId, groupId).map(row => {
+		let modifiedBy = null;
+		if (row.modified_by !== null) {
+			const admin = User.getUserById(row.modified_by);
+			modifiedBy = {
+				id: row.modified_by,
+				long_name: admin ? admin.getLongName() : null
+			};
+		}
+
+		return {
+			id: row.id,
+			time: row.time,
+			modified_by: modifiedBy,
+			user_role_comment: row.user_role_comment,
+			faris: JSON.parse(row.faris),
+			faras: JSON.parse(row.faras),
+			faros: JSON.parse(row.faros),
+			sections: getContributionSections(sections, row.sections),
+			comment: row.comment
+		};
+	});
+}
+
+/**
+ * Obtains the comments left by readers on the contributions to a published cirkulero. Removed comments are only
+ * included as placeholders for their remaining replies
+ * @param  {number} cirkuleroId
+ * @return {Object[]} The comments from oldest to newest:
+ *   id        (number)
+ *   user_id   (number)      The id of the contributor whose contribution was commented on
+ *   group_id  (number)      The group id of the contribution that was commented on
+ *   parent_id (number|null) The id of the comment this is a reply to or null if it's not a reply
+ *   author    (Object|null) The author of the comment or null if the comment has been removed
+ *     id        (number)
+ *     long_name (string|null) Null if the user no longer exists
+ *   text      (string|null) The comment in markdown or null if the comment has been removed
+ *   time      (number)
+ */
+export function getComments (cirkuleroId) {
+	const stmt = CR.db.cirkuleroj.prepare('select id, user_id, group_id, parent_id, author_id, text, time, deleted_by from cirkuleroj_comments where cirkulero_id = ? order by id');
+	const rows = stmt.all(cirkuleroId);
+
+	// Replies always have higher ids than their parents, so walking backwards marks the parents of all visible comments
+	const visible = new Set();
+	for (let i = rows.length - 1; i >= 0; i--) {
+		const row = rows[i];
+		if (row.deleted_by !== null && !visible.has(row.id)) { continue; }
+		visible.add(row.id);
+		if (row.parent_id !== null) { visible.add(row.parent_id); }
+	}
+
+	return rows
+		.filter(row => visible.has(row.id))
+		.map(row => {
+			let author = null;
+			if (row.deleted_by === null) {
+				const user = User.getUserById(row.author_id);
+				author = {
+					id: row.author_id,
+					long_name: user ? user.getLongName() : null
+				};
+			}
+
+			return {
+				id: row.id,
+				user_id: row.user_id,
+				group_id: row.group_id,
+				parent_id: row.parent_id,
+				author: author,
+				text: row.deleted_by === null ? row.text : null,
+				time: row.time
+			};
+		});
+}
+
+/**
+ * Updates the full-text search index of a single contribution. Must be called whenever a contribution is inserted,
+ * modified or removed
+ * @param {number} cirkuleroId
+ * @param {number} userId
+ * @param {number} groupId
+ */
+export function updateContributionSearchIndex (cirkuleroId, userId, groupId) {
+	let stmt = CR.db.cirkuleroj.prepare('delete from cirkuleroj_contributions_search where cirkulero_id = ? and user_id = ? and group_id = ?');
+	stmt.run(cirkuleroId, userId, groupId);
+
+	stmt = CR.db.cirkuleroj.prepare('select cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ? and group_id = ?');
+	const row = stmt.get(cirkuleroId, userId, groupId);
+	if (row) { insertContributionSearchRow(row); }
+}
+
+/**
+ * Updates the full-text search index of a single contribution by a contributor without an account, see
+ * api/cirkulero_import. In the index these contributions have the user id null and their own id as the group id
+ * @param {number} id The id of the row in `cirkuleroj_contributions_external`
+ */
+export function updateExternalContributionSearchIndex (id) {
+	let stmt = CR.db.cirkuleroj.prepare('delete from cirkuleroj_contributions_search where user_id is null and group_id = ?');
+	stmt.run(id);
+
+	stmt = CR.db.cirkuleroj.prepare('select cirkulero_id, null as user_id, id as group_id, user_role_comment, faris, faras, faros, "{}" as sections, comment from cirkuleroj_contributions_external where id = ?');
+	const row = stmt.get(id);
+	if (row) { insertContributionSearchRow(row); }
+}
+
+/**
+ * Rebuilds the full-text search index of all contributions from scratch
+ * @return {number} The amount of indexed contributions
+ */
+export function rebuildContributionSearchIndex () {
+	const rows = CR.db.cirkuleroj.prepare('select cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions union all select cirkulero_id, null, id, user_role_comment, faris, faras, faros, "{}", comment from cirkuleroj_contributions_external').all();
+
+	CR.db.cirkuleroj.transaction(() => {
+		CR.db.cirkuleroj.prepare('delete from cirkuleroj_contributions_search').run();
+		for (let row of rows) { insertContributionSearchRow(row); }
+	})();
+
+	return rows.length;
+}
+
+/**
+ * Builds the full-text search index of all contributions if it's empty while there are contributions, e.g. in a data
+ * directory created before the index existed
+ * @return {number} The amount of indexed contributions, 0 if the index didn't need to be built
+ */
+export function ensureContributionSearchIndex () {
+	let stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_contributions_search limit 1');
+	if (stmt.get()) { return 0; }
+
+	stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_contributions union all select 1 from cirkuleroj_contributions_external limit 1');
+	if (!stmt.get()) { return 0; }
+
+	return rebuildContributionSearchIndex();
+}
+
+/**
+ * Inserts a contribution into the full-text search index
+ * @param {Object} row The contribution row
+ */
+function insertContributionSearchRow (row) {
+	const stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_contributions_search (cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment) values (@cirkulero_id, @user_id, @group_id, @user_role_comment, @faris, @faras, @faros, @sections, @comment)');
+	stmt.run({
+		cirkulero_id: row.cirkulero_id,
+		user_id: row.user_id,
+		group_id: row.group_id,
+		user_role_comment: row.user_role_comment,
+		faris: JSON.parse(row.faris).join('\n'),
+		faras: JSON.parse(row.faras).join('\n'),
+		faros: JSON.parse(row.faros).join('\n'),
+		sections: [].concat(...Object.values(JSON.parse(row.sections))).join('\n'),
+		comment: row.comment
+	});
+}
+
+/**
+ * Converts a search string input by a user into an FTS5 query that can't contain syntax errors. Each word is treated
+ * as a required prefix, text in double quotes as a required phrase
+ * @param  {string} str
+ * @return {string|null} The query or null if it contains no terms
+ */
+export function parseContributionSearchQuery (str) {
+	const terms = [];
+	const regex = /"([^"]*)"|(\S+)/g;
+	let match;
+	while ((match = regex.exec(str)) !== null) {
+		if (match[1] !== undefined) {
+			const phrase = match[1].trim();
+			if (phrase) { terms.push('"' + phrase + '"'); }
+		} else {
+			const word = match[2].replace(/"/g, '');
+			if (word) { terms.push('"' + word + '"*'); }
+		}
+	}
+
+	if (!terms.length) { return null; }
+	return terms.join(' ');
+}
+
+/**
+ * Gets all the user's who haven't contributed to a cirkulero. Users with only a draft of their contribution (see
+ * routers/api/cirkuleroj#save_draft) haven't contributed yet
  * @param  {number} id The id of the cirkulero
  * @return {Object} A map of {id (number): user (User)}
  */
@@ -152,6 +1372,133 @@ export async function getAllNonContributors (id) {
 	return users;
 }
 
+/**
+ * Obtains the token identifying replies to direct reminders from a user about a cirkulero, creating it if necessary.
+ * See api/cirkulero_reply
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @return {string}
+ */
+export async function getReplyToken (cirkuleroId, userId) {
+	let stmt = CR.db.cirkuleroj.prepare('select token from cirkuleroj_reply_tokens where cirkulero_id = ? and user_id = ?');
+	const row = stmt.get(cirkuleroId, userId);
+	if (row) { return row.token; }
+
+	const token = (await crypto.randomBytes(CR.conf.cirkuleroReplyTokenSize)).toString('hex');
+	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_reply_tokens (token, cirkulero_id, user_id) values (?, ?, ?)');
+	stmt.run(token, cirkuleroId, userId);
+	return token;
+}
+
+/**
+ * Obtains whether a user has declined to contribute to a cirkulero or snoozed its reminders
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @return {Object}
+ *   declined     (boolean)     Whether the user won't contribute
+ *   reason       (string|null) The reason the user gave for not contributing
+ *   snooze_until (number|null) The unix time until which the user doesn't want to receive reminders
+ */
+export function getOptOut (cirkuleroId, userId) {
+	const stmt = CR.db.cirkuleroj.prepare('select declined, reason, snooze_until from cirkuleroj_optouts where cirkulero_id = ? and user_id = ?');
+	const row = stmt.get(cirkuleroId, userId);
+	if (!row) {
+		return {
+			declined: false,
+			reason: null,
+			snooze_until: null
+		};
+	}
+
+	row.declined = !!row.declined;
+	return row;
+}
+
+/**
+ * Sets whether a user has declined to contribute to a cirkulero or snoozed its reminders, see getOptOut
+ * @param {number} cirkuleroId
+ * @param {number} userId
+ * @param {Object} optOut
+ * @param {boolean}     optOut.declined
+ * @param {string|null} optOut.reason
+ * @param {number|null} optOut.snooze_until
+ */
+export function setOptOut (cirkuleroId, userId, optOut) {
+	if (!optOut.declined && !optOut.snooze_until) {
+		const stmt = CR.db.cirkuleroj.prepare('delete from cirkuleroj_optouts where cirkulero_id = ? and user_id = ?');
+		stmt.run(cirkuleroId, userId);
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('insert or replace into cirkuleroj_optouts (cirkulero_id, user_id, declined, reason, snooze_until, time) values (@cirkulero_id, @user_id, @declined, @reason, @snooze_until, @time)');
+	stmt.run({
+		cirkulero_id: cirkuleroId,
+		user_id: userId,
+		declined: +optOut.declined,
+		reason: optOut.declined ? optOut.reason : null,
+		snooze_until: optOut.snooze_until,
+		time: moment().unix()
+	});
+}
+
+/**
+ * Obtains the users that have declined to contribute to a cirkulero
+ * @param  {number} cirkuleroId
+ * @return {Map} A map of `user id (number): reason (string|null)`
+ */
+export function getExcusedUsers (cirkuleroId) {
+	const stmt = CR.db.cirkuleroj.prepare('select user_id, reason from cirkuleroj_optouts where cirkulero_id = ? and declined = 1');
+	return new Map(stmt.all(cirkuleroId).map(row => [ row.user_id, row.reason ]));
+}
+
+/**
+ * Obtains the users that shouldn't receive reminders about a cirkulero right now, as they've declined to contribute to
+ * it or snoozed its reminders
+ * @param  {number} cirkuleroId
+ * @return {number[]} The ids of the users
+ */
+export function getOptedOutUserIds (cirkuleroId) {
+	const stmt = CR.db.cirkuleroj.prepare('select user_id from cirkuleroj_optouts where cirkulero_id = ? and (declined = 1 or snooze_until > ?)');
+	return stmt.all(cirkuleroId, moment().unix()).map(row => row.user_id);
+}
+
+/**
+ * Creates the signature allowing a user to decline to contribute to a cirkulero or snooze its reminders without logging
+ * in, see getOptOutURL
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @return {string}
+ */
+export function getOptOutSignature (cirkuleroId, userId) {
+	return crypto.createHmac('sha256', CR.conf.sessionSecret)
+		.update(`cirkulero-optout:${cirkuleroId}:${userId}`)
+		.digest('hex');
+}
+
+/**
+ * Verifies a signature created by getOptOutSignature
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @param  {string} signature
+ * @return {boolean}
+ */
+export function verifyOptOutSignature (cirkuleroId, userId, signature) {
+	const expected = Buffer.from(getOptOutSignature(cirkuleroId, userId));
+	const actual = Buffer.from(signature);
+	return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Obtains the link with which a user can decline to contribute to a cirkulero or snooze its reminders without logging in
+ * @param  {number} cirkuleroId
+ * @param  {number} userId
+ * @return {string}
+ */
+export function getOptOutURL (cirkuleroId, userId) {
+	const signature = getOptOutSignature(cirkuleroId, userId);
+	return url.resolve(CR.conf.addressPrefix, `cirkuleroj/${cirkuleroId}/malpartopreni?uzanto=${userId}&subskribo=${signature}`);
+}
+
 /**
  * Checks all cirkuleroj to see if a reminder should be sent out.
  * This function is automatically called by the event loop.
@@ -225,6 +1572,10 @@ export async function checkReminders () {
 
 		const users = await getAllNonContributors(cirk.id);
 
+		for (let userId of getOptedOutUserIds(cirk.id)) {
+			delete users[userId];
+		}
+
 		for (let reminder of directReminders) {
 			// Ensure we haven't already sent the reminder
 			if (sentDirectReminders.has(reminder.id)) { continue; }
@@ -265,14 +1616,32 @@ export async function checkReminders () {
 				const paragraphs = htmlMessage.split(/(?:\r?\n){2}/g)
 					.map(par => par.split(/\r?\n/g).join('<br>'));
 
-				mailPromises.push(CRMail.renderSendMail('cirkulero_reminder_direct', {
+				const view = {
 					preheader: `Vi ankoraŭ ne kontribuis al cirkulero ${cirk.id}.`,
 					text: userMessage,
-					paragraphs: paragraphs
-				}, {
+					paragraphs: paragraphs,
+					reply: null,
+					optout_link: getOptOutURL(cirk.id, user.id)
+				};
+				const sendOptions = {
 					subject: `Cirkulero ${cirk.id} – Vi ankoraŭ ne kontribuis`,
 					to: user.email
-				}));
+				};
+
+				// Allow contributing by replying to the reminder
+				if (CR.conf.cirkuleroReplyAddress) {
+					const token = await getReplyToken(cirk.id, user.id);
+					sendOptions.replyTo = CR.conf.cirkuleroReplyAddress.replace(/{{token}}/g, token);
+					// In case the address doesn't contain the token or it gets lost on the way
+					sendOptions.subject += ` [kontribuo:${token}]`;
+
+					const roles = (await getUserCirkuleroContributionGroups(user)).map(x => x.user.name);
+					view.reply = {
+						roles: roles.length > 1 ? roles : null
+					};
+				}
+
+				mailPromises.push(CRMail.renderSendMail('cirkulero_reminder_direct', view, sendOptions));
 			}
 		}
 	}
@@ -320,3 +1689,206 @@ export async function checkDeadlines () {
 
 	await Promise.all(mailPromises);
 }
+
+/**
+ * Creates a new cirkulero
+ * @param {Object}      options
+ * @param {number}      options.id        The id of the cirkulero, must not be taken
+ * @param {string}      options.name      The name of the cirkulero, stored as is
+ * @param {number}      options.deadline  The unix time of the deadline
+ * @param {boolean}     options.open      Whether the cirkulero is open for contributions right away
+ * @param {string|null} options.note      The note for use in cirkulero reminders
+ * @param {boolean}     options.reminders Whether to send automatic reminders for this cirkulero. Reminders that are due
+ *                                        already are skipped
+ */
+export function createCirkulero ({
+	id,
+	name,
+	deadline,
+	open,
+	note,
+	reminders
+} = {}) {
+	let stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj (id, name, deadline, `open`, note, reminders) values (@id, @name, @deadline, @open, @note, @reminders)');
+	stmt.run({
+		id: id,
+		name: removeUnsafeCharsOneLine(name),
+		deadline: deadline,
+		open: +open,
+		note: note,
+		reminders: 0
+	});
+
+	// New cirkuleroj get their own copy of the default sections so that changing the defaults doesn't affect them
+	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_sections (cirkulero_id, position, name, help, group_id, min_items, max_items, max_length) select ?, position, name, help, group_id, min_items, max_items, max_length from cirkuleroj_sections where cirkulero_id is null');
+	stmt.run(id);
+
+	if (!reminders) { return; }
+
+	// Remove old reminders
+	const time = deadline - moment().unix(); // t < d - Δt <=> d - t < Δt
+
+	stmt = CR.db.cirkuleroj.prepare('select id from reminders_direct where delta_time > ?');
+	const remindersDirect = stmt.all(time).map(x => x.id);
+
+	stmt = CR.db.cirkuleroj.prepare('insert into reminders_direct_sent (reminder_id, cirkulero_id) values (?, ?)');
+	for (let reminder of remindersDirect) {
+		stmt.run(reminder, id);
+	}
+
+	stmt = CR.db.cirkuleroj.prepare('select id from reminders_lists where delta_time > ?');
+	const remindersLists = stmt.all(time).map(x => x.id);
+
+	stmt = CR.db.cirkuleroj.prepare('insert into reminders_lists_sent (reminder_id, cirkulero_id) values (?, ?)');
+	for (let reminder of remindersLists) {
+		stmt.run(reminder, id);
+	}
+
+	// Enable reminders
+	stmt = CR.db.cirkuleroj.prepare('update cirkuleroj set reminders = 1 where id = ?');
+	stmt.run(id);
+}
+
+/**
+ * Obtains the id following the highest id of all cirkuleroj, including those in the archive
+ * @return {number}
+ */
+export function getNextCirkuleroId () {
+	const stmt = CR.db.cirkuleroj.prepare('select max(id) as id from ( select id from cirkuleroj union all select id from cirkuleroj_arkivo )');
+	return (stmt.get().id || 0) + 1;
+}
+
+/**
+ * The Esperanto names of the months, used in the names of scheduled cirkuleroj
+ */
+const monthNames = [
+	'januaro', 'februaro', 'marto', 'aprilo', 'majo', 'junio',
+	'julio', 'aŭgusto', 'septembro', 'oktobro', 'novembro', 'decembro'
+];
+
+/**
+ * Obtains the schedule by which cirkuleroj are created automatically, as stored in the settings
+ * @return {Object}
+ *   enabled       (boolean)
+ *   create_day    (number)      The day of the month on which the cirkulero is created at 00:00 UTC
+ *   deadline_day  (number)      The day of the month of the deadline. If it's not after `create_day` the deadline is in
+ *                               the following month
+ *   deadline_time (string)      The time of the deadline in UTC as `HH:mm`
+ *   name          (string)      The name of the cirkuleroj, in which `{{monato}}` and `{{jaro}}` are replaced by the
+ *                               month and year of their creation
+ *   skipped       (string[])    The months (`YYYY-MM`) whose cirkulero must not be created
+ *   last          (string|null) The month (`YYYY-MM`) in which a cirkulero was last created according to the schedule
+ */
+export function getSchedule () {
+	const stmt = CR.db.cirkuleroj.prepare('select key, value from settings where key like "schedule_%"');
+	const settings = {};
+	for (let setting of stmt.all()) {
+		settings[setting.key] = setting.value;
+	}
+
+	return {
+		enabled: settings.schedule_enabled === '1',
+		create_day: parseInt(settings.schedule_create_day, 10),
+		deadline_day: parseInt(settings.schedule_deadline_day, 10),
+		deadline_time: settings.schedule_deadline_time,
+		name: settings.schedule_name,
+		skipped: settings.schedule_skipped ? settings.schedule_skipped.split(',') : [],
+		last: settings.schedule_last || null
+	};
+}
+
+/**
+ * Determines the cirkulero created according to a schedule in a given month
+ * @param  {Object} schedule As returned by getSchedule
+ * @param  {moment} month    Any time within the month
+ * @return {Object}
+ *   month       (string)  The month as `YYYY-MM`
+ *   name        (string)  The name of the cirkulero
+ *   create_time (number)  The unix time at which the cirkulero is created
+ *   deadline    (number)  The unix time of the deadline
+ *   skipped     (boolean) Whether the cirkulero won't be created
+ */
+export function getScheduledCirkulero (schedule, month) {
+	const start = moment.utc(month).startOf('month');
+	const createTime = start.clone().date(schedule.create_day);
+
+	const [ hours, minutes ] = schedule.deadline_time.split(':').map(x => parseInt(x, 10));
+	const deadline = start.clone().date(schedule.deadline_day).hours(hours).minutes(minutes);
+	if (schedule.deadline_day <= schedule.create_day) { deadline.add(1, 'month'); }
+
+	const name = schedule.name
+		.replace(/{{monato}}/g, monthNames[start.month()])
+		.replace(/{{jaro}}/g, start.year());
+
+	return {
+		month: start.format('YYYY-MM'),
+		name: name,
+		create_time: createTime.unix(),
+		deadline: deadline.unix(),
+		skipped: schedule.skipped.indexOf(start.format('YYYY-MM')) > -1
+	};
+}
+
+/**
+ * Determines the cirkuleroj that will be created according to the schedule in the following months, regardless of
+ * whether the schedule is enabled
+ * @param  {number} amount The amount of months to include
+ * @return {Object[]} See getScheduledCirkulero. Each additionally has the predicted `id` (number|null) of the cirkulero,
+ *                    null if skipped
+ */
+export function getUpcomingScheduledCirkuleroj (amount) {
+	const schedule = getSchedule();
+	const timeNow = moment().unix();
+	let id = getNextCirkuleroId();
+
+	const cirkuleroj = [];
+	const month = moment.utc();
+	while (cirkuleroj.length < amount) {
+		const cirkulero = getScheduledCirkulero(schedule, month);
+		month.add(1, 'month');
+
+		// This month's cirkulero may have been created or be too late already
+		if (cirkulero.month === schedule.last || cirkulero.deadline <= timeNow) { continue; }
+
+		cirkulero.id = cirkulero.skipped ? null : id++;
+		cirkuleroj.push(cirkulero);
+	}
+	return cirkuleroj;
+}
+
+/**
+ * Creates this month's cirkulero according to the schedule if it's due.
+ * This function is automatically called by the event loop.
+ */
+export async function checkSchedule () {
+	const schedule = getSchedule();
+	if (!schedule.enabled) { return; }
+
+	const timeNow = moment().unix();
+	const cirkulero = getScheduledCirkulero(schedule, moment.utc());
+	if (cirkulero.skipped || cirkulero.month === schedule.last) { return; }
+	if (cirkulero.create_time > timeNow || cirkulero.deadline <= timeNow) { return; }
+
+	let stmt = CR.db.cirkuleroj.prepare('update settings set value = ? where key = "schedule_last"');
+	stmt.run(cirkulero.month);
+
+	// The cirkulero may have been created manually already, in which case its deadline falls within the same month
+	const deadlineMonth = moment.unix(cirkulero.deadline).utc().startOf('month');
+	stmt = CR.db.cirkuleroj.prepare('select id from cirkuleroj where deadline >= ? and deadline < ?');
+	const existing = stmt.get(deadlineMonth.unix(), deadlineMonth.clone().add(1, 'month').unix());
+	if (existing) {
+		CR.log.info(`Ne aŭtomate kreis cirkuleron por ${cirkulero.name}, ĉar cirkulero n-ro ${existing.id} kun limdato en la sama monato jam ekzistas`);
+		return;
+	}
+
+	const id = getNextCirkuleroId();
+	createCirkulero({
+		id: id,
+		name: cirkulero.name,
+		deadline: cirkulero.deadline,
+		open: false,
+		note: null,
+		reminders: true
+	});
+	CR.log.info(`Aŭtomate kreis cirkuleron n-ro ${id} por ${cirkulero.name}`);
+}
@@ -0,0 +1,186 @@
+import moment from 'moment-timezone';
+import url from 'url';
+
+import * as CRCirkulero from './cirkulero';
+import * as CRDokumento from './dokumento';
+import { escapeHTML, renderMarkdown } from '../util';
+
+const feedTitle = 'Cirkuleroj de TEJO';
+
+/**
+ * Obtains the newest published cirkuleroj compiled for use in feeds
+ * @return {Object[]} From newest to oldest:
+ *   id      (number)
+ *   name    (string)
+ *   link    (string) The absolute URL of the cirkulero page
+ *   time    (number) The unix time of publication, or the deadline if unknown
+ *   summary (string) A plain text summary of the participation
+ *   html    (string) The full cirkulero including statistics and contributions
+ *   pdf     (string|null) The absolute URL of the PDF in the document archive if it's publicly accessible
+ */
+async function getFeedEntries () {
+	const stmt = CR.db.cirkuleroj.prepare('select c.id, p.time from cirkuleroj c left join cirkuleroj_published p on p.cirkulero_id = c.id where c.published = 1 order by c.id desc limit ?');
+	const rows = stmt.all(CR.conf.cirkuleroFeedSize);
+
+	const entries = [];
+	for (let row of rows) {
+		const compiled = await CRCirkulero.getCompiledCirkulero(row.id);
+		const cirkulero = compiled.cirkulero;
+
+		let summary = `Al cirkulero n-ro ${cirkulero.id} por ${cirkulero.name} kontribuis ${compiled.contribsTotal} personoj el ${compiled.contribsAllowed} rajtintoj.`;
+		if (cirkulero.note) {
+			summary = `${cirkulero.note}\n\n${summary}`;
+		}
+
+		const doc = CRDokumento.getDocumentByPath(`cirkuleroj/${cirkulero.id}.pdf`);
+		let pdf = null;
+		if (doc && await CRDokumento.mayUserAccessDocument(doc, null)) {
+			pdf = url.resolve(CR.conf.addressPrefix, `d/${doc.path}`);
+		}
+
+		entries.push({
+			id: cirkulero.id,
+			name: cirkulero.name,
+			link: url.resolve(CR.conf.addressPrefix, `cirkuleroj/${cirkulero.id}`),
+			time: row.time || cirkulero.deadline,
+			summary: summary,
+			html: compiledCirkuleroToHTML(compiled),
+			pdf: pdf
+		});
+	}
+
+	return entries;
+}
+
+/**
+ * Renders a compiled cirkulero as HTML for the content of feed entries
+ * @param  {Object} compiled The output of api/cirkulero#getCompiledCirkulero
+ * @return {string}
+ */
+function compiledCirkuleroToHTML (compiled) {
+	const cirkulero = compiled.cirkulero;
+	let html = '';
+
+	if (cirkulero.note) {
+		html += `<p><i>${escapeHTML(cirkulero.note)}</i></p>\n`;
+	}
+
+	// Statistics
+	html += `<p>Al cirkulero n-ro ${cirkulero.id} por ${escapeHTML(cirkulero.name)} kontribuis ${compiled.contribsTotal} personoj el ${compiled.contribsAllowed} rajtintoj:</p>\n`;
+	for (let group of compiled.statistics) {
+		html += `<h3>${escapeHTML(group.name)}</h3>\n`;
+		for (let [ title, list ] of [ [ 'Kontribuis', group.contributors ], [ 'Ne kontribuis', group.nonContributors ], [ 'Senkulpigitaj', group.excused ] ]) {
+			if (!list.length) { continue; }
+			html += `<p><b>${title} (${list.length}/${group.total}):</b></p>\n<ul>\n`;
+			html += list.map(name => `<li>${escapeHTML(name)}</li>\n`).join('');
+			html += '</ul>\n';
+		}
+	}
+
+	// Contributions
+	html += '<h2>Kontribuoj</h2>\n<p><i>Kontribuoj markitaj per * estis redaktitaj de ĜenSek.</i></p>\n';
+	for (let group of compiled.groups) {
+		html += `<h3>${escapeHTML(group.name)}</h3>\n`;
+
+		for (let contrib of group.contribs) {
+			html += `<h4>${escapeHTML(contrib.title)}${contrib.modified_by_admin ? ' *' : ''}</h4>\n`;
+			if (contrib.role_comment) {
+				html += `<p><i>${escapeHTML(contrib.role_comment)}</i></p>\n`;
+			}
+			if (contrib.entered_by) {
+				html += `<p><i>Tiun ĉi kontribuon enigis ${escapeHTML(contrib.entered_by.long_name || 'forigita uzanto')} nome de la kontribuanto.</i></p>\n`;
+			}
+
+			for (let [ title, key ] of [ [ 'Faris', 'faris' ], [ 'Faras', 'faras' ], [ 'Faros', 'faros' ] ]) {
+				html += `<p><b>${title}:</b></p>\n<ul>\n`;
+				const fares = contrib[key].length ? contrib[key] : [ '-' ];
+				html += fares.map(faro => `<li>${renderMarkdown(faro)}</li>\n`).join('');
+				html += '</ul>\n';
+			}
+
+			for (let section of contrib.sections) {
+				html += `<p><b>${escapeHTML(section.name)}:</b></p>\n<ul>\n`;
+				html += section.items.map(item => `<li>${renderMarkdown(item)}</li>\n`).join('');
+				html += '</ul>\n';
+			}
+
+			if (contrib.comment) {
+				html += `<p><b>Komentoj:</b></p>\n<p style="white-space: pre-wrap;">${renderMarkdown(contrib.comment)}</p>\n`;
+			}
+		}
+	}
+
+	return html;
+}
+
+/**
+ * Renders an Atom feed of the newest published cirkuleroj
+ * @return {string} The XML of the feed
+ */
+export async function renderAtomFeed () {
+	const entries = await getFeedEntries();
+	const feedURL = url.resolve(CR.conf.addressPrefix, 'cirkuleroj/fluo.atom');
+	const formatTime = time => moment.unix(time).utc().format();
+	const updated = entries.length ? Math.max(...entries.map(entry => entry.time)) : moment().unix();
+
+	let xml = '<?xml version="1.0" encoding="utf-8"?>\n';
+	xml += '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="eo">\n';
+	xml += `\t<id>${escapeHTML(feedURL)}</id>\n`;
+	xml += `\t<title>${feedTitle}</title>\n`;
+	xml += `\t<updated>${formatTime(updated)}</updated>\n`;
+	xml += `\t<link rel="self" type="application/atom+xml" href="${escapeHTML(feedURL, true)}"/>\n`;
+	xml += `\t<link rel="alternate" type="text/html" href="${escapeHTML(url.resolve(CR.conf.addressPrefix, 'cirkuleroj/arkivo'), true)}"/>\n`;
+	xml += '\t<author><name>TEJO</name></author>\n';
+	xml += '\t<generator>Centra Reto</generator>\n';
+
+	for (let entry of entries) {
+		xml += '\t<entry>\n';
+		xml += `\t\t<id>${escapeHTML(entry.link)}</id>\n`;
+		xml += `\t\t<title>Cirkulero n-ro ${entry.id} por ${escapeHTML(entry.name)}</title>\n`;
+		xml += `\t\t<updated>${formatTime(entry.time)}</updated>\n`;
+		xml += `\t\t<published>${formatTime(entry.time)}</published>\n`;
+		xml += `\t\t<link rel="alternate" type="text/html" href="${escapeHTML(entry.link, true)}"/>\n`;
+		if (entry.pdf) {
+			xml += `\t\t<link rel="enclosure" type="application/pdf" href="${escapeHTML(entry.pdf, true)}"/>\n`;
+		}
+		xml += `\t\t<summary type="text">${escapeHTML(entry.summary)}</summary>\n`;
+		xml += `\t\t<content type="html">${escapeHTML(entry.html)}</content>\n`;
+		xml += '\t</entry>\n';
+	}
+
+	xml += '</feed>\n';
+	return xml;
+}
+
+/**
+ * Renders a JSON Feed (version 1) of the newest published cirkuleroj
+ * @return {Object} The feed, to be serialized as JSON
+ */
+export async function renderJSONFeed () {
+	const entries = await getFeedEntries();
+
+	return {
+		version: 'https://jsonfeed.org/version/1',
+		title: feedTitle,
+		home_page_url: url.resolve(CR.conf.addressPrefix, 'cirkuleroj/arkivo'),
+		feed_url: url.resolve(CR.conf.addressPrefix, 'cirkuleroj/fluo.json'),
+		author: { name: 'TEJO' },
+		items: entries.map(entry => {
+			const item = {
+				id: entry.link,
+				url: entry.link,
+				title: `Cirkulero n-ro ${entry.id} por ${entry.name}`,
+				summary: entry.summary,
+				content_html: entry.html,
+				date_published: moment.unix(entry.time).utc().format()
+			};
+			if (entry.pdf) {
+				item.attachments = [{
+					url: entry.pdf,
+					mime_type: 'application/pdf'
+				}];
+			}
+			return item;
+		})
+	};
+}
@@ -0,0 +1,345 @@
+import { promisify } from 'util';
+import moment from 'moment-timezone';
+import _csvParse from 'csv-parse';
+const csvParse = promisify(_csvParse);
+
+import Group from './group';
+import User from './user';
+import * as CRCirkulero from './cirkulero';
+import { removeUnsafeChars, removeUnsafeCharsOneLine, sanitizeMarkdown } from '../util';
+
+/**
+ * The columns of CSV imports. They're the same as those of api/cirkulero#groupContributionsToCSV, with the optional
+ * addition of `grupo`, the id of the group the contributor should be credited to. The exported column `aliaj sekcioj`
+ * is ignored as legacy cirkuleroj only have the classic sections
+ */
+const csvColumns = [
+	'cirkulero',
+	'monato',
+	'limdato',
+	'kontribuinto',
+	'rolo',
+	'komento pri rolo',
+	'faris',
+	'faras',
+	'faros',
+	'komentoj'
+];
+
+/**
+ * Parses a file of historical cirkuleroj for importCirkulero.
+ *
+ * JSON files contain an array of cirkuleroj:
+ *   id            (number)
+ *   name          (string)
+ *   deadline      (number|string) A unix time or a date in the format YYYY-MM-DD
+ *   [note]        (string|null)
+ *   contributions (Object[])
+ *     contributor    (string)          The email address or full name of the contributor
+ *     role           (string)          The name of the role the contributor contributed as
+ *     [group_id]     (number|null)     The id of the group to credit the contribution to
+ *     [role_comment] (string|null)
+ *     faris          (string[]|string) The items, optionally as a single string with one item per line
+ *     faras          (string[]|string)
+ *     faros          (string[]|string)
+ *     [comment]      (string|null)
+ *
+ * CSV files contain one contribution per row, see csvColumns
+ * @param  {string} str    The contents of the file
+ * @param  {string} format Either `json` or `csv`
+ * @return {Object} Either `{ error string }` describing why the file is invalid or `{ cirkuleroj Object[] }` with the
+ *                  cirkuleroj in the format of importCirkulero
+ */
+export async function parseImportFile (str, format) {
+	let raw;
+	if (format === 'json') {
+		try {
+			raw = JSON.parse(str);
+		} catch (e) {
+			return { error: `nevalida JSON: ${e.message}` };
+		}
+		if (!(raw instanceof Array)) {
+			return { error: 'la dosiero ne enhavas liston de cirkuleroj' };
+		}
+	} else if (format === 'csv') {
+		let rows;
+		try {
+			rows = await csvParse(str, { columns: true, skip_empty_lines: true, trim: true });
+		} catch (e) {
+			return { error: `nevalida CSV: ${e.message}` };
+		}
+
+		const missing = csvColumns.filter(column => rows.length && !(column in rows[0]));
+		if (missing.length) {
+			return { error: `mankas kolumnoj: ${missing.join(', ')}` };
+		}
+
+		const cirkuleroj = new Map();
+		for (let row of rows) {
+			const id = parseInt(row.cirkulero, 10);
+			if (!cirkuleroj.has(id)) {
+				cirkuleroj.set(id, {
+					id: id,
+					name: row.monato,
+					deadline: row.limdato,
+					contributions: []
+				});
+			}
+			cirkuleroj.get(id).contributions.push({
+				contributor: row.kontribuinto,
+				role: row.rolo,
+				group_id: row.grupo ? parseInt(row.grupo, 10) : null,
+				role_comment: row['komento pri rolo'] || null,
+				faris: row.faris,
+				faras: row.faras,
+				faros: row.faros,
+				comment: row.komentoj || null
+			});
+		}
+		raw = [...cirkuleroj.values()];
+	} else {
+		return { error: `nekonata formato ${format}` };
+	}
+
+	const cirkuleroj = [];
+	for (let cirk of raw) {
+		const parsed = parseImportCirkulero(cirk);
+		if (typeof parsed === 'string') {
+			const id = cirk && Number.isSafeInteger(cirk.id) ? cirk.id : '?';
+			return { error: `cirkulero ${id}: ${parsed}` };
+		}
+		cirkuleroj.push(parsed);
+	}
+
+	return { cirkuleroj: cirkuleroj };
+}
+
+/**
+ * Validates and normalizes a single cirkulero of an import file, see parseImportFile
+ * @param  {Object} cirk
+ * @return {Object|string} The cirkulero or a description of the problem
+ */
+function parseImportCirkulero (cirk) {
+	if (typeof cirk !== 'object' || cirk === null) { return 'nevalida cirkulero'; }
+	if (!Number.isSafeInteger(cirk.id) || cirk.id < 1) { return 'nevalida numero'; }
+	if (typeof cirk.name !== 'string' || !cirk.name.trim() || cirk.name.length > 50) { return 'nevalida nomo'; }
+
+	let deadline = cirk.deadline;
+	if (typeof deadline === 'string') {
+		const date = moment.utc(deadline, 'YYYY-MM-DD', true);
+		deadline = date.isValid() ? date.unix() : null;
+	}
+	if (!Number.isSafeInteger(deadline)) { return 'nevalida limdato'; }
+
+	if (cirk.note !== undefined && cirk.note !== null && typeof cirk.note !== 'string') { return 'nevalida noto'; }
+	if (!(cirk.contributions instanceof Array)) { return 'mankas kontribuoj'; }
+
+	const parseFaroj = faroj => {
+		if (typeof faroj === 'string') { faroj = faroj.split(/\r?\n/); }
+		if (!(faroj instanceof Array) || faroj.some(faro => typeof faro !== 'string')) { return null; }
+		return faroj
+			.map(faro => sanitizeMarkdown(removeUnsafeCharsOneLine(faro)).trim())
+			.filter(faro => faro && faro !== '-');
+	};
+
+	const contributions = [];
+	for (let [ i, contrib ] of cirk.contributions.entries()) {
+		const invalid = `nevalida kontribuo n-ro ${i + 1}`;
+		if (typeof contrib !== 'object' || contrib === null) { return invalid; }
+		if (typeof contrib.contributor !== 'string' || !contrib.contributor.trim()) { return `${invalid} (kontribuinto)`; }
+		if (typeof contrib.role !== 'string' || !contrib.role.trim()) { return `${invalid} (rolo)`; }
+		if (contrib.group_id !== undefined && contrib.group_id !== null && !Number.isSafeInteger(contrib.group_id)) {
+			return `${invalid} (grupo)`;
+		}
+
+		const faroj = {};
+		for (let key of [ 'faris', 'faras', 'faros' ]) {
+			faroj[key] = parseFaroj(contrib[key]);
+			if (!faroj[key]) { return `${invalid} (${key})`; }
+		}
+
+		for (let key of [ 'role_comment', 'comment' ]) {
+			if (contrib[key] !== undefined && contrib[key] !== null && typeof contrib[key] !== 'string') {
+				return `${invalid} (${key})`;
+			}
+		}
+
+		contributions.push({
+			contributor: removeUnsafeCharsOneLine(contrib.contributor).trim(),
+			role: removeUnsafeCharsOneLine(contrib.role).trim(),
+			group_id: contrib.group_id || null,
+			user_role_comment: contrib.role_comment ? removeUnsafeCharsOneLine(contrib.role_comment).trim() || null : null,
+			faris: faroj.faris,
+			faras: faroj.faras,
+			faros: faroj.faros,
+			comment: contrib.comment ? sanitizeMarkdown(removeUnsafeChars(contrib.comment)).trim() || null : null
+		});
+	}
+
+	return {
+		id: cirk.id,
+		name: removeUnsafeCharsOneLine(cirk.name).trim(),
+		deadline: deadline,
+		note: cirk.note ? removeUnsafeChars(cirk.note).trim() || null : null,
+		contributions: contributions
+	};
+}
+
+/**
+ * Finds the user a contributor of an imported cirkulero refers to
+ * @param  {string} contributor The email address or full name of the contributor
+ * @return {User|null} The user or null if none or several users match
+ */
+function findContributor (contributor) {
+	if (contributor.indexOf('@') > -1) {
+		return User.getUserByEmail(contributor);
+	}
+
+	// Both the full name and the long name, which includes the pet name, are accepted
+	const stmt = CR.db.users.prepare('select user_id from users_details where lower(full_name_latin) = lower(@name) or lower(full_name_native) = lower(@name) or lower(full_name_latin || \' (\' || pet_name || \')\') = lower(@name)');
+	const rows = stmt.all({ name: contributor });
+	if (rows.length !== 1) { return null; }
+	return User.getUserById(rows[0].user_id);
+}
+
+/**
+ * Finds the group a contribution to an imported cirkulero should be credited to
+ * @param  {User}        user
+ * @param  {string}      role    The name of the role the user contributed as
+ * @param  {number|null} groupId The id of the group given in the import file
+ * @return {number|null} The id of the group or null if it couldn't be determined
+ */
+async function findContributorGroup (user, role, groupId) {
+	if (groupId !== null) {
+		return await Group.getGroupById(groupId) ? groupId : null;
+	}
+
+	const lowerRole = role.toLowerCase();
+	for (let userGroup of (await user.getGroups()).values()) {
+		if ((userGroup.user.name || '').toLowerCase() === lowerRole ||
+			userGroup.group.nameBase.toLowerCase() === lowerRole) {
+			return userGroup.group.id;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Stores a historical cirkulero as published. Contributors are mapped to existing users where possible, the others are
+ * kept as free text contributors in `cirkuleroj_contributions_external`. If the cirkulero was listed in the archive of
+ * PDF-only cirkuleroj (`cirkuleroj_arkivo`) it remains there so that its PDF at /d/cirkuleroj/<id>.pdf stays linked
+ * @param  {Object}  cirk     A cirkulero as obtained from parseImportFile
+ * @param  {boolean} [dryRun] Whether to only determine the outcome without storing anything
+ * @return {Object}
+ *   id       (number)
+ *   name     (string)
+ *   error    (string|null) Why the cirkulero couldn't be imported, in which case the other fields are empty
+ *   users    (number)      The amount of contributions mapped to existing users
+ *   external (string[])    The names of the contributors kept as free text
+ *   warnings (string[])
+ */
+export async function importCirkulero (cirk, dryRun = false) {
+	const result = {
+		id: cirk.id,
+		name: cirk.name,
+		error: null,
+		users: 0,
+		external: [],
+		warnings: []
+	};
+
+	let stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj where id = ?');
+	if (stmt.get(cirk.id)) {
+		result.error = 'cirkulero kun tiu numero jam ekzistas';
+		return result;
+	}
+
+	const contributions = [];
+	const external = [];
+	const allowedContributors = new Map();
+	for (let contrib of cirk.contributions) {
+		const user = findContributor(contrib.contributor);
+		let groupId = null;
+		if (user) {
+			groupId = await findContributorGroup(user, contrib.role, contrib.group_id);
+			if (groupId === null) {
+				result.warnings.push(`${contrib.contributor}: la rolo ${contrib.role} ne estas trovita, do la kontribuo ne estas ligita al la uzanto`);
+			}
+		}
+
+		if (groupId === null) {
+			external.push(contrib);
+			result.external.push(contrib.contributor);
+			continue;
+		}
+
+		if (contributions.find(x => x.user_id === user.id && x.group_id === groupId)) {
+			result.warnings.push(`${contrib.contributor}: pluraj kontribuoj en la sama rolo, nur la unua estas konservita`);
+			continue;
+		}
+
+		contributions.push({
+			cirkulero_id: cirk.id,
+			user_id: user.id,
+			group_id: groupId,
+			user_role_comment: contrib.user_role_comment,
+			faris: JSON.stringify(contrib.faris),
+			faras: JSON.stringify(contrib.faras),
+			faros: JSON.stringify(contrib.faros),
+			comment: contrib.comment
+		});
+		result.users++;
+
+		// The role names of the import are stored as those at the time of publication
+		if (!allowedContributors.has(user.id)) {
+			allowedContributors.set(user.id, { user: user.id, groups: [] });
+		}
+		allowedContributors.get(user.id).groups.push({ id: groupId, name: contrib.role });
+	}
+
+	if (dryRun) { return result; }
+
+	const cirkuleroGroupsRaw = await CRCirkulero.getGroups(false);
+	const cirkuleroGroups = {};
+	for (let purpose in cirkuleroGroupsRaw) {
+		cirkuleroGroups[purpose] = cirkuleroGroupsRaw[purpose].map(x => x.id).join(',');
+	}
+
+	CR.db.cirkuleroj.transaction(() => {
+		let stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj (id, name, deadline, `open`, published, note, reminders) values (?, ?, ?, 0, 1, ?, 0)');
+		stmt.run(cirk.id, cirk.name, cirk.deadline, cirk.note);
+
+		stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_published (cirkulero_id, allowed_contributors, groups_contribute, groups_appear, groups_statistics, time) values (@cirkulero_id, @allowed_contributors, @groups_contribute, @groups_appear, @groups_statistics, null)');
+		stmt.run({
+			cirkulero_id: cirk.id,
+			allowed_contributors: JSON.stringify([...allowedContributors.values()]),
+			groups_contribute: cirkuleroGroups.contribute,
+			groups_appear: cirkuleroGroups.appear,
+			groups_statistics: cirkuleroGroups.statistics
+		});
+
+		stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_contributions (cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, comment) values (@cirkulero_id, @user_id, @group_id, @user_role_comment, @faris, @faras, @faros, @comment)');
+		for (let contrib of contributions) {
+			stmt.run(contrib);
+			CRCirkulero.updateContributionSearchIndex(cirk.id, contrib.user_id, contrib.group_id);
+		}
+
+		stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_contributions_external (cirkulero_id, name, role, user_role_comment, faris, faras, faros, comment) values (@cirkulero_id, @name, @role, @user_role_comment, @faris, @faras, @faros, @comment)');
+		for (let contrib of external) {
+			const id = stmt.run({
+				cirkulero_id: cirk.id,
+				name: contrib.contributor,
+				role: contrib.role,
+				user_role_comment: contrib.user_role_comment,
+				faris: JSON.stringify(contrib.faris),
+				faras: JSON.stringify(contrib.faras),
+				faros: JSON.stringify(contrib.faros),
+				comment: contrib.comment
+			}).lastInsertRowid;
+			CRCirkulero.updateExternalContributionSearchIndex(id);
+		}
+	})();
+
+	return result;
+}
@@ -0,0 +1,316 @@
+import * as Canvas from 'canvas';
+import path from 'path';
+
+import * as CRCirkulero from './cirkulero';
+import * as CRDokumento from './dokumento';
+import { groupMarkdownLinks, parseMarkdown } from '../util';
+
+// A4 in PostScript points
+const pageWidth = 595;
+const pageHeight = 842;
+const margin = 50;
+
+const fonts = {
+	title: { size: 18, bold: true, lineHeight: 26 },
+	heading: { size: 14, bold: true, lineHeight: 22 },
+	subheading: { size: 11, bold: true, lineHeight: 16 },
+	text: { size: 10, bold: false, lineHeight: 14 },
+	italic: { size: 10, bold: false, lineHeight: 14, color: '#555555' }
+};
+
+let fontsRegistered = false;
+
+/**
+ * Registers the fonts used in the PDFs with canvas. Must happen before any canvas is created
+ */
+function registerFonts () {
+	if (fontsRegistered) { return; }
+
+	const fontsDir = path.join(CR.filesDir, 'web/static/plugins/materialize-css/fonts/roboto');
+	Canvas.registerFont(path.join(fontsDir, 'Roboto-Regular.ttf'), { family: 'Roboto' });
+	Canvas.registerFont(path.join(fontsDir, 'Roboto-Bold.ttf'), { family: 'Roboto', weight: 'bold' });
+	fontsRegistered = true;
+}
+
+/**
+ * A minimal flowing text layout on top of a canvas PDF
+ */
+class PDFWriter {
+	/**
+	 * @param {string} title The title stored in the metadata of the PDF
+	 */
+	constructor (title) {
+		this.title = title;
+		this.canvas = Canvas.createCanvas(pageWidth, pageHeight, 'pdf');
+		this.ctx = this.canvas.getContext('2d');
+		this.ctx.textBaseline = 'top';
+		this.y = margin;
+	}
+
+	/**
+	 * Starts a new page if the remaining space on the current one is too small
+	 * @param {number} height The required height
+	 */
+	ensureSpace (height) {
+		if (this.y + height <= pageHeight - margin) { return; }
+		this.ctx.addPage(pageWidth, pageHeight);
+		this.ctx.textBaseline = 'top';
+		this.y = margin;
+	}
+
+	/**
+	 * Adds vertical space
+	 * @param {number} height
+	 */
+	space (height) {
+		this.y += height;
+	}
+
+	/**
+	 * Splits styled text into lines fitting within a width
+	 * @param  {Object[]} runs  The pieces of text, `{ text, font, color }`
+	 * @param  {number}   width
+	 * @return {Object[][]} The lines, each consisting of pieces `{ text, font, color, x }`
+	 */
+	wrap (runs, width) {
+		const lines = [];
+		let line = [];
+		let lineWidth = 0;
+		let space = null; // The run of a pending space, only added if followed by a word on the same line
+
+		const measure = (text, font) => {
+			this.ctx.font = font;
+			return this.ctx.measureText(text).width;
+		};
+		const add = (text, run) => {
+			const textWidth = measure(text, run.font);
+			line.push({ text: text, font: run.font, color: run.color, x: lineWidth });
+			lineWidth += textWidth;
+		};
+		const newLine = () => {
+			lines.push(line);
+			line = [];
+			lineWidth = 0;
+			space = null;
+		};
+
+		for (let run of runs) {
+			for (let word of run.text.split(/( |\n)/)) {
+				if (!word) { continue; }
+				if (word === '\n') {
+					newLine();
+					continue;
+				}
+				if (word === ' ') {
+					if (line.length) { space = run; }
+					continue;
+				}
+
+				const spaceWidth = space ? measure(' ', space.font) : 0;
+				if (lineWidth + spaceWidth + measure(word, run.font) <= width) {
+					if (space) { add(' ', space); }
+					space = null;
+					add(word, run);
+					continue;
+				}
+				if (line.length) { newLine(); }
+
+				// Break words that are too long to fit on a line by themselves
+				let part = '';
+				for (let char of word) {
+					if (part && measure(part + char, run.font) > width) {
+						add(part, run);
+						newLine();
+						part = '';
+					}
+					part += char;
+				}
+				add(part, run);
+			}
+		}
+		lines.push(line);
+		return lines;
+	}
+
+	/**
+	 * Writes a block of text
+	 * @param {string|Object[]} content  The text or segments as returned by util#parseMarkdown
+	 * @param {string}          [font]   The key of the font in `fonts`
+	 * @param {number}          [indent] The indentation from the left margin
+	 * @param {string}          [bullet] A string to place in front of the first line, within the indentation
+	 */
+	text (content, font = 'text', indent = 0, bullet = null) {
+		const fontInfo = fonts[font];
+		const segments = typeof content === 'string' ? [ { text: content } ] : content;
+		const runs = segments.map(segment => {
+			let color = fontInfo.color || '#000000';
+			if (segment.code) { color = '#c7254e'; }
+			if (segment.href) { color = '#1565c0'; }
+
+			return {
+				text: segment.text,
+				font: `${segment.italic ? 'italic ' : ''}${fontInfo.bold || segment.bold ? 'bold ' : ''}${fontInfo.size}px Roboto`,
+				color: color
+			};
+		});
+
+		const x = margin + indent;
+		const lines = this.wrap(runs, pageWidth - margin - x);
+		lines.forEach((line, i) => {
+			this.ensureSpace(fontInfo.lineHeight);
+			if (i === 0 && bullet) {
+				this.ctx.font = `${fontInfo.bold ? 'bold ' : ''}${fontInfo.size}px Roboto`;
+				this.ctx.fillStyle = fontInfo.color || '#000000';
+				this.ctx.fillText(bullet, x - 10, this.y);
+			}
+			for (let piece of line) {
+				this.ctx.font = piece.font;
+				this.ctx.fillStyle = piece.color;
+				this.ctx.fillText(piece.text, x + piece.x, this.y);
+			}
+			this.y += fontInfo.lineHeight;
+		});
+	}
+
+	/**
+	 * Renders the PDF
+	 * @return {Buffer}
+	 */
+	toBuffer () {
+		return this.canvas.toBuffer('application/pdf', {
+			title: this.title,
+			creator: 'Centra Reto'
+		});
+	}
+}
+
+/**
+ * Parses a string in the Markdown subset allowed in cirkulero contributions for PDFWriter#text. As the PDF can't
+ * contain clickable links, their targets are appended in parentheses
+ * @param  {string} str
+ * @return {Object[]} The segments, see util#parseMarkdown
+ */
+function parseContribMarkdown (str) {
+	const segments = [];
+	for (let group of groupMarkdownLinks(parseMarkdown(str))) {
+		segments.push(...group.segments);
+		const text = group.segments.map(segment => segment.text).join('');
+		if (group.href && group.href !== text) {
+			segments.push({ text: ` (${group.href.replace(/^mailto:/i, '')})` });
+		}
+	}
+	return segments;
+}
+
+/**
+ * Renders a published cirkulero as a PDF
+ * @param  {number} id The id of the cirkulero
+ * @return {Buffer|null} The PDF or null if the cirkulero doesn't exist or hasn't been published
+ */
+export async function renderCirkuleroPDF (id) {
+	const compiled = await CRCirkulero.getCompiledCirkulero(id);
+	if (!compiled) { return null; }
+	const cirkulero = compiled.cirkulero;
+
+	registerFonts();
+	const pdf = new PDFWriter(`Cirkulero n-ro ${cirkulero.id} por ${cirkulero.name}`);
+
+	pdf.text(pdf.title, 'title');
+	if (cirkulero.note) {
+		pdf.text(cirkulero.note, 'italic');
+	}
+	pdf.space(10);
+
+	// Statistics
+	pdf.text(`Al cirkulero n-ro ${cirkulero.id} por ${cirkulero.name} kontribuis ${compiled.contribsTotal} personoj el ${compiled.contribsAllowed} rajtintoj:`);
+	for (let group of compiled.statistics) {
+		pdf.space(8);
+		pdf.ensureSpace(fonts.heading.lineHeight + fonts.subheading.lineHeight + fonts.text.lineHeight);
+		pdf.text(group.name, 'heading');
+
+		for (let [ title, list ] of [ [ 'Kontribuis', group.contributors ], [ 'Ne kontribuis', group.nonContributors ], [ 'Senkulpigitaj', group.excused ] ]) {
+			if (!list.length) { continue; }
+			pdf.text(`${title} (${list.length}/${group.total}):`, 'subheading');
+			for (let name of list) {
+				pdf.text(name, 'text', 15, '•');
+			}
+		}
+	}
+
+	// Contributions
+	pdf.space(20);
+	pdf.ensureSpace(fonts.title.lineHeight + fonts.italic.lineHeight + fonts.heading.lineHeight);
+	pdf.text('Kontribuoj', 'title');
+	pdf.text('Kontribuoj markitaj per * estis redaktitaj de ĜenSek.', 'italic');
+
+	for (let group of compiled.groups) {
+		pdf.space(8);
+		pdf.ensureSpace(fonts.heading.lineHeight * 2 + fonts.subheading.lineHeight);
+		pdf.text(group.name, 'heading');
+
+		for (let contrib of group.contribs) {
+			pdf.space(6);
+			pdf.ensureSpace(fonts.subheading.lineHeight * 2 + fonts.text.lineHeight);
+			pdf.text(contrib.title + (contrib.modified_by_admin ? ' *' : ''), 'subheading');
+			if (contrib.role_comment) {
+				pdf.text(contrib.role_comment, 'italic');
+			}
+			if (contrib.entered_by) {
+				pdf.text(`Tiun ĉi kontribuon enigis ${contrib.entered_by.long_name || 'forigita uzanto'} nome de la kontribuanto.`, 'italic');
+			}
+
+			for (let [ title, key ] of [ [ 'Faris:', 'faris' ], [ 'Faras:', 'faras' ], [ 'Faros:', 'faros' ] ]) {
+				pdf.ensureSpace(fonts.subheading.lineHeight + fonts.text.lineHeight);
+				pdf.text(title, 'subheading', 10);
+				const fares = contrib[key].length ? contrib[key] : [ '-' ];
+				for (let faro of fares) {
+					pdf.text(parseContribMarkdown(faro), 'text', 25, '•');
+				}
+			}
+
+			for (let section of contrib.sections) {
+				pdf.ensureSpace(fonts.subheading.lineHeight + fonts.text.lineHeight);
+				pdf.text(`${section.name}:`, 'subheading', 10);
+				for (let item of section.items) {
+					pdf.text(parseContribMarkdown(item), 'text', 25, '•');
+				}
+			}
+
+			if (contrib.comment) {
+				pdf.ensureSpace(fonts.subheading.lineHeight + fonts.text.lineHeight);
+				pdf.text('Komentoj:', 'subheading', 10);
+				pdf.text(parseContribMarkdown(contrib.comment), 'text', 25);
+			}
+		}
+	}
+
+	return pdf.toBuffer();
+}
+
+/**
+ * Renders a published cirkulero as a PDF and stores it as the newest version of the document
+ * `cirkuleroj/<id>.pdf` in the document archive
+ * @param  {number} id   The id of the cirkulero
+ * @param  {User}   user The user responsible for the generation, e.g. the one that published the cirkulero
+ * @return {Buffer|null} The PDF or null if the cirkulero doesn't exist or hasn't been published
+ */
+export async function storeCirkuleroPDF (id, user) {
+	const buffer = await renderCirkuleroPDF(id);
+	if (!buffer) { return null; }
+
+	const stmt = CR.db.cirkuleroj.prepare('select name, deadline from cirkuleroj where id = ?');
+	const cirkulero = stmt.get(id);
+
+	await CRDokumento.insertGeneratedVersion({
+		path: `cirkuleroj/${id}.pdf`,
+		title: `Cirkulero n-ro ${id} por ${cirkulero.name}`,
+		category: 'Cirkuleroj',
+		date: cirkulero.deadline,
+		visibility: 'public',
+		fileName: `cirkulero-${id}.pdf`,
+		mimeType: 'application/pdf',
+		buffer: buffer,
+		user: user
+	});
+	return buffer;
+}
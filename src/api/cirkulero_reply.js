@@ -0,0 +1,455 @@
+import fs from 'pn/fs';
+import path from 'path';
+import url from 'url';
+
+import User from './user';
+import * as CRCirkulero from './cirkulero';
+import * as CRMail from '../mail';
+import { removeUnsafeChars, removeUnsafeCharsOneLine, sanitizeMarkdown } from '../util';
+
+/**
+ * Splits a raw message or MIME part into its header and body
+ * @param  {string} raw The message as a binary string
+ * @return {string[]} `[ header, body ]`
+ */
+function splitMessage (raw) {
+	const match = /\r?\n\r?\n/.exec(raw);
+	if (!match) { return [ raw, '' ]; }
+	return [ raw.slice(0, match.index), raw.slice(match.index + match[0].length) ];
+}
+
+/**
+ * Parses the header of a message or MIME part
+ * @param  {string} header
+ * @return {Object} A map of `{ name (lowercase string): values (string[]) }`
+ */
+function parseHeader (header) {
+	const fields = {};
+	const lines = header.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+	for (let line of lines) {
+		const i = line.indexOf(':');
+		if (i < 1) { continue; }
+		const name = line.slice(0, i).trim().toLowerCase();
+		if (!(name in fields)) { fields[name] = []; }
+		fields[name].push(line.slice(i + 1).trim());
+	}
+	return fields;
+}
+
+/**
+ * Parses a header field with parameters, e.g. `text/plain; charset="utf-8"`
+ * @param  {string} [field]
+ * @return {Object} `{ value (lowercase string), params (Object) }`
+ */
+function parseHeaderParams (field = '') {
+	const bits = field.split(';');
+	const params = {};
+	for (let bit of bits.slice(1)) {
+		const match = /^\s*([^=\s]+)\s*=\s*"?([^"]*)"?\s*$/.exec(bit);
+		if (match) { params[match[1].toLowerCase()] = match[2]; }
+	}
+	return {
+		value: bits[0].trim().toLowerCase(),
+		params: params
+	};
+}
+
+/**
+ * Decodes bytes in a charset. Charsets not supported by Node are treated as UTF-8
+ * @param  {Buffer} buffer
+ * @param  {string} [charset]
+ * @return {string}
+ */
+function decodeCharset (buffer, charset = 'utf-8') {
+	charset = charset.toLowerCase();
+	if ([ 'us-ascii', 'iso-8859-1', 'latin1', 'windows-1252' ].indexOf(charset) > -1) {
+		return buffer.toString('latin1');
+	}
+	return buffer.toString('utf8');
+}
+
+/**
+ * Decodes the RFC 2047 encoded words in a header field
+ * @param  {string} field The field as a binary string
+ * @return {string}
+ */
+function decodeHeaderField (field) {
+	// Unencoded non-ASCII headers are usually UTF-8
+	field = Buffer.from(field, 'latin1').toString('utf8');
+
+	return field
+		.replace(/(\?=)\s+(=\?)/g, '$1$2') // Whitespace between encoded words is ignored
+		.replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+			let buffer;
+			if (encoding.toLowerCase() === 'b') {
+				buffer = Buffer.from(text, 'base64');
+			} else {
+				text = text
+					.replace(/_/g, ' ')
+					.replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+				buffer = Buffer.from(text, 'latin1');
+			}
+			return decodeCharset(buffer, charset.split('*')[0]);
+		});
+}
+
+/**
+ * Decodes the body of a MIME part
+ * @param  {string} body     The body as a binary string
+ * @param  {string} encoding The Content-Transfer-Encoding
+ * @param  {string} charset
+ * @return {string}
+ */
+function decodeBody (body, encoding, charset) {
+	encoding = encoding.toLowerCase();
+	let buffer;
+	if (encoding === 'base64') {
+		buffer = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+	} else if (encoding === 'quoted-printable') {
+		body = body
+			.replace(/=\r?\n/g, '')
+			.replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+		buffer = Buffer.from(body, 'latin1');
+	} else {
+		buffer = Buffer.from(body, 'latin1');
+	}
+	return decodeCharset(buffer, charset);
+}
+
+/**
+ * Converts an HTML message to plain text, leaving out quoted text
+ * @param  {string} html
+ * @return {string}
+ */
+function htmlToText (html) {
+	return html
+		.replace(/<(head|style|script|blockquote)[\s\S]*?<\/\1>/gi, '')
+		.replace(/<li[^>]*>/gi, '- ')
+		.replace(/<br[^>]*>|<\/(p|div|li|h\d|tr)>/gi, '\n')
+		.replace(/<[^>]*>/g, '')
+		.replace(/&nbsp;/g, ' ')
+		.replace(/&lt;/g, '<')
+		.replace(/&gt;/g, '>')
+		.replace(/&quot;/g, '"')
+		.replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+		.replace(/&amp;/g, '&');
+}
+
+/**
+ * Finds the text of a message or MIME part, preferring plain text over HTML
+ * @param  {Object} fields The parsed header
+ * @param  {string} body   The body as a binary string
+ * @return {string|null} The text or null if there is none
+ */
+function findText (fields, body) {
+	const contentType = parseHeaderParams((fields['content-type'] || [ 'text/plain' ])[0]);
+	const encoding = (fields['content-transfer-encoding'] || [ '7bit' ])[0];
+
+	if (contentType.value === 'text/plain') {
+		return decodeBody(body, encoding, contentType.params.charset);
+	}
+	if (contentType.value === 'text/html') {
+		return htmlToText(decodeBody(body, encoding, contentType.params.charset));
+	}
+	if (contentType.value.indexOf('multipart/') !== 0 || !contentType.params.boundary) { return null; }
+
+	// Split the multipart body into its parts
+	const parts = [];
+	let part = null;
+	for (let line of body.split(/\r?\n/)) {
+		if (line.trim() === '--' + contentType.params.boundary) {
+			part = [];
+			parts.push(part);
+		} else if (line.trim() === '--' + contentType.params.boundary + '--') {
+			break;
+		} else if (part) {
+			part.push(line);
+		}
+	}
+
+	let html = null;
+	for (let lines of parts) {
+		const [ partHeader, partBody ] = splitMessage(lines.join('\n'));
+		const partFields = parseHeader(partHeader);
+		const partType = parseHeaderParams((partFields['content-type'] || [ 'text/plain' ])[0]).value;
+		const disposition = parseHeaderParams((partFields['content-disposition'] || [ 'inline' ])[0]).value;
+		if (disposition === 'attachment') { continue; }
+
+		const text = findText(partFields, partBody);
+		if (text === null) { continue; }
+		if (partType !== 'text/html') { return text; }
+		if (html === null) { html = text; }
+	}
+	return html;
+}
+
+/**
+ * Parses a raw RFC 822 message
+ * @param  {Buffer|string} raw
+ * @return {Object} `{ fields (Object), subject (string), text (string|null) }`
+ */
+export function parseMessage (raw) {
+	if (raw instanceof Buffer) { raw = raw.toString('latin1'); }
+	const [ header, body ] = splitMessage(raw);
+	const fields = parseHeader(header);
+
+	return {
+		fields: fields,
+		subject: decodeHeaderField((fields.subject || [ '' ])[0]),
+		text: findText(fields, body)
+	};
+}
+
+/**
+ * Parses the reply text of a contribution by email. Sections are started by a line beginning with `Faris:`, `Faras:`,
+ * `Faros:` or `Komentoj:`, the role may be chosen using a line beginning with `Rolo:`. Quoted lines and anything after
+ * the signature or the attribution line of the quoted message are ignored
+ * @param  {string} text
+ * @return {Object|null} `{ role (string|null), faris (string[]), faras (string[]), faros (string[]), comment (string|null) }`
+ *                       or null if the text contains no sections
+ */
+export function parseReplyText (text) {
+	const sections = {};
+	let role = null;
+	let section = null;
+
+	for (let line of text.split(/\r?\n/)) {
+		if (/^\s*>/.test(line)) { continue; } // Quoted text
+		if (/^(--|-{3,}.*|_{3,}.*)$/.test(line.trim())) { break; } // Signature or start of forwarded text
+		if (/\b(wrote|skribis|schrieb|écrit|escribió|scrisse|escreveu)\b.*:\s*$/i.test(line)) { break; } // Attribution line
+
+		const heading = /^\s*\**(faris|faras|faros|komentoj?|rolo)\**\s*:\**\s*(.*)$/i.exec(line);
+		if (heading) {
+			const key = heading[1].toLowerCase();
+			const rest = heading[2].trim();
+			if (key === 'rolo') {
+				role = rest || null;
+				section = null;
+				continue;
+			}
+
+			section = key.indexOf('komento') === 0 ? 'comment' : key;
+			if (!(section in sections)) { sections[section] = []; }
+			if (rest) { sections[section].push(rest); }
+			continue;
+		}
+
+		if (section) { sections[section].push(line); }
+	}
+
+	if (!sections.faris && !sections.faras && !sections.faros) { return null; }
+
+	const parseFaroj = lines => (lines || [])
+		.map(line => line.trim().replace(/^(?:[-*•–]|\d+[.)])\s+/, '').trim())
+		.filter(line => line.length && line !== '-' && line !== '…');
+
+	const comment = (sections.comment || []).join('\n').trim();
+
+	return {
+		role: role,
+		faris: parseFaroj(sections.faris),
+		faras: parseFaroj(sections.faras),
+		faros: parseFaroj(sections.faros),
+		comment: comment.length && comment !== '…' ? comment : null
+	};
+}
+
+/**
+ * Finds the reply token of a message in the addresses it was sent to or in its subject
+ * @param  {Object} message A message as returned by parseMessage
+ * @return {string|null}
+ */
+export function findReplyToken (message) {
+	const addressBits = CR.conf.cirkuleroReplyAddress.split('{{token}}');
+	if (addressBits.length > 1) {
+		const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		const addressRegex = new RegExp(addressBits.map(escapeRegExp).join('([a-f0-9]+)'), 'i');
+		const addressFields = [ 'to', 'cc', 'delivered-to', 'x-original-to', 'envelope-to' ];
+		for (let field of addressFields) {
+			for (let value of message.fields[field] || []) {
+				const match = addressRegex.exec(value);
+				if (match) { return match[1].toLowerCase(); }
+			}
+		}
+	}
+
+	const match = /\[kontribuo:([a-f0-9]+)\]/i.exec(message.subject);
+	if (match) { return match[1].toLowerCase(); }
+
+	return null;
+}
+
+/**
+ * Obtains the address of the sender of a message from its `From` field
+ * @param  {Object} message A message as returned by parseMessage
+ * @return {string|null} The lowercase address or null if there is none
+ */
+export function getSenderAddress (message) {
+	const from = decodeHeaderField((message.fields.from || [ '' ])[0]);
+	const match = /<([^<>\s]+@[^<>\s]+)>/.exec(from) || /([^<>\s"]+@[^<>\s"]+)/.exec(from);
+	return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Handles a reply to a direct cirkulero reminder, submitting it as a contribution. The contributor is informed about
+ * the result by email unless the reply couldn't be tied to a user. As the token may have been passed on, e.g. by
+ * forwarding the reminder, replies are only accepted from the contributor's own address
+ * @param  {Buffer|string} raw The raw RFC 822 message
+ * @return {string} The result, one of `ACCEPTED`, `NO_TOKEN`, `INVALID_TOKEN`, `WRONG_SENDER`, `INVALID_CIRKULERO`,
+ *                  `MAY_NOT_CONTRIBUTE`, `INVALID_FORMAT`, `INVALID_ROLE`, `TOO_LONG` and `MISSING_SECTIONS`
+ */
+export async function handleReply (raw) {
+	const message = parseMessage(raw);
+	const token = findReplyToken(message);
+	if (!token) { return 'NO_TOKEN'; }
+
+	let stmt = CR.db.cirkuleroj.prepare('select t.user_id, c.id, c.name, c.open from cirkuleroj_reply_tokens t inner join cirkuleroj c on c.id = t.cirkulero_id where t.token = ?');
+	const cirk = stmt.get(token);
+	if (!cirk) { return 'INVALID_TOKEN'; }
+
+	const user = User.getUserById(cirk.user_id);
+	if (!user || !user.enabled) { return 'INVALID_TOKEN'; }
+
+	const view = {
+		name: user.getBriefName() || 'cirkulerkontribuanto',
+		cirk_id: cirk.id,
+		cirk_name: cirk.name,
+		link: url.resolve(CR.conf.addressPrefix, `cirkuleroj/${cirk.id}`)
+	};
+	const sendResult = async (subject, data) => {
+		await CRMail.renderSendMail('cirkulero_reply', Object.assign(data, view), {
+			subject: subject,
+			to: user.email
+		});
+	};
+	const reject = async (error, reason) => {
+		await sendResult(`Cirkulero ${cirk.id} – Ne eblis registri vian kontribuon`, {
+			preheader: `Ne eblis registri vian kontribuon al cirkulero ${cirk.id}.`,
+			accepted: false,
+			reason: reason
+		});
+		return error;
+	};
+
+	if (getSenderAddress(message) !== user.email.toLowerCase()) {
+		return await reject('WRONG_SENDER', `ĝi ne estis sendita de via retpoŝtadreso ${user.email}. Bonvolu respondi de tiu adreso aŭ kontribui rekte en Centra Reto.`);
+	}
+
+	if (!cirk.open) {
+		return await reject('INVALID_CIRKULERO', 'la cirkulero ne plu estas malfermita al kontribuoj.');
+	}
+
+	if (!await CRCirkulero.mayUserContributeToCirkuleroj(user)) {
+		return await reject('MAY_NOT_CONTRIBUTE', 'vi ne plu rajtas kontribui al cirkuleroj.');
+	}
+
+	const reply = message.text === null ? null : parseReplyText(message.text);
+	if (!reply) {
+		return await reject('INVALID_FORMAT', 'ĝi enhavas neniun el la sekcioj “Faris:”, “Faras:” kaj “Faros:”.');
+	}
+
+	const groups = await CRCirkulero.getUserCirkuleroContributionGroups(user);
+	let group = null;
+	if (reply.role) {
+		group = groups.find(x => x.user.name.toLowerCase() === reply.role.toLowerCase());
+	} else if (groups.length === 1) {
+		group = groups[0];
+	}
+	if (!group) {
+		const roles = groups.map(x => `“${x.user.name}”`).join(', ');
+		return await reject('INVALID_ROLE', `ne eblis determini, kiel kiu vi kontribuas. Bonvolu aldoni la linion “Rolo:” kun unu el viaj roloj: ${roles}.`);
+	}
+
+	const faroj = {};
+	for (let key of [ 'faris', 'faras', 'faros' ]) {
+		faroj[key] = reply[key].map(faro => sanitizeMarkdown(removeUnsafeCharsOneLine(faro)));
+		if (faroj[key].some(faro => faro.length > 2000)) {
+			return await reject('TOO_LONG', 'unu el la punktoj estas pli longa ol 2000 signoj.');
+		}
+	}
+	const comment = reply.comment === null ? null : sanitizeMarkdown(removeUnsafeChars(reply.comment));
+	if (comment !== null && comment.length > 1000) {
+		return await reject('TOO_LONG', 'la komentoj estas pli longaj ol 1000 signoj.');
+	}
+
+	// Keep the comment on the user's role and the points in other sections from any existing contribution as they can't
+	// be provided by email
+	stmt = CR.db.cirkuleroj.prepare('select user_role_comment, sections from cirkuleroj_contributions where cirkulero_id = ? and user_id = ? and group_id = ?');
+	const existing = stmt.get(cirk.id, user.id, group.group.id);
+
+	// Points in sections that no longer apply to the role are dropped, the remaining ones must meet the minimum amounts
+	const groupSections = await CRCirkulero.getGroupSections(cirk.id, group.group.id);
+	const existingValues = existing ? JSON.parse(existing.sections) : {};
+	for (let id in existingValues) {
+		if (!groupSections.some(x => x.id.toString() === id)) { delete existingValues[id]; }
+	}
+	const sections = CRCirkulero.sanitizeSectionValues(groupSections, existingValues, true);
+	if (!sections) {
+		const required = groupSections
+			.filter(x => x.min_items > 0)
+			.map(x => `“${x.name}” (almenaŭ ${x.min_items} ${x.min_items === 1 ? 'punkto' : 'punktoj'})`)
+			.join(', ');
+		return await reject('MISSING_SECTIONS', `mankas punktoj en sekcioj, kiujn ne eblas plenigi per retpoŝto. Bonvolu kontribui rekte en Centra Reto kaj plenigi la jenajn sekciojn: ${required}.`);
+	}
+
+	CRCirkulero.submitContribution({
+		cirkulero_id: cirk.id,
+		user_id: user.id,
+		group_id: group.group.id,
+		user_role_comment: existing ? existing.user_role_comment : null,
+		faris: faroj.faris,
+		faras: faroj.faras,
+		faros: faroj.faros,
+		sections: sections,
+		comment: comment
+	});
+
+	await sendResult(`Cirkulero ${cirk.id} – Ricevis vian kontribuon`, {
+		preheader: `Via kontribuo al cirkulero ${cirk.id} estis registrita.`,
+		accepted: true,
+		role: group.user.name,
+		faris: faroj.faris,
+		faras: faroj.faras,
+		faros: faroj.faros,
+		comment: comment
+	});
+	return 'ACCEPTED';
+}
+
+/**
+ * Handles all new messages in the maildir configured for replies to cirkulero reminders, moving them to `cur` once
+ * handled. This function is automatically called by the event loop.
+ */
+export async function checkReplyMaildir () {
+	if (!CR.conf.cirkuleroReplyAddress || !CR.conf.cirkuleroReplyMaildir) { return; }
+
+	const newDir = path.join(CR.conf.cirkuleroReplyMaildir, 'new');
+	const curDir = path.join(CR.conf.cirkuleroReplyMaildir, 'cur');
+
+	let files;
+	try {
+		files = await fs.readdir(newDir);
+	} catch (e) {
+		CR.log.error(e);
+		return;
+	}
+
+	for (let file of files) {
+		if (file[0] === '.') { continue; }
+		const filePath = path.join(newDir, file);
+
+		try {
+			const result = await handleReply(await fs.readFile(filePath));
+			CR.log.info('Traktis respondon al cirkulero %s: %s', file, result);
+		} catch (e) {
+			CR.log.error(e);
+		}
+
+		// Mark the message as seen so it won't be handled again
+		try {
+			await fs.rename(filePath, path.join(curDir, file.split(':')[0] + ':2,S'));
+		} catch (e) {
+			CR.log.error(e);
+		}
+	}
+}
@@ -0,0 +1,290 @@
+import express from 'express';
+import moment from 'moment-timezone';
+import fs from 'pn/fs';
+import path from 'path';
+
+/**
+ * The available visibilities of documents.
+ * public: Everyone, including visitors that aren't logged in
+ * login:  All logged in users
+ * groups: Only the members of the document's groups
+ */
+export const visibilities = [ 'public', 'login', 'groups' ];
+
+/**
+ * Obtains a document by its id
+ * @param  {number} id
+ * @return {Object|null} The document row or null if not found
+ */
+export function getDocumentById (id) {
+	const stmt = CR.db.documents.prepare('select id, path, title, category, date, visibility, groups, created_by from documents where id = ?');
+	return parseDocumentRow(stmt.get(id));
+}
+
+/**
+ * Obtains a document by its path under /d/
+ * @param  {string} docPath
+ * @return {Object|null} The document row or null if not found
+ */
+export function getDocumentByPath (docPath) {
+	const stmt = CR.db.documents.prepare('select id, path, title, category, date, visibility, groups, created_by from documents where path = ?');
+	return parseDocumentRow(stmt.get(docPath));
+}
+
+/**
+ * Parses the groups of a document row
+ * @param  {Object} [row]
+ * @return {Object|null}
+ */
+function parseDocumentRow (row) {
+	if (!row) { return null; }
+	row.groups = row.groups ? row.groups.split(',').map(x => parseInt(x, 10)) : [];
+	return row;
+}
+
+/**
+ * Validates the path of a document under /d/, e.g. `cirkuleroj/12.pdf`
+ * @param  {string} docPath
+ * @return {boolean}
+ */
+export function isValidPath (docPath) {
+	if (typeof docPath !== 'string' || docPath.length > 200) { return false; }
+	const bits = docPath.split('/');
+	return bits.every(bit => /^[a-z0-9_.-]+$/.test(bit) && bit !== '.' && bit !== '..');
+}
+
+/**
+ * Obtains the ids of the groups the user is an active member of, including parent groups
+ * @param  {User} user
+ * @return {number[]}
+ */
+async function getActiveGroupIds (user) {
+	const groups = await user.getGroups();
+	const ids = [];
+	for (let group of groups.values()) {
+		if (group.user.active) { ids.push(group.group.id); }
+	}
+	return ids;
+}
+
+/**
+ * Returns whether a user may access a document
+ * @param  {Object}    doc    The document row
+ * @param  {User|null} [user] The user or null if not logged in
+ * @return {boolean}
+ */
+export async function mayUserAccessDocument (doc, user) {
+	if (doc.visibility === 'public') { return true; }
+	if (!user) { return false; }
+	if (doc.visibility === 'login') { return true; }
+	if (await user.hasPermission('dokumentoj.manage')) { return true; }
+
+	const groupIds = await getActiveGroupIds(user);
+	return doc.groups.some(id => groupIds.indexOf(id) > -1);
+}
+
+/**
+ * Creates a where statement limiting documents to those accessible to a user
+ * @param  {User|null} [user] The user or null if not logged in
+ * @return {string} The where statement. It contains no user provided values
+ */
+export async function getAccessWhere (user) {
+	if (!user) { return 'visibility = \'public\''; }
+	if (await user.hasPermission('dokumentoj.manage')) { return '1'; }
+
+	let where = 'visibility in (\'public\', \'login\')';
+	const groupIds = await getActiveGroupIds(user);
+	if (groupIds.length > 0) {
+		const groupsWhere = groupIds.map(id => `(',' || groups || ',') like '%,${id},%'`).join(' or ');
+		where += ` or (visibility = 'groups' and (${groupsWhere}))`;
+	}
+	return where;
+}
+
+/**
+ * Obtains the path at which the file of a version of a document is stored
+ * @param  {number} versionId
+ * @return {string}
+ */
+export function getVersionFilePath (versionId) {
+	return path.join(CR.dataDir, 'documents', versionId.toString());
+}
+
+/**
+ * Obtains the versions of a document
+ * @param  {number} documentId
+ * @return {Object[]} The version rows from newest to oldest
+ */
+export function getVersions (documentId) {
+	const stmt = CR.db.documents.prepare('select id, file_name, mime_type, size, comment, time, uploaded_by from documents_versions where document_id = ? order by id desc');
+	return stmt.all(documentId);
+}
+
+/**
+ * Stores a file uploaded through multer as the newest version of a document
+ * @param  {number}      documentId
+ * @param  {Object}      file       The multer file
+ * @param  {User}        user       The user that uploaded the file
+ * @param  {string|null} [comment]  A comment describing the changes in this version
+ * @return {number} The id of the new version
+ */
+export async function insertVersion (documentId, file, user, comment = null) {
+	const versionId = insertVersionRow({
+		document_id: documentId,
+		file_name: file.originalname,
+		mime_type: file.mimetype || 'application/octet-stream',
+		size: file.size,
+		comment: comment,
+		uploaded_by: user.id
+	});
+
+	// The temporary directory may be on another file system, so the file can't simply be renamed
+	await fs.copyFile(file.path, getVersionFilePath(versionId));
+	await fs.unlink(file.path);
+
+	return versionId;
+}
+
+/**
+ * Stores a file generated by Centra Reto itself or imported from elsewhere as the newest version of the document at a
+ * path, creating the document if it doesn't exist yet
+ * @param  {Object}      options
+ * @param  {string}      options.path       The path of the document under /d/
+ * @param  {string}      options.title      The title of the document, only used if it doesn't exist yet
+ * @param  {string}      options.category   The category of the document, only used if it doesn't exist yet
+ * @param  {number}      options.date       The unix time of the document, only used if it doesn't exist yet
+ * @param  {string}      options.visibility The visibility of the document, only used if it doesn't exist yet
+ * @param  {string}      options.fileName   The file name of the version
+ * @param  {string}      options.mimeType   The mime type of the version
+ * @param  {Buffer}      options.buffer     The contents of the version
+ * @param  {User}        options.user       The user responsible for the version
+ * @param  {string|null} [options.comment]  A comment describing the changes in this version
+ * @return {number} The id of the new version
+ */
+export async function insertGeneratedVersion ({
+	path: docPath,
+	title,
+	category,
+	date,
+	visibility,
+	fileName,
+	mimeType,
+	buffer,
+	user,
+	comment = null
+} = {}) {
+	let doc = getDocumentByPath(docPath);
+	if (!doc) {
+		const stmt = CR.db.documents.prepare('insert into documents (path, title, category, date, visibility, created_by) values (@path, @title, @category, @date, @visibility, @created_by)');
+		stmt.run({
+			path: docPath,
+			title: title,
+			category: category,
+			date: date,
+			visibility: visibility,
+			created_by: user.id
+		});
+		doc = getDocumentByPath(docPath);
+	}
+
+	const versionId = insertVersionRow({
+		document_id: doc.id,
+		file_name: fileName,
+		mime_type: mimeType,
+		size: buffer.length,
+		comment: comment,
+		uploaded_by: user.id
+	});
+	await fs.writeFile(getVersionFilePath(versionId), buffer);
+
+	return versionId;
+}
+
+/**
+ * Registers the files in a directory, such as those previously served statically under /d/, as public documents. The
+ * path of each document is the path of its file relative to the directory, files that are already registered or whose
+ * path isn't valid are skipped
+ * @param  {string}  dir      The directory
+ * @param  {User}    user     The user the documents are attributed to
+ * @param  {boolean} [dryRun] Whether to only determine the outcome without storing anything
+ * @return {Object}
+ *   imported (string[]) The paths of the new documents
+ *   skipped  (Object[]) `{ path (string), reason (string) }`
+ */
+export async function importDirectory (dir, user, dryRun = false) {
+	const result = {
+		imported: [],
+		skipped: []
+	};
+
+	const handleDir = async relDir => {
+		const files = await fs.readdir(path.join(dir, relDir), { withFileTypes: true });
+		for (let file of files) {
+			const docPath = relDir ? `${relDir}/${file.name}` : file.name;
+			if (file.isDirectory()) {
+				await handleDir(docPath);
+				continue;
+			}
+			if (!file.isFile()) { continue; }
+
+			if (!isValidPath(docPath)) {
+				result.skipped.push({ path: docPath, reason: 'nevalida vojo' });
+				continue;
+			}
+			if (getDocumentByPath(docPath)) {
+				result.skipped.push({ path: docPath, reason: 'jam registrita' });
+				continue;
+			}
+
+			result.imported.push(docPath);
+			if (dryRun) { continue; }
+
+			const filePath = path.join(dir, docPath);
+			const stat = await fs.stat(filePath);
+			const category = relDir ? relDir.split('/')[0] : 'Diversaj';
+			await insertGeneratedVersion({
+				path: docPath,
+				title: path.basename(file.name, path.extname(file.name)),
+				category: category[0].toUpperCase() + category.substring(1),
+				date: moment(stat.mtime).unix(),
+				visibility: 'public',
+				fileName: file.name,
+				mimeType: express.static.mime.lookup(file.name),
+				buffer: await fs.readFile(filePath),
+				user: user
+			});
+		}
+	};
+	await handleDir('');
+
+	return result;
+}
+
+/**
+ * Inserts the row of a new version of a document
+ * @param  {Object} data The values of the row, except for `time`
+ * @return {number} The id of the new version
+ */
+function insertVersionRow (data) {
+	const stmt = CR.db.documents.prepare('insert into documents_versions (document_id, file_name, mime_type, size, comment, time, uploaded_by) values (@document_id, @file_name, @mime_type, @size, @comment, @time, @uploaded_by)');
+	data.time = moment().unix();
+	return stmt.run(data).lastInsertRowid;
+}
+
+/**
+ * Deletes a document along with the files of all its versions
+ * @param  {number} documentId
+ * @return {boolean} Whether the document existed
+ */
+export async function deleteDocument (documentId) {
+	const versions = getVersions(documentId);
+
+	const stmt = CR.db.documents.prepare('delete from documents where id = ?');
+	const info = stmt.run(documentId);
+	if (info.changes === 0) { return false; }
+
+	for (let version of versions) {
+		await fs.unlink(getVersionFilePath(version.id));
+	}
+	return true;
+}
@@ -0,0 +1,212 @@
+/**
+ * Tallies a single-winner election using Ranked Pairs (Paroranga Sistemo) as described in the Reglamento pri Voĉdonadoj
+ * @param  {string[]}     candidates   The names of all candidates
+ * @param  {string[][][]} ballots      The ranked ballots. Each ballot is an array of ranks from most to least preferred,
+ *                                     each rank being an array of the candidates ranked equally. Candidates not present
+ *                                     on a ballot are ranked equally below all candidates present on it. An empty
+ *                                     ballot is a blank ballot
+ * @param  {string[]}     [tieBreaker] The tie breaker ballot, a ranking of all candidates without ties. Only required
+ *                                     if a tie occurs
+ * @return {Object} The result along with an audit trace:
+ *
+ *   status       (string)      `OK` or `TIE_BREAKER_NEEDED` if a tie occured and no tie breaker ballot was provided
+ *   winner       (string|null) The winning candidate or null if status isn't `OK`
+ *   ballots      (number)      The amount of ballots, including blank ballots
+ *   blankBallots (number)      The amount of blank ballots
+ *   matrix       (Object)      The pairwise matrix. `matrix[a][b]` is the amount of ballots preferring a over b
+ *   pairs        (Object[])    All pairs in the order they were processed
+ *     winner     (string)      The candidate preferred by the most ballots
+ *     loser      (string)      The other candidate
+ *     wins       (number)      The amount of ballots preferring the winner over the loser
+ *     losses     (number)      The amount of ballots preferring the loser over the winner
+ *     diff       (number)      wins - losses
+ *     tieBroken  (boolean)     Whether the tie breaker ballot was used to decide the pair's orientation or position
+ *     locked     (boolean)     Whether the pair was locked. False if locking it would have created a cycle
+ */
+export function rankedPairs (candidates, ballots, tieBreaker = null) {
+	if (tieBreaker) {
+		validateTieBreaker(candidates, tieBreaker);
+	}
+
+	const result = {
+		status: 'OK',
+		winner: null,
+		ballots: ballots.length,
+		blankBallots: 0,
+		matrix: {},
+		pairs: []
+	};
+
+	// Build the pairwise matrix
+	for (let a of candidates) {
+		result.matrix[a] = {};
+		for (let b of candidates) {
+			if (a === b) { continue; }
+			result.matrix[a][b] = 0;
+		}
+	}
+
+	for (let ballot of ballots) {
+		if (ballot.length === 0) {
+			result.blankBallots++;
+			continue;
+		}
+
+		const ranks = {};
+		for (let cand of candidates) {
+			ranks[cand] = ballot.length; // Unranked candidates share the lowest rank
+		}
+		ballot.forEach((rank, i) => {
+			for (let cand of rank) {
+				ranks[cand] = i;
+			}
+		});
+
+		for (let a of candidates) {
+			for (let b of candidates) {
+				if (a === b) { continue; }
+				if (ranks[a] < ranks[b]) {
+					result.matrix[a][b]++;
+				}
+			}
+		}
+	}
+
+	// Create the pairs
+	const pairs = [];
+	for (let i = 0; i < candidates.length; i++) {
+		for (let n = i + 1; n < candidates.length; n++) {
+			let a = candidates[i];
+			let b = candidates[n];
+			let tieBroken = false;
+
+			if (result.matrix[a][b] === result.matrix[b][a]) {
+				if (!tieBreaker) {
+					result.status = 'TIE_BREAKER_NEEDED';
+					return result;
+				}
+				tieBroken = true;
+				if (tieBreaker.indexOf(b) < tieBreaker.indexOf(a)) {
+					[ a, b ] = [ b, a ];
+				}
+			} else if (result.matrix[b][a] > result.matrix[a][b]) {
+				[ a, b ] = [ b, a ];
+			}
+
+			pairs.push({
+				winner: a,
+				loser: b,
+				wins: result.matrix[a][b],
+				losses: result.matrix[b][a],
+				diff: result.matrix[a][b] - result.matrix[b][a],
+				tieBroken: tieBroken,
+				locked: false
+			});
+		}
+	}
+
+	// Sort the pairs by their strength and group those of equal strength
+	pairs.sort((a, b) => b.diff - a.diff);
+	const pairGroups = [];
+	for (let pair of pairs) {
+		const lastGroup = pairGroups[pairGroups.length - 1];
+		if (lastGroup && lastGroup[0].diff === pair.diff) {
+			lastGroup.push(pair);
+		} else {
+			pairGroups.push([ pair ]);
+		}
+	}
+
+	// Lock the pairs
+	const graph = {};
+	for (let cand of candidates) {
+		graph[cand] = [];
+	}
+
+	for (let group of pairGroups) {
+		if (group.length > 1) {
+			// The order within the group only matters if not all of the pairs can be locked
+			const testGraph = {};
+			for (let cand of candidates) {
+				testGraph[cand] = graph[cand].slice();
+			}
+			let allLockable = true;
+			for (let pair of group) {
+				testGraph[pair.winner].push(pair.loser);
+				if (hasPath(testGraph, pair.loser, pair.winner)) {
+					allLockable = false;
+					break;
+				}
+			}
+
+			if (!allLockable) {
+				if (!tieBreaker) {
+					result.status = 'TIE_BREAKER_NEEDED';
+					result.pairs = pairs;
+					return result;
+				}
+
+				// The pair whose winner is ranked higher by the tie breaker comes first
+				// If the winners are the same, the pair whose loser is ranked lower by the tie breaker comes first
+				group.sort((a, b) => {
+					const winnerDiff = tieBreaker.indexOf(a.winner) - tieBreaker.indexOf(b.winner);
+					if (winnerDiff !== 0) { return winnerDiff; }
+					return tieBreaker.indexOf(b.loser) - tieBreaker.indexOf(a.loser);
+				});
+				for (let pair of group) {
+					pair.tieBroken = true;
+				}
+			}
+		}
+
+		for (let pair of group) {
+			if (hasPath(graph, pair.loser, pair.winner)) { continue; } // Would create a cycle
+			graph[pair.winner].push(pair.loser);
+			pair.locked = true;
+		}
+	}
+	result.pairs = [].concat(...pairGroups);
+
+	// The winner is the only candidate without any locked pairs against them
+	const losers = new Set();
+	for (let pair of result.pairs) {
+		if (pair.locked) { losers.add(pair.loser); }
+	}
+	result.winner = candidates.find(cand => !losers.has(cand)) || null;
+
+	return result;
+}
+
+/**
+ * Validates a tie breaker ballot
+ * @param  {string[]} candidates
+ * @param  {string[]} tieBreaker
+ * @throws {Error} If the tie breaker ballot doesn't rank every candidate exactly once
+ */
+export function validateTieBreaker (candidates, tieBreaker) {
+	if (tieBreaker.length !== candidates.length ||
+		new Set(tieBreaker).size !== tieBreaker.length ||
+		!tieBreaker.every(cand => candidates.indexOf(cand) > -1)) {
+		throw new Error('The tie breaker ballot must rank every candidate exactly once');
+	}
+}
+
+/**
+ * Returns whether there is a path between two nodes in a directed graph
+ * @param  {Object} graph A map of nodes to arrays of the nodes they have edges to
+ * @param  {string} from
+ * @param  {string} to
+ * @return {boolean}
+ */
+function hasPath (graph, from, to) {
+	const visited = new Set();
+	const stack = [ from ];
+	while (stack.length) {
+		const node = stack.pop();
+		if (node === to) { return true; }
+		if (visited.has(node)) { continue; }
+		visited.add(node);
+		stack.push(...graph[node]);
+	}
+	return false;
+}
@@ -0,0 +1,123 @@
+import { validateTieBreaker } from './paroranga';
+
+/**
+ * Tallies a multi-winner election using Single Transferable Vote (Unuopa Transdonebla Voĉo) as described in the
+ * Reglamento pri Voĉdonadoj. The Droop quota is used and surpluses are transferred by reducing the weight of all
+ * ballots held by the elected candidate
+ * @param  {string[]}   candidates   The names of all candidates
+ * @param  {string[][]} ballots      The ballots, each a ranking of candidates from most to least preferred without
+ *                                   ties. An empty ballot is a blank ballot
+ * @param  {number}     seats        The amount of candidates to elect
+ * @param  {string[]}   [tieBreaker] The tie breaker ballot, a ranking of all candidates without ties. Only required if
+ *                                   a tie occurs when excluding a candidate
+ * @return {Object} The result along with the round by round counts:
+ *
+ *   status       (string)   `OK` or `TIE_BREAKER_NEEDED` if a tie occured and no tie breaker ballot was provided
+ *   elected      (string[]) The elected candidates in the order they were elected
+ *   ballots      (number)   The amount of ballots, including blank ballots
+ *   blankBallots (number)   The amount of blank ballots
+ *   quota        (number)   The Droop quota
+ *   rounds       (Object[]) The rounds of the count
+ *     votes      (Object)   A map of each continuing candidate to their (weighted) amount of votes
+ *     exhausted  (number)   The (weighted) amount of votes no longer counting for any candidate
+ *     elected    (string[]) The candidates elected in this round
+ *     excluded   (string)   The candidate excluded in this round, if any
+ *     tieBroken  (boolean)  Whether the tie breaker ballot was used to decide which candidate to exclude
+ */
+export function singleTransferableVote (candidates, ballots, seats, tieBreaker = null) {
+	if (tieBreaker) {
+		validateTieBreaker(candidates, tieBreaker);
+	}
+
+	const validBallots = ballots
+		.filter(ballot => ballot.length > 0)
+		.map(ballot => {
+			return {
+				prefs: ballot,
+				weight: 1
+			};
+		});
+
+	const result = {
+		status: 'OK',
+		elected: [],
+		ballots: ballots.length,
+		blankBallots: ballots.length - validBallots.length,
+		quota: Math.floor(validBallots.length / (seats + 1)) + 1,
+		rounds: []
+	};
+
+	const continuing = candidates.slice();
+
+	while (result.elected.length < seats) {
+		// Count the votes of the continuing candidates
+		const votes = {};
+		const holders = {};
+		for (let cand of continuing) {
+			votes[cand] = 0;
+			holders[cand] = [];
+		}
+		let exhausted = 0;
+		for (let ballot of validBallots) {
+			const cand = ballot.prefs.find(pref => continuing.indexOf(pref) > -1);
+			if (cand === undefined) {
+				exhausted += ballot.weight;
+			} else {
+				votes[cand] += ballot.weight;
+				holders[cand].push(ballot);
+			}
+		}
+
+		const round = {
+			votes: votes,
+			exhausted: exhausted,
+			elected: [],
+			excluded: null,
+			tieBroken: false
+		};
+		result.rounds.push(round);
+
+		const byVotes = continuing.slice().sort((a, b) => votes[b] - votes[a]);
+
+		// Elect all remaining candidates if there are no more than there are seats left
+		if (continuing.length <= seats - result.elected.length) {
+			round.elected = byVotes;
+			result.elected.push(...byVotes);
+			break;
+		}
+
+		// Elect all candidates that have reached the quota and transfer their surplus
+		const reached = byVotes.filter(cand => votes[cand] >= result.quota);
+		if (reached.length > 0) {
+			for (let cand of reached) {
+				const surplus = votes[cand] - result.quota;
+				for (let ballot of holders[cand]) {
+					ballot.weight *= surplus / votes[cand];
+				}
+				continuing.splice(continuing.indexOf(cand), 1);
+			}
+			round.elected = reached;
+			result.elected.push(...reached);
+			continue;
+		}
+
+		// Exclude the weakest candidate
+		const minVotes = votes[byVotes[byVotes.length - 1]];
+		const weakest = byVotes.filter(cand => votes[cand] === minVotes);
+		let excluded = weakest[0];
+		if (weakest.length > 1) {
+			if (!tieBreaker) {
+				result.status = 'TIE_BREAKER_NEEDED';
+				return result;
+			}
+
+			// The candidate ranked lowest by the tie breaker is excluded
+			excluded = weakest.sort((a, b) => tieBreaker.indexOf(b) - tieBreaker.indexOf(a))[0];
+			round.tieBroken = true;
+		}
+		round.excluded = excluded;
+		continuing.splice(continuing.indexOf(excluded), 1);
+	}
+
+	return result;
+}
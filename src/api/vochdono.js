@@ -0,0 +1,543 @@
+import moment from 'moment-timezone';
+import crypto from 'pn/crypto';
+import url from 'url';
+
+import Group from './group';
+import User from './user';
+import * as CRMail from '../mail';
+import { rankedPairs } from './paroranga';
+import { singleTransferableVote } from './utv';
+
+/**
+ * The available types of votes.
+ * jns: Jes/Ne/Sindetenas (yes/no/abstain)
+ * rp:  Paroranga Sistemo (Ranked Pairs), a single-winner election with ranked ballots
+ * utv: Unuopa Transdonebla Voĉo (Single Transferable Vote), a multi-winner election with ranked ballots without ties
+ */
+export const voteTypes = [ 'jns', 'rp', 'utv' ];
+
+/**
+ * The types of votes that are elections between candidates
+ */
+export const electionTypes = [ 'rp', 'utv' ];
+
+/**
+ * The valid ballot values for a jns vote
+ */
+export const jnsValues = {
+	j: 'Jes',
+	n: 'Ne',
+	s: 'Sindetenas'
+};
+
+/**
+ * Obtains a vote by its id
+ * @param  {number} id
+ * @return {Object|null} The vote row or null if not found
+ */
+export function getVoteById (id) {
+	const stmt = CR.db.voting.prepare('select id, name, description, type, secret, quorum, majority, candidates, seats, tie_breaker, groups, time_open, time_close, opened, closed, created_by from votes where id = ?');
+	const row = stmt.get(id);
+	if (!row) { return null; }
+	row.groups = row.groups.split(',').map(x => parseInt(x, 10));
+	row.candidates = JSON.parse(row.candidates);
+	row.tie_breaker = JSON.parse(row.tie_breaker);
+	return row;
+}
+
+/**
+ * Obtains all users that are members of at least one of the provided groups
+ * @param  {number[]} groupIds
+ * @return {User[]}
+ */
+export async function getUsersInGroups (groupIds) {
+	const groups = await Promise.all(groupIds.map(id => Group.getGroupById(id)));
+	const userArrs = await Promise.all(groups
+		.filter(group => group !== null)
+		.map(group => group.getAllUsers(true)));
+	const users = [];
+	const userIds = [];
+	for (let user of [].concat(...userArrs)) {
+		if (userIds.indexOf(user.id) > -1) { continue; }
+		userIds.push(user.id);
+		users.push(user);
+	}
+	return users;
+}
+
+/**
+ * Opens a vote by taking a snapshot of its eligible voters
+ * @param  {Object} vote The vote row
+ */
+export async function openVote (vote) {
+	const users = await getUsersInGroups(vote.groups);
+
+	const insertStmt = CR.db.voting.prepare('insert or ignore into votes_voters (vote_id, user_id) values (?, ?)');
+	const updateStmt = CR.db.voting.prepare('update votes set opened = 1 where id = ?');
+	// Reminders that should have been sent before the vote opened are skipped
+	const remindersStmt = CR.db.voting.prepare('insert or ignore into reminders_sent (reminder_id, vote_id) select id, ? from reminders where ? - delta_time <= ?');
+	CR.db.voting.transaction(() => {
+		for (let user of users) {
+			insertStmt.run(vote.id, user.id);
+		}
+		updateStmt.run(vote.id);
+		remindersStmt.run(vote.id, vote.time_close, vote.time_open);
+	})();
+
+	vote.opened = 1;
+}
+
+/**
+ * Closes a vote
+ * @param  {Object} vote The vote row
+ */
+export function closeVote (vote) {
+	const stmt = CR.db.voting.prepare('update votes set closed = 1 where id = ?');
+	stmt.run(vote.id);
+	vote.closed = 1;
+}
+
+/**
+ * Opens and closes all votes whose scheduled time has come.
+ * This function is automatically called by the event loop, but may also be called before reading the state of votes.
+ */
+export async function checkVotes () {
+	const timeNow = moment().unix();
+
+	let stmt = CR.db.voting.prepare('select id from votes where opened = 0 and time_open <= ?');
+	const toOpen = stmt.all(timeNow).map(row => getVoteById(row.id));
+	for (let vote of toOpen) {
+		await openVote(vote);
+	}
+
+	stmt = CR.db.voting.prepare('select id from votes where opened = 1 and closed = 0 and time_close <= ?');
+	const toClose = stmt.all(timeNow).map(row => getVoteById(row.id));
+	for (let vote of toClose) {
+		closeVote(vote);
+	}
+}
+
+/**
+ * Returns whether a user is an eligible voter in a vote. Only meaningful once the vote has been opened.
+ * @param  {number} voteId
+ * @param  {User}   user
+ * @return {boolean}
+ */
+export function isUserVoter (voteId, user) {
+	const stmt = CR.db.voting.prepare('select 1 from votes_voters where vote_id = ? and user_id = ?');
+	return !!stmt.get(voteId, user.id);
+}
+
+/**
+ * Returns whether a user has cast a ballot in a vote
+ * @param  {number} voteId
+ * @param  {User}   user
+ * @return {boolean}
+ */
+export function hasUserVoted (voteId, user) {
+	const stmt = CR.db.voting.prepare('select 1 from votes_voters where vote_id = ? and user_id = ? and voted = 1');
+	return !!stmt.get(voteId, user.id);
+}
+
+/**
+ * Validates and normalizes a ballot for a vote
+ * @param  {Object} vote   The vote row
+ * @param  {*}      ballot The ballot as provided by the user
+ * @return {string|null} The ballot in its stored form or null if invalid
+ */
+export function normalizeBallot (vote, ballot) {
+	if (vote.type === 'jns') {
+		if (typeof ballot !== 'string' || !(ballot in jnsValues)) { return null; }
+		return ballot;
+	}
+
+	if (vote.type === 'rp' || vote.type === 'utv') {
+		if (!(ballot instanceof Array)) { return null; }
+		const seen = [];
+		for (let rank of ballot) {
+			if (!(rank instanceof Array) || rank.length === 0) { return null; }
+			if (vote.type === 'utv' && rank.length > 1) { return null; } // Ties aren't allowed in UTV
+			for (let cand of rank) {
+				if (vote.candidates.indexOf(cand) === -1 || seen.indexOf(cand) > -1) { return null; }
+				seen.push(cand);
+			}
+		}
+		return JSON.stringify(ballot);
+	}
+
+	return null;
+}
+
+/**
+ * Parses a ranked ballot from its textual form, e.g. `A>B=C>D`. A blank ballot is written as `-`
+ * @param  {string} str
+ * @return {string[][]} The ranks of the ballot from most to least preferred
+ */
+export function parseRankedBallot (str) {
+	str = str.trim();
+	if (str === '-') { return []; }
+	return str.split('>').map(rank => rank.split('=').map(cand => cand.trim()));
+}
+
+/**
+ * Writes a ranked ballot in its textual form, e.g. `A>B=C>D`. A blank ballot is written as `-`
+ * @param  {string[][]} ballot
+ * @return {string}
+ */
+export function stringifyRankedBallot (ballot) {
+	if (ballot.length === 0) { return '-'; }
+	return ballot.map(rank => rank.join('=')).join('>');
+}
+
+/**
+ * Casts or replaces a user's ballot in a vote that isn't secret
+ * @param  {Object} vote   The vote row
+ * @param  {User}   user
+ * @param  {string} ballot The normalized ballot
+ */
+export function castBallot (vote, user, ballot) {
+	const ballotStmt = CR.db.voting.prepare('insert or replace into votes_ballots (vote_id, user_id, ballot, time) values (?, ?, ?, ?)');
+	const voterStmt = CR.db.voting.prepare('update votes_voters set voted = 1 where vote_id = ? and user_id = ?');
+	CR.db.voting.transaction(() => {
+		ballotStmt.run(vote.id, user.id, ballot, moment().unix());
+		voterStmt.run(vote.id, user.id);
+	})();
+}
+
+/**
+ * Casts a user's ballot in a secret vote. Only the fact that the user has voted is recorded in relation to the user,
+ * the ballot itself is stored without any reference to the user or the time of voting. As the ballots are ordered by
+ * the hash of their receipt their order is random
+ * @param  {Object} vote   The vote row
+ * @param  {User}   user
+ * @param  {string} ballot The normalized ballot
+ * @return {string|null} The receipt token that can be used to verify the ballot or null if the user has already voted
+ */
+export async function castSecretBallot (vote, user, ballot) {
+	const receiptBytes = await crypto.randomBytes(CR.conf.voteReceiptSize);
+	const receipt = receiptBytes.toString('hex');
+
+	const voterStmt = CR.db.voting.prepare('update votes_voters set voted = 1 where vote_id = ? and user_id = ? and voted = 0');
+	const ballotStmt = CR.db.voting.prepare('insert into votes_ballots_secret (vote_id, receipt_hash, ballot) values (?, ?, ?)');
+	return CR.db.voting.transaction(() => {
+		const info = voterStmt.run(vote.id, user.id);
+		if (info.changes === 0) { return null; }
+		ballotStmt.run(vote.id, hashReceipt(receipt), ballot);
+		return receipt;
+	})();
+}
+
+/**
+ * Obtains the ballot belonging to a receipt token of a secret vote
+ * @param  {Object} vote    The vote row
+ * @param  {string} receipt The receipt token
+ * @return {string|null} The ballot in its stored form or null if there is no ballot with the receipt
+ */
+export function getBallotByReceipt (vote, receipt) {
+	const stmt = CR.db.voting.prepare('select ballot from votes_ballots_secret where vote_id = ? and receipt_hash = ?');
+	const row = stmt.get(vote.id, hashReceipt(receipt));
+	if (!row) { return null; }
+	return row.ballot;
+}
+
+/**
+ * Hashes a receipt token for storage
+ * @param  {string} receipt
+ * @return {string}
+ */
+function hashReceipt (receipt) {
+	return crypto.createHash('sha256').update(receipt).digest('hex');
+}
+
+/**
+ * Parses a ballot file as exported by the `vochdono eksporti` command.
+ * The first line contains the candidates separated by commas, each subsequent non-empty line contains one ballot
+ * in the form used by parseRankedBallot
+ * @param  {string} str The contents of the file
+ * @return {Object} `{ candidates string[], ballots string[][][] }`
+ * @throws {Error} If a ballot contains an unknown candidate or a candidate more than once
+ */
+export function parseBallotFile (str) {
+	const lines = str.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+	if (lines.length === 0) {
+		throw new Error('The ballot file is empty');
+	}
+
+	const candidates = lines[0].split(',').map(cand => cand.trim());
+	const ballots = lines.slice(1).map((line, i) => {
+		const ballot = parseRankedBallot(line);
+		const seen = new Set();
+		for (let cand of [].concat(...ballot)) {
+			if (candidates.indexOf(cand) === -1 || seen.has(cand)) {
+				throw new Error(`Invalid ballot on line ${i + 2}: ${line}`);
+			}
+			seen.add(cand);
+		}
+		return ballot;
+	});
+
+	return {
+		candidates: candidates,
+		ballots: ballots
+	};
+}
+
+/**
+ * Writes a ballot file that can be read by parseBallotFile
+ * @param  {string[]}     candidates
+ * @param  {string[][][]} ballots
+ * @return {string}
+ */
+export function stringifyBallotFile (candidates, ballots) {
+	const lines = [ candidates.join(',') ];
+	for (let ballot of ballots) {
+		lines.push(stringifyRankedBallot(ballot));
+	}
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Obtains all ballots cast in a vote
+ * @param  {Object} vote The vote row
+ * @return {string[]} The ballots in their stored form
+ */
+export function getBallots (vote) {
+	const table = vote.secret ? 'votes_ballots_secret' : 'votes_ballots';
+	const stmt = CR.db.voting.prepare(`select ballot from ${table} where vote_id = ?`);
+	return stmt.all(vote.id).map(row => row.ballot);
+}
+
+/**
+ * Parses a fraction such as `2/3` as used for quorums and majorities
+ * @param  {string} str
+ * @return {number[]|null} `[ numerator, denominator ]` or null if invalid. The fraction must be above 0 and at most 1
+ */
+export function parseFraction (str) {
+	if (typeof str !== 'string') { return null; }
+	const bits = str.match(/^(\d+)\/(\d+)$/);
+	if (!bits) { return null; }
+	const numerator = parseInt(bits[1], 10);
+	const denominator = parseInt(bits[2], 10);
+	if (numerator < 1 || denominator < numerator) { return null; }
+	return [ numerator, denominator ];
+}
+
+/**
+ * Tallies the results of a vote
+ * @param  {Object} vote The vote row
+ * @return {Object} `{ voters number, ballots number, quorum Object|null, result Object }`
+ *
+ * `voters` is the amount of eligible voters at the opening of the vote.
+ * `ballots` includes abstentions and blank ballots.
+ *
+ * If the vote has a quorum `quorum` contains:
+ *   fraction (string)  The required fraction of eligible voters, e.g. `1/2`
+ *   required (number)  The minimum amount of ballots required
+ *   met      (boolean) Whether the quorum was met
+ *
+ * For jns votes `result` contains:
+ *   counts   (Object)      A map of ballot value to the amount of ballots with that value
+ *   majority (Object)      Abstentions aren't counted toward the majority
+ *     fraction (string|null) The required fraction of yes votes, e.g. `2/3`. At least this fraction is needed, but
+ *                            like with a simple majority a tie between yes and no votes never passes. If null more yes
+ *                            than no votes are needed
+ *     met      (boolean)     Whether the majority was reached
+ *   accepted (boolean)     Whether the quorum (if any) was met and the majority was reached
+ *
+ * For rp votes `result` is the output of api/paroranga#rankedPairs
+ * For utv votes `result` is the output of api/utv#singleTransferableVote
+ */
+export function getResults (vote) {
+	const stmt = CR.db.voting.prepare('select count(1) as count from votes_voters where vote_id = ?');
+	const voters = stmt.get(vote.id).count;
+
+	const ballots = getBallots(vote);
+
+	const results = {
+		voters: voters,
+		ballots: ballots.length,
+		quorum: null,
+		result: null
+	};
+
+	if (vote.quorum) {
+		const [ numerator, denominator ] = parseFraction(vote.quorum);
+		const required = Math.ceil(voters * numerator / denominator);
+		results.quorum = {
+			fraction: vote.quorum,
+			required: required,
+			met: ballots.length >= required
+		};
+	}
+	const quorumMet = !results.quorum || results.quorum.met;
+
+	if (vote.type === 'jns') {
+		const counts = {};
+		for (let value in jnsValues) {
+			counts[value] = 0;
+		}
+		for (let ballot of ballots) {
+			counts[ballot]++;
+		}
+
+		let majorityMet;
+		if (vote.majority) {
+			const [ numerator, denominator ] = parseFraction(vote.majority);
+			// Reaching the fraction exactly suffices, except for a tie, so that `1/2` behaves like a simple majority
+			majorityMet = counts.j > counts.n && counts.j * denominator >= (counts.j + counts.n) * numerator;
+		} else {
+			majorityMet = counts.j > counts.n;
+		}
+
+		results.result = {
+			counts: counts,
+			majority: {
+				fraction: vote.majority,
+				met: majorityMet
+			},
+			accepted: quorumMet && majorityMet
+		};
+	} else if (vote.type === 'rp') {
+		results.result = rankedPairs(vote.candidates, ballots.map(ballot => JSON.parse(ballot)), vote.tie_breaker);
+	} else if (vote.type === 'utv') {
+		const utvBallots = ballots.map(ballot => [].concat(...JSON.parse(ballot)));
+		results.result = singleTransferableVote(vote.candidates, utvBallots, vote.seats, vote.tie_breaker);
+	}
+
+	return results;
+}
+
+/**
+ * Describes the results of a vote in short human readable lines
+ * @param  {Object} vote    The vote row
+ * @param  {Object} results The output of getResults
+ * @return {string[]}
+ */
+export function describeResults (vote, results) {
+	const lines = [ `Voĉdonis ${results.ballots} el ${results.voters} rajtantoj.` ];
+
+	if (results.quorum) {
+		if (results.quorum.met) {
+			lines.push(`La kvorumo de ${results.quorum.fraction} (${results.quorum.required} voĉoj) estis atingita.`);
+		} else {
+			lines.push(`La kvorumo de ${results.quorum.fraction} (${results.quorum.required} voĉoj) ne estis atingita. La voĉdono ne estas valida.`);
+		}
+	}
+
+	const result = results.result;
+	if (vote.type === 'jns') {
+		for (let value in jnsValues) {
+			lines.push(`${jnsValues[value]}: ${result.counts[value]}`);
+		}
+		const majority = result.majority.fraction ? `La necesa plimulto de ${result.majority.fraction}` : 'La simpla plimulto';
+		lines.push(`${majority} ${result.majority.met ? 'estis' : 'ne estis'} atingita.`);
+		lines.push(result.accepted ? 'La propono estas akceptita.' : 'La propono estas malakceptita.');
+	} else if (result.status === 'TIE_BREAKER_NEEDED') {
+		lines.push('Okazis egaleco, kiu ankoraŭ devas esti solvita per egaligbalotilo.');
+	} else if (vote.type === 'rp') {
+		lines.push(`Venkis: ${result.winner}`);
+	} else if (vote.type === 'utv') {
+		lines.push(`Elektiĝis: ${result.elected.join(', ')}`);
+	}
+
+	return lines;
+}
+
+/**
+ * Sends reminders to all eligible voters that haven't voted yet in open votes.
+ * This function is automatically called by the event loop and should not be called manually.
+ */
+export async function checkReminders () {
+	await checkVotes();
+
+	const timeNow = moment().unix();
+
+	let stmt = CR.db.voting.prepare('select id, delta_time from reminders');
+	const reminders = stmt.all();
+
+	stmt = CR.db.voting.prepare('select id from votes where opened = 1 and closed = 0');
+	const votes = stmt.all().map(row => getVoteById(row.id));
+
+	const mailPromises = [];
+
+	for (let vote of votes) {
+		stmt = CR.db.voting.prepare('select reminder_id from reminders_sent where vote_id = ?');
+		const sentReminders = new Set(stmt.all(vote.id).map(x => x.reminder_id));
+
+		const dueReminders = reminders.filter(reminder => {
+			return !sentReminders.has(reminder.id) && vote.time_close - reminder.delta_time <= timeNow;
+		});
+		if (dueReminders.length === 0) { continue; }
+
+		// If multiple reminders are due at once only one email is sent
+		const insertStmt = CR.db.voting.prepare('insert into reminders_sent (reminder_id, vote_id) values (?, ?)');
+		for (let reminder of dueReminders) {
+			insertStmt.run(reminder.id, vote.id);
+		}
+
+		stmt = CR.db.voting.prepare('select user_id from votes_voters where vote_id = ? and voted = 0');
+		const users = stmt.all(vote.id)
+			.map(row => User.getUserById(row.user_id))
+			.filter(user => user !== null);
+
+		for (let user of users) {
+			mailPromises.push(CRMail.renderSendMail('vochdono_reminder', {
+				preheader: `Vi ankoraŭ ne voĉdonis en ${vote.name}.`,
+				name: user.getBriefName() || 'voĉdonanto',
+				vote_name: vote.name,
+				time_close: moment.unix(vote.time_close).format(CR.timeFormats.dateTimeFull),
+				vote_link: url.resolve(CR.conf.addressPrefix, `vochdonado/${vote.id}`)
+			}, {
+				to: user.email,
+				subject: `Memorigo: ${vote.name}`
+			}));
+		}
+	}
+
+	await Promise.all(mailPromises);
+}
+
+/**
+ * Sends the results of all closed votes to their eligible voters if not already done. The results of elections that
+ * need a tie breaker ballot are only sent once it has been set, see routers/api/vochdonado#set_tie_breaker
+ * This function is automatically called by the event loop and should not be called manually.
+ */
+export async function checkResults () {
+	await checkVotes();
+
+	let stmt = CR.db.voting.prepare('select id from votes v where closed = 1 and not exists ( select 1 from votes_results_sent s where s.vote_id = v.id )');
+	const votes = stmt.all().map(row => getVoteById(row.id));
+
+	const mailPromises = [];
+
+	const insertStmt = CR.db.voting.prepare('insert into votes_results_sent (vote_id) values (?)');
+	for (let vote of votes) {
+		const rawResults = getResults(vote);
+		if (rawResults.result.status === 'TIE_BREAKER_NEEDED') { continue; }
+
+		insertStmt.run(vote.id);
+
+		const results = describeResults(vote, rawResults);
+
+		stmt = CR.db.voting.prepare('select user_id from votes_voters where vote_id = ?');
+		const users = stmt.all(vote.id)
+			.map(row => User.getUserById(row.user_id))
+			.filter(user => user !== null);
+
+		for (let user of users) {
+			mailPromises.push(CRMail.renderSendMail('vochdono_results', {
+				preheader: `La voĉdono ${vote.name} fermiĝis.`,
+				name: user.getBriefName() || 'voĉdonanto',
+				vote_name: vote.name,
+				time_close: moment.unix(vote.time_close).format(CR.timeFormats.dateTimeFull),
+				results: results,
+				vote_link: url.resolve(CR.conf.addressPrefix, `vochdonado/${vote.id}`)
+			}, {
+				to: user.email,
+				subject: `Rezultoj: ${vote.name}`
+			}));
+		}
+	}
+
+	await Promise.all(mailPromises);
+}
@@ -0,0 +1,136 @@
+import fs from 'pn/fs';
+import path from 'path';
+
+import * as CRCirkulero from '../api/cirkulero';
+import * as CRCirkuleroImport from '../api/cirkulero_import';
+import * as CRCirkuleroPDF from '../api/cirkulero_pdf';
+import * as CRCirkuleroReply from '../api/cirkulero_reply';
+import User from '../api/user';
+
+export const helpBrief = 'Iloj rilate al cirkuleroj.';
+
+export const helpDetailed = `
+- cirkulero importi <dosiero> [provi]
+  Importas malnovajn cirkulerojn el CSV- aŭ JSON-dosiero kaj konservas ilin kiel publikigitajn. Kontribuintoj estas
+  ligitaj al ekzistantaj uzantoj laŭ retpoŝtadreso aŭ plena nomo, aliaj estas konservitaj kiel libera teksto. Kun
+  \`provi\` nur montriĝas la rezulto sen konservi ion ajn.
+
+- cirkulero pdf <numero> <retpoŝtadreso>
+  (Re)generas la PDF-on de publikigita cirkulero kaj konservas ĝin kiel novan version de /d/cirkuleroj/<numero>.pdf.
+  La versio estas atribuita al la uzanto kun la indikita retpoŝtadreso.
+
+- cirkulero respondo <dosiero>
+  Traktas retmesaĝon (RFC 822) kun respondo al cirkulera memorigo kiel kontribuon. Respondoj en la agordita
+  maildir-dosierujo (cirkuleroReplyMaildir) estas aŭtomate traktataj. Mesaĝoj ne povas esti pasigitaj per stdin, ĉar
+  ĝi estas uzata de ĉi tiu konzolo; la retpoŝtservilo do liveru la respondojn al la maildir-dosierujo.
+
+- cirkulero serchindekso
+  Rekreas la serĉindekson de ĉiuj kontribuoj al cirkuleroj. Malplena serĉindekso estas aŭtomate kreita ĉe lanĉo.
+`.trim();
+
+export async function cmd (bits, log) {
+	if (bits.length < 1) {
+		log('SYNTAX');
+		return;
+	}
+
+	const commands = {
+		importi: async function () {
+			if (bits.length < 2 || bits.length > 3 || (bits.length === 3 && bits[2] !== 'provi')) {
+				log('SYNTAX');
+				return;
+			}
+			const dryRun = bits.length === 3;
+
+			let raw;
+			try {
+				raw = await fs.readFile(bits[1], 'utf8');
+			} catch (e) {
+				log('error', 'ne eblis legi la dosieron %s: %s', bits[1], e.message);
+				return;
+			}
+
+			const format = path.extname(bits[1]).substring(1).toLowerCase();
+			const parsed = await CRCirkuleroImport.parseImportFile(raw, format);
+			if (parsed.error) {
+				log('error', 'ne eblis importi la dosieron: %s', parsed.error);
+				return;
+			}
+
+			for (let cirk of parsed.cirkuleroj) {
+				const result = await CRCirkuleroImport.importCirkulero(cirk, dryRun);
+				if (result.error) {
+					log('error', 'cirkulero %d: %s', result.id, result.error);
+					continue;
+				}
+
+				log('info', '%s cirkuleron %d (%s): %d kontribuoj de uzantoj, %d de aliaj kontribuintoj', dryRun ? 'Importus' : 'Importis', result.id, result.name, result.users, result.external.length);
+				if (result.external.length) {
+					log('info', 'Aliaj kontribuintoj: %s', result.external.join(', '));
+				}
+				for (let warning of result.warnings) {
+					log('warn', '%s', warning);
+				}
+			}
+		},
+		pdf: async function () {
+			if (bits.length !== 3) {
+				log('SYNTAX');
+				return;
+			}
+
+			// Obtain the user the new version is attributed to
+			const user = User.getUserByEmail(bits[2]);
+			if (!user) {
+				log('error', 'Uzanto kun indikita retpoŝtadreso ne trovita.');
+				return;
+			}
+
+			const id = parseInt(bits[1], 10);
+			if (!Number.isSafeInteger(id) || !await CRCirkuleroPDF.storeCirkuleroPDF(id, user)) {
+				log('error', 'publikigita cirkulero %s ne trovita.', bits[1]);
+				return;
+			}
+
+			log('info', 'Generis /d/cirkuleroj/%d.pdf', id);
+		},
+		respondo: async function () {
+			if (bits.length !== 2) {
+				log('SYNTAX');
+				return;
+			}
+
+			if (!CR.conf.cirkuleroReplyAddress) {
+				log('error', 'kontribuado per retpoŝto ne estas agordita (cirkuleroReplyAddress).');
+				return;
+			}
+
+			let raw;
+			try {
+				raw = await fs.readFile(bits[1]);
+			} catch (e) {
+				log('error', 'ne eblis legi la dosieron %s: %s', bits[1], e.message);
+				return;
+			}
+
+			const result = await CRCirkuleroReply.handleReply(raw);
+			log('info', 'Rezulto: %s', result);
+		},
+		serchindekso: async function () {
+			if (bits.length !== 1) {
+				log('SYNTAX');
+				return;
+			}
+
+			const amount = CRCirkulero.rebuildContributionSearchIndex();
+			log('info', 'Indeksis %d kontribuojn.', amount);
+		}
+	};
+
+	if (!(bits[0] in commands)) {
+		log('error', 'nekonata komando `%s`', bits[0]);
+		return;
+	}
+
+	await commands[bits[0]]();
+}
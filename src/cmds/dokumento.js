@@ -0,0 +1,56 @@
+import * as CRDokumento from '../api/dokumento';
+import User from '../api/user';
+
+export const helpBrief = 'Iloj rilate al la dokumentarkivo.';
+
+export const helpDetailed = `
+- dokumento importi <dosierujo> <retpoŝtadreso> [provi]
+  Registras ĉiujn dosierojn en dosierujo, ekz. tiujn antaŭe rekte servitajn sub /d/, kiel publikajn dokumentojn. La vojo
+  de ĉiu dokumento estas la vojo de la dosiero ene de la dosierujo, do <dosierujo>/cirkuleroj/12.pdf iĝas
+  /d/cirkuleroj/12.pdf. La dokumentoj estas atribuitaj al la uzanto kun la indikita retpoŝtadreso. Jam registritaj
+  dokumentoj estas preterlasitaj. Kun \`provi\` nur montriĝas la rezulto sen konservi ion ajn.
+`.trim();
+
+export async function cmd (bits, log) {
+	if (bits.length < 1) {
+		log('SYNTAX');
+		return;
+	}
+
+	const commands = {
+		importi: async function () {
+			if (bits.length < 3 || bits.length > 4 || (bits.length === 4 && bits[3] !== 'provi')) {
+				log('SYNTAX');
+				return;
+			}
+			const dryRun = bits.length === 4;
+
+			// Obtain the user the documents are attributed to
+			const user = User.getUserByEmail(bits[2]);
+			if (!user) {
+				log('error', 'Uzanto kun indikita retpoŝtadreso ne trovita.');
+				return;
+			}
+
+			let result;
+			try {
+				result = await CRDokumento.importDirectory(bits[1], user, dryRun);
+			} catch (e) {
+				log('error', 'ne eblis legi la dosierujon %s: %s', bits[1], e.message);
+				return;
+			}
+
+			for (let skipped of result.skipped) {
+				log('warn', 'Preterlasis %s: %s', skipped.path, skipped.reason);
+			}
+			log('info', '%s %d dokumentojn.', dryRun ? 'Registrus' : 'Registris', result.imported.length);
+		}
+	};
+
+	if (!(bits[0] in commands)) {
+		log('error', 'nekonata komando `%s`', bits[0]);
+		return;
+	}
+
+	await commands[bits[0]]();
+}
@@ -1,3 +1,6 @@
 export * as helpo from './helpo';
 export * as uzanto from './uzanto';
 export * as grupoj from './grupoj';
+export * as vochdono from './vochdono';
+export * as cirkulero from './cirkulero';
+export * as dokumento from './dokumento';
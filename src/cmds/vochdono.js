@@ -0,0 +1,254 @@
+import fs from 'pn/fs';
+import Table from 'tty-table';
+
+import * as CRVochdono from '../api/vochdono';
+import { rankedPairs } from '../api/paroranga';
+import { singleTransferableVote } from '../api/utv';
+
+export const helpBrief = 'Iloj rilate al voĉdonoj.';
+
+export const helpDetailed = `
+- vochdono eksporti <voĉdono> <dosiero>
+  Eksportas la voĉojn de fermita elekto al balotdosiero.
+  La unua linio de balotdosiero enhavas la kandidatojn apartigitajn per komoj. Ĉiu sekva linio enhavas unu voĉon en la formo A>B=C>D. Blanka voĉo estas skribita kiel -.
+
+- vochdono rezultoj <voĉdono>
+  Montras la rezultojn de fermita voĉdono.
+
+- vochdono rp <dosiero> [egaligbalotilo]
+  Kalkulas la rezulton de elekto laŭ la Paroranga Sistemo el balotdosiero.
+  egaligbalotilo estas rangigo de ĉiuj kandidatoj sen egalaj rangoj en la formo A>B>C>D. Ĝi necesas nur okaze de egaleco.
+
+- vochdono utv <dosiero> <sidlokoj> [egaligbalotilo]
+  Kalkulas la rezulton de elekto laŭ Unuopa Transdonebla Voĉo el balotdosiero.
+  sidlokoj estas la nombro de elektotaj kandidatoj. La voĉoj en la balotdosiero ne rajtas enhavi egalajn rangojn.
+  egaligbalotilo estas rangigo de ĉiuj kandidatoj sen egalaj rangoj en la formo A>B>C>D. Ĝi necesas nur okaze de egaleco.
+`.trim();
+
+export async function cmd (bits, log) {
+	if (bits.length < 1) {
+		log('SYNTAX');
+		return;
+	}
+
+	const commands = {
+		eksporti: async function () {
+			if (bits.length !== 3) {
+				log('SYNTAX');
+				return;
+			}
+
+			const vote = getClosedVote(bits[1], log);
+			if (!vote) { return; }
+
+			if (CRVochdono.electionTypes.indexOf(vote.type) === -1) {
+				log('error', 'voĉdono %d ne estas elekto.', vote.id);
+				return;
+			}
+
+			const ballots = CRVochdono.getBallots(vote).map(ballot => JSON.parse(ballot));
+			await fs.writeFile(bits[2], CRVochdono.stringifyBallotFile(vote.candidates, ballots));
+
+			log('info', 'Eksportis %d voĉojn al %s.', ballots.length, bits[2]);
+		},
+		rezultoj: async function () {
+			if (bits.length !== 2) {
+				log('SYNTAX');
+				return;
+			}
+
+			const vote = getClosedVote(bits[1], log);
+			if (!vote) { return; }
+
+			const results = CRVochdono.getResults(vote);
+			for (let line of CRVochdono.describeResults(vote, results)) {
+				log('info', '%s', line);
+			}
+
+			if (vote.type === 'rp') {
+				logRankedPairs(results.result, log);
+			} else if (vote.type === 'utv') {
+				logSingleTransferableVote(vote.candidates, results.result, log);
+			}
+		},
+		rp: async function () {
+			if (bits.length < 2 || bits.length > 3) {
+				log('SYNTAX');
+				return;
+			}
+
+			let file;
+			try {
+				file = CRVochdono.parseBallotFile(await fs.readFile(bits[1], 'utf8'));
+			} catch (e) {
+				log('error', 'ne eblis legi la balotdosieron: %s', e.message);
+				return;
+			}
+
+			let tieBreaker = null;
+			if (bits.length === 3) {
+				tieBreaker = bits[2].split('>').map(cand => cand.trim());
+			}
+
+			let result;
+			try {
+				result = rankedPairs(file.candidates, file.ballots, tieBreaker);
+			} catch (e) {
+				log('error', 'nevalida egaligbalotilo');
+				return;
+			}
+
+			logRankedPairs(result, log);
+		},
+		utv: async function () {
+			if (bits.length < 3 || bits.length > 4) {
+				log('SYNTAX');
+				return;
+			}
+
+			let file;
+			try {
+				file = CRVochdono.parseBallotFile(await fs.readFile(bits[1], 'utf8'));
+			} catch (e) {
+				log('error', 'ne eblis legi la balotdosieron: %s', e.message);
+				return;
+			}
+
+			const ballots = [];
+			for (let ballot of file.ballots) {
+				if (ballot.some(rank => rank.length > 1)) {
+					log('error', 'la voĉo %s enhavas egalajn rangojn.', CRVochdono.stringifyRankedBallot(ballot));
+					return;
+				}
+				ballots.push([].concat(...ballot));
+			}
+
+			const seats = parseInt(bits[2], 10);
+			if (!Number.isSafeInteger(seats) || seats < 1 || seats >= file.candidates.length) {
+				log('error', 'nevalida nombro de sidlokoj');
+				return;
+			}
+
+			let tieBreaker = null;
+			if (bits.length === 4) {
+				tieBreaker = bits[3].split('>').map(cand => cand.trim());
+			}
+
+			let result;
+			try {
+				result = singleTransferableVote(file.candidates, ballots, seats, tieBreaker);
+			} catch (e) {
+				log('error', 'nevalida egaligbalotilo');
+				return;
+			}
+
+			logSingleTransferableVote(file.candidates, result, log);
+		}
+	};
+
+	if (!(bits[0] in commands)) {
+		log('error', 'nekonata komando `%s`', bits[0]);
+		return;
+	}
+
+	await commands[bits[0]]();
+}
+
+/**
+ * Obtains a closed vote by its id, logging an error if not possible
+ * @param  {string}   idStr The id of the vote as input by the user
+ * @param  {Function} log
+ * @return {Object|null} The vote row
+ */
+function getClosedVote (idStr, log) {
+	const id = parseInt(idStr, 10);
+	const vote = Number.isSafeInteger(id) ? CRVochdono.getVoteById(id) : null;
+	if (!vote) {
+		log('error', 'voĉdono %s ne trovita.', idStr);
+		return null;
+	}
+	if (!vote.closed) {
+		log('error', 'voĉdono %d ankoraŭ ne estas fermita.', vote.id);
+		return null;
+	}
+	return vote;
+}
+
+/**
+ * Logs the result and audit trace of a Ranked Pairs election
+ * @param {Object}   result The output of api/paroranga#rankedPairs
+ * @param {Function} log
+ */
+function logRankedPairs (result, log) {
+	log('info', 'Voĉoj: %d, el kiuj blankaj: %d', result.ballots, result.blankBallots);
+
+	const candidates = Object.keys(result.matrix);
+	const matrixHeader = [ { value: '' } ].concat(candidates.map(cand => { return { value: cand }; }));
+	const matrixRows = candidates.map(a => {
+		return [ a ].concat(candidates.map(b => a === b ? '-' : result.matrix[a][b]));
+	});
+	log('info', 'Parkomparoj:\n%s', Table(matrixHeader, matrixRows).render());
+
+	if (result.pairs.length > 0) {
+		const pairsHeader = [
+			{ value: 'gajnanto' },
+			{ value: 'malgajnanto' },
+			{ value: 'por' },
+			{ value: 'kontraŭ' },
+			{ value: 'diferenco' },
+			{ value: 'egaligita' },
+			{ value: 'ŝlosita' }
+		];
+		const pairsRows = result.pairs.map(pair => [
+			pair.winner,
+			pair.loser,
+			pair.wins,
+			pair.losses,
+			pair.diff,
+			pair.tieBroken ? 'Jes' : 'Ne',
+			pair.locked ? 'Jes' : 'Ne'
+		]);
+		log('info', 'Paroj:\n%s', Table(pairsHeader, pairsRows).render());
+	}
+
+	if (result.status === 'TIE_BREAKER_NEEDED') {
+		log('info', 'Okazis egaleco. Bonvolu indiki egaligbalotilon.');
+	} else {
+		log('info', 'Venkis: %s', result.winner);
+	}
+}
+
+/**
+ * Logs the result and rounds of a Single Transferable Vote election
+ * @param {string[]} candidates
+ * @param {Object}   result     The output of api/utv#singleTransferableVote
+ * @param {Function} log
+ */
+function logSingleTransferableVote (candidates, result, log) {
+	log('info', 'Voĉoj: %d, el kiuj blankaj: %d', result.ballots, result.blankBallots);
+	log('info', 'Kvoto: %d', result.quota);
+
+	const header = [ { value: 'vico' } ]
+		.concat(candidates.map(cand => { return { value: cand }; }))
+		.concat([
+			{ value: 'elĉerpitaj' },
+			{ value: 'elektiĝis' },
+			{ value: 'eliminiĝis' }
+		]);
+	const rows = result.rounds.map((round, i) => {
+		return [ i + 1 ]
+			.concat(candidates.map(cand => cand in round.votes ? Math.round(round.votes[cand] * 1000) / 1000 : '-'))
+			.concat([
+				Math.round(round.exhausted * 1000) / 1000,
+				round.elected.join(', '),
+				(round.excluded || '') + (round.tieBroken ? ' (egaligita)' : '')
+			]);
+	});
+	log('info', 'Vicoj:\n%s', Table(header, rows).render());
+
+	if (result.status === 'TIE_BREAKER_NEEDED') {
+		log('info', 'Okazis egaleco. Bonvolu indiki egaligbalotilon.');
+	} else {
+		log('info', 'Elektiĝis: %s', result.elected.join(', '));
+	}
+}
@@ -12,12 +12,16 @@ import * as CRHttp from './http';
 import * as CRMail from './mail';
 import * as CRCmd from './cmd';
 import * as CRTimer from './timer';
+import * as CRCirkulero from './api/cirkulero';
 
 (async () => {
 	const DBs = [
 		'users',
 		'cirkuleroj',
-		'resources'
+		'resources',
+		'voting',
+		'decisions',
+		'documents'
 	];
 
 	global.CR = {
@@ -120,6 +124,7 @@ import * as CRTimer from './timer';
 	};
 	CR.log.info('Kreas datumdosierojn');
 	await handleDataDir('');
+	await fs.ensureDir(path.join(CR.dataDir, 'documents'));
 
 	// Apply user config on top of default config
 	const configDefault = await fs.readJson(path.join(CR.defaultDataDir, 'settings.json'));
@@ -133,6 +138,12 @@ import * as CRTimer from './timer';
 		CR.db[dbName] = new SQLDatabase(path.join(CR.dataDir, 'db', dbName + '.db'));
 	}
 
+	// Existing contributions are only searchable once they've been indexed
+	const indexed = CRCirkulero.ensureContributionSearchIndex();
+	if (indexed) {
+		CR.log.info('Indeksis %d kontribuojn al cirkuleroj por la serĉo', indexed);
+	}
+
 	// Create smtp server
 	CRMail.init();
 
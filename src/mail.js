@@ -106,7 +106,7 @@ export async function renderMail (template, templateData) {
  * Renders and sends an email
  * @param  {string} template     The name of the email template
  * @param  {Object} templateData The view for the email render
- * @param  {Object} options      The options to be sent to nodemailer
+ * @param  {Object} options      The options to be sent to nodemailer. Any attachments are sent along with the embedded pictures
  */
 export async function renderSendMail (template, templateData, sendOptions) {
 	// Render the mail
@@ -119,7 +119,7 @@ export async function renderSendMail (template, templateData, sendOptions) {
 	const emailImgDir = path.join(CR.filesDir, 'email', 'img');
 	const embeddedImgs = [ 'emblemo.png', mail.data.header_image_file ];
 
-	sendOptions.attachments = [];
+	if (!sendOptions.attachments) { sendOptions.attachments = []; }
 	for (let img of embeddedImgs) {
 		sendOptions.attachments.push({
 			filename: img,
@@ -0,0 +1,144 @@
+import moment from 'moment-timezone';
+import url from 'url';
+
+import * as CRCirkulero from '../../../api/cirkulero';
+import * as CRMail from '../../../mail';
+import User from '../../../api/user';
+import { removeUnsafeChars, sanitizeMarkdown } from '../../../util';
+
+async function comment (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /comment
+	 * Comments on a contribution to a published cirkulero or replies to an existing comment. The contributor and the
+	 * author of the comment replied to are notified by email
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   cirkulero_id (number)
+	 *   user_id      (number)      The id of the contributor
+	 *   group_id     (number)      The group id of the contribution
+	 *   parent_id    (number|null) The id of the comment to reply to or null to start a new thread
+	 *   text         (string)      The comment, see util#parseMarkdown for the allowed formatting
+	 *                              Max length: 5000 chars
+	 *
+	 * Returns:
+	 *   id (number) The id of the new comment
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT       [argument]
+	 * CIRKULERO_NOT_FOUND               The cirkulero doesn't exist or hasn't been published yet
+	 * CONTRIBUTION_NOT_FOUND
+	 * COMMENT_NOT_FOUND                 The parent comment doesn't belong to the contribution or has been removed
+	 */
+
+	const fields = [
+		'cirkulero_id',
+		'user_id',
+		'group_id',
+		'parent_id',
+		'text'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	for (let field of [ 'cirkulero_id', 'user_id', 'group_id' ]) {
+		if (!Number.isSafeInteger(req.body[field])) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+	}
+
+	if (req.body.parent_id !== null && !Number.isSafeInteger(req.body.parent_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['parent_id']);
+		return;
+	}
+
+	if (typeof req.body.text !== 'string') {
+		res.sendAPIError('INVALID_ARGUMENT', ['text']);
+		return;
+	}
+	const text = sanitizeMarkdown(removeUnsafeChars(req.body.text)).trim();
+	if (!text.length || text.length > 5000) {
+		res.sendAPIError('INVALID_ARGUMENT', ['text']);
+		return;
+	}
+
+	let stmt = CR.db.cirkuleroj.prepare('select name, published from cirkuleroj where id = ?');
+	const cirk = stmt.get(req.body.cirkulero_id);
+	if (!cirk || !cirk.published) {
+		res.sendAPIError('CIRKULERO_NOT_FOUND');
+		return;
+	}
+
+	stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_contributions where cirkulero_id = ? and user_id = ? and group_id = ?');
+	if (!stmt.get(req.body.cirkulero_id, req.body.user_id, req.body.group_id)) {
+		res.sendAPIError('CONTRIBUTION_NOT_FOUND');
+		return;
+	}
+
+	let parent = null;
+	if (req.body.parent_id !== null) {
+		stmt = CR.db.cirkuleroj.prepare('select author_id from cirkuleroj_comments where id = ? and cirkulero_id = ? and user_id = ? and group_id = ? and deleted_by is null');
+		parent = stmt.get(req.body.parent_id, req.body.cirkulero_id, req.body.user_id, req.body.group_id);
+		if (!parent) {
+			res.sendAPIError('COMMENT_NOT_FOUND');
+			return;
+		}
+	}
+
+	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_comments (cirkulero_id, user_id, group_id, parent_id, author_id, text, time) values (@cirkulero_id, @user_id, @group_id, @parent_id, @author_id, @text, @time)');
+	const info = stmt.run({
+		cirkulero_id: req.body.cirkulero_id,
+		user_id: req.body.user_id,
+		group_id: req.body.group_id,
+		parent_id: req.body.parent_id,
+		author_id: req.user.id,
+		text: text,
+		time: moment().unix()
+	});
+	const id = info.lastInsertRowid;
+
+	res.sendAPIResponse({
+		id: id
+	}); // We do this now as sending the notifications may take a while
+
+	// The response has already been sent, so failures can only be logged
+	const notify = async function () {
+		// Let the contributor and the author of the comment replied to know, but never the author of the new comment
+		const recipients = [ req.body.user_id ];
+		if (parent && parent.author_id !== req.body.user_id) { recipients.push(parent.author_id); }
+
+		stmt = CR.db.cirkuleroj.prepare('select allowed_contributors from cirkuleroj_published where cirkulero_id = ?');
+		const published = stmt.get(req.body.cirkulero_id);
+		const contributor = User.getUserById(req.body.user_id);
+		const role = contributor ? await CRCirkulero.getPublishedRoleName(contributor, req.body.group_id, published ? published.allowed_contributors : null) : '';
+
+		for (let recipientId of recipients) {
+			if (recipientId === req.user.id) { continue; }
+			const user = User.getUserById(recipientId);
+			if (!user || !user.enabled) { continue; }
+
+			const isContributor = recipientId === req.body.user_id;
+
+			await CRMail.renderSendMail('cirkulero_comment', {
+				name: user.getBriefName(),
+				author: req.user.getLongName(),
+				cirk_id: req.body.cirkulero_id,
+				cirk_name: cirk.name,
+				role: role,
+				contributor: isContributor,
+				text: text,
+				link: url.resolve(CR.conf.addressPrefix, `cirkuleroj/${req.body.cirkulero_id}#komento-${id}`)
+			}, {
+				subject: isContributor ?
+					`Cirkulero ${req.body.cirkulero_id} – Nova komento pri via kontribuo` :
+					`Cirkulero ${req.body.cirkulero_id} – Nova respondo al via komento`,
+				to: user.email
+			});
+		}
+	};
+	notify().catch(e => CR.log.error(`Ne eblis sendi sciigojn pri komento ${id}\n${e.stack}`));
+}
+
+export default comment;
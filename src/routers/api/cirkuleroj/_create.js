@@ -1,5 +1,6 @@
 import moment from 'moment';
 
+import * as CRCirkulero from '../../../api/cirkulero';
 import { removeUnsafeCharsOneLine } from '../../../util';
 
 async function create (req, res, next) { // eslint-disable-line no-unused-vars
@@ -83,7 +84,7 @@ async function create (req, res, next) { // eslint-disable-line no-unused-vars
 	// End data validation
 
 	// Check if the id is taken
-	let stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj where id = ?');
+	const stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj where id = ?');
 	const exists = !!stmt.get(req.body.id);
 	if (exists) {
 		res.sendAPIError('ID_TAKEN');
@@ -91,41 +92,15 @@ async function create (req, res, next) { // eslint-disable-line no-unused-vars
 	}
 
 	// Insert the cirkulero
-	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj (id, name, deadline, `open`, note, reminders) values (@id, @name, @deadline, @open, @note, @reminders)');
-	stmt.run({
+	CRCirkulero.createCirkulero({
 		id: req.body.id,
-		name: removeUnsafeCharsOneLine(req.body.name.toLowerCase()),
+		name: req.body.name.toLowerCase(),
 		deadline: req.body.deadline,
-		open: +req.body.open,
+		open: req.body.open,
 		note: note,
-		reminders: 0
+		reminders: req.body.reminders
 	});
 
-	// Remove old reminders if necessary
-	if (req.body.reminders) {
-		const time = req.body.deadline - timeNow; // t < d - Δt <=> d - t < Δt
-
-		stmt = CR.db.cirkuleroj.prepare('select id from reminders_direct where delta_time > ?');
-		const remindersDirect = stmt.all(time).map(x => x.id);
-
-		stmt = CR.db.cirkuleroj.prepare('insert into reminders_direct_sent (reminder_id, cirkulero_id) values (?, ?)');
-		for (let reminder of remindersDirect) {
-			stmt.run(reminder, req.body.id);
-		}
-
-		stmt = CR.db.cirkuleroj.prepare('select id from reminders_lists where delta_time > ?');
-		const remindersLists = stmt.all(time).map(x => x.id);
-
-		stmt = CR.db.cirkuleroj.prepare('insert into reminders_lists_sent (reminder_id, cirkulero_id) values (?, ?)');
-		for (let reminder of remindersLists) {
-			stmt.run(reminder, req.body.id);
-		}
-
-		// Enable reminders
-		stmt = CR.db.cirkuleroj.prepare('update cirkuleroj set reminders = 1 where id = ?');
-		stmt.run(req.body.id);
-	}
-
 	res.sendAPIResponse();
 }
 
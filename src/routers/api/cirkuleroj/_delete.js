@@ -37,6 +37,9 @@ async function delete_cirkulero (req, res, next) { // eslint-disable-line no-unu
 		return;
 	}
 
+	// The search index has no foreign key to cascade from
+	CR.db.cirkuleroj.prepare('delete from cirkuleroj_contributions_search where cirkulero_id = ?').run(req.body.cirkulero_id);
+
 	res.sendAPIResponse();
 }
 
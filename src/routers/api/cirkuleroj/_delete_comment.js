@@ -0,0 +1,48 @@
+async function delete_comment (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /delete_comment
+	 * Removes a comment on a contribution to a published cirkulero. Replies to the comment remain visible
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage (Only if trying to remove someone else's comment)
+	 *
+	 * Parameters:
+	 *   comment_id (number)
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT  [argument]
+	 * COMMENT_NOT_FOUND
+	 */
+
+	const fields = [
+		'comment_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.comment_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['comment_id']);
+		return;
+	}
+
+	let stmt = CR.db.cirkuleroj.prepare('select author_id from cirkuleroj_comments where id = ? and deleted_by is null');
+	const comment = stmt.get(req.body.comment_id);
+	if (!comment) {
+		res.sendAPIError('COMMENT_NOT_FOUND');
+		return;
+	}
+
+	if (comment.author_id !== req.user.id) {
+		if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+	}
+
+	// The row is kept so that the thread of any replies remains intact
+	stmt = CR.db.cirkuleroj.prepare('update cirkuleroj_comments set text = null, deleted_by = ? where id = ?');
+	stmt.run(req.user.id, req.body.comment_id);
+
+	res.sendAPIResponse();
+}
+
+export default delete_comment;
@@ -0,0 +1,44 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function get_comments (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_comments
+	 * Gets the comments on the contributions to a published cirkulero
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   cirkulero_id (number)
+	 *
+	 * Returns:
+	 *   comments (Object[]) See api/cirkulero#getComments
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT    [argument]
+	 * CIRKULERO_NOT_FOUND            The cirkulero doesn't exist or hasn't been published yet
+	 */
+
+	const fields = [
+		'cirkulero_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.cirkulero_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['cirkulero_id']);
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('select published from cirkuleroj where id = ?');
+	const cirk = stmt.get(req.body.cirkulero_id);
+	if (!cirk || !cirk.published) {
+		res.sendAPIError('CIRKULERO_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse({
+		comments: CRCirkulero.getComments(req.body.cirkulero_id)
+	});
+}
+
+export default get_comments;
@@ -1,5 +1,4 @@
 import * as CRCirkulero from '../../../api/cirkulero';
-import User from '../../../api/user';
 
 async function get_contributions (req, res, next) { // eslint-disable-line no-unused-vars
 	/**
@@ -16,12 +15,14 @@ async function get_contributions (req, res, next) { // eslint-disable-line no-un
 	 *   cirkulero_id (number)
 	 *
 	 * Returns:
-	 * contributions (Object[]) The contributions in the order in which they came
+	 * contributions (Object[]) The contributions in the order in which they came, followed by those of imported
+	 *                           contributors without an account
 	 *   user (Object) The details of the contributor
-	 *     id                   (number|null) The user's id or null if the user has been deleted
+	 *     id                   (number|null) The user's id or null if the contributor has no account
 	 *     enabled              (boolean)     Whether the user's account is enabled
-	 *     email                (string)      The user's email address
-	 *     group_id             (number)      The user's group id for this contribution
+	 *     email                (string|null) The user's email address or null if the contributor has no account
+	 *     group_id             (number|null) The user's group id for this contribution or null if the contributor has no
+	 *                                        account
 	 *     role                 (string)      The user's role
 	 *     long_name            (string|null) The user's long name or null if the user hasn't completed the initial setup
 	 *     full_name_latin_sort (string|null) The user's full name for sorting purposes or null if the user hasn't completed the initial setup
@@ -30,8 +31,21 @@ async function get_contributions (req, res, next) { // eslint-disable-line no-un
 	 *     faris             (string[])    What the user did during the month
 	 *     faras             (string[])    What the user is still doing
 	 *     faros             (string[])    What the user will be doing
+	 *     sections          (Object[])    The points of the cirkulero's other sections the user contributed to, in order
+	 *       id    (number)
+	 *       name  (string)
+	 *       items (string[])
 	 *     comment           (string|null) A comment on the user's contribution
 	 *     modified_by_admin (boolean)     Whether the contribution was modified by an admin
+	 *     entered_by        (Object|null) The user that submitted the contribution on behalf of the contributor or null
+	 *                                     if the contributor submitted it themself, see /contribute
+	 *       id        (number)
+	 *       long_name (string|null) Null if the user no longer exists
+	 *     history           (boolean)     Whether the contribution has a history of changes by admins that the user may
+	 *                                     see at /cirkuleroj/<cirkulero_id>/historio/<user_id>/<group_id>
+	 *   excused (Object|null) Null unless the user declined to contribute to the cirkulero without contributing
+	 *     reason (string|null) The reason given by the user. Only included for the user themself and those managing
+	 *                          cirkuleroj, null otherwise
 	 *   
 	 * Throws:
 	 * INVALID_ARGUMENT    [argument]
@@ -49,7 +63,7 @@ async function get_contributions (req, res, next) { // eslint-disable-line no-un
 	}
 
 	// Try to find the cirkulero
-	let stmt = CR.db.cirkuleroj.prepare('select published from cirkuleroj where id = ?');
+	const stmt = CR.db.cirkuleroj.prepare('select published from cirkuleroj where id = ?');
 	const cirk = stmt.get(req.body.cirkulero_id);
 
 	if (!cirk ||
@@ -58,101 +72,23 @@ async function get_contributions (req, res, next) { // eslint-disable-line no-un
 		return;
 	}
 
-	const contribsRaw = CRCirkulero.getAllContributions(req.body.cirkulero_id);
-	const contribsRes = [];
-	const contributorList = {};
+	const contribsRes = await CRCirkulero.getPotentialContributions(req.body.cirkulero_id, !!cirk.published);
 
-	for (let contrib of contribsRaw) {
-		const user = User.getUserById(contrib.user_id);
-
-		if (!user) { continue; }
-
-		if (!contributorList[contrib.group_id]) { contributorList[contrib.group_id] = []; }
-		contributorList[contrib.group_id].push(contrib.user_id);
-
-		const userGroups = await user.getGroups();
-		const userRole = userGroups.get(contrib.group_id).user.name;
-
-		contribsRes.push({
-			user: {
-				id: contrib.user_id,
-				enabled: user.enabled,
-				email: user.email,
-				group_id: contrib.group_id,
-				role: userRole,
-				long_name: user.getLongName() || null,
-				full_name_latin_sort: user.getNameDetails().fullNameLatinSort || null
-			},
-			contrib: {
-				role_comment: contrib.user_role_comment,
-				faris: JSON.parse(contrib.faris),
-				faras: JSON.parse(contrib.faras),
-				faros: JSON.parse(contrib.faros),
-				comment: contrib.comment,
-				modified_by_admin: !!contrib.modified_by_admin
-			}
-		});
-	}
-
-	// Find and add all non contribs
-	if (cirk.published) {
-		let allowedContributors = [];
-		stmt = CR.db.cirkuleroj.prepare('select allowed_contributors from cirkuleroj_published where cirkulero_id = ?');
-		const row = stmt.get(req.body.cirkulero_id);
-		for (let userInfo of JSON.parse(row.allowed_contributors)) {
-			for (let groupInfo of userInfo.groups) {
-				if (contributorList[groupInfo.id] && contributorList[groupInfo.id].indexOf(userInfo.user) > -1) {
-					continue; // The user contributed and shouldn't be included as a non-contributor
-				}
-				const user = User.getUserById(userInfo.user);
-				if (!user) { continue; }
-				allowedContributors.push({
-					user: user,
-					group: groupInfo.id,
-					groupName: groupInfo.name
-				});
-			}
-		}
-
-		for (let entry of allowedContributors) {
-			contribsRes.push({
-				user: {
-					id: entry.user.id,
-					enabled: entry.user.enabled,
-					email: entry.user.email,
-					group_id: entry.group,
-					role: entry.groupName,
-					long_name: entry.user.getLongName() || null,
-					full_name_latin_sort: entry.user.getNameDetails().fullNameLatinSort || null
-				},
-				contrib: null
-			});
+	// The history of a contribution and the reason for declining to contribute may only be seen by the contributor and
+	// those managing cirkuleroj
+	const mayManage = req.user && await req.user.hasPermission('cirkuleroj.manage');
+	const historyStmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_contributions_history where cirkulero_id = ? and user_id = ? and group_id = ?');
+	for (let contrib of contribsRes) {
+		if (contrib.excused && !mayManage && !(req.user && req.user.id === contrib.user.id)) {
+			contrib.excused.reason = null;
 		}
-	} else {
-		const users = await CRCirkulero.getAllowedContributors();
-		const promises = users.map(async user => {
-			const groups = await CRCirkulero.getUserCirkuleroContributionGroups(user);
-
-			for (let group of groups) {
-				if (contributorList[group.group.id] && contributorList[group.group.id].indexOf(user.id) > -1) {
-					continue; // The user contributed and shouldn't be included as a non-contributor
-				}
 
-				contribsRes.push({
-					user: {
-						id: user.id,
-						enabled: user.enabled,
-						email: user.email,
-						group_id: group.group.id,
-						role: group.user.name,
-						long_name: user.getLongName() || null,
-						full_name_latin_sort: user.getNameDetails().fullNameLatinSort || null
-					},
-					contrib: null
-				});
-			}
-		});
-		await Promise.all(promises);
+		if (!contrib.contrib) { continue; }
+		contrib.contrib.history = !!(
+			contrib.contrib.modified_by_admin &&
+			req.user && (mayManage || req.user.id === contrib.user.id) &&
+			historyStmt.get(req.body.cirkulero_id, contrib.user.id, contrib.user.group_id)
+		);
 	}
 
 	res.sendAPIResponse({
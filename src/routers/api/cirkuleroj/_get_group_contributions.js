@@ -0,0 +1,50 @@
+import Group from '../../../api/group';
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function get_group_contributions (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_group_contributions
+	 * Gets all contributions to published cirkuleroj credited to a group or any of its child groups
+	 *
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   group_id (number) The id of the group
+	 *
+	 * Returns:
+	 *   group
+	 *     id   (number)
+	 *     name (string)
+	 *   contributions (Object[]) From oldest to newest. See api/cirkulero#getGroupPublishedContributions
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * GROUP_NOT_FOUND
+	 */
+
+	const fields = [
+		'group_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.group_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['group_id']);
+		return;
+	}
+
+	const group = await Group.getGroupById(req.body.group_id);
+	if (!group) {
+		res.sendAPIError('GROUP_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse({
+		group: {
+			id: group.id,
+			name: group.nameBase
+		},
+		contributions: await CRCirkulero.getGroupPublishedContributions(group)
+	});
+}
+
+export default get_group_contributions;
@@ -1,5 +1,4 @@
 import * as CRCirkulero from '../../../api/cirkulero';
-import Group from '../../../api/group';
 
 async function get_groups (req, res, next) { // eslint-disable-line no-unused-vars
 	/**
@@ -27,27 +26,8 @@ async function get_groups (req, res, next) { // eslint-disable-line no-unused-va
 	}
 
 	if (req.body.cirkulero_id !== undefined) {
-		const stmt = CR.db.cirkuleroj.prepare('select groups_contribute, groups_appear, groups_statistics from cirkuleroj_published where cirkulero_id = ?');
-		const row = stmt.get(req.body.cirkulero_id);
-		if (row) {
-			const rawGroups = {
-				contribute: row.groups_contribute.split(',').map(x => parseInt(x, 10)),
-				appear: row.groups_appear.split(',').map(x => parseInt(x, 10)),
-				statistics: row.groups_statistics.split(',').map(x => parseInt(x, 10))
-			};
-
-			const groups = {};
-			for (let purpose in rawGroups) {
-				groups[purpose] = await Promise.all(rawGroups[purpose].map(async id => {
-					const group = await Group.getGroupById(id);
-					return {
-						id: id,
-						name: group.nameBase,
-						children: (await group.getAllChildGroups()).map(x => x.id)
-					};
-				}));
-			}
-
+		const groups = await CRCirkulero.getPublishedGroups(req.body.cirkulero_id);
+		if (groups) {
 			res.sendAPIResponse(groups);
 			return;
 		}
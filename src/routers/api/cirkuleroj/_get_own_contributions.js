@@ -19,6 +19,7 @@ async function get_own_contributions (req, res, next) { // eslint-disable-line n
 	 *   faris             (string[])
 	 *   faras             (string[])
 	 *   faros             (string[])
+	 *   sections          (Object)   The points of the cirkulero's other sections, a map of `{ section id: string[] }`
 	 *   comment           (string)
 	 *
 	 * Throws:
@@ -51,7 +52,7 @@ async function get_own_contributions (req, res, next) { // eslint-disable-line n
 		return;
 	}
 
-	stmt = CR.db.cirkuleroj.prepare('select group_id, user_role_comment, faris, faras, faros, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ?');
+	stmt = CR.db.cirkuleroj.prepare('select group_id, user_role_comment, faris, faras, faros, sections, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ?');
 	const rows = stmt.all(req.body.cirkulero_id, req.user.id);
 
 	const contribs = [];
@@ -62,6 +63,7 @@ async function get_own_contributions (req, res, next) { // eslint-disable-line n
 			faris: JSON.parse(row.faris),
 			faras: JSON.parse(row.faras),
 			faros: JSON.parse(row.faros),
+			sections: JSON.parse(row.sections),
 			comment: row.comment
 		});
 	}
@@ -0,0 +1,48 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function get_schedule (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_schedule
+	 * Gets the schedule by which cirkuleroj are created automatically along with a preview of the upcoming ones
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage
+	 *
+	 * Returns:
+	 * schedule (Object)
+	 *   enabled       (boolean) Whether cirkuleroj are created automatically
+	 *   create_day    (number)  The day of the month on which the cirkulero is created at 00:00 UTC
+	 *   deadline_day  (number)  The day of the month of the deadline. If it's not after `create_day` the deadline is
+	 *                           in the following month
+	 *   deadline_time (string)  The time of the deadline in UTC as `HH:mm`
+	 *   name          (string)  The name of the cirkuleroj, in which `{{monato}}` and `{{jaro}}` are replaced by the
+	 *                           month and year of their creation
+	 * upcoming (Object[]) The cirkuleroj to be created in the next 12 months
+	 *   month       (string)      The month as `YYYY-MM`
+	 *   id          (number|null) The predicted id of the cirkulero or null if skipped
+	 *   name        (string)
+	 *   create_time (number)      The unix time at which the cirkulero will be created
+	 *   deadline    (number)      The unix time of the deadline
+	 *   skipped     (boolean)     Whether the cirkulero won't be created
+	 */
+	
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	const schedule = CRCirkulero.getSchedule();
+
+	res.sendAPIResponse({
+		schedule: {
+			enabled: schedule.enabled,
+			create_day: schedule.create_day,
+			deadline_day: schedule.deadline_day,
+			deadline_time: schedule.deadline_time,
+			name: schedule.name
+		},
+		upcoming: CRCirkulero.getUpcomingScheduledCirkuleroj(12)
+	});
+}
+
+export default get_schedule;
@@ -0,0 +1,76 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function get_statistics (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_statistics
+	 * Gets statistics about the participation in all published cirkuleroj
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   [from] (number) The unix time of the earliest deadline of the cirkuleroj to include
+	 *   [to]   (number) The unix time of the latest deadline of the cirkuleroj to include
+	 *
+	 * Returns:
+	 * cirkuleroj (Object[]) Per cirkulero from oldest to newest:
+	 *   id            (number)
+	 *   name          (string)
+	 *   deadline      (number)
+	 *   allowed       (number) The amount of potential contributions
+	 *   contributions (number) The amount of contributions
+	 *   excused       (number) The amount of potential contributions of users that declined to contribute
+	 * groups     (Object[]) Per statistics group as configured at the time of each cirkulero's publication:
+	 *   id            (number|null) The id of the group or null for the remainder group ‘Aliaj’
+	 *   name          (string)
+	 *   allowed       (number)      The amount of potential contributions in all cirkuleroj
+	 *   contributions (number)      The amount of contributions in all cirkuleroj
+	 *   excused       (number)      The amount of excused potential contributions in all cirkuleroj
+	 *   cirkuleroj    (Object[])    Per cirkulero the group appeared in: `{ id, allowed, contributions, excused }`
+	 * users      (Object[]) Per user that was allowed to contribute to at least one of the cirkuleroj:
+	 *   user           (Object)
+	 *     id        (number)
+	 *     email     (string)
+	 *     long_name (string|null)
+	 *   allowed        (number)      The amount of cirkuleroj the user was allowed to contribute to
+	 *   contributions  (number)      The amount of cirkuleroj the user contributed to in at least one role
+	 *   excused        (number)      The amount of cirkuleroj the user declined to contribute to without contributing
+	 *   longest_streak (Object|null) The longest sequence of cirkuleroj the user was allowed to contribute to without
+	 *                                contributing, null if the user contributed to all of them. Cirkuleroj the user
+	 *                                was excused from neither break nor extend a streak
+	 *     length (number)
+	 *     from   (number) The id of the first cirkulero of the streak
+	 *     to     (number) The id of the last cirkulero of the streak
+	 *   current_streak (number)      The amount of the most recent cirkuleroj the user didn't contribute to
+	 * streaks    (Object[]) The 20 entries of `users` with the longest streaks, from longest to shortest
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 */
+
+	const options = {};
+	for (let field of [ 'from', 'to' ]) {
+		if (!(field in req.body)) { continue; }
+		if (!Number.isSafeInteger(req.body[field])) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+		options[field] = req.body[field];
+	}
+
+	const statistics = await CRCirkulero.getContributionStatistics(options);
+
+	const streaks = statistics.users
+		.filter(userStats => userStats.longest_streak)
+		.sort((a, b) => b.longest_streak.length - a.longest_streak.length || b.current_streak - a.current_streak)
+		.slice(0, 20);
+
+	res.sendAPIResponse({
+		cirkuleroj: statistics.cirkuleroj,
+		groups: statistics.groups,
+		users: statistics.users,
+		streaks: streaks
+	});
+}
+
+export default get_statistics;
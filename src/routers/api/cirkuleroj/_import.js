@@ -0,0 +1,80 @@
+import fs from 'pn/fs';
+import path from 'path';
+
+import * as CRCirkuleroImport from '../../../api/cirkulero_import';
+
+async function import_cirkuleroj (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /import
+	 * Imports historical cirkuleroj from a CSV or JSON file and stores them as published, see
+	 * api/cirkulero_import#parseImportFile for the formats
+	 *
+	 * Multipart required
+	 * json - The JSON parameters
+	 * file - The file to import, its format is determined by the extension .csv or .json
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage
+	 *
+	 * Parameters:
+	 *   [dry_run] (boolean) Whether to only determine the outcome without storing anything. Defaults to false
+	 *
+	 * Returns:
+	 *   cirkuleroj (Object[]) The outcome per cirkulero in the file:
+	 *     id       (number)
+	 *     name     (string)
+	 *     error    (string|null) Why the cirkulero couldn't be imported
+	 *     users    (number)      The amount of contributions mapped to existing users
+	 *     external (string[])    The names of the contributors kept as free text
+	 *     warnings (string[])
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * MISSING_FILE
+	 * INVALID_FILE     [description]
+	 */
+
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	if (!req.file) {
+		res.sendAPIError('MISSING_FILE');
+		return;
+	}
+
+	let raw;
+	try {
+		raw = await fs.readFile(req.file.path, 'utf8');
+	} finally {
+		await fs.unlink(req.file.path);
+	}
+
+	let dryRun = false;
+	if ('dry_run' in req.body) {
+		if (typeof req.body.dry_run !== 'boolean') {
+			res.sendAPIError('INVALID_ARGUMENT', ['dry_run']);
+			return;
+		}
+		dryRun = req.body.dry_run;
+	}
+
+	const format = path.extname(req.file.originalname).substring(1).toLowerCase();
+	const parsed = await CRCirkuleroImport.parseImportFile(raw, format);
+	if (parsed.error) {
+		res.sendAPIError('INVALID_FILE', [parsed.error]);
+		return;
+	}
+
+	const results = [];
+	for (let cirk of parsed.cirkuleroj) {
+		results.push(await CRCirkuleroImport.importCirkulero(cirk, dryRun));
+	}
+
+	res.sendAPIResponse({
+		cirkuleroj: results
+	});
+}
+
+export default import_cirkuleroj;
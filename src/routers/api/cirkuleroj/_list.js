@@ -15,7 +15,7 @@ async function list (req, res, next) { // eslint-disable-line no-unused-vars
 	 * See routers/api#performListQueryStatement
 	 *
 	 * Permitted cols:
-	 * id, name, deadline, open, reminders, published, note
+	 * id, name, deadline, open, reminders, published, note, drafts
 	 * 
 	 * Returns:
 	 * rows_total    (number)   The amount of rows in the table in total
@@ -28,6 +28,7 @@ async function list (req, res, next) { // eslint-disable-line no-unused-vars
 	 *   reminders (boolean)     Whether reminders are enabled for this cirkulero
 	 *   published (boolean)     Whether the cirkulero has been published
 	 *   note      (string|null) The reminder note for the cirkulero
+	 *   drafts    (number)      The amount of contribution drafts that haven't been submitted yet
 	 * 
 	 * Throws:
 	 * See routers/api#performListQueryStatement
@@ -48,11 +49,19 @@ async function list (req, res, next) { // eslint-disable-line no-unused-vars
 			'reminders',
 			'published',
 			'note'
+		],
+		alwaysSelect: [
+			'id'
+		],
+		customCols: [
+			'drafts'
 		]
 	});
 
 	if (!dbData) { return; }
 
+	const draftsStmt = CR.db.cirkuleroj.prepare('select count(1) as drafts from cirkuleroj_contributions_drafts where cirkulero_id = ?');
+
 	const output = dbData.data.map(row => {
 		const rowOutput = {};
 		for (let col of dbData.select) {
@@ -61,6 +70,9 @@ async function list (req, res, next) { // eslint-disable-line no-unused-vars
 			if (col === 'open' || col === 'published' || col === 'reminders') {
 				rowOutput[col] = !!val;
 
+			} else if (col === 'drafts') {
+				rowOutput[col] = draftsStmt.get(row.id).drafts;
+
 			} else if (dbData.select.indexOf(col) > -1) {
 				rowOutput[col] = val;
 			}
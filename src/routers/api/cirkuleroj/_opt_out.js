@@ -0,0 +1,106 @@
+import User from '../../../api/user';
+import * as CRCirkulero from '../../../api/cirkulero';
+import { removeUnsafeChars } from '../../../util';
+
+async function opt_out (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /opt_out
+	 * Declines to contribute to a cirkulero or snoozes its reminders. Users may do this either while logged in or using
+	 * the signed link in the reminders, see api/cirkulero#getOptOutURL
+	 *
+	 * Login required unless a valid signature is provided
+	 * Initial setup required if logged in
+	 *
+	 * Parameters:
+	 *   cirkulero_id (number)      The id of the cirkulero
+	 *   declined     (boolean)     Whether the user won't contribute to the cirkulero
+	 *   reason       (string|null) The reason for not contributing, ignored unless declined is true
+	 *                              Max length: 500 chars
+	 *   snooze_until (number|null) The unix time until which the user doesn't want to receive reminders
+	 *   [user_id]    (number)      The id of the user, only when not logged in
+	 *   [signature]  (string)      The signature from the link in the reminders, required if user_id is provided
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT    [argument]
+	 * INVALID_SIGNATURE
+	 * NOT_LOGGED_IN
+	 * CIRKULERO_NOT_FOUND
+	 * MAY_NOT_CONTRIBUTE
+	 */
+
+	const fields = [
+		'cirkulero_id',
+		'declined',
+		'reason',
+		'snooze_until'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.cirkulero_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['cirkulero_id']);
+		return;
+	}
+
+	if (typeof req.body.declined !== 'boolean') {
+		res.sendAPIError('INVALID_ARGUMENT', ['declined']);
+		return;
+	}
+
+	let reason = null;
+	if (req.body.reason !== null) {
+		if (typeof req.body.reason !== 'string' || req.body.reason.length > 500) {
+			res.sendAPIError('INVALID_ARGUMENT', ['reason']);
+			return;
+		}
+		reason = removeUnsafeChars(req.body.reason).trim() || null;
+	}
+
+	if (req.body.snooze_until !== null && !Number.isSafeInteger(req.body.snooze_until)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['snooze_until']);
+		return;
+	}
+
+	let user;
+	if ('user_id' in req.body) {
+		if (!Number.isSafeInteger(req.body.user_id)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['user_id']);
+			return;
+		}
+		if (typeof req.body.signature !== 'string' ||
+			!CRCirkulero.verifyOptOutSignature(req.body.cirkulero_id, req.body.user_id, req.body.signature)) {
+			res.sendAPIError('INVALID_SIGNATURE');
+			return;
+		}
+		user = User.getUserById(req.body.user_id);
+		if (!user) {
+			res.sendAPIError('MAY_NOT_CONTRIBUTE');
+			return;
+		}
+	} else if (req.user) {
+		user = req.user;
+	} else {
+		res.sendAPIError('NOT_LOGGED_IN');
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj where id = ? and published = 0');
+	if (!stmt.get(req.body.cirkulero_id)) {
+		res.sendAPIError('CIRKULERO_NOT_FOUND');
+		return;
+	}
+
+	if (!await CRCirkulero.mayUserContributeToCirkuleroj(user)) {
+		res.sendAPIError('MAY_NOT_CONTRIBUTE');
+		return;
+	}
+
+	CRCirkulero.setOptOut(req.body.cirkulero_id, user.id, {
+		declined: req.body.declined,
+		reason: reason,
+		snooze_until: req.body.snooze_until
+	});
+
+	res.sendAPIResponse();
+}
+
+export default opt_out;
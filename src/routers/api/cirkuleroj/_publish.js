@@ -1,12 +1,17 @@
+import moment from 'moment-timezone';
+import url from 'url';
+
 import * as CRMail from '../../../mail';
 import * as CRCirkulero from '../../../api/cirkulero';
+import * as CRCirkuleroPDF from '../../../api/cirkulero_pdf';
 import Group from '../../../api/group';
-import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
+import User from '../../../api/user';
+import { removeUnsafeChars, removeUnsafeCharsOneLine, escapeHTML, sanitizeMarkdown } from '../../../util';
 
 async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 	/**
 	 * POST /publish
-	 * Publishes a cirkulero
+	 * Publishes a cirkulero and stores its PDF in the document archive at /d/cirkuleroj/<id>.pdf
 	 *
 	 * Login required
 	 * Initial setup required
@@ -20,14 +25,20 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 	 *                                 Max length: 5000 chars
 	 *   publish_email   (string|null) The email to send the announcement to. If null no announcement is made.
 	 *                                 Max length: 500 chars
+	 *                                 Depending on the settings `publish_include_html` and `publish_include_pdf` the
+	 *                                 announcement contains the full cirkulero and/or its PDF as an attachment
 	 *   contribs (Object[]) The modified cirkulero contributions
 	 *     user_id           (number)
 	 *     group_id          (number)
 	 *     faris             (string[])    Max length: 2000 chars
 	 *     faras             (string[])    Max length: 2000 chars
 	 *     faros             (string[])    Max length: 2000 chars
+	 *     [sections]        (Object)      The points of the cirkulero's other sections, see /contribute. The minimum
+	 *                                     amount of points isn't enforced. If omitted the current points are kept
 	 *     comment           (string|null) Max length: 1000 chars
 	 *     user_role_comment (string|null) Max length: 1000 chars
+	 *   [notify_contributors] (boolean) Whether to send an email to each contributor whose contribution was modified,
+	 *                                   linking to the differences. Defaults to false
 	 *
 	 * Throws:
 	 * INVALID_ARGUMENT  [argument]
@@ -89,6 +100,15 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 		return;
 	}
 
+	let notifyContributors = false;
+	if ('notify_contributors' in req.body) {
+		if (typeof req.body.notify_contributors !== 'boolean') {
+			res.sendAPIError('INVALID_ARGUMENT', ['notify_contributors']);
+			return;
+		}
+		notifyContributors = req.body.notify_contributors;
+	}
+
 	// Update contribs
 	const data = [];
 	for (let i in req.body.contribs) {
@@ -130,7 +150,7 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 
 		for (let arr of [ contrib.faris, contrib.faras, contrib.faros ]) {
 			for (let n in arr) {
-				arr[n] = removeUnsafeCharsOneLine(arr[n]);
+				arr[n] = sanitizeMarkdown(removeUnsafeCharsOneLine(arr[n]));
 				if (typeof arr[n] !== 'string' || arr[n].length > 2000) {
 					res.sendAPIError('INVALID_CONTRIB', [i]);
 					return;
@@ -140,7 +160,7 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 
 		let comment = null;
 		if (contrib.comment) {
-			comment = removeUnsafeChars(contrib.comment);
+			comment = sanitizeMarkdown(removeUnsafeChars(contrib.comment));
 		}
 
 		let userRoleComment = null;
@@ -148,22 +168,35 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 			userRoleComment = removeUnsafeCharsOneLine(contrib.user_role_comment);
 		}
 
+		let sections;
+		if ('sections' in contrib) {
+			const groupSections = await CRCirkulero.getGroupSections(req.body.cirkulero_id, contrib.group_id);
+			sections = CRCirkulero.sanitizeSectionValues(groupSections, contrib.sections, false);
+			if (!sections) {
+				res.sendAPIError('INVALID_CONTRIB', [i]);
+				return;
+			}
+		} else {
+			stmt = CR.db.cirkuleroj.prepare('select sections from cirkuleroj_contributions where cirkulero_id = ? and user_id = ? and group_id = ?');
+			const current = stmt.get(req.body.cirkulero_id, contrib.user_id, contrib.group_id);
+			sections = current ? JSON.parse(current.sections) : {};
+		}
+
 		data.push({
 			cirkulero_id: req.body.cirkulero_id,
 			user_id: contrib.user_id,
 			group_id: contrib.group_id,
-			faris: JSON.stringify(contrib.faris),
-			faras: JSON.stringify(contrib.faras),
-			faros: JSON.stringify(contrib.faros),
+			faris: contrib.faris,
+			faras: contrib.faras,
+			faros: contrib.faros,
+			sections: sections,
 			comment: comment,
 			user_role_comment: userRoleComment
 		});
 	}
 
-	stmt = CR.db.cirkuleroj.prepare('update cirkuleroj_contributions set modified_by_admin = 1, faris = @faris, faras = @faras, faros = @faros, comment = @comment, user_role_comment = @user_role_comment where cirkulero_id = @cirkulero_id and user_id = @user_id and group_id = @group_id');
-	CR.db.cirkuleroj.transaction(rows => {
-		for (let row of rows) stmt.run(row);
-	})(data);
+	// The previous versions of the modified contributions are kept in their history
+	const revised = data.filter(contrib => CRCirkulero.reviseContribution(contrib, req.user));
 
 	// Add the published info
 	const allowedContributorsUsers = await CRCirkulero.getAllowedContributors();
@@ -187,19 +220,29 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 		cirkuleroGroups[purpose] = purposeGroups.map(x => x.id).join(',');
 	}
 
-	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_published (cirkulero_id, allowed_contributors, groups_contribute, groups_appear, groups_statistics) values (@cirkulero_id, @allowed_contributors, @groups_contribute, @groups_appear, @groups_statistics)');
+	stmt = CR.db.cirkuleroj.prepare('insert into cirkuleroj_published (cirkulero_id, allowed_contributors, groups_contribute, groups_appear, groups_statistics, time) values (@cirkulero_id, @allowed_contributors, @groups_contribute, @groups_appear, @groups_statistics, @time)');
 	stmt.run({
 		cirkulero_id: req.body.cirkulero_id,
 		allowed_contributors: JSON.stringify(allowedContributors),
 		groups_contribute: cirkuleroGroups.contribute,
 		groups_appear: cirkuleroGroups.appear,
-		groups_statistics: cirkuleroGroups.statistics
+		groups_statistics: cirkuleroGroups.statistics,
+		time: moment().unix()
 	});
 
 	// Update the cirkulero
 	stmt = CR.db.cirkuleroj.prepare('update cirkuleroj set published = 1 where id = ?');
 	stmt.run(req.body.cirkulero_id);
 
+	// Generate the PDF for the archive. The cirkulero remains published even if this fails, the PDF can then be
+	// generated later using the console command `cirkulero pdf`
+	let pdf = null;
+	try {
+		pdf = await CRCirkuleroPDF.storeCirkuleroPDF(req.body.cirkulero_id, req.user);
+	} catch (e) {
+		CR.log.error(`Ne eblis generi PDF de cirkulero ${req.body.cirkulero_id}\n${e.stack}`);
+	}
+
 	// Delete the old reminders
 	stmt = CR.db.cirkuleroj.prepare('delete from cirkulero_deadline_sent where cirkulero_id = ?');
 	stmt.run(req.body.cirkulero_id);
@@ -210,6 +253,33 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 	stmt = CR.db.cirkuleroj.prepare('delete from reminders_lists_sent where cirkulero_id = ?');
 	stmt.run(req.body.cirkulero_id);
 
+	// Let the contributors know about the changes to their contributions. The cirkulero has already been published, so a
+	// failing notification is only logged and doesn't keep the announcement from being sent
+	if (notifyContributors) {
+		stmt = CR.db.cirkuleroj.prepare('select name from cirkuleroj where id = ?');
+		const cirkName = stmt.get(req.body.cirkulero_id).name;
+
+		for (let contrib of revised) {
+			const user = User.getUserById(contrib.user_id);
+			if (!user || !user.enabled) { continue; }
+
+			try {
+				await CRMail.renderSendMail('cirkulero_contribution_edited', {
+					name: user.getBriefName(),
+					cirk_id: req.body.cirkulero_id,
+					cirk_name: cirkName,
+					role: await CRCirkulero.getPublishedRoleName(user, contrib.group_id, JSON.stringify(allowedContributors)),
+					link: url.resolve(CR.conf.addressPrefix, `cirkuleroj/${req.body.cirkulero_id}/historio/${contrib.user_id}/${contrib.group_id}`)
+				}, {
+					subject: `Cirkulero ${req.body.cirkulero_id} – Via kontribuo estis redaktita`,
+					to: user.email
+				});
+			} catch (e) {
+				CR.log.error(`Ne eblis sciigi uzanton ${user.id} pri redaktoj de sia kontribuo al cirkulero ${req.body.cirkulero_id}\n${e.stack}`);
+			}
+		}
+	}
+
 	// Send out the announcement if necessary
 	if (publishEmail && publishMessage) {
 		// Obtain the responsible users
@@ -217,12 +287,45 @@ async function publish (req, res, next) { // eslint-disable-line no-unused-vars
 		const responsibleGroup = await Group.getGroupById(parseInt(stmt.get().value, 10));
 		const users = await responsibleGroup.getAllUsers();
 
-		await CRMail.sendMail({
+		stmt = CR.db.cirkuleroj.prepare('select key, value from settings where key in ("publish_include_html", "publish_include_pdf")');
+		const settings = {};
+		for (let setting of stmt.all()) {
+			settings[setting.key] = setting.value === '1';
+		}
+
+		const sendOptions = {
 			subject: `Cirkulero ${req.body.cirkulero_id} pretas!`,
 			to: publishEmail,
-			cc: users.map(x => x.email),
-			text: publishMessage
-		});
+			cc: users.map(x => x.email)
+		};
+
+		if (settings.publish_include_pdf && pdf) {
+			sendOptions.attachments = [{
+				filename: `cirkulero-${req.body.cirkulero_id}.pdf`,
+				content: pdf,
+				contentType: 'application/pdf'
+			}];
+		}
+
+		if (settings.publish_include_html) {
+			const cirkURL = url.resolve(CR.conf.addressPrefix, `cirkuleroj/${req.body.cirkulero_id}`);
+			const prettyCirkURL = cirkURL.replace(/^https?:\/\/?/, '');
+
+			const paragraphs = escapeHTML(publishMessage)
+				.split(escapeHTML(cirkURL)).join(`<a href="${cirkURL}">${prettyCirkURL}</a>`)
+				.split(/(?:\r?\n){2,}/g)
+				.map(par => par.split(/\r?\n/g).join('<br>'));
+
+			await CRMail.renderSendMail('cirkulero_published', {
+				preheader: `Cirkulero ${req.body.cirkulero_id} pretas!`,
+				text: publishMessage,
+				paragraphs: paragraphs,
+				cirkulero: await CRCirkulero.getCompiledCirkulero(req.body.cirkulero_id)
+			}, sendOptions);
+		} else {
+			sendOptions.text = publishMessage;
+			await CRMail.sendMail(sendOptions);
+		}
 	}
 
 	res.sendAPIResponse();
@@ -0,0 +1,85 @@
+import moment from 'moment-timezone';
+
+import * as cirkulero from '../../../api/cirkulero';
+
+async function save_draft (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /save_draft
+	 * Inserts or updates the draft of a cirkulero contribution. Drafts aren't counted as contributions until they're
+	 * submitted using /contribute, which also removes the draft
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * User must partain to group permitted to contribute to cirkuleroj (see api/cirkulero/mayUserContributeToCirkuleroj)
+	 *
+	 * Parameters:
+	 *   cirkulero_id        (number)   The id of the cirkulero to contribute to
+	 *   group_id            (number)   The id of the group the user is contributing on behalf of
+	 *   [user_role_comment] (string)   An optional comment on the user's role
+	 *                                  Max length: 1000 chars
+	 *   faris               (string[]) What the user did during the month, see util#parseMarkdown for the allowed formatting
+	 *                                  Max per string length: 2000 chars
+	 *   faras               (string[]) What the user is currently doing
+	 *                                  Max per string length: 2000 chars
+	 *   faros               (string[]) What the user will be doing
+	 *                                  Max per string length: 2000 chars
+	 *   [sections]          (Object)   The points of the cirkulero's other sections, see /contribute. The minimum amount
+	 *                                  of points of each section isn't required for drafts
+	 *   [comment]           (string)   A comment on the user's contribution, see util#parseMarkdown for the allowed formatting
+	 *                                  Max length: 1000 chars
+	 *
+	 * Returns:
+	 *   time (number) The unix time at which the draft was saved
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT   [argument]
+	 * MAY_NOT_CONTRIBUTE            The user may not contribute to cirkuleroj
+	 * INVALID_CIRKULERO             The cirkulero with the provided id either doesn't exist or isn't open to contributions
+	 */
+
+	if (!await cirkulero.mayUserContributeToCirkuleroj(req.user)) {
+		res.sendAPIError('MAY_NOT_CONTRIBUTE');
+		return;
+	}
+	
+	// Begin data validation
+	const fields = [
+		'cirkulero_id',
+		'group_id',
+		'faris',
+		'faras',
+		'faros'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	const result = await cirkulero.validateContribution(req.body, req.user, false);
+	if (result.error) {
+		res.sendAPIError(...result.error);
+		return;
+	}
+	const draft = result.contribution;
+	// End data validation
+
+	// Save the draft
+	const time = moment().unix();
+	const stmt = CR.db.cirkuleroj.prepare('insert or replace into cirkuleroj_contributions_drafts (cirkulero_id, user_id, group_id, user_role_comment, faris, faras, faros, sections, comment, time) values (@cirkulero_id, @user_id, @group_id, @user_role_comment, @faris, @faras, @faros, @sections, @comment, @time)');
+	stmt.run({
+		cirkulero_id: draft.cirkulero_id,
+		user_id: req.user.id,
+		group_id: draft.group_id,
+		user_role_comment: draft.user_role_comment,
+		faris: JSON.stringify(draft.faris),
+		faras: JSON.stringify(draft.faras),
+		faros: JSON.stringify(draft.faros),
+		sections: JSON.stringify(draft.sections),
+		comment: draft.comment,
+		time: time
+	});
+
+	res.sendAPIResponse({
+		time: time
+	});
+}
+
+export default save_draft;
@@ -0,0 +1,136 @@
+import User from '../../../api/user';
+import * as CRCirkulero from '../../../api/cirkulero';
+import { escapeHTML } from '../../../util';
+
+async function search (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /search
+	 * Performs a full-text search across cirkulero contributions. Unpublished cirkuleroj are only included for users
+	 * with the permission cirkuleroj.manage
+	 *
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   query    (string) The search string. Words are matched as prefixes, text in double quotes as phrases
+	 *                     Max length: 200 chars
+	 *   limit    (number) The max amount of results to return
+	 *                     Max: 100
+	 *   [offset] (number) The amount of results to skip
+	 *
+	 * Returns:
+	 *   total   (number)   The total amount of matching contributions
+	 *   results (Object[]) The matching contributions from most to least relevant
+	 *     cirkulero_id   (number)
+	 *     cirkulero_name (string)
+	 *     published      (boolean)
+	 *     user
+	 *       id        (number|null) Null if the contributor has no account
+	 *       enabled   (boolean)
+	 *       email     (string|null) Null if the contributor has no account
+	 *       role      (string|null) The name of the role the user contributed as
+	 *       long_name (string|null)
+	 *     snippet        (string)      An HTML excerpt of the contribution with the matches in `<mark>`
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 */
+
+	const fields = [
+		'query',
+		'limit'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (typeof req.body.query !== 'string' || req.body.query.length > 200) {
+		res.sendAPIError('INVALID_ARGUMENT', ['query']);
+		return;
+	}
+	const query = CRCirkulero.parseContributionSearchQuery(req.body.query);
+	if (!query) {
+		res.sendAPIError('INVALID_ARGUMENT', ['query']);
+		return;
+	}
+
+	if (!Number.isSafeInteger(req.body.limit) || req.body.limit < 1 || req.body.limit > 100) {
+		res.sendAPIError('INVALID_ARGUMENT', ['limit']);
+		return;
+	}
+
+	let offset = 0;
+	if ('offset' in req.body) {
+		if (!Number.isSafeInteger(req.body.offset) || req.body.offset < 0) {
+			res.sendAPIError('INVALID_ARGUMENT', ['offset']);
+			return;
+		}
+		offset = req.body.offset;
+	}
+
+	// See routers/api/cirkuleroj#get_contributions
+	let where = 'cirkuleroj_contributions_search match @query';
+	if (!req.user || !await req.user.hasPermission('cirkuleroj.manage')) {
+		where += ' and c.published = 1';
+	}
+
+	let stmt = CR.db.cirkuleroj.prepare(`select count(1) as total from cirkuleroj_contributions_search s inner join cirkuleroj c on c.id = s.cirkulero_id where ${where}`);
+	const total = stmt.get({ query: query }).total;
+
+	// \u0002 and \u0003 can't appear in contributions as they're removed by util#removeUnsafeChars
+	stmt = CR.db.cirkuleroj.prepare(`select s.cirkulero_id, s.user_id, s.group_id, c.name, c.published, snippet(cirkuleroj_contributions_search, -1, char(2), char(3), '…', 24) as snippet from cirkuleroj_contributions_search s inner join cirkuleroj c on c.id = s.cirkulero_id where ${where} order by rank, c.id desc limit @limit offset @offset`);
+	const rows = stmt.all({
+		query: query,
+		limit: req.body.limit,
+		offset: offset
+	});
+
+	// Contributions by contributors without an account are indexed with the id of their row as the group id, see
+	// api/cirkulero#updateExternalContributionSearchIndex
+	const externalStmt = CR.db.cirkuleroj.prepare('select name, role from cirkuleroj_contributions_external where id = ?');
+
+	const results = [];
+	for (let row of rows) {
+		let resultUser;
+		if (row.user_id === null) {
+			const external = externalStmt.get(row.group_id);
+			if (!external) { continue; }
+
+			resultUser = {
+				id: null,
+				enabled: false,
+				email: null,
+				role: external.role,
+				long_name: external.name
+			};
+		} else {
+			const user = User.getUserById(row.user_id);
+			if (!user) { continue; }
+
+			const userGroup = (await user.getGroups()).get(row.group_id);
+
+			resultUser = {
+				id: user.id,
+				enabled: user.enabled,
+				email: user.email,
+				role: userGroup ? userGroup.user.name : null,
+				long_name: user.getLongName() || null
+			};
+		}
+
+		results.push({
+			cirkulero_id: row.cirkulero_id,
+			cirkulero_name: row.name,
+			published: !!row.published,
+			user: resultUser,
+			snippet: escapeHTML(row.snippet)
+				.replace(/\u0002/g, '<mark>')
+				.replace(/\u0003/g, '</mark>')
+				.replace(/\r?\n/g, ' · ')
+		});
+	}
+
+	res.sendAPIResponse({
+		total: total,
+		results: results
+	});
+}
+
+export default search;
@@ -7,7 +7,8 @@ import * as CRMail from '../../../mail';
 async function send_reminder_direct (req, res, next) { // eslint-disable-line no-unused-vars
 	/**
 	 * POST /send_reminder_direct
-	 * Sends a direct reminder to everyone allowed to contribute to the given cirkulero who's not yet done so
+	 * Sends a direct reminder to everyone allowed to contribute to the given cirkulero who's not yet done so, except for
+	 * those who've declined to contribute or snoozed the reminders
 	 *
 	 * Login required
 	 * Initial setup required
@@ -43,6 +44,9 @@ async function send_reminder_direct (req, res, next) { // eslint-disable-line no
 	const message = removeUnsafeChars(req.body.message);
 
 	const users = await CRCirkulero.getAllNonContributors(req.body.cirkulero_id);
+	for (let userId of CRCirkulero.getOptedOutUserIds(req.body.cirkulero_id)) {
+		delete users[userId];
+	}
 
 	const contribURL = url.resolve(CR.conf.addressPrefix, `cirkuleroj/${req.body.cirkulero_id}`);
 	const prettyContribURL = contribURL.replace(/^https?:\/\/?/, '');
@@ -71,7 +75,8 @@ async function send_reminder_direct (req, res, next) { // eslint-disable-line no
 		mailPromises.push(CRMail.renderSendMail('cirkulero_reminder_direct', {
 			preheader: `Vi ankoraŭ ne kontribuis al cirkulero ${req.body.cirkulero_id}.`,
 			text: userMessage,
-			paragraphs: paragraphs
+			paragraphs: paragraphs,
+			optout_link: CRCirkulero.getOptOutURL(req.body.cirkulero_id, user.id)
 		}, {
 			subject: `Persona memorigo pri cirkulero ${req.body.cirkulero_id}`,
 			to: user.email
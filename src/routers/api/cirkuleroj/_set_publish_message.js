@@ -3,7 +3,7 @@ import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
 async function set_publish_message (req, res, next) { // eslint-disable-line no-unused-vars
 	/**
 	 * POST /set_publish_message
-	 * Sets the default cirkulero publish message and email address
+	 * Sets the default cirkulero publish message and email address as well as what to include in the announcement
 	 *
 	 * Login required
 	 * Initial setup required
@@ -12,8 +12,10 @@ async function set_publish_message (req, res, next) { // eslint-disable-line no-
 	 * cirkuleroj.manage
 	 *
 	 * Parameters:
-	 *   message (string) Max length: 5000 charss
-	 *   email   (string) Max length: 500 chars
+	 *   message        (string)  Max length: 5000 charss
+	 *   email          (string)  Max length: 500 chars
+	 *   [include_html] (boolean) Whether to include the full cirkulero rendered as HTML in the announcement
+	 *   [include_pdf]  (boolean) Whether to attach the PDF of the cirkulero to the announcement
 	 *
 	 * Throws:
 	 * INVALID_ARGUMENT [argument]
@@ -39,9 +41,22 @@ async function set_publish_message (req, res, next) { // eslint-disable-line no-
 	}
 	const email = removeUnsafeCharsOneLine(req.body.email);
 
+	for (let field of [ 'include_html', 'include_pdf' ]) {
+		if (field in req.body && typeof req.body[field] !== 'boolean') {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+	}
+
 	const stmt = CR.db.cirkuleroj.prepare('update settings set value = ? where key = ?');
 	stmt.run(message, 'publish_message');
 	stmt.run(email, 'publish_email');
+	if ('include_html' in req.body) {
+		stmt.run(req.body.include_html ? '1' : '0', 'publish_include_html');
+	}
+	if ('include_pdf' in req.body) {
+		stmt.run(req.body.include_pdf ? '1' : '0', 'publish_include_pdf');
+	}
 
 	res.sendAPIResponse();
 }
@@ -0,0 +1,79 @@
+import { removeUnsafeCharsOneLine } from '../../../util';
+
+async function set_schedule (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /set_schedule
+	 * Sets the schedule by which cirkuleroj are created automatically. Each cirkulero is created with the next free id
+	 * and with reminders enabled
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage
+	 *
+	 * Parameters:
+	 *   enabled       (boolean) Whether to create cirkuleroj automatically
+	 *   create_day    (number)  The day of the month on which to create the cirkulero at 00:00 UTC
+	 *                           Min: 1, max: 28
+	 *   deadline_day  (number)  The day of the month of the deadline. If it's not after `create_day` the deadline is
+	 *                           in the following month
+	 *                           Min: 1, max: 28
+	 *   deadline_time (string)  The time of the deadline in UTC as `HH:mm`
+	 *   name          (string)  The name of the cirkuleroj, in which `{{monato}}` and `{{jaro}}` are replaced by the
+	 *                           month and year of their creation
+	 *                           Max length: 50 chars
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 */
+	
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	const fields = [
+		'enabled',
+		'create_day',
+		'deadline_day',
+		'deadline_time',
+		'name'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (typeof req.body.enabled !== 'boolean') {
+		res.sendAPIError('INVALID_ARGUMENT', ['enabled']);
+		return;
+	}
+
+	for (let field of [ 'create_day', 'deadline_day' ]) {
+		if (!Number.isSafeInteger(req.body[field]) || req.body[field] < 1 || req.body[field] > 28) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+	}
+
+	if (typeof req.body.deadline_time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(req.body.deadline_time)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['deadline_time']);
+		return;
+	}
+
+	if (typeof req.body.name !== 'string' || req.body.name.length > 50) {
+		res.sendAPIError('INVALID_ARGUMENT', ['name']);
+		return;
+	}
+	const name = removeUnsafeCharsOneLine(req.body.name);
+	if (!name) {
+		res.sendAPIError('INVALID_ARGUMENT', ['name']);
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('update settings set value = ? where key = ?');
+	stmt.run(req.body.enabled ? '1' : '0', 'schedule_enabled');
+	stmt.run(req.body.create_day.toString(), 'schedule_create_day');
+	stmt.run(req.body.deadline_day.toString(), 'schedule_deadline_day');
+	stmt.run(req.body.deadline_time, 'schedule_deadline_time');
+	stmt.run(name, 'schedule_name');
+
+	res.sendAPIResponse();
+}
+
+export default set_schedule;
@@ -0,0 +1,141 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+import Group from '../../../api/group';
+import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
+
+async function set_sections (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /set_sections
+	 * Sets the sections of a cirkulero that contributors fill in besides faris, faras and faros, or the default
+	 * sections copied to new cirkuleroj
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage
+	 *
+	 * Parameters:
+	 *   cirkulero_id (number|null) The id of the cirkulero or null for the default sections
+	 *   sections     (Object[])    All sections in order. Sections that are left out are removed
+	 *     id         (number|null) The id of an existing section of the cirkulero or null for a new section
+	 *     name       (string)      Max length: 100 chars
+	 *     help       (string|null) An explanation shown to contributors
+	 *                              Max length: 1000 chars
+	 *     group_id   (number|null) The group to whose contributions, including those on behalf of its child groups, the
+	 *                              section is limited or null if it applies to all contributions
+	 *     min_items  (number)      The minimum amount of points required to submit a contribution
+	 *                              Min: 0
+	 *     max_items  (number|null) The maximum amount of points or null if unlimited
+	 *                              Min: max(1, min_items)
+	 *     max_length (number)      The maximum length of each point in chars
+	 *                              Min: 1, max: 2000
+	 *
+	 * Returns:
+	 *   sections (Object[]) The sections as saved, including the ids of the new ones. See api/cirkulero#getSections
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT  [argument]
+	 * INVALID_CIRKULERO            The cirkulero doesn't exist or has already been published
+	 * INVALID_SECTION   [index]
+	 * GROUP_NOT_FOUND   [group_id]
+	 */
+
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	const fields = [
+		'cirkulero_id',
+		'sections'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (req.body.cirkulero_id !== null && !Number.isSafeInteger(req.body.cirkulero_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['cirkulero_id']);
+		return;
+	}
+
+	if (!(req.body.sections instanceof Array)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['sections']);
+		return;
+	}
+
+	if (req.body.cirkulero_id !== null) {
+		const stmt = CR.db.cirkuleroj.prepare('select published from cirkuleroj where id = ?');
+		const cirk = stmt.get(req.body.cirkulero_id);
+
+		// The sections of published cirkuleroj must remain as their contributions were made
+		if (!cirk || cirk.published) {
+			res.sendAPIError('INVALID_CIRKULERO');
+			return;
+		}
+	}
+
+	const existing = CRCirkulero.getSections(req.body.cirkulero_id).map(x => x.id);
+	const sections = [];
+	for (let i in req.body.sections) {
+		const section = req.body.sections[i];
+
+		if (!(
+			typeof section === 'object' && section !== null &&
+
+			'id' in section &&
+			'name' in section &&
+			'help' in section &&
+			'group_id' in section &&
+			'min_items' in section &&
+			'max_items' in section &&
+			'max_length' in section &&
+
+			(section.id === null || existing.indexOf(section.id) > -1) &&
+			typeof section.name === 'string' &&
+			(section.help === null || typeof section.help === 'string') &&
+			(section.group_id === null || Number.isSafeInteger(section.group_id)) &&
+			Number.isSafeInteger(section.min_items) && section.min_items >= 0 &&
+			(section.max_items === null || (
+				Number.isSafeInteger(section.max_items) &&
+				section.max_items >= Math.max(1, section.min_items)
+			)) &&
+			Number.isSafeInteger(section.max_length) && section.max_length >= 1 && section.max_length <= 2000
+		)) {
+			res.sendAPIError('INVALID_SECTION', [i]);
+			return;
+		}
+
+		const name = removeUnsafeCharsOneLine(section.name).trim();
+		if (!name || name.length > 100) {
+			res.sendAPIError('INVALID_SECTION', [i]);
+			return;
+		}
+
+		let help = null;
+		if (section.help) {
+			help = removeUnsafeChars(section.help).trim() || null;
+			if (help && help.length > 1000) {
+				res.sendAPIError('INVALID_SECTION', [i]);
+				return;
+			}
+		}
+
+		if (section.group_id !== null && !await Group.getGroupById(section.group_id)) {
+			res.sendAPIError('GROUP_NOT_FOUND', [section.group_id]);
+			return;
+		}
+
+		sections.push({
+			id: section.id,
+			name: name,
+			help: help,
+			group_id: section.group_id,
+			min_items: section.min_items,
+			max_items: section.max_items,
+			max_length: section.max_length
+		});
+	}
+
+	CRCirkulero.setSections(req.body.cirkulero_id, sections);
+
+	res.sendAPIResponse({
+		sections: CRCirkulero.getSections(req.body.cirkulero_id)
+	});
+}
+
+export default set_sections;
@@ -0,0 +1,57 @@
+import moment from 'moment';
+
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function skip_scheduled (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /skip_scheduled
+	 * Skips or unskips the automatic creation of a cirkulero according to the schedule
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * cirkuleroj.manage
+	 *
+	 * Parameters:
+	 *   month (string)  The month of the cirkulero as `YYYY-MM`, see /get_schedule
+	 *   skip  (boolean) Whether to skip the cirkulero
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 */
+	
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	const fields = [
+		'month',
+		'skip'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (typeof req.body.month !== 'string' || !/^\d{4}-(0[1-9]|1[0-2])$/.test(req.body.month)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['month']);
+		return;
+	}
+
+	if (typeof req.body.skip !== 'boolean') {
+		res.sendAPIError('INVALID_ARGUMENT', ['skip']);
+		return;
+	}
+
+	// Past months are no longer needed
+	const currentMonth = moment.utc().format('YYYY-MM');
+	const skipped = CRCirkulero.getSchedule().skipped
+		.filter(month => month >= currentMonth && month !== req.body.month);
+	if (req.body.skip) {
+		skipped.push(req.body.month);
+	}
+	skipped.sort();
+
+	const stmt = CR.db.cirkuleroj.prepare('update settings set value = ? where key = "schedule_skipped"');
+	stmt.run(skipped.join(','));
+
+	res.sendAPIResponse();
+}
+
+export default skip_scheduled;
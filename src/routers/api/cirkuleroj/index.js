@@ -1,29 +1,44 @@
 import express from 'express';
+import multer from 'multer';
+import os from 'os';
 
 import * as CRApi from '..';
 import { wrap } from '../..';
 
 import apiClose from './_close';
+import apiComment from './_comment';
 import apiContribute from './_contribute';
 import apiCreate from './_create';
 import apiDelete from './_delete';
+import apiDeleteComment from './_delete_comment';
 import apiDeleteReminderDirect from './_delete_reminder_direct';
 import apiDeleteReminderList from './_delete_reminder_list';
+import apiGetComments from './_get_comments';
 import apiGetContributions from './_get_contributions';
+import apiGetGroupContributions from './_get_group_contributions';
 import apiGetGroups from './_get_groups';
 import apiGetOwnContributions from './_get_own_contributions';
 import apiGetRemindersDirect from './_get_reminders_direct';
 import apiGetRemindersLists from './_get_reminders_lists';
+import apiGetSchedule from './_get_schedule';
+import apiGetStatistics from './_get_statistics';
+import apiImport from './_import';
 import apiInsertReminderDirect from './_insert_reminder_direct';
 import apiInsertReminderList from './_insert_reminder_list';
 import apiList from './_list';
 import apiOpen from './_open';
+import apiOptOut from './_opt_out';
 import apiPublish from './_publish';
 import apiRemindersDisable from './_reminders_disable';
 import apiRemindersEnable from './_reminders_enable';
 import apiRename from './_rename';
+import apiSaveDraft from './_save_draft';
+import apiSearch from './_search';
 import apiSendReminderDirect from './_send_reminder_direct';
 import apiSetPublishMessage from './_set_publish_message';
+import apiSetSchedule from './_set_schedule';
+import apiSetSections from './_set_sections';
+import apiSkipScheduled from './_skip_scheduled';
 import apiUpdateDeadline from './_update_deadline';
 import apiUpdateGroups from './_update_groups';
 import apiUpdateNote from './_update_note';
@@ -44,6 +59,11 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiClose));
 
+	router.post('/comment',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiComment));
+
 	router.post('/contribute',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
@@ -59,6 +79,11 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiDelete));
 
+	router.post('/delete_comment',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiDeleteComment));
+
 	router.post('/delete_reminder_direct',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
@@ -69,10 +94,19 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiDeleteReminderList));
 
+	router.post('/get_comments',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiGetComments));
+
 	router.post('/get_contributions',
 		middleware.requireInitialSetup,
 		wrap(apiGetContributions));
 
+	router.post('/get_group_contributions',
+		middleware.requireInitialSetup,
+		wrap(apiGetGroupContributions));
+
 	router.post('/get_groups',
 		middleware.requireInitialSetup,
 		wrap(apiGetGroups));
@@ -92,6 +126,24 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiGetRemindersLists));
 
+	router.post('/get_schedule',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiGetSchedule));
+
+	router.post('/get_statistics',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiGetStatistics));
+
+	router.post('/import',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		middleware.requirePermissions('cirkuleroj.manage'),
+		multer({ dest: os.tmpdir(), limits: { fileSize: CR.conf.documentMaxSize } }).single('file'),
+		middleware.handleMultipart,
+		wrap(apiImport));
+
 	router.post('/insert_reminder_direct',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
@@ -112,6 +164,10 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiOpen));
 
+	router.post('/opt_out',
+		middleware.requireInitialSetup,
+		wrap(apiOptOut));
+
 	router.post('/publish',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
@@ -132,6 +188,15 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiRename));
 
+	router.post('/save_draft',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiSaveDraft));
+
+	router.post('/search',
+		middleware.requireInitialSetup,
+		wrap(apiSearch));
+
 	router.post('/send_reminder_direct',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
@@ -142,6 +207,21 @@ export default function () {
 		middleware.requireInitialSetup,
 		wrap(apiSetPublishMessage));
 
+	router.post('/set_schedule',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiSetSchedule));
+
+	router.post('/set_sections',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiSetSections));
+
+	router.post('/skip_scheduled',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiSkipScheduled));
+
 	router.post('/update_deadline',
 		middleware.requireLogin,
 		middleware.requireInitialSetup,
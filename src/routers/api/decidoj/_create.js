@@ -0,0 +1,133 @@
+import * as CRVochdono from '../../../api/vochdono';
+import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
+
+async function create (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /create
+	 * Adds a decision to the register of decisions
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * decidoj.manage
+	 *
+	 * Parameters:
+	 *   number    (string) The number of the decision, e.g. `K-2026-14`
+	 *                      Max length: 50 chars
+	 *   title     (string) The title of the decision
+	 *                      Max length: 200 chars
+	 *   text      (string) The text of the decision
+	 *                      Max length: 10000 chars
+	 *   date      (number) The unix time at which the decision was made
+	 *   body      (string) The name of the body that made the decision, e.g. `Komitato`
+	 *                      Max length: 100 chars
+	 *   [vote_id] (number) The id of the vote that produced the decision
+	 *
+	 * Returns:
+	 *   id (number) The id of the new decision
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * NUMBER_TAKEN
+	 * VOTE_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('decidoj.manage')) { return; }
+
+	// Begin data validation
+	const fields = [
+		'number',
+		'title',
+		'text',
+		'date',
+		'body'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (typeof req.body.number !== 'string' || req.body.number.length > 50) {
+		res.sendAPIError('INVALID_ARGUMENT', ['number']);
+		return;
+	}
+	const number = removeUnsafeCharsOneLine(req.body.number).trim();
+	if (number.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['number']);
+		return;
+	}
+
+	if (typeof req.body.title !== 'string' || req.body.title.length > 200) {
+		res.sendAPIError('INVALID_ARGUMENT', ['title']);
+		return;
+	}
+	const title = removeUnsafeCharsOneLine(req.body.title).trim();
+	if (title.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['title']);
+		return;
+	}
+
+	if (typeof req.body.text !== 'string' || req.body.text.length > 10000) {
+		res.sendAPIError('INVALID_ARGUMENT', ['text']);
+		return;
+	}
+	const text = removeUnsafeChars(req.body.text).trim();
+	if (text.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['text']);
+		return;
+	}
+
+	if (!Number.isSafeInteger(req.body.date)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['date']);
+		return;
+	}
+
+	if (typeof req.body.body !== 'string' || req.body.body.length > 100) {
+		res.sendAPIError('INVALID_ARGUMENT', ['body']);
+		return;
+	}
+	const body = removeUnsafeCharsOneLine(req.body.body).trim();
+	if (body.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['body']);
+		return;
+	}
+
+	let voteId = null;
+	if ('vote_id' in req.body && req.body.vote_id !== null) {
+		if (!Number.isSafeInteger(req.body.vote_id)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+			return;
+		}
+		voteId = req.body.vote_id;
+	}
+	// End data validation
+
+	// Check if the number is taken
+	let stmt = CR.db.decisions.prepare('select 1 from decisions where number = ?');
+	if (stmt.get(number)) {
+		res.sendAPIError('NUMBER_TAKEN');
+		return;
+	}
+
+	// Ensure the vote exists
+	if (voteId !== null && !CRVochdono.getVoteById(voteId)) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	// Insert the decision
+	stmt = CR.db.decisions.prepare('insert into decisions (number, title, text, date, body, vote_id, created_by) values (@number, @title, @text, @date, @body, @vote_id, @created_by)');
+	const info = stmt.run({
+		number: number,
+		title: title,
+		text: text,
+		date: req.body.date,
+		body: body,
+		vote_id: voteId,
+		created_by: req.user.id
+	});
+
+	res.sendAPIResponse({
+		id: info.lastInsertRowid
+	});
+}
+
+export default create;
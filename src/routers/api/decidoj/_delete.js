@@ -0,0 +1,43 @@
+async function delete_decision (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /delete
+	 * Removes a decision from the register of decisions
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * decidoj.manage
+	 *
+	 * Parameters:
+	 *   decision_id (number) The id of the decision to remove
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * DECISION_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('decidoj.manage')) { return; }
+
+	const fields = [
+		'decision_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.decision_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['decision_id']);
+		return;
+	}
+
+	const stmt = CR.db.decisions.prepare('delete from decisions where id = ?');
+	const info = stmt.run(req.body.decision_id);
+
+	if (info.changes === 0) {
+		res.sendAPIError('DECISION_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse();
+}
+
+export default delete_decision;
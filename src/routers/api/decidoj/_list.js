@@ -0,0 +1,57 @@
+import * as CRApi from '..';
+
+async function list (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /list
+	 * Lists all decisions in the register of decisions
+	 *
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 * See routers/api#performListQueryStatement
+	 *
+	 * Permitted cols:
+	 * id, number, title, text, date, body, vote_id
+	 *
+	 * Returns:
+	 * rows_total    (number)   The amount of rows in the table in total
+	 * rows_filtered (number)   The amount of rows in the table after filtering
+	 * data          (Object[]) The rows
+	 *   id      (number)      The id of the decision
+	 *   number  (string)      The number of the decision
+	 *   title   (string)      The title of the decision
+	 *   text    (string)      The text of the decision
+	 *   date    (number)      The unix time at which the decision was made
+	 *   body    (string)      The name of the body that made the decision
+	 *   vote_id (number|null) The id of the vote that produced the decision
+	 *
+	 * Throws:
+	 * See routers/api#performListQueryStatement
+	 */
+
+	const dbData = await CRApi.performListQueryStatement({
+		req: req,
+		res: res,
+		db: CR.db.decisions,
+		table: 'decisions',
+		colsAllowed: [
+			'id',
+			'number',
+			'title',
+			'text',
+			'date',
+			'body',
+			'vote_id'
+		]
+	});
+
+	if (!dbData) { return; }
+
+	res.sendAPIResponse({
+		data: dbData.data,
+		rows_total: dbData.rowsTotal,
+		rows_filtered: dbData.rowsFiltered
+	});
+}
+
+export default list;
@@ -0,0 +1,120 @@
+import * as CRVochdono from '../../../api/vochdono';
+import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
+
+async function update (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /update
+	 * Modifies a decision in the register of decisions
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * decidoj.manage
+	 *
+	 * Parameters:
+	 *   decision_id (number)      The id of the decision to modify
+	 *   [number]    (string)      The new number of the decision
+	 *                             Max length: 50 chars
+	 *   [title]     (string)      The new title of the decision
+	 *                             Max length: 200 chars
+	 *   [text]      (string)      The new text of the decision
+	 *                             Max length: 10000 chars
+	 *   [date]      (number)      The new unix time at which the decision was made
+	 *   [body]      (string)      The new name of the body that made the decision
+	 *                             Max length: 100 chars
+	 *   [vote_id]   (number|null) The id of the vote that produced the decision or null to remove the link
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * DECISION_NOT_FOUND
+	 * NUMBER_TAKEN
+	 * VOTE_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('decidoj.manage')) { return; }
+
+	// Begin data validation
+	const fields = [
+		'decision_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.decision_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['decision_id']);
+		return;
+	}
+
+	const changes = {};
+
+	const textFields = {
+		number: { maxLength: 50, oneLine: true },
+		title: { maxLength: 200, oneLine: true },
+		text: { maxLength: 10000, oneLine: false },
+		body: { maxLength: 100, oneLine: true }
+	};
+	for (let field in textFields) {
+		if (!(field in req.body)) { continue; }
+
+		const val = req.body[field];
+		const opts = textFields[field];
+		if (typeof val !== 'string' || val.length > opts.maxLength) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+		changes[field] = (opts.oneLine ? removeUnsafeCharsOneLine(val) : removeUnsafeChars(val)).trim();
+		if (changes[field].length === 0) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+	}
+
+	if ('date' in req.body) {
+		if (!Number.isSafeInteger(req.body.date)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['date']);
+			return;
+		}
+		changes.date = req.body.date;
+	}
+
+	if ('vote_id' in req.body) {
+		if (req.body.vote_id !== null && !Number.isSafeInteger(req.body.vote_id)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+			return;
+		}
+		changes.vote_id = req.body.vote_id;
+	}
+	// End data validation
+
+	let stmt = CR.db.decisions.prepare('select 1 from decisions where id = ?');
+	if (!stmt.get(req.body.decision_id)) {
+		res.sendAPIError('DECISION_NOT_FOUND');
+		return;
+	}
+
+	// Check if the number is taken
+	if ('number' in changes) {
+		stmt = CR.db.decisions.prepare('select 1 from decisions where number = ? and id != ?');
+		if (stmt.get(changes.number, req.body.decision_id)) {
+			res.sendAPIError('NUMBER_TAKEN');
+			return;
+		}
+	}
+
+	// Ensure the vote exists
+	if (changes.vote_id && !CRVochdono.getVoteById(changes.vote_id)) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	const cols = Object.keys(changes);
+	if (cols.length > 0) {
+		stmt = CR.db.decisions.prepare(`update decisions set ${cols.map(col => `${col} = @${col}`).join(', ')} where id = @id`);
+		changes.id = req.body.decision_id;
+		stmt.run(changes);
+	}
+
+	res.sendAPIResponse();
+}
+
+export default update;
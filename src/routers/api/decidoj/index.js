@@ -0,0 +1,40 @@
+import express from 'express';
+
+import * as CRApi from '..';
+import { wrap } from '../..';
+
+import apiCreate from './_create';
+import apiDelete from './_delete';
+import apiList from './_list';
+import apiUpdate from './_update';
+
+/**
+ * Sets up the router
+ * @return {express.Router} The router
+ */
+export default function () {
+	const router = express.Router();
+
+	const middleware = CRApi.middleware;
+
+	router.post('/create',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiCreate));
+
+	router.post('/delete',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiDelete));
+
+	router.post('/list',
+		middleware.requireInitialSetup,
+		wrap(apiList));
+
+	router.post('/update',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiUpdate));
+
+	return router;
+}
@@ -0,0 +1,143 @@
+import Group from '../../../api/group';
+import * as CRDokumento from '../../../api/dokumento';
+import { removeUnsafeCharsOneLine } from '../../../util';
+
+async function create (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /create
+	 * Uploads a new document to the document archive
+	 *
+	 * Multipart required
+	 * json - The JSON parameters
+	 * file - The first version of the document
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * dokumentoj.manage
+	 *
+	 * Parameters:
+	 *   path       (string)   The path of the document under /d/, e.g. `statutoj/statuto.pdf`
+	 *                         Max length: 200 chars
+	 *                         Each segment may only contain a-z, 0-9, `_`, `-` and `.`
+	 *   title      (string)   The title of the document
+	 *                         Max length: 200 chars
+	 *   category   (string)   The category of the document, e.g. `Regularoj`
+	 *                         Max length: 100 chars
+	 *   date       (number)   The unix time of the document
+	 *   visibility (string)   Who may access the document. See api/dokumento#visibilities
+	 *   [groups]   (number[]) The ids of the groups whose members may access the document. Required if visibility is
+	 *                         `groups`
+	 *
+	 * Returns:
+	 *   id (number) The id of the new document
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * MISSING_FILE
+	 * PATH_TAKEN
+	 * GROUP_NOT_FOUND  [id]       If a group id does not exist
+	 */
+
+	if (!await req.requirePermissions('dokumentoj.manage')) { return; }
+
+	// Begin data validation
+	const fields = [
+		'path',
+		'title',
+		'category',
+		'date',
+		'visibility'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!req.file) {
+		res.sendAPIError('MISSING_FILE');
+		return;
+	}
+
+	if (!CRDokumento.isValidPath(req.body.path)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['path']);
+		return;
+	}
+
+	if (typeof req.body.title !== 'string' || req.body.title.length > 200) {
+		res.sendAPIError('INVALID_ARGUMENT', ['title']);
+		return;
+	}
+	const title = removeUnsafeCharsOneLine(req.body.title).trim();
+	if (title.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['title']);
+		return;
+	}
+
+	if (typeof req.body.category !== 'string' || req.body.category.length > 100) {
+		res.sendAPIError('INVALID_ARGUMENT', ['category']);
+		return;
+	}
+	const category = removeUnsafeCharsOneLine(req.body.category).trim();
+	if (category.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['category']);
+		return;
+	}
+
+	if (!Number.isSafeInteger(req.body.date)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['date']);
+		return;
+	}
+
+	if (CRDokumento.visibilities.indexOf(req.body.visibility) === -1) {
+		res.sendAPIError('INVALID_ARGUMENT', ['visibility']);
+		return;
+	}
+
+	let groups = null;
+	if (req.body.visibility === 'groups') {
+		if (!(req.body.groups instanceof Array) || req.body.groups.length === 0 ||
+			!req.body.groups.every(Number.isSafeInteger)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['groups']);
+			return;
+		}
+		groups = req.body.groups;
+	}
+	// End data validation
+
+	// Check if the path is taken
+	let stmt = CR.db.documents.prepare('select 1 from documents where path = ?');
+	if (stmt.get(req.body.path)) {
+		res.sendAPIError('PATH_TAKEN');
+		return;
+	}
+
+	// Ensure all the groups exist
+	if (groups) {
+		for (let groupId of groups) {
+			const group = await Group.getGroupById(groupId);
+			if (!group) {
+				res.sendAPIError('GROUP_NOT_FOUND', [groupId]);
+				return;
+			}
+		}
+	}
+
+	// Insert the document
+	stmt = CR.db.documents.prepare('insert into documents (path, title, category, date, visibility, groups, created_by) values (@path, @title, @category, @date, @visibility, @groups, @created_by)');
+	const info = stmt.run({
+		path: req.body.path,
+		title: title,
+		category: category,
+		date: req.body.date,
+		visibility: req.body.visibility,
+		groups: groups ? groups.join(',') : null,
+		created_by: req.user.id
+	});
+
+	await CRDokumento.insertVersion(info.lastInsertRowid, req.file, req.user);
+
+	res.sendAPIResponse({
+		id: info.lastInsertRowid
+	});
+}
+
+export default create;
@@ -0,0 +1,42 @@
+import * as CRDokumento from '../../../api/dokumento';
+
+async function delete_document (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /delete
+	 * Deletes a document along with all of its versions
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * dokumentoj.manage
+	 *
+	 * Parameters:
+	 *   document_id (number) The id of the document to remove
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * DOCUMENT_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('dokumentoj.manage')) { return; }
+
+	const fields = [
+		'document_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.document_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['document_id']);
+		return;
+	}
+
+	if (!await CRDokumento.deleteDocument(req.body.document_id)) {
+		res.sendAPIError('DOCUMENT_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse();
+}
+
+export default delete_document;
@@ -0,0 +1,64 @@
+import User from '../../../api/user';
+import * as CRDokumento from '../../../api/dokumento';
+
+async function get_versions (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_versions
+	 * Obtains the version history of a document
+	 *
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 *   document_id (number) The id of the document
+	 *
+	 * Returns:
+	 *   versions (Object[]) The versions from newest to oldest
+	 *     id          (number)      The id of the version
+	 *     file_name   (string)      The original name of the uploaded file
+	 *     size        (number)      The size of the file in bytes
+	 *     comment     (string|null) A description of the changes in this version
+	 *     time        (number)      The unix time at which the version was uploaded
+	 *     uploaded_by (string|null) The long name of the user that uploaded the version
+	 *     url         (string)      The URL of the version
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * DOCUMENT_NOT_FOUND
+	 */
+
+	const fields = [
+		'document_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.document_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['document_id']);
+		return;
+	}
+
+	// Documents the user may not access are indistinguishable from nonexistent ones
+	const doc = CRDokumento.getDocumentById(req.body.document_id);
+	if (!doc || !await CRDokumento.mayUserAccessDocument(doc, req.user)) {
+		res.sendAPIError('DOCUMENT_NOT_FOUND');
+		return;
+	}
+
+	const versions = CRDokumento.getVersions(doc.id).map(version => {
+		const uploader = User.getUserById(version.uploaded_by);
+		return {
+			id: version.id,
+			file_name: version.file_name,
+			size: version.size,
+			comment: version.comment,
+			time: version.time,
+			uploaded_by: uploader ? uploader.getLongName() : null,
+			url: `/d/${doc.path}?versio=${version.id}`
+		};
+	});
+
+	res.sendAPIResponse({
+		versions: versions
+	});
+}
+
+export default get_versions;
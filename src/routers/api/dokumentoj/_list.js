@@ -0,0 +1,73 @@
+import * as CRApi from '..';
+import * as CRDokumento from '../../../api/dokumento';
+
+async function list (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /list
+	 * Lists all documents in the document archive the user may access
+	 *
+	 * Initial setup required
+	 *
+	 * Parameters:
+	 * See routers/api#performListQueryStatement
+	 *
+	 * Permitted cols:
+	 * id, path, title, category, date, visibility, groups
+	 *
+	 * Returns:
+	 * rows_total    (number)   The amount of rows in the table in total
+	 * rows_filtered (number)   The amount of rows in the table after filtering
+	 * data          (Object[]) The rows
+	 *   id         (number)   The id of the document
+	 *   path       (string)   The path of the document under /d/
+	 *   title      (string)   The title of the document
+	 *   category   (string)   The category of the document
+	 *   date       (number)   The unix time of the document
+	 *   visibility (string)   Who may access the document. See api/dokumento#visibilities
+	 *   groups     (number[]) The ids of the groups whose members may access the document
+	 *
+	 * Throws:
+	 * See routers/api#performListQueryStatement
+	 */
+
+	const dbData = await CRApi.performListQueryStatement({
+		req: req,
+		res: res,
+		db: CR.db.documents,
+		table: 'documents',
+		colsAllowed: [
+			'id',
+			'path',
+			'title',
+			'category',
+			'date',
+			'visibility',
+			'groups'
+		],
+		alwaysWhere: await CRDokumento.getAccessWhere(req.user)
+	});
+
+	if (!dbData) { return; }
+
+	const output = dbData.data.map(row => {
+		const rowOutput = {};
+		for (let col of dbData.select) {
+			const val = row[col];
+
+			if (col === 'groups') {
+				rowOutput[col] = val ? val.split(',').map(x => parseInt(x, 10)) : [];
+			} else {
+				rowOutput[col] = val;
+			}
+		}
+		return rowOutput;
+	});
+
+	res.sendAPIResponse({
+		data: output,
+		rows_total: dbData.rowsTotal,
+		rows_filtered: dbData.rowsFiltered
+	});
+}
+
+export default list;
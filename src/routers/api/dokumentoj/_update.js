@@ -0,0 +1,139 @@
+import Group from '../../../api/group';
+import * as CRDokumento from '../../../api/dokumento';
+import { removeUnsafeCharsOneLine } from '../../../util';
+
+async function update (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /update
+	 * Modifies the metadata of a document
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * dokumentoj.manage
+	 *
+	 * Parameters:
+	 *   document_id  (number)   The id of the document to modify
+	 *   [path]       (string)   The new path of the document under /d/. See /create
+	 *   [title]      (string)   The new title of the document
+	 *                           Max length: 200 chars
+	 *   [category]   (string)   The new category of the document
+	 *                           Max length: 100 chars
+	 *   [date]       (number)   The new unix time of the document
+	 *   [visibility] (string)   Who may access the document. See api/dokumento#visibilities
+	 *   [groups]     (number[]) The ids of the groups whose members may access the document. Required if visibility is
+	 *                           `groups`
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * DOCUMENT_NOT_FOUND
+	 * PATH_TAKEN
+	 * GROUP_NOT_FOUND  [id]       If a group id does not exist
+	 */
+
+	if (!await req.requirePermissions('dokumentoj.manage')) { return; }
+
+	// Begin data validation
+	const fields = [
+		'document_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.document_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['document_id']);
+		return;
+	}
+
+	const changes = {};
+
+	if ('path' in req.body) {
+		if (!CRDokumento.isValidPath(req.body.path)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['path']);
+			return;
+		}
+		changes.path = req.body.path;
+	}
+
+	const textFields = {
+		title: 200,
+		category: 100
+	};
+	for (let field in textFields) {
+		if (!(field in req.body)) { continue; }
+
+		if (typeof req.body[field] !== 'string' || req.body[field].length > textFields[field]) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+		changes[field] = removeUnsafeCharsOneLine(req.body[field]).trim();
+		if (changes[field].length === 0) {
+			res.sendAPIError('INVALID_ARGUMENT', [field]);
+			return;
+		}
+	}
+
+	if ('date' in req.body) {
+		if (!Number.isSafeInteger(req.body.date)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['date']);
+			return;
+		}
+		changes.date = req.body.date;
+	}
+
+	if ('visibility' in req.body) {
+		if (CRDokumento.visibilities.indexOf(req.body.visibility) === -1) {
+			res.sendAPIError('INVALID_ARGUMENT', ['visibility']);
+			return;
+		}
+		changes.visibility = req.body.visibility;
+		changes.groups = null;
+
+		if (req.body.visibility === 'groups') {
+			if (!(req.body.groups instanceof Array) || req.body.groups.length === 0 ||
+				!req.body.groups.every(Number.isSafeInteger)) {
+				res.sendAPIError('INVALID_ARGUMENT', ['groups']);
+				return;
+			}
+			changes.groups = req.body.groups;
+		}
+	}
+	// End data validation
+
+	if (!CRDokumento.getDocumentById(req.body.document_id)) {
+		res.sendAPIError('DOCUMENT_NOT_FOUND');
+		return;
+	}
+
+	// Check if the path is taken
+	if ('path' in changes) {
+		const stmt = CR.db.documents.prepare('select 1 from documents where path = ? and id != ?');
+		if (stmt.get(changes.path, req.body.document_id)) {
+			res.sendAPIError('PATH_TAKEN');
+			return;
+		}
+	}
+
+	// Ensure all the groups exist
+	if (changes.groups) {
+		for (let groupId of changes.groups) {
+			const group = await Group.getGroupById(groupId);
+			if (!group) {
+				res.sendAPIError('GROUP_NOT_FOUND', [groupId]);
+				return;
+			}
+		}
+		changes.groups = changes.groups.join(',');
+	}
+
+	const cols = Object.keys(changes);
+	if (cols.length > 0) {
+		const stmt = CR.db.documents.prepare(`update documents set ${cols.map(col => `\`${col}\` = @${col}`).join(', ')} where id = @id`);
+		changes.id = req.body.document_id;
+		stmt.run(changes);
+	}
+
+	res.sendAPIResponse();
+}
+
+export default update;
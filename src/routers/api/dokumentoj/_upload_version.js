@@ -0,0 +1,71 @@
+import * as CRDokumento from '../../../api/dokumento';
+import { removeUnsafeChars } from '../../../util';
+
+async function upload_version (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /upload_version
+	 * Uploads a new version of a document
+	 *
+	 * Multipart required
+	 * json - The JSON parameters
+	 * file - The new version of the document
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * dokumentoj.manage
+	 *
+	 * Parameters:
+	 *   document_id (number) The id of the document
+	 *   [comment]   (string) A description of the changes in this version
+	 *                        Max length: 2000 chars
+	 *
+	 * Returns:
+	 *   id (number) The id of the new version
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * MISSING_FILE
+	 * DOCUMENT_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('dokumentoj.manage')) { return; }
+
+	const fields = [
+		'document_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!req.file) {
+		res.sendAPIError('MISSING_FILE');
+		return;
+	}
+
+	if (!Number.isSafeInteger(req.body.document_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['document_id']);
+		return;
+	}
+
+	let comment = null;
+	if (req.body.comment) {
+		if (typeof req.body.comment !== 'string' || req.body.comment.length > 2000) {
+			res.sendAPIError('INVALID_ARGUMENT', ['comment']);
+			return;
+		}
+		comment = removeUnsafeChars(req.body.comment).trim() || null;
+	}
+
+	if (!CRDokumento.getDocumentById(req.body.document_id)) {
+		res.sendAPIError('DOCUMENT_NOT_FOUND');
+		return;
+	}
+
+	const id = await CRDokumento.insertVersion(req.body.document_id, req.file, req.user, comment);
+
+	res.sendAPIResponse({
+		id: id
+	});
+}
+
+export default upload_version;
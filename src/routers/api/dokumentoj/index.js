@@ -0,0 +1,59 @@
+import express from 'express';
+import multer from 'multer';
+import os from 'os';
+
+import * as CRApi from '..';
+import { wrap } from '../..';
+
+import apiCreate from './_create';
+import apiDelete from './_delete';
+import apiGetVersions from './_get_versions';
+import apiList from './_list';
+import apiUpdate from './_update';
+import apiUploadVersion from './_upload_version';
+
+/**
+ * Sets up the router
+ * @return {express.Router} The router
+ */
+export default function () {
+	const router = express.Router();
+
+	const middleware = CRApi.middleware;
+
+	router.post('/create',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		middleware.requirePermissions('dokumentoj.manage'),
+		multer({ dest: os.tmpdir(), limits: { fileSize: CR.conf.documentMaxSize } }).single('file'),
+		middleware.handleMultipart,
+		wrap(apiCreate));
+
+	router.post('/delete',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiDelete));
+
+	router.post('/get_versions',
+		middleware.requireInitialSetup,
+		wrap(apiGetVersions));
+
+	router.post('/list',
+		middleware.requireInitialSetup,
+		wrap(apiList));
+
+	router.post('/update',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiUpdate));
+
+	router.post('/upload_version',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		middleware.requirePermissions('dokumentoj.manage'),
+		multer({ dest: os.tmpdir(), limits: { fileSize: CR.conf.documentMaxSize } }).single('file'),
+		middleware.handleMultipart,
+		wrap(apiUploadVersion));
+
+	return router;
+}
@@ -1,8 +1,12 @@
 import express from 'express';
+import fs from 'pn/fs';
 
 import routerCirkuleroj from './cirkuleroj';
+import routerDecidoj from './decidoj';
+import routerDokumentoj from './dokumentoj';
 import routerResource from './resource';
 import routerUser from './user';
+import routerVochdonado from './vochdonado';
 
 /**
  * Sets up the router
@@ -19,8 +23,11 @@ export function init () {
 
 	// Routing
 	router.use('/cirkuleroj', routerCirkuleroj());
+	router.use('/decidoj', routerDecidoj());
+	router.use('/dokumentoj', routerDokumentoj());
 	router.use('/resursoj', routerResource());
 	router.use('/user', routerUser());
+	router.use('/vochdonado', routerVochdonado());
 
 	// Pages
 	router.get('/get_csrf_token', pageGetCsrfToken);
@@ -135,7 +142,38 @@ export const middleware = {
 		}
 	},
 
+	/**
+	 * Creates an Express middleware that sends an API error if the user lacks any of a set of permissions. Meant for
+	 * routes that must check permissions before the request body is handled, e.g. before multer stores an upload
+	 * @param  {...string} perms The permissions to check
+	 * @return {Function} The middleware
+	 */
+	requirePermissions: function createMiddlewareRequirePermissions (...perms) {
+		return function (req, res, next) {
+			req.requirePermissions(...perms)
+				.then(permitted => {
+					if (permitted) { next(); }
+				})
+				.catch(next);
+		};
+	},
+
+	/**
+	 * Express middleware that parses the JSON parameters of a multipart request and removes any uploaded temporary file
+	 * once the response has been sent, regardless of whether the handler used it
+	 * @param  {express.Request}  req
+	 * @param  {express.Response} res
+	 * @param  {Function}         next
+	 */
 	handleMultipart: function middlewareHandleMultipart (req, res, next) {
+		if (req.file) {
+			const file = req.file;
+			res.on('finish', () => {
+				// Handlers that keep the file move it away or remove it themselves
+				fs.unlink(file.path).catch(() => {});
+			});
+		}
+
 		if (!req.body.json) {
 			next();
 			return;
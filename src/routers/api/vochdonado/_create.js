@@ -0,0 +1,198 @@
+import moment from 'moment-timezone';
+
+import Group from '../../../api/group';
+import * as CRVochdono from '../../../api/vochdono';
+import { removeUnsafeChars, removeUnsafeCharsOneLine } from '../../../util';
+
+async function create (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /create
+	 * Creates a new vote
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 *   name          (string)   The name of the vote
+	 *                            Max length: 200 chars
+	 *   [description] (string)   A description of what is being voted on
+	 *                            Max length: 5000 chars
+	 *   type          (string)   The type of the vote. See api/vochdono#voteTypes
+	 *   [secret]      (boolean)  Whether the ballots are secret. Defaults to false
+	 *   [quorum]      (string)   The fraction of eligible voters that must cast a ballot (including abstentions)
+	 *                            for the vote to be valid, e.g. `1/2`
+	 *   [majority]    (string)   The fraction of yes votes out of all yes and no votes required for a jns vote to be
+	 *                            accepted, e.g. `2/3`. Reaching the fraction exactly suffices, but a tie between yes
+	 *                            and no votes never passes. If not provided more yes than no votes are required
+	 *   [candidates]  (string[]) The names of the candidates. Required for elections, see api/vochdono#electionTypes
+	 *                            Min length: 2 candidates, max length: 100 candidates
+	 *                            Each name has a max length of 200 chars and may not contain `>`, `=` or `,`
+	 *   [seats]       (number)   The amount of candidates to elect. Required for utv votes
+	 *                            Must be at least 1 and lower than the amount of candidates
+	 *   groups        (number[]) The ids of the groups whose members may vote
+	 *   time_open     (number)   The unix time at which the vote opens
+	 *   time_close    (number)   The unix time at which the vote closes
+	 *                            Must be higher than time_open and the current unix time
+	 *
+	 * Returns:
+	 *   id (number) The id of the new vote
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * GROUP_NOT_FOUND  [id]       If a group id does not exist
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const timeNow = moment().unix();
+
+	// Begin data validation
+	const fields = [
+		'name',
+		'type',
+		'groups',
+		'time_open',
+		'time_close'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (typeof req.body.name !== 'string' || req.body.name.length > 200) {
+		res.sendAPIError('INVALID_ARGUMENT', ['name']);
+		return;
+	}
+	const name = removeUnsafeCharsOneLine(req.body.name);
+	if (name.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['name']);
+		return;
+	}
+
+	let description = null;
+	if (req.body.description) {
+		if (typeof req.body.description !== 'string' || req.body.description.length > 5000) {
+			res.sendAPIError('INVALID_ARGUMENT', ['description']);
+			return;
+		}
+		description = removeUnsafeChars(req.body.description);
+	}
+
+	if (CRVochdono.voteTypes.indexOf(req.body.type) === -1) {
+		res.sendAPIError('INVALID_ARGUMENT', ['type']);
+		return;
+	}
+
+	if ('secret' in req.body && typeof req.body.secret !== 'boolean') {
+		res.sendAPIError('INVALID_ARGUMENT', ['secret']);
+		return;
+	}
+
+	let quorum = null;
+	if (req.body.quorum) {
+		if (!CRVochdono.parseFraction(req.body.quorum)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['quorum']);
+			return;
+		}
+		quorum = req.body.quorum;
+	}
+
+	let majority = null;
+	if (req.body.majority) {
+		if (req.body.type !== 'jns' || !CRVochdono.parseFraction(req.body.majority)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['majority']);
+			return;
+		}
+		majority = req.body.majority;
+	}
+
+	let candidates = null;
+	if (CRVochdono.electionTypes.indexOf(req.body.type) > -1) {
+		if (!(req.body.candidates instanceof Array) ||
+			req.body.candidates.length < 2 || req.body.candidates.length > 100) {
+			res.sendAPIError('INVALID_ARGUMENT', ['candidates']);
+			return;
+		}
+		candidates = [];
+		for (let cand of req.body.candidates) {
+			if (typeof cand !== 'string' || cand.length > 200) {
+				res.sendAPIError('INVALID_ARGUMENT', ['candidates']);
+				return;
+			}
+			cand = removeUnsafeCharsOneLine(cand).trim();
+			if (cand.length === 0 || cand === '-' || /[>=,]/.test(cand) || candidates.indexOf(cand) > -1) {
+				res.sendAPIError('INVALID_ARGUMENT', ['candidates']);
+				return;
+			}
+			candidates.push(cand);
+		}
+	}
+
+	let seats = null;
+	if (req.body.type === 'utv') {
+		if (!Number.isSafeInteger(req.body.seats) || req.body.seats < 1 || req.body.seats >= candidates.length) {
+			res.sendAPIError('INVALID_ARGUMENT', ['seats']);
+			return;
+		}
+		seats = req.body.seats;
+	}
+
+	if (!(req.body.groups instanceof Array) || req.body.groups.length === 0) {
+		res.sendAPIError('INVALID_ARGUMENT', ['groups']);
+		return;
+	}
+	for (let groupId of req.body.groups) {
+		if (!Number.isSafeInteger(groupId)) {
+			res.sendAPIError('INVALID_ARGUMENT', ['groups']);
+			return;
+		}
+	}
+
+	if (!Number.isSafeInteger(req.body.time_open)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['time_open']);
+		return;
+	}
+
+	if (!Number.isSafeInteger(req.body.time_close) ||
+		req.body.time_close <= req.body.time_open ||
+		req.body.time_close <= timeNow) {
+		res.sendAPIError('INVALID_ARGUMENT', ['time_close']);
+		return;
+	}
+	// End data validation
+
+	// Ensure all the groups exist
+	for (let groupId of req.body.groups) {
+		const group = await Group.getGroupById(groupId);
+		if (!group) {
+			res.sendAPIError('GROUP_NOT_FOUND', [groupId]);
+			return;
+		}
+	}
+
+	// Insert the vote
+	const stmt = CR.db.voting.prepare('insert into votes (name, description, type, secret, quorum, majority, candidates, seats, groups, time_open, time_close, created_by) values (@name, @description, @type, @secret, @quorum, @majority, @candidates, @seats, @groups, @time_open, @time_close, @created_by)');
+	const info = stmt.run({
+		name: name,
+		description: description,
+		type: req.body.type,
+		secret: req.body.secret ? 1 : 0,
+		quorum: quorum,
+		majority: majority,
+		candidates: candidates ? JSON.stringify(candidates) : null,
+		seats: seats,
+		groups: req.body.groups.join(','),
+		time_open: req.body.time_open,
+		time_close: req.body.time_close,
+		created_by: req.user.id
+	});
+
+	// Open the vote right away if it's already time
+	await CRVochdono.checkVotes();
+
+	res.sendAPIResponse({
+		id: info.lastInsertRowid
+	});
+}
+
+export default create;
@@ -0,0 +1,46 @@
+async function delete_vote (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /delete
+	 * Deletes a vote along with all of its ballots
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 *   vote_id (number) The id of the vote to remove
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * VOTE_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const fields = [
+		'vote_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.vote_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+		return;
+	}
+
+	const stmt = CR.db.voting.prepare('delete from votes where id = ?');
+	const info = stmt.run(req.body.vote_id);
+
+	if (info.changes === 0) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	// Unlink any decisions produced by the vote
+	CR.db.decisions.prepare('update decisions set vote_id = null where vote_id = ?').run(req.body.vote_id);
+
+	res.sendAPIResponse();
+}
+
+export default delete_vote;
@@ -0,0 +1,43 @@
+async function delete_reminder (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /delete_reminder
+	 * Deletes a vote reminder
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 *   id (number) The id of the reminder
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT   [argument]
+	 * REMINDER_NOT_FOUND
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const fields = [
+		'id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['id']);
+		return;
+	}
+
+	const stmt = CR.db.voting.prepare('delete from reminders where id = ?');
+	const info = stmt.run(req.body.id);
+
+	if (info.changes === 0) {
+		res.sendAPIError('REMINDER_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse();
+}
+
+export default delete_reminder;
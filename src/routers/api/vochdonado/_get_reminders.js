@@ -0,0 +1,28 @@
+async function get_reminders (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_reminders
+	 * Gets all vote reminders
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Returns:
+	 * reminders (Object[]) The reminders
+	 *   id         (number) The id of the reminder
+	 *   delta_time (number) The delta time before the closing of a vote to send the reminder
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const stmt = CR.db.voting.prepare('select id, delta_time from reminders order by delta_time desc');
+	const rows = stmt.all();
+
+	res.sendAPIResponse({
+		reminders: rows
+	});
+}
+
+export default get_reminders;
@@ -0,0 +1,57 @@
+import * as CRVochdono from '../../../api/vochdono';
+
+async function get_results (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /get_results
+	 * Obtains the results of a closed vote
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * User must have been an eligible voter in the vote
+	 *
+	 * Permissions required:
+	 * vochdonado.manage (Only if the user was not an eligible voter)
+	 *
+	 * Parameters:
+	 *   vote_id (number) The id of the vote
+	 *
+	 * Returns:
+	 *   voters  (number) The amount of eligible voters
+	 *   ballots (number) The amount of ballots cast
+	 *   result  (Object) The result of the vote. Its format depends on the type of the vote, see api/vochdono#getResults
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * VOTE_NOT_FOUND
+	 * VOTE_NOT_CLOSED
+	 */
+
+	const fields = [
+		'vote_id'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.vote_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+		return;
+	}
+
+	await CRVochdono.checkVotes();
+
+	const vote = CRVochdono.getVoteById(req.body.vote_id);
+	if (!vote ||
+		(!CRVochdono.isUserVoter(vote.id, req.user) && !await req.user.hasPermission('vochdonado.manage'))) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	if (!vote.closed) {
+		res.sendAPIError('VOTE_NOT_CLOSED');
+		return;
+	}
+
+	res.sendAPIResponse(CRVochdono.getResults(vote));
+}
+
+export default get_results;
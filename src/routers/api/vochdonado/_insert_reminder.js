@@ -0,0 +1,50 @@
+import moment from 'moment-timezone';
+
+async function insert_reminder (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /insert_reminder
+	 * Inserts a vote reminder. The reminder is sent to all eligible voters that haven't voted yet
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 *   delta_time (number) The delta time before the closing of a vote to send the reminder
+	 *
+	 * Returns:
+	 *   id (number) The id of the reminder
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const fields = [
+		'delta_time'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.delta_time) || req.body.delta_time < 1) {
+		res.sendAPIError('INVALID_ARGUMENT', ['delta_time']);
+		return;
+	}
+
+	// Don't send the new reminder for open votes whose reminder time has already passed
+	const stmt = CR.db.voting.prepare('insert into reminders (delta_time) values (?)');
+	const sentStmt = CR.db.voting.prepare('insert into reminders_sent (reminder_id, vote_id) select ?, id from votes where time_close - ? <= ?');
+	const id = CR.db.voting.transaction(() => {
+		const info = stmt.run(req.body.delta_time);
+		sentStmt.run(info.lastInsertRowid, req.body.delta_time, moment().unix());
+		return info.lastInsertRowid;
+	})();
+
+	res.sendAPIResponse({
+		id: id
+	});
+}
+
+export default insert_reminder;
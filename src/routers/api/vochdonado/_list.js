@@ -0,0 +1,88 @@
+import * as CRApi from '..';
+import * as CRVochdono from '../../../api/vochdono';
+
+async function list (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /list
+	 * Lists all votes
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 * See routers/api#performListQueryStatement
+	 *
+	 * Permitted cols:
+	 * id, name, description, type, secret, quorum, majority, time_open, time_close, opened, closed
+	 *
+	 * Returns:
+	 * rows_total    (number)   The amount of rows in the table in total
+	 * rows_filtered (number)   The amount of rows in the table after filtering
+	 * data          (Object[]) The rows
+	 *   id          (number)      The id of the vote
+	 *   name        (string)      The name of the vote
+	 *   description (string|null) The description of the vote
+	 *   type        (string)      The type of the vote
+	 *   secret      (boolean)     Whether the vote is secret
+	 *   quorum      (string|null) The quorum of the vote as a fraction of the eligible voters
+	 *   majority    (string|null) The required majority of the vote as a fraction
+	 *   time_open   (number)      The unix time at which the vote opens
+	 *   time_close  (number)      The unix time at which the vote closes
+	 *   opened      (boolean)     Whether the vote has been opened
+	 *   closed      (boolean)     Whether the vote has been closed
+	 *
+	 * Throws:
+	 * See routers/api#performListQueryStatement
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	await CRVochdono.checkVotes();
+
+	const dbData = await CRApi.performListQueryStatement({
+		req: req,
+		res: res,
+		db: CR.db.voting,
+		table: 'votes',
+		colsAllowed: [
+			'id',
+			'name',
+			'description',
+			'type',
+			'secret',
+			'quorum',
+			'majority',
+			'time_open',
+			'time_close',
+			'opened',
+			'closed'
+		]
+	});
+
+	if (!dbData) { return; }
+
+	const output = dbData.data.map(row => {
+		const rowOutput = {};
+		for (let col of dbData.select) {
+			const val = row[col];
+
+			if (col === 'secret' || col === 'opened' || col === 'closed') {
+				rowOutput[col] = !!val;
+			} else {
+				rowOutput[col] = val;
+			}
+		}
+		return rowOutput;
+	});
+
+	res.sendAPIResponse({
+		data: output,
+		rows_total: dbData.rowsTotal,
+		rows_filtered: dbData.rowsFiltered
+	});
+}
+
+export default list;
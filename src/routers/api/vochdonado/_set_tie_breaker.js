@@ -0,0 +1,86 @@
+import * as CRVochdono from '../../../api/vochdono';
+import { validateTieBreaker } from '../../../api/paroranga';
+
+async function set_tie_breaker (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /set_tie_breaker
+	 * Sets the tie breaker ballot of a closed election whose results contain a tie. The results are sent to the voters
+	 * once they are final, see api/vochdono#checkResults
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * Permissions required:
+	 * vochdonado.manage
+	 *
+	 * Parameters:
+	 *   vote_id     (number)   The id of the vote
+	 *   tie_breaker (string[]) A ranking of all candidates without ties
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * VOTE_NOT_FOUND
+	 * VOTE_NOT_CLOSED
+	 * INVALID_VOTE_TYPE           The vote isn't an election
+	 * TIE_BREAKER_NOT_NEEDED      The results don't contain a tie that needs to be broken, e.g. as the tie breaker has
+	 *                             been set already
+	 */
+
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const fields = [
+		'vote_id',
+		'tie_breaker'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.vote_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+		return;
+	}
+
+	await CRVochdono.checkVotes();
+
+	const vote = CRVochdono.getVoteById(req.body.vote_id);
+	if (!vote) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	if (!vote.closed) {
+		res.sendAPIError('VOTE_NOT_CLOSED');
+		return;
+	}
+
+	if (CRVochdono.electionTypes.indexOf(vote.type) === -1) {
+		res.sendAPIError('INVALID_VOTE_TYPE');
+		return;
+	}
+
+	// Changing the tie breaker once the results are final would silently change results that may have been sent already
+	if (CRVochdono.getResults(vote).result.status !== 'TIE_BREAKER_NEEDED') {
+		res.sendAPIError('TIE_BREAKER_NOT_NEEDED');
+		return;
+	}
+
+	if (!(req.body.tie_breaker instanceof Array)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['tie_breaker']);
+		return;
+	}
+	try {
+		validateTieBreaker(vote.candidates, req.body.tie_breaker);
+	} catch (e) {
+		res.sendAPIError('INVALID_ARGUMENT', ['tie_breaker']);
+		return;
+	}
+
+	const stmt = CR.db.voting.prepare('update votes set tie_breaker = ? where id = ?');
+	stmt.run(JSON.stringify(req.body.tie_breaker), vote.id);
+
+	res.sendAPIResponse();
+
+	// Send the now final results right away rather than waiting for the timer
+	CRVochdono.checkResults().catch(e => CR.log.error(`Ne eblis sendi rezultojn de voĉdono ${vote.id}\n${e.stack}`));
+}
+
+export default set_tie_breaker;
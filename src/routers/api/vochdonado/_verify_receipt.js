@@ -0,0 +1,66 @@
+import * as CRVochdono from '../../../api/vochdono';
+
+async function verify_receipt (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /verify_receipt
+	 * Verifies that a ballot with the given receipt token was counted in a secret vote
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * User must be an eligible voter in the vote or have the permission vochdonado.manage
+	 *
+	 * Parameters:
+	 *   vote_id (number) The id of the vote
+	 *   receipt (string) The receipt token
+	 *
+	 * Returns:
+	 *   ballot (*) The ballot belonging to the receipt in the same format as accepted by /vote
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * VOTE_NOT_FOUND
+	 * VOTE_NOT_SECRET
+	 * RECEIPT_NOT_FOUND
+	 */
+
+	const fields = [
+		'vote_id',
+		'receipt'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.vote_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+		return;
+	}
+
+	if (typeof req.body.receipt !== 'string') {
+		res.sendAPIError('INVALID_ARGUMENT', ['receipt']);
+		return;
+	}
+
+	const vote = CRVochdono.getVoteById(req.body.vote_id);
+	if (!vote || !vote.opened ||
+		(!CRVochdono.isUserVoter(vote.id, req.user) && !await req.user.hasPermission('vochdonado.manage'))) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	if (!vote.secret) {
+		res.sendAPIError('VOTE_NOT_SECRET');
+		return;
+	}
+
+	const ballot = CRVochdono.getBallotByReceipt(vote, req.body.receipt.trim());
+	if (ballot === null) {
+		res.sendAPIError('RECEIPT_NOT_FOUND');
+		return;
+	}
+
+	res.sendAPIResponse({
+		ballot: vote.type === 'jns' ? ballot : JSON.parse(ballot)
+	});
+}
+
+export default verify_receipt;
@@ -0,0 +1,79 @@
+import * as CRVochdono from '../../../api/vochdono';
+
+async function vote (req, res, next) { // eslint-disable-line no-unused-vars
+	/**
+	 * POST /vote
+	 * Casts a ballot in a vote. If the user has already voted their ballot is replaced, unless the vote is secret.
+	 *
+	 * Login required
+	 * Initial setup required
+	 *
+	 * User must be an eligible voter in the vote
+	 *
+	 * Parameters:
+	 *   vote_id (number) The id of the vote
+	 *   ballot  (*)      The ballot. Its format depends on the type of the vote:
+	 *                    jns: One of 'j', 'n' or 's'
+	 *                    rp:  (string[][]) The ranks from most to least preferred, each an array of equally ranked
+	 *                         candidates. Unranked candidates are ranked equally below all others. An empty array
+	 *                         is a blank ballot
+	 *                    utv: (string[][]) Like rp, but each rank must contain exactly one candidate
+	 *
+	 * Returns:
+	 *   receipt (string|null) For secret votes the receipt token which can be used to verify the ballot, otherwise null
+	 *
+	 * Throws:
+	 * INVALID_ARGUMENT [argument]
+	 * VOTE_NOT_FOUND              The vote doesn't exist or the user may not vote in it
+	 * VOTE_NOT_OPEN               The vote hasn't opened yet or has already closed
+	 * INVALID_BALLOT
+	 * ALREADY_VOTED               The vote is secret and the user has already voted
+	 */
+
+	const fields = [
+		'vote_id',
+		'ballot'
+	];
+	if (!req.handleRequiredFields(fields)) { return; }
+
+	if (!Number.isSafeInteger(req.body.vote_id)) {
+		res.sendAPIError('INVALID_ARGUMENT', ['vote_id']);
+		return;
+	}
+
+	await CRVochdono.checkVotes();
+
+	const vote = CRVochdono.getVoteById(req.body.vote_id);
+	if (!vote || (vote.opened && !CRVochdono.isUserVoter(vote.id, req.user))) {
+		res.sendAPIError('VOTE_NOT_FOUND');
+		return;
+	}
+
+	if (!vote.opened || vote.closed) {
+		res.sendAPIError('VOTE_NOT_OPEN');
+		return;
+	}
+
+	const ballot = CRVochdono.normalizeBallot(vote, req.body.ballot);
+	if (ballot === null) {
+		res.sendAPIError('INVALID_BALLOT');
+		return;
+	}
+
+	let receipt = null;
+	if (vote.secret) {
+		receipt = await CRVochdono.castSecretBallot(vote, req.user, ballot);
+		if (receipt === null) {
+			res.sendAPIError('ALREADY_VOTED');
+			return;
+		}
+	} else {
+		CRVochdono.castBallot(vote, req.user, ballot);
+	}
+
+	res.sendAPIResponse({
+		receipt: receipt
+	});
+}
+
+export default vote;
@@ -0,0 +1,77 @@
+import express from 'express';
+
+import * as CRApi from '..';
+import { wrap } from '../..';
+
+import apiCreate from './_create';
+import apiDelete from './_delete';
+import apiDeleteReminder from './_delete_reminder';
+import apiGetReminders from './_get_reminders';
+import apiGetResults from './_get_results';
+import apiInsertReminder from './_insert_reminder';
+import apiList from './_list';
+import apiSetTieBreaker from './_set_tie_breaker';
+import apiVerifyReceipt from './_verify_receipt';
+import apiVote from './_vote';
+
+/**
+ * Sets up the router
+ * @return {express.Router} The router
+ */
+export default function () {
+	const router = express.Router();
+
+	const middleware = CRApi.middleware;
+
+	router.post('/create',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiCreate));
+
+	router.post('/delete',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiDelete));
+
+	router.post('/delete_reminder',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiDeleteReminder));
+
+	router.post('/get_reminders',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiGetReminders));
+
+	router.post('/get_results',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiGetResults));
+
+	router.post('/insert_reminder',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiInsertReminder));
+
+	router.post('/list',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiList));
+
+	router.post('/set_tie_breaker',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiSetTieBreaker));
+
+	router.post('/verify_receipt',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiVerifyReceipt));
+
+	router.post('/vote',
+		middleware.requireLogin,
+		middleware.requireInitialSetup,
+		wrap(apiVote));
+
+	return router;
+}
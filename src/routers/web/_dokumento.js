@@ -0,0 +1,50 @@
+import path from 'path';
+
+import * as CRDokumento from '../../api/dokumento';
+
+const INLINE_MIME_TYPES = [
+	'application/pdf',
+	'image/gif',
+	'image/jpeg',
+	'image/png',
+	'text/plain'
+];
+
+async function dokumento (req, res, next) {
+	const doc = CRDokumento.getDocumentByPath(req.params[0]);
+	if (!doc) {
+		next(); // 404
+		return;
+	}
+
+	if (!await CRDokumento.mayUserAccessDocument(doc, req.user)) {
+		if (req.user) {
+			next(); // 404
+		} else {
+			res.redirect(303, '/ensaluti?' + req.originalUrl);
+		}
+		return;
+	}
+
+	const versions = CRDokumento.getVersions(doc.id);
+	let version = versions[0];
+	if (req.query.versio) {
+		const versionId = parseInt(req.query.versio, 10);
+		version = versions.find(x => x.id === versionId);
+	}
+	if (!version) {
+		next(); // 404
+		return;
+	}
+
+	// The mime type is the one sent by the uploader, so only types that can't run script are shown inline
+	if (INLINE_MIME_TYPES.indexOf(version.mime_type) > -1) {
+		res.set('Content-Type', version.mime_type);
+	} else {
+		res.attachment(version.file_name);
+	}
+	res.set('X-Content-Type-Options', 'nosniff');
+	res.sendFile(path.resolve(CRDokumento.getVersionFilePath(version.id)));
+}
+
+export default dokumento;
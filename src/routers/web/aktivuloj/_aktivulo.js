@@ -1,4 +1,5 @@
 import User from '../../../api/user';
+import * as CRCirkulero from '../../../api/cirkulero';
 import * as CRUtil from '../../../util';
 
 async function aktivulo (req, res, next) {
@@ -55,7 +56,8 @@ async function aktivulo (req, res, next) {
 		],
 		page: {
 			urlObfuscated: CRUtil.rot13(req.originalUrl),
-			aktivulo: aktivuloObj
+			aktivulo: aktivuloObj,
+			cirkuleroj: await CRCirkulero.getUserPublishedContributions(aktivulo)
 		},
 		pageDataObj: {
 			aktivulo: aktivuloObj
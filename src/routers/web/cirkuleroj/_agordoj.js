@@ -15,10 +15,12 @@ async function arkivo (req, res, next) { // eslint-disable-line no-unused-vars
 		});
 	}
 
-	const stmt = CR.db.cirkuleroj.prepare('select key, value from settings where key in ("publish_message", "publish_email")');
+	const stmt = CR.db.cirkuleroj.prepare('select key, value from settings where key in ("publish_message", "publish_email", "publish_include_html", "publish_include_pdf")');
 	const settings = stmt.all();
 	let publishMessage;
 	let publishEmail;
+	let publishIncludeHTML = false;
+	let publishIncludePDF = false;
 	for (let setting of settings) {
 		switch (setting.key) {
 		case 'publish_message':
@@ -26,6 +28,12 @@ async function arkivo (req, res, next) { // eslint-disable-line no-unused-vars
 			break;
 		case 'publish_email':
 			publishEmail = setting.value;
+			break;
+		case 'publish_include_html':
+			publishIncludeHTML = setting.value === '1';
+			break;
+		case 'publish_include_pdf':
+			publishIncludePDF = setting.value === '1';
 		}
 	}
 
@@ -46,7 +54,9 @@ async function arkivo (req, res, next) { // eslint-disable-line no-unused-vars
 		pageDataObj: {
 			groups,
 			publishMessage: publishMessage,
-			publishEmail: publishEmail
+			publishEmail: publishEmail,
+			publishIncludeHTML: publishIncludeHTML,
+			publishIncludePDF: publishIncludePDF
 		}
 	};
 	await res.sendRegularPage('cirkuleroj/agordoj', data);
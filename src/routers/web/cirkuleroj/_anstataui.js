@@ -0,0 +1,93 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+import User from '../../../api/user';
+
+async function anstataui (req, res, next) {
+	if (!await CRCirkulero.mayUserSubstituteContributors(req.user)) {
+		res.redirect(303, '/');
+		return;
+	}
+
+	const id = parseInt(req.params.id, 10);
+	if (!Number.isSafeInteger(id)) {
+		next(); // 404
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('select id, name, deadline from cirkuleroj where id = ? and open = 1');
+	const row = stmt.get(id);
+	if (!row) {
+		next(); // 404
+		return;
+	}
+
+	// Without a contributor the page lets the substitute pick one
+	if (!('uzanto' in req.query)) {
+		const users = await CRCirkulero.getAllowedContributors();
+		const contributors = users
+			.filter(user => user.id !== req.user.id)
+			.map(user => {
+				return {
+					id: user.id,
+					name: user.getLongName() || user.email,
+					sort: user.getNameDetails().fullNameLatinSort || user.email
+				};
+			})
+			.sort((a, b) => a.sort.localeCompare(b.sort));
+
+		const data = {
+			title: `Kontribui anstataŭ alia al cirkulero n-ro ${row.id} por ${row.name}`,
+			scripts: [
+				'/plugins/bootstrap-select/js/bootstrap-select.min.js'
+			],
+			stylesheets: [
+				'/plugins/bootstrap-select/css/bootstrap-select.min.css'
+			],
+			page: {
+				cirkulero: row,
+				contributors: contributors
+			}
+		};
+		await res.sendRegularPage('cirkuleroj/anstataui', data);
+		return;
+	}
+
+	const userId = parseInt(req.query.uzanto, 10);
+	const user = Number.isSafeInteger(userId) ? User.getUserById(userId) : null;
+	if (!user || user.id === req.user.id || !await CRCirkulero.mayUserContributeToCirkuleroj(user)) {
+		next(); // 404
+		return;
+	}
+
+	const formData = await CRCirkulero.getContributionFormData(row.id, user);
+	const contributor = {
+		id: user.id,
+		name: user.getLongName() || user.email
+	};
+
+	const data = {
+		title: `Kontribui anstataŭ ${contributor.name} al cirkulero n-ro ${row.id} por ${row.name}`,
+		scripts: [
+			'/js/cr/main/cirkuleroj/kontribui.js',
+			'/plugins/bootstrap-select/js/bootstrap-select.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/bootstrap-select/css/bootstrap-select.min.css'
+		],
+		page: {
+			cirkulero: row,
+			contributor: contributor
+		},
+		pageDataObj: {
+			cirkulero: row,
+			creditRoles: formData.creditRoles,
+			contributions: formData.contributions,
+			// Drafts are private to the contributor, the substitute starts from the submitted contributions
+			drafts: [],
+			contributor: contributor
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/kontribui', data);
+}
+
+export default anstataui;
@@ -23,7 +23,8 @@ async function arkivo (req, res, next) { // eslint-disable-line no-unused-vars
 		};
 	}
 
-	stmt = CR.db.cirkuleroj.prepare('select id, name from cirkuleroj_arkivo');
+	// Imported cirkuleroj remain in the archive for their PDF, but are listed as regular cirkuleroj
+	stmt = CR.db.cirkuleroj.prepare('select id, name from cirkuleroj_arkivo where id not in (select id from cirkuleroj)');
 	rows = stmt.all();
 	for (let row of rows) {
 		pageDataObj.cirkuleroj[row.id] = {
@@ -0,0 +1,15 @@
+import * as CRCirkuleroFeed from '../../../api/cirkulero_feed';
+
+async function fluo (req, res, next) {
+	if (req.params.format === 'atom') {
+		res.type('application/atom+xml; charset=utf-8');
+		res.send(await CRCirkuleroFeed.renderAtomFeed());
+	} else if (req.params.format === 'json') {
+		res.type('application/feed+json; charset=utf-8');
+		res.send(JSON.stringify(await CRCirkuleroFeed.renderJSONFeed(), null, '\t'));
+	} else {
+		next(); // 404
+	}
+}
+
+export default fluo;
@@ -0,0 +1,67 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+import User from '../../../api/user';
+
+async function historio (req, res, next) {
+	const id = parseInt(req.params.id, 10);
+	const userId = parseInt(req.params.user, 10);
+	const groupId = parseInt(req.params.group, 10);
+	if (!Number.isSafeInteger(id) || !Number.isSafeInteger(userId) || !Number.isSafeInteger(groupId)) {
+		next(); // 404
+		return;
+	}
+
+	// Only the contributor and those managing cirkuleroj may see the changes
+	if (req.user.id !== userId && !await req.user.hasPermission('cirkuleroj.manage')) {
+		next(); // 404
+		return;
+	}
+
+	let stmt = CR.db.cirkuleroj.prepare('select c.id, c.name, p.allowed_contributors from cirkuleroj c left join cirkuleroj_published p on p.cirkulero_id = c.id where c.id = ?');
+	const row = stmt.get(id);
+	if (!row) {
+		next(); // 404
+		return;
+	}
+
+	const versions = CRCirkulero.getContributionHistory(id, userId, groupId);
+	if (!versions.length) {
+		next(); // 404
+		return;
+	}
+
+	const user = User.getUserById(userId);
+	const contributor = {
+		id: userId,
+		group_id: groupId,
+		long_name: user ? user.getLongName() : null,
+		role: user ? await CRCirkulero.getPublishedRoleName(user, groupId, row.allowed_contributors) : null
+	};
+
+	const cirkulero = {
+		id: row.id,
+		name: row.name
+	};
+
+	const data = {
+		title: `Ŝanĝoj en kontribuo al cirkulero n-ro ${row.id} por ${row.name}`,
+		scripts: [
+			'/js/cr/main/cirkuleroj/historio.js',
+			'/plugins/bootstrap-select/js/bootstrap-select.min.js'
+		],
+		stylesheets: [
+			'/plugins/bootstrap-select/css/bootstrap-select.min.css'
+		],
+		page: {
+			cirkulero: cirkulero,
+			contributor: contributor
+		},
+		pageDataObj: {
+			cirkulero: cirkulero,
+			contributor: contributor,
+			versions: versions
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/historio', data);
+}
+
+export default historio;
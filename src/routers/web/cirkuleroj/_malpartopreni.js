@@ -0,0 +1,61 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+import User from '../../../api/user';
+
+async function malpartopreni (req, res, next) {
+	const id = parseInt(req.params.id, 10);
+	if (!Number.isSafeInteger(id)) {
+		next(); // 404
+		return;
+	}
+
+	// The link in the reminders identifies the user by a signature, so that they needn't log in
+	let user;
+	let signature = null;
+	if ('uzanto' in req.query) {
+		const userId = parseInt(req.query.uzanto, 10);
+		signature = req.query.subskribo;
+		if (!Number.isSafeInteger(userId) || typeof signature !== 'string' ||
+			!CRCirkulero.verifyOptOutSignature(id, userId, signature)) {
+			next(); // 404
+			return;
+		}
+		user = User.getUserById(userId);
+	} else if (req.user) {
+		user = req.user;
+	} else {
+		res.redirect(303, '/ensaluti?' + req.originalUrl);
+		return;
+	}
+
+	const stmt = CR.db.cirkuleroj.prepare('select id, name, deadline from cirkuleroj where id = ? and published = 0');
+	const row = stmt.get(id);
+	if (!row || !user || !await CRCirkulero.mayUserContributeToCirkuleroj(user)) {
+		next(); // 404
+		return;
+	}
+
+	const data = {
+		title: `Ne kontribui al cirkulero n-ro ${row.id} por ${row.name}`,
+		scripts: [
+			'/js/cr/main/cirkuleroj/malpartopreni.js',
+			'/plugins/bootstrap-datetimepicker/js/bootstrap-datetimepicker.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/bootstrap-datetimepicker/css/bootstrap-datetimepicker.min.css'
+		],
+		page: {
+			cirkulero: row,
+			name: user.getBriefName() || user.email
+		},
+		pageDataObj: {
+			cirkulero: row,
+			optOut: CRCirkulero.getOptOut(row.id, user.id),
+			user_id: signature ? user.id : null,
+			signature: signature
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/malpartopreni', data);
+}
+
+export default malpartopreni;
@@ -1,4 +1,7 @@
+import moment from 'moment-timezone';
+
 import * as cirkulero from '../../../api/cirkulero';
+import * as CRDokumento from '../../../api/dokumento';
 
 async function numero (req, res, next) {
 	const id = parseInt(req.params.id, 10);
@@ -9,19 +12,18 @@ async function numero (req, res, next) {
 
 	// Try to find the cirkulero in the archive
 	let stmt = CR.db.cirkuleroj.prepare('select 1 from cirkuleroj_arkivo where id = ?');
-	let row = stmt.get(id);
-
-	if (row) {
-		res.redirect(302, '/d/cirkuleroj/' + id + '.pdf');
-		return;
-	}
+	const archived = !!stmt.get(id);
 
 	// Try to find the cirkulero
 	stmt = CR.db.cirkuleroj.prepare('select id, name, deadline, open, published from cirkuleroj where id = ?');
-	row = stmt.get(id);
+	const row = stmt.get(id);
 
 	if (!row) {
-		next(); // 404
+		if (archived) {
+			res.redirect(302, '/d/cirkuleroj/' + id + '.pdf');
+		} else {
+			next(); // 404
+		}
 		return;
 	}
 
@@ -35,7 +37,13 @@ async function numero (req, res, next) {
 			],
 			page: {
 				cirkulero: row,
-				editor: false
+				editor: false,
+				// Imported cirkuleroj keep the PDF of the archive
+				pdf: archived || !!CRDokumento.getDocumentByPath(`cirkuleroj/${row.id}.pdf`),
+				// Only logged in users may read and write comments on the contributions
+				comments: !!req.user,
+				userId: req.user ? req.user.id : null,
+				mayModerateComments: !!req.user && await req.user.hasPermission('cirkuleroj.manage')
 			}
 		};
 		data.pageDataObj = data.page;
@@ -56,29 +64,9 @@ async function numero (req, res, next) {
 			return;
 		}
 
-		// Get the user's existing contributions
-		const stmt = CR.db.cirkuleroj.prepare('select group_id, user_role_comment, faris, faras, faros, comment from cirkuleroj_contributions where cirkulero_id = ? and user_id = ?');
-		const rows = stmt.all(row.id, req.user.id);
-
-		const contribs = [];
-		for (let row of rows) {
-			contribs.push({
-				group_id: row.group_id,
-				user_role_comment: row.user_role_comment,
-				faris: JSON.parse(row.faris),
-				faras: JSON.parse(row.faras),
-				faros: JSON.parse(row.faros),
-				comment: row.comment
-			});
-		}
+		const formData = await cirkulero.getContributionFormData(row.id, req.user);
 
-		const creditRolesRaw = await cirkulero.getUserCirkuleroContributionGroups(req.user);
-		const creditRoles = creditRolesRaw.map(x => {
-			return {
-				name: x.user.name,
-				id: x.group.id
-			};
-		});
+		const optOut = cirkulero.getOptOut(row.id, req.user.id);
 
 		const data = {
 			title: `Kontribui al cirkulero n-ro ${row.id} por ${row.name}`,
@@ -91,12 +79,16 @@ async function numero (req, res, next) {
 				'/plugins/bootstrap-select/css/bootstrap-select.min.css'
 			],
 			page: {
-				cirkulero: row
+				cirkulero: row,
+				optOut: optOut,
+				snoozed: optOut.snooze_until > moment().unix(),
+				maySubstitute: await cirkulero.mayUserSubstituteContributors(req.user)
 			},
 			pageDataObj: {
 				cirkulero: row,
-				creditRoles: creditRoles,
-				contributions: contribs
+				creditRoles: formData.creditRoles,
+				contributions: formData.contributions,
+				drafts: formData.drafts
 			}
 		};
 		await res.sendRegularPage('cirkuleroj/kontribui', data);
@@ -0,0 +1,36 @@
+import Group from '../../../api/group';
+
+async function rolo (req, res, next) {
+	const id = parseInt(req.params.id, 10);
+	if (!Number.isSafeInteger(id)) {
+		next(); // 404
+		return;
+	}
+
+	const group = await Group.getGroupById(id);
+	if (!group) {
+		next(); // 404
+		return;
+	}
+
+	const groupObj = {
+		id: group.id,
+		name: group.nameBase
+	};
+
+	const data = {
+		title: `Kontribuoj de ${group.nameBase}`,
+		scripts: [
+			'/js/cr/main/cirkuleroj/rolo.js'
+		],
+		page: {
+			group: groupObj
+		},
+		pageDataObj: {
+			group: groupObj
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/rolo', data);
+}
+
+export default rolo;
@@ -0,0 +1,35 @@
+import Group from '../../../api/group';
+import * as CRCirkulero from '../../../api/cirkulero';
+
+async function roloEksporti (req, res, next) {
+	const id = parseInt(req.params.id, 10);
+	if (!Number.isSafeInteger(id)) {
+		next(); // 404
+		return;
+	}
+
+	const group = await Group.getGroupById(id);
+	if (!group) {
+		next(); // 404
+		return;
+	}
+
+	const contribs = await CRCirkulero.getGroupPublishedContributions(group);
+
+	let body;
+	if (req.query.formato === 'csv') {
+		body = await CRCirkulero.groupContributionsToCSV(contribs);
+		res.type('text/csv; charset=utf-8');
+	} else if (req.query.formato === 'md') {
+		body = CRCirkulero.groupContributionsToMarkdown(group.nameBase, contribs);
+		res.type('text/markdown; charset=utf-8');
+	} else {
+		next(); // 404
+		return;
+	}
+
+	res.attachment(`cirkuleroj-rolo-${group.id}.${req.query.formato}`);
+	res.send(body);
+}
+
+export default roloEksporti;
@@ -0,0 +1,35 @@
+import Group from '../../../api/group';
+
+async function roloj (req, res, next) { // eslint-disable-line no-unused-vars
+	// Obtain all groups with contributions to published cirkuleroj along with their parents
+	const stmt = CR.db.cirkuleroj.prepare('select distinct cc.group_id from cirkuleroj_contributions cc inner join cirkuleroj c on c.id = cc.cirkulero_id where c.published = 1');
+	const groupIds = stmt.all().map(row => row.group_id);
+
+	const groups = new Map();
+	for (let id of groupIds) {
+		let group = await Group.getGroupById(id);
+		while (group && !groups.has(group.id)) {
+			groups.set(group.id, group);
+			group = group.parent ? await Group.getGroupById(group.parent) : null;
+		}
+	}
+
+	const groupsList = [...groups.values()]
+		.map(group => {
+			return {
+				id: group.id,
+				name: group.nameBase
+			};
+		})
+		.sort((a, b) => a.name.localeCompare(b.name, 'eo'));
+
+	const data = {
+		title: 'Kontribuoj laŭ rolo',
+		page: {
+			groups: groupsList
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/roloj', data);
+}
+
+export default roloj;
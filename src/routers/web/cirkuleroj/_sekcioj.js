@@ -0,0 +1,56 @@
+import * as CRCirkulero from '../../../api/cirkulero';
+import Group from '../../../api/group';
+
+async function sekcioj (req, res, next) { // eslint-disable-line no-unused-vars
+	if (!await req.requirePermissions('cirkuleroj.manage')) { return; }
+
+	// Without an id the default sections of new cirkuleroj are edited
+	let cirk = null;
+	if ('id' in req.params) {
+		const id = parseInt(req.params.id, 10);
+		if (!Number.isSafeInteger(id)) {
+			next(); // 404
+			return;
+		}
+
+		const stmt = CR.db.cirkuleroj.prepare('select id, name from cirkuleroj where id = ? and published = 0');
+		cirk = stmt.get(id);
+
+		if (!cirk) {
+			next(); // 404
+			return;
+		}
+	}
+
+	const allGroups = await Group.getAllGroups();
+	const groups = [];
+	for (let group of allGroups.values()) {
+		groups.push({
+			id: group.id,
+			name: group.nameBase
+		});
+	}
+
+	const data = {
+		title: cirk ? `Sekcioj de cirkulero n-ro ${cirk.id} por ${cirk.name}` : 'Defaŭltaj sekcioj de cirkuleroj',
+		scripts: [
+			'/js/cr/main/cirkuleroj/sekcioj.js',
+			'/plugins/bootstrap-select/js/bootstrap-select.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/bootstrap-select/css/bootstrap-select.min.css'
+		],
+		page: {
+			cirkulero: cirk
+		},
+		pageDataObj: {
+			cirkulero: cirk,
+			sections: CRCirkulero.getSections(cirk ? cirk.id : null),
+			groups: groups
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/sekcioj', data);
+}
+
+export default sekcioj;
@@ -0,0 +1,20 @@
+async function serchi (req, res, next) { // eslint-disable-line no-unused-vars
+	let query = '';
+	if (typeof req.query.q === 'string') { query = req.query.q.substring(0, 200); }
+
+	const data = {
+		title: 'Serĉo en cirkuleroj',
+		scripts: [
+			'/js/cr/main/cirkuleroj/serchi.js'
+		],
+		page: {
+			query: query
+		},
+		pageDataObj: {
+			query: query
+		}
+	};
+	await res.sendRegularPage('cirkuleroj/serchi', data);
+}
+
+export default serchi;
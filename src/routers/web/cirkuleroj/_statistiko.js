@@ -0,0 +1,12 @@
+async function statistiko (req, res, next) { // eslint-disable-line no-unused-vars
+	const data = {
+		title: 'Statistiko pri cirkuleroj',
+		scripts: [
+			'/plugins/chartjs/Chart.bundle.min.js',
+			'/js/cr/main/cirkuleroj/statistiko.js'
+		]
+	};
+	await res.sendRegularPage('cirkuleroj/statistiko', data);
+}
+
+export default statistiko;
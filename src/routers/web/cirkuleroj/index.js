@@ -4,9 +4,19 @@ import { middleware } from '..';
 import { wrap } from '../..';
 
 import pageAgordoj from './_agordoj.js';
+import pageAnstataui from './_anstataui.js';
 import pageArkivo from './_arkivo.js';
+import dataFluo from './_fluo.js';
+import pageHistorio from './_historio.js';
+import pageMalpartopreni from './_malpartopreni.js';
 import pageNumero from './_numero.js';
 import pagePretigi from './_pretigi.js';
+import pageRolo from './_rolo.js';
+import pageRoloEksporti from './_rolo_eksporti.js';
+import pageRoloj from './_roloj.js';
+import pageSekcioj from './_sekcioj.js';
+import pageSerchi from './_serchi.js';
+import pageStatistiko from './_statistiko.js';
 import pageVenontaj from './_venontaj.js';
 
 /**
@@ -24,15 +34,53 @@ export default function () {
 	router.get('/arkivo',
 		wrap(pageArkivo));
 
+	router.get('/fluo.:format',
+		wrap(dataFluo));
+
+	router.get('/roloj',
+		wrap(pageRoloj));
+
+	router.get('/roloj/:id',
+		wrap(pageRolo));
+
+	router.get('/roloj/:id/eksporti',
+		wrap(pageRoloEksporti));
+
+	router.get('/sekcioj',
+		middleware.requireLogin,
+		wrap(pageSekcioj));
+
+	router.get('/serchi',
+		wrap(pageSerchi));
+
+	router.get('/statistiko',
+		middleware.requireLogin,
+		wrap(pageStatistiko));
+
 	router.get('/venontaj',
 		middleware.requireLogin,
 		wrap(pageVenontaj));
 
 	// These must be added at the very end
+	router.get('/:id/anstataui',
+		middleware.requireLogin,
+		wrap(pageAnstataui));
+
+	router.get('/:id/historio/:user/:group',
+		middleware.requireLogin,
+		wrap(pageHistorio));
+
+	router.get('/:id/malpartopreni',
+		wrap(pageMalpartopreni));
+
 	router.get('/:id/pretigi',
 		middleware.requireLogin,
 		wrap(pagePretigi));
 
+	router.get('/:id/sekcioj',
+		middleware.requireLogin,
+		wrap(pageSekcioj));
+
 	router.get('/:id',
 		wrap(pageNumero));
 
@@ -0,0 +1,35 @@
+async function index (req, res, next) { // eslint-disable-line no-unused-vars
+	const mayManage = !!req.user && await req.user.hasPermission('decidoj.manage');
+
+	// The votes that decisions may be linked to
+	let votes = [];
+	if (mayManage) {
+		const stmt = CR.db.voting.prepare('select id, name from votes where closed = 1 order by time_close desc');
+		votes = stmt.all();
+	}
+
+	const data = {
+		title: 'Decidoj',
+		scripts: [
+			'/js/cr/main/decidoj/index.js',
+			'/plugins/jquery-datatable/datatables.min.js',
+			'/js/jquery.dataTables.eo.js',
+			'/plugins/bootstrap-datetimepicker/js/bootstrap-datetimepicker.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/jquery-datatable/datatables.min.css',
+			'/plugins/bootstrap-datetimepicker/css/bootstrap-datetimepicker.min.css'
+		],
+		page: {
+			mayManage: mayManage
+		},
+		pageDataObj: {
+			mayManage: mayManage,
+			votes: votes
+		}
+	};
+	await res.sendRegularPage('decidoj/index', data);
+}
+
+export default index;
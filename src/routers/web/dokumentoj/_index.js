@@ -0,0 +1,49 @@
+import Group from '../../../api/group';
+
+async function index (req, res, next) { // eslint-disable-line no-unused-vars
+	const mayManage = !!req.user && await req.user.hasPermission('dokumentoj.manage');
+
+	// The groups that documents may be limited to
+	const groups = [];
+	if (mayManage) {
+		const allGroups = await Group.getAllGroups();
+		for (let group of allGroups.values()) {
+			let name = group.nameBase;
+			if (!group.membersAllowed) { name += ' (ĉiuj)'; }
+
+			groups.push({
+				id: group.id,
+				name: name
+			});
+		}
+	}
+
+	const data = {
+		title: 'Dokumentoj',
+		scripts: [
+			'/js/cr/main/dokumentoj/index.js',
+			'/plugins/jquery-datatable/datatables.min.js',
+			'/js/jquery.dataTables.eo.js',
+			'/plugins/typeahead/typeahead.js',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput.min.js',
+			'/plugins/bootstrap-datetimepicker/js/bootstrap-datetimepicker.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/jquery-datatable/datatables.min.css',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput.css',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput-typeahead.css',
+			'/plugins/bootstrap-datetimepicker/css/bootstrap-datetimepicker.min.css'
+		],
+		page: {
+			mayManage: mayManage
+		},
+		pageDataObj: {
+			mayManage: mayManage,
+			groups: groups
+		}
+	};
+	await res.sendRegularPage('dokumentoj/index', data);
+}
+
+export default index;
@@ -11,6 +11,8 @@ const safeInlineJSONStringify = CRUtil.safeInlineJSONStringify;
 import routerAdministrado from './administrado';
 import routerAktivuloj from './aktivuloj';
 import routerCirkuleroj from './cirkuleroj';
+import routerDecidoj from './decidoj';
+import routerDokumentoj from './dokumentoj';
 import routerResource from './resource';
 import routerVochdonado from './vochdonado';
 
@@ -22,6 +24,7 @@ import pageKondichoj from './_kondichoj';
 import pageNovaPasvorto from './_nova_pasvorto';
 
 import dataAktivuloImage from './_aktivulo_image';
+import dataDokumento from './_dokumento';
 
 /**
  * Sets up the router
@@ -41,6 +44,8 @@ export function init () {
 	router.use('/administrado', routerAdministrado());
 	router.use('/aktivuloj', routerAktivuloj());
 	router.use('/cirkuleroj', routerCirkuleroj());
+	router.use('/decidoj', routerDecidoj());
+	router.use('/dokumentoj', routerDokumentoj());
 	router.use('/resursoj', routerResource());
 	router.use('/vochdonado', routerVochdonado());
 
@@ -69,6 +74,10 @@ export function init () {
 	router.get('/img/aktivulo/:email/:size',
 		wrap(dataAktivuloImage));
 
+	router.get('/d/*',
+		middleware.requireInitialSetup,
+		wrap(dataDokumento));
+
 	return router;
 }
 
@@ -310,6 +319,14 @@ async function amendView (req, view) {
 				{
 					name: 'Arkivo',
 					href: '/cirkuleroj/arkivo'
+				},
+				{
+					name: 'Serĉo',
+					href: '/cirkuleroj/serchi'
+				},
+				{
+					name: 'Laŭ rolo',
+					href: '/cirkuleroj/roloj'
 				}
 			]
 		});
@@ -323,11 +340,45 @@ async function amendView (req, view) {
 	}
 
 	// Voĉdonado
+	if (req.user && await req.user.hasPermission('vochdonado.manage')) {
+		view.menu.push({
+			name: 'Voĉdonado',
+			icon: 'how_to_vote',
+			active: /^\/vochdonado/.test(req.originalUrl),
+			children: [
+				{
+					name: 'Viaj voĉdonoj',
+					href: '/vochdonado'
+				},
+				{
+					name: 'Administri voĉdonojn',
+					href: '/vochdonado/administri'
+				}
+			]
+		});
+	} else {
+		view.menu.push({
+			name: 'Voĉdonado',
+			icon: 'how_to_vote',
+			href: '/vochdonado',
+			active: /^\/vochdonado/.test(req.originalUrl)
+		});
+	}
+
+	// Decidoj
+	view.menu.push({
+		name: 'Decidoj',
+		icon: 'gavel',
+		href: '/decidoj',
+		active: /^\/decidoj/.test(req.originalUrl)
+	});
+
+	// Dokumentoj
 	view.menu.push({
-		name: 'Voĉdonado',
-		icon: 'how_to_vote',
-		href: '/vochdonado',
-		active: /^\/vochdonado/.test(req.originalUrl)
+		name: 'Dokumentoj',
+		icon: 'folder',
+		href: '/dokumentoj',
+		active: /^\/dokumentoj/.test(req.originalUrl)
 	});
 
 	// Resursoj
@@ -0,0 +1,44 @@
+import Group from '../../../api/group';
+import * as CRVochdono from '../../../api/vochdono';
+
+async function administri (req, res, next) { // eslint-disable-line no-unused-vars
+	if (!await req.requirePermissions('vochdonado.manage')) { return; }
+
+	const allGroups = await Group.getAllGroups();
+	const groups = [];
+	for (let group of allGroups.values()) {
+		let name = group.nameBase;
+		if (!group.membersAllowed) { name += ' (ĉiuj)'; }
+
+		groups.push({
+			id: group.id,
+			name: name
+		});
+	}
+
+	const data = {
+		title: 'Administri voĉdonojn',
+		scripts: [
+			'/js/cr/main/vochdonado/administri.js',
+			'/plugins/jquery-datatable/datatables.min.js',
+			'/js/jquery.dataTables.eo.js',
+			'/plugins/typeahead/typeahead.js',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput.min.js',
+			'/plugins/bootstrap-datetimepicker/js/bootstrap-datetimepicker.min.js',
+			'/plugins/autosize/autosize.min.js'
+		],
+		stylesheets: [
+			'/plugins/jquery-datatable/datatables.min.css',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput.css',
+			'/plugins/bootstrap-tagsinput/bootstrap-tagsinput-typeahead.css',
+			'/plugins/bootstrap-datetimepicker/css/bootstrap-datetimepicker.min.css'
+		],
+		pageDataObj: {
+			groups: groups,
+			voteTypes: CRVochdono.voteTypes
+		}
+	};
+	await res.sendRegularPage('vochdonado/administri', data);
+}
+
+export default administri;
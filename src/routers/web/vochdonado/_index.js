@@ -1,6 +1,34 @@
+import * as CRVochdono from '../../../api/vochdono';
+
 async function index (req, res, next) { // eslint-disable-line no-unused-vars
+	const pageDataObj = {
+		votes: []
+	};
+
+	if (req.user) {
+		await CRVochdono.checkVotes();
+
+		const stmt = CR.db.voting.prepare('select id, name, type, time_open, time_close, closed from votes inner join votes_voters on votes.id = votes_voters.vote_id where user_id = ? order by time_close desc');
+		const rows = stmt.all(req.user.id);
+		for (let row of rows) {
+			pageDataObj.votes.push({
+				id: row.id,
+				name: row.name,
+				type: row.type,
+				timeOpen: row.time_open,
+				timeClose: row.time_close,
+				closed: !!row.closed,
+				hasVoted: CRVochdono.hasUserVoted(row.id, req.user)
+			});
+		}
+	}
+
 	const data = {
-		title: 'Voĉdonado'
+		title: 'Voĉdonado',
+		scripts: [
+			'/js/cr/main/vochdonado/index.js'
+		],
+		pageDataObj: pageDataObj
 	};
 
 	await res.sendRegularPage('vochdonado/index', data);
@@ -0,0 +1,80 @@
+import * as CRVochdono from '../../../api/vochdono';
+
+async function vochdono (req, res, next) {
+	const id = parseInt(req.params.id, 10);
+	if (!Number.isSafeInteger(id)) {
+		next(); // 404
+		return;
+	}
+
+	await CRVochdono.checkVotes();
+
+	const vote = CRVochdono.getVoteById(id);
+	if (!vote || !vote.opened) {
+		next(); // 404
+		return;
+	}
+
+	const isVoter = CRVochdono.isUserVoter(vote.id, req.user);
+	const mayManage = await req.user.hasPermission('vochdonado.manage');
+	if (!isVoter && !mayManage) {
+		next(); // 404
+		return;
+	}
+
+	const voteObj = {
+		id: vote.id,
+		name: vote.name,
+		description: vote.description,
+		type: vote.type,
+		secret: !!vote.secret,
+		quorum: vote.quorum,
+		majority: vote.majority,
+		candidates: vote.candidates,
+		seats: vote.seats,
+		timeOpen: vote.time_open,
+		timeClose: vote.time_close,
+		closed: !!vote.closed
+	};
+
+	const hasVoted = isVoter && CRVochdono.hasUserVoted(vote.id, req.user);
+	const mayVote = isVoter && !vote.closed && !(vote.secret && hasVoted);
+
+	// The ballots of secret votes can't be linked to the user
+	let ownBallot = null;
+	if (isVoter && !vote.secret) {
+		const stmt = CR.db.voting.prepare('select ballot from votes_ballots where vote_id = ? and user_id = ?');
+		const row = stmt.get(vote.id, req.user.id);
+		if (row) {
+			ownBallot = vote.type === 'jns' ? row.ballot : JSON.parse(row.ballot);
+		}
+	}
+
+	const decisions = CR.db.decisions.prepare('select number, title from decisions where vote_id = ? order by date').all(vote.id);
+
+	const data = {
+		title: vote.name,
+		scripts: [
+			'/plugins/chartjs/Chart.bundle.min.js',
+			'/js/cr/main/vochdonado/vochdono.js'
+		],
+		page: {
+			vote: voteObj,
+			mayVote: mayVote,
+			isVoter: isVoter,
+			hasVoted: hasVoted,
+			decisions: decisions
+		},
+		pageDataObj: {
+			vote: voteObj,
+			mayVote: mayVote,
+			hasVoted: hasVoted,
+			mayManage: mayManage,
+			ownBallot: ownBallot,
+			jnsValues: CRVochdono.jnsValues
+		}
+	};
+	await res.sendRegularPage('vochdonado/vochdono', data);
+}
+
+export default vochdono;
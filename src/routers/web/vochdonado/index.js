@@ -3,7 +3,9 @@ import express from 'express';
 import { middleware } from '..';
 import { wrap } from '../..';
 
+import pageAdministri from './_administri';
 import pageIndex from './_index';
+import pageVochdono from './_vochdono';
 
 /**
  * Sets up the router
@@ -16,6 +18,15 @@ export default function () {
 	router.get('/',
 		wrap(pageIndex));
 
+	router.get('/administri',
+		middleware.requireLogin,
+		wrap(pageAdministri));
+
+	// This must be added at the very end
+	router.get('/:id',
+		middleware.requireLogin,
+		wrap(pageVochdono));
+
 
 	return router;
 }
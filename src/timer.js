@@ -1,4 +1,6 @@
 import * as CRCirkulero from './api/cirkulero';
+import * as CRCirkuleroReply from './api/cirkulero_reply';
+import * as CRVochdono from './api/vochdono';
 import User from './api/user';
 
 let timers = [];
@@ -21,6 +23,36 @@ export function init () {
 		immediate: true
 	});
 
+	addTimer({
+		time: CR.conf.timers.cirkuleroSchedule,
+		fn: CRCirkulero.checkSchedule,
+		immediate: true
+	});
+
+	addTimer({
+		time: CR.conf.timers.cirkuleroReplies,
+		fn: CRCirkuleroReply.checkReplyMaildir,
+		immediate: true
+	});
+
+	addTimer({
+		time: CR.conf.timers.vochdonoStates,
+		fn: CRVochdono.checkVotes,
+		immediate: true
+	});
+
+	addTimer({
+		time: CR.conf.timers.vochdonoReminders,
+		fn: CRVochdono.checkReminders,
+		immediate: true
+	});
+
+	addTimer({
+		time: CR.conf.timers.vochdonoResults,
+		fn: CRVochdono.checkResults,
+		immediate: true
+	});
+
 	addTimer({
 		time: CR.conf.timers.passwordResetCleanup,
 		fn: User.cleanUpPasswordResets,
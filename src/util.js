@@ -180,3 +180,187 @@ export function stringIsAValidUrl (str) {
 	);
 	return re_weburl.test(str);
 }
+
+// The Markdown subset allowed in cirkulero contributions
+const MARKDOWN_LINK = /^\[([^\]]+)\]\(([^)\s]+)\)/;
+const MARKDOWN_URL = /^https?:\/\/[^\s<>"]*[^\s<>".,;:!?)\]'"*_]/;
+const MARKDOWN_ESCAPABLE = '\\`*_[]()';
+
+/**
+ * Returns whether a url may be linked to from Markdown
+ * @param  {string} str
+ * @return {boolean}
+ */
+function isSafeMarkdownURL (str) {
+	return /^(https?:\/\/|mailto:)\S+$/i.test(str);
+}
+
+/**
+ * Parses a string in the Markdown subset allowed in cirkulero contributions: links (including bare urls), bold
+ * (`**`, `__`), italics (`*`, `_`) and inline code. Any other text, including HTML, is kept as is
+ * @param  {string} str
+ * @param  {Object} [style] The style applied to the entire string, used internally
+ * @return {Object[]} The segments of the text `{ text (string), bold (boolean), italic (boolean), code (boolean),
+ *                    href (string|null) }`
+ */
+export function parseMarkdown (str, style = { bold: false, italic: false, code: false, href: null }) {
+	const segments = [];
+	let text = '';
+	const flush = () => {
+		if (!text) { return; }
+		segments.push(Object.assign({ text: text }, style));
+		text = '';
+	};
+	const isWordChar = char => !!char && /[\w\u00c0-\uffff]/.test(char);
+
+	let i = 0;
+	while (i < str.length) {
+		const char = str[i];
+		const rest = str.slice(i);
+
+		// Escaped characters
+		if (char === '\\' && MARKDOWN_ESCAPABLE.indexOf(str[i + 1]) > -1 && str[i + 1]) {
+			text += str[i + 1];
+			i += 2;
+			continue;
+		}
+
+		// Inline code
+		if (char === '`') {
+			const end = str.indexOf('`', i + 1);
+			if (end > i + 1) {
+				flush();
+				segments.push(Object.assign({}, style, { text: str.slice(i + 1, end), code: true }));
+				i = end + 1;
+				continue;
+			}
+		}
+
+		// Links
+		if (char === '[' && !style.href) {
+			const match = MARKDOWN_LINK.exec(rest);
+			if (match) {
+				flush();
+				const href = isSafeMarkdownURL(match[2]) ? match[2] : null;
+				segments.push(...parseMarkdown(match[1], Object.assign({}, style, { href: href })));
+				i += match[0].length;
+				continue;
+			}
+		}
+		if (char === 'h' && !style.href && !isWordChar(str[i - 1])) {
+			const match = MARKDOWN_URL.exec(rest);
+			if (match) {
+				flush();
+				segments.push(Object.assign({}, style, { text: match[0], href: match[0] }));
+				i += match[0].length;
+				continue;
+			}
+		}
+
+		// Bold and italics
+		if (char === '*' || char === '_') {
+			const delimiter = str[i + 1] === char ? char + char : char;
+			const start = i + delimiter.length;
+			const key = delimiter.length === 2 ? 'bold' : 'italic';
+			// Underscores within words, e.g. in snake_case, aren't delimiters
+			const mayOpen = str[start] && !/\s/.test(str[start]) && (char === '*' || !isWordChar(str[i - 1]));
+
+			let end = -1;
+			if (mayOpen && !style[key]) {
+				for (let n = start + 1; n < str.length; n++) {
+					if (str.substr(n, delimiter.length) !== delimiter) { continue; }
+					if (/\s/.test(str[n - 1])) { continue; }
+					const after = str[n + delimiter.length];
+					if (delimiter.length === 1 && (after === char || str[n - 1] === char)) { continue; }
+					if (char === '_' && isWordChar(after)) { continue; }
+					end = n;
+					break;
+				}
+			}
+
+			if (end > -1) {
+				flush();
+				segments.push(...parseMarkdown(str.slice(start, end), Object.assign({}, style, { [key]: true })));
+				i = end + delimiter.length;
+				continue;
+			}
+
+			text += delimiter;
+			i += delimiter.length;
+			continue;
+		}
+
+		text += char;
+		i++;
+	}
+	flush();
+
+	return segments;
+}
+
+/**
+ * Groups consecutive Markdown segments with the same link
+ * @param  {Object[]} segments As returned by parseMarkdown
+ * @return {Object[]} `{ href (string|null), segments (Object[]) }`
+ */
+export function groupMarkdownLinks (segments) {
+	const groups = [];
+	for (let segment of segments) {
+		const last = groups[groups.length - 1];
+		if (last && last.href === segment.href) {
+			last.segments.push(segment);
+		} else {
+			groups.push({ href: segment.href, segments: [ segment ] });
+		}
+	}
+	return groups;
+}
+
+/**
+ * Renders a string in the Markdown subset allowed in cirkulero contributions as HTML, see parseMarkdown
+ * @param  {string} str
+ * @return {string}
+ */
+export function renderMarkdown (str) {
+	return groupMarkdownLinks(parseMarkdown(str)).map(group => {
+		const html = group.segments.map(segment => {
+			let html = escapeHTML(segment.text);
+			if (segment.code) { html = `<code>${html}</code>`; }
+			if (segment.italic) { html = `<em>${html}</em>`; }
+			if (segment.bold) { html = `<strong>${html}</strong>`; }
+			return html;
+		}).join('');
+
+		if (!group.href) { return html; }
+		return `<a href="${escapeHTML(group.href, true)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+	}).join('');
+}
+
+/**
+ * Converts a string in the Markdown subset allowed in cirkulero contributions to plain text, keeping the targets of
+ * links in parentheses. See parseMarkdown
+ * @param  {string} str
+ * @return {string}
+ */
+export function markdownToText (str) {
+	return groupMarkdownLinks(parseMarkdown(str)).map(group => {
+		const text = group.segments.map(segment => segment.text).join('');
+		if (!group.href || group.href === text) { return text; }
+		return `${text} (${group.href.replace(/^mailto:/i, '')})`;
+	}).join('');
+}
+
+/**
+ * Sanitizes a string in the Markdown subset allowed in cirkulero contributions by removing links to unsafe urls, such
+ * as `javascript:`, leaving only their text
+ * @param  {string} str
+ * @return {string}
+ */
+export function sanitizeMarkdown (str) {
+	return str.replace(new RegExp(MARKDOWN_LINK.source.slice(1), 'g'), (match, text, href) => {
+		return isSafeMarkdownURL(href) ? match : text;
+	});
+}
+
+Handlebars.registerHelper('markdown', str => new Handlebars.SafeString(renderMarkdown(str || '')));
+Handlebars.registerHelper('markdownText', str => markdownToText(str || ''));